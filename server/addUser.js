@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+/**
+ * Add or update a user in the users file
+ * Usage: npm run user:add -- <username> "<Full Name>" <role> [email]
+ * role is one of Admin, Commercial, Delivery, Viewer. Prompts for the password; only its scrypt hash is stored.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { hashPassword } from './auth/passwords.js';
+import { ROLES } from '../src/services/permissions.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const usersPath = process.env.USERS_FILE || path.join(rootDir, 'users.json');
+
+const [username, name, role, email = ''] = process.argv.slice(2);
+if (!username || !name || !ROLES.includes(role)) {
+  console.error(`Usage: npm run user:add -- <username> "<Full Name>" <${ROLES.join('|')}> [email]`);
+  process.exit(1);
+}
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+rl.question(`Password for ${username}: `, async (password) => {
+  rl.close();
+  if (!password || password.length < 10) {
+    console.error('❌ Password must be at least 10 characters');
+    process.exit(1);
+  }
+
+  const data = fs.existsSync(usersPath) ? JSON.parse(fs.readFileSync(usersPath, 'utf8')) : { users: [] };
+  const user = { username, name, email, role, passwordHash: await hashPassword(password) };
+  const existing = data.users.findIndex(u => u.username.toLowerCase() === username.toLowerCase());
+  if (existing >= 0) {
+    data.users[existing] = { ...data.users[existing], ...user };
+  } else {
+    data.users.push(user);
+  }
+
+  fs.writeFileSync(usersPath, JSON.stringify(data, null, 2) + '\n');
+  console.log(`✅ ${existing >= 0 ? 'Updated' : 'Added'} user ${username} (${role}) in ${usersPath}`);
+});
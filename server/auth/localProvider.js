@@ -0,0 +1,50 @@
+/**
+ * Local user provider
+ * Named users with hashed passwords, kept in a JSON users file:
+ *   { "users": [{ "username", "name", "email", "role", "passwordHash" }] }
+ * role is one of Admin, Commercial, Delivery, Viewer (see src/services/permissions.js);
+ * users without one are Viewers.
+ *
+ * Providers share one interface so others (e.g. OIDC) can be plugged in:
+ *   - name                            -> provider id
+ *   - authenticate(credentials)       -> Promise<user | null>
+ * where user is { username, name, email, role }.
+ */
+
+import { verifyPassword } from './passwords.js';
+import { getRole } from '../../src/services/permissions.js';
+
+/**
+ * Create a provider from a list of users
+ * @param {Object} options
+ * @param {Array<Object>} options.users - [{ username, name, email, role, passwordHash }]
+ * @returns {Object} Auth provider
+ */
+export function createLocalUserProvider({ users = [] }) {
+  const byUsername = new Map(users.map(user => [user.username.toLowerCase(), user]));
+
+  /**
+   * Check a username/password pair
+   */
+  async function authenticate(credentials) {
+    const { username, password } = credentials || {};
+    const user = byUsername.get(String(username || '').toLowerCase());
+    // Hash anyway for unknown users so response time doesn't reveal which usernames exist
+    const valid = await verifyPassword(password, user?.passwordHash || 'scrypt$00$00');
+    if (!user || !valid || user.disabled) return null;
+
+    return {
+      username: user.username,
+      name: user.name || user.username,
+      email: user.email || '',
+      role: getRole(user)
+    };
+  }
+
+  return {
+    name: 'local',
+    authenticate
+  };
+}
+
+export default createLocalUserProvider;
@@ -0,0 +1,38 @@
+/**
+ * Password hashing
+ * scrypt with a per-user random salt, stored as "scrypt$<salt>$<hash>" (hex).
+ */
+
+import crypto from 'crypto';
+
+const KEY_LENGTH = 64;
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, (error, derivedKey) => {
+      if (error) reject(error);
+      else resolve(derivedKey);
+    });
+  });
+}
+
+/**
+ * Hash a password for storing in the users file
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash (constant-time comparison)
+ */
+export async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hashHex] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(String(password), salt);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
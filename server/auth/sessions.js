@@ -0,0 +1,78 @@
+/**
+ * Session store
+ * Opaque random session ids with an absolute expiry. Sessions live in memory,
+ * so restarting the server logs everyone out.
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_TTL_MS = 8 * 60 * 60 * 1000; // 8 hours
+
+/**
+ * Create an in-memory session store
+ * @param {Object} options
+ * @param {number} options.ttlMs - Session lifetime
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {Object} Session store (create, get, destroy, destroyAllForUser)
+ */
+export function createSessionStore({ ttlMs = DEFAULT_TTL_MS, now = () => Date.now() } = {}) {
+  const sessions = new Map();
+
+  /**
+   * Start a session for a user
+   */
+  function create(user) {
+    const session = {
+      id: crypto.randomBytes(32).toString('hex'),
+      user,
+      createdAt: new Date(now()).toISOString(),
+      expiresAt: new Date(now() + ttlMs).toISOString()
+    };
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Look up a live session (expired sessions are removed)
+   */
+  function get(id) {
+    const session = id ? sessions.get(id) : null;
+    if (!session) return null;
+    if (new Date(session.expiresAt).getTime() <= now()) {
+      sessions.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * End one session
+   */
+  function destroy(id) {
+    sessions.delete(id);
+  }
+
+  /**
+   * End every session of a user ("log out everywhere")
+   * @returns {number} Number of sessions ended
+   */
+  function destroyAllForUser(username) {
+    let count = 0;
+    sessions.forEach((session, id) => {
+      if (session.user.username === username) {
+        sessions.delete(id);
+        count++;
+      }
+    });
+    return count;
+  }
+
+  return {
+    create,
+    get,
+    destroy,
+    destroyAllForUser
+  };
+}
+
+export default createSessionStore;
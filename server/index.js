@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Start the storage server
+ *
+ * Usage:
+ *   npm run server        # GCS backend, key from gcs-credentials.json (or GCS_CREDENTIALS_FILE)
+ *   npm run server:fake   # In-memory fake backend for development, seeded with role-weights.json
+ *   npm run user:add -- <username> "<Full Name>" <role> [email]   # Add/update a user (prompts for password)
+ *
+ * Environment:
+ *   STORAGE_BACKEND       gcs | fake (default: gcs)
+ *   PORT                  Port to listen on (default: 3557)
+ *   GCS_BUCKET            Bucket name (default: red-pegasus-pricing-data)
+ *   GCS_CREDENTIALS_FILE  Service-account key file (default: ./gcs-credentials.json)
+ *   USERS_FILE            Users with hashed passwords (default: ./users.json)
+ *   SESSION_TTL_HOURS     Session lifetime (default: 8)
+ *   COOKIE_SECURE         Set to true when served over HTTPS
+ *
+ * With the fake backend and no users file, a development Admin user dev/dev is created.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createGCSAdapter } from '../src/services/storage/gcsAdapter.js';
+import { createLocalAdapter } from '../src/services/storage/localAdapter.js';
+import { startStorageServer } from './storageServer.js';
+import { createLocalUserProvider } from './auth/localProvider.js';
+import { createSessionStore } from './auth/sessions.js';
+import { hashPassword } from './auth/passwords.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const backendName = process.env.STORAGE_BACKEND || 'gcs';
+const port = Number(process.env.PORT || 3557);
+
+function createBackend() {
+  if (backendName === 'fake') {
+    const roleWeightsPath = path.join(rootDir, 'role-weights.json');
+    const seed = fs.existsSync(roleWeightsPath)
+      ? { 'role-weights.json': fs.readFileSync(roleWeightsPath, 'utf8') }
+      : {};
+    return { ...createLocalAdapter({ inMemory: true, seed }), name: 'fake' };
+  }
+
+  if (backendName === 'gcs') {
+    const credentialsPath = process.env.GCS_CREDENTIALS_FILE || path.join(rootDir, 'gcs-credentials.json');
+    if (!fs.existsSync(credentialsPath)) {
+      console.error(`❌ GCS credentials not found at ${credentialsPath}`);
+      process.exit(1);
+    }
+    const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
+    console.log('🔑 Using service account:', credentials.client_email);
+    return createGCSAdapter({
+      bucketName: process.env.GCS_BUCKET || 'red-pegasus-pricing-data',
+      credentials
+    });
+  }
+
+  console.error(`❌ Unknown STORAGE_BACKEND "${backendName}" (expected gcs or fake)`);
+  process.exit(1);
+}
+
+async function createAuth() {
+  const usersPath = process.env.USERS_FILE || path.join(rootDir, 'users.json');
+  let users;
+  if (fs.existsSync(usersPath)) {
+    users = JSON.parse(fs.readFileSync(usersPath, 'utf8')).users || [];
+  } else if (backendName === 'fake') {
+    console.warn('⚠️ No users file - using development user dev / dev');
+    users = [{ username: 'dev', name: 'Development User', role: 'Admin', passwordHash: await hashPassword('dev') }];
+  } else {
+    console.error(`❌ Users file not found at ${usersPath} (add users with npm run user:add)`);
+    process.exit(1);
+  }
+
+  console.log(`👥 ${users.length} users loaded`);
+  return {
+    provider: createLocalUserProvider({ users }),
+    sessions: createSessionStore({ ttlMs: Number(process.env.SESSION_TTL_HOURS || 8) * 60 * 60 * 1000 }),
+    secureCookies: process.env.COOKIE_SECURE === 'true'
+  };
+}
+
+startStorageServer({ backend: createBackend(), auth: await createAuth(), port }).catch(error => {
+  console.error('❌ Failed to start storage server:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,269 @@
+/**
+ * Storage server
+ *
+ * Small HTTP service the front end talks to instead of GCS. It holds the
+ * service-account key, so the browser never sees credentials, and only exposes
+ * the pricing-data objects (projects, backups, settings, role weights) to
+ * signed-in users.
+ *
+ * Endpoints (all JSON):
+ *   GET    /api/health                                -> { status, backend }
+ *   POST   /api/auth/login   { username, password }   -> { user, expiresAt } + session cookie
+ *   GET    /api/auth/session                          -> { user, expiresAt }
+ *   POST   /api/auth/logout                           -> { loggedOut }
+ *   POST   /api/auth/logout-all                       -> { loggedOut } (every session of the user)
+ *   GET    /api/storage/objects?prefix=...            -> { items: [{ name, timeCreated, size }] }
+ *   GET    /api/storage/object?name=...               -> { content, generation }
+ *   PUT    /api/storage/object?name=...[&ifGenerationMatch=...]  (raw body) -> { name, generation }
+ *   DELETE /api/storage/object?name=...               -> { deleted: true }
+ *
+ * Any storage adapter (see src/services/gcsStorage.js) can be used as the backend,
+ * and any auth provider (see auth/localProvider.js) for sign-in. Everything but
+ * health and login needs a session (401 otherwise).
+ *
+ * Writes and deletes are checked against the user's role (403 otherwise): role
+ * weights need editRoleWeights, settings/ needs editSettings and projects and
+ * backups need editProjects (see src/services/permissions.js). Cost rates and
+ * the audit trail can only be read or listed with viewInternal; everything else
+ * stays readable to every signed-in user because prices are computed from it.
+ * Exports are filtered by the calculator (filterExportForUser).
+ *
+ * The audit trail (audit/) is append-only: entries can only be created
+ * (ifGenerationMatch=0), never replaced or deleted, and the server records the
+ * signed-in user on each entry rather than trusting the client.
+ */
+
+import http from 'http';
+import { can, permissionForWrite, permissionForRead } from '../src/services/permissions.js';
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const SESSION_COOKIE = 'rp_session';
+const PUBLIC_ROUTES = ['GET /api/health', 'POST /api/auth/login'];
+
+// Objects the front end may touch - everything else in the bucket is off limits
+const ALLOWED_OBJECTS = ['projects.json', 'role-weights.json'];
+const ALLOWED_PREFIXES = ['projects/', 'backups/', 'settings/', 'audit/'];
+const AUDIT_PREFIX = 'audit/';
+
+/**
+ * Whether an object name (or list prefix) is within the pricing data
+ */
+export function isAllowedObject(name) {
+  if (typeof name !== 'string' || name === '' || name.includes('..')) return false;
+  return ALLOWED_OBJECTS.includes(name) || ALLOWED_PREFIXES.some(prefix => name.startsWith(prefix));
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Map errors to HTTP statuses - explicit ones, or adapter errors ("... 404 ...", "... 412 ...")
+ */
+function statusForError(error) {
+  if (error.status) return error.status;
+  const match = /\b(404|412)\b/.exec(error.message || '');
+  return match ? Number(match[1]) : 500;
+}
+
+function readSessionId(req) {
+  const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim().split('='));
+  const match = cookies.find(([key]) => key === SESSION_COOKIE);
+  return match ? match[1] : null;
+}
+
+function sessionCookie(value, maxAgeSeconds, secure) {
+  return `${SESSION_COOKIE}=${value}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAgeSeconds}${secure ? '; Secure' : ''}`;
+}
+
+/**
+ * Record the signed-in user on an audit entry
+ */
+function stampAuditEntry(content, user) {
+  let entry;
+  try {
+    entry = JSON.parse(content);
+  } catch {
+    throw httpError(400, 'Invalid audit entry');
+  }
+  return JSON.stringify({ ...entry, user: { username: user.username, name: user.name } }, null, 2);
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Drain the rest so the 413 response still reaches the client
+        reject(httpError(413, 'Request body too large'));
+        req.removeAllListeners('data');
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the request handler for a storage backend
+ * @param {Object} options
+ * @param {Object} options.backend - Storage adapter (readObject, writeObject, listObjects, deleteObject)
+ * @param {Object} options.auth - { provider, sessions, secureCookies } (see auth/)
+ * @returns {Function} (req, res) handler for http.createServer
+ */
+export function createStorageHandler({ backend, auth }) {
+  const { provider, sessions, secureCookies = false } = auth;
+
+  const routes = {
+    'GET /api/health': async () => ({ status: 'ok', backend: backend.name }),
+
+    'POST /api/auth/login': async ({ req, res }) => {
+      const body = await readBody(req);
+      let credentials;
+      try {
+        credentials = JSON.parse(body);
+      } catch {
+        throw httpError(400, 'Invalid login request');
+      }
+      if (typeof credentials?.username !== 'string' || typeof credentials.password !== 'string') {
+        throw httpError(400, 'Invalid login request');
+      }
+      const user = await provider.authenticate(credentials);
+      if (!user) {
+        console.warn('⚠️ Failed login for:', credentials?.username);
+        throw httpError(401, 'Invalid username or password');
+      }
+
+      const session = sessions.create(user);
+      const maxAge = Math.floor((new Date(session.expiresAt).getTime() - Date.now()) / 1000);
+      res.setHeader('Set-Cookie', sessionCookie(session.id, maxAge, secureCookies));
+      console.log('🔓 Signed in:', user.username);
+      return { user: session.user, expiresAt: session.expiresAt };
+    },
+
+    'GET /api/auth/session': async ({ session }) => ({ user: session.user, expiresAt: session.expiresAt }),
+
+    'POST /api/auth/logout': async ({ session, res }) => {
+      sessions.destroy(session.id);
+      res.setHeader('Set-Cookie', sessionCookie('', 0, secureCookies));
+      return { loggedOut: 1 };
+    },
+
+    'POST /api/auth/logout-all': async ({ session, res }) => {
+      const loggedOut = sessions.destroyAllForUser(session.user.username);
+      res.setHeader('Set-Cookie', sessionCookie('', 0, secureCookies));
+      console.log(`🔒 Signed out ${session.user.username} everywhere (${loggedOut} sessions)`);
+      return { loggedOut };
+    },
+
+    'GET /api/storage/objects': async ({ query }) => ({ items: await backend.listObjects(query.get('prefix')) }),
+
+    'GET /api/storage/object': async ({ name }) => await backend.readObject(name),
+
+    'PUT /api/storage/object': async ({ name, query, req, session }) => {
+      let content = await readBody(req);
+      if (name.startsWith(AUDIT_PREFIX)) {
+        content = stampAuditEntry(content, session.user);
+      }
+      const result = await backend.writeObject(name, content, {
+        contentType: req.headers['content-type'] || 'application/json',
+        ifGenerationMatch: query.get('ifGenerationMatch')
+      });
+      console.log(`✏️ ${session.user.username} wrote ${name}`);
+      return result;
+    },
+
+    'DELETE /api/storage/object': async ({ name, session }) => {
+      await backend.deleteObject(name);
+      console.log(`🗑️ ${session.user.username} deleted ${name}`);
+      return { deleted: true };
+    }
+  };
+
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const routeKey = `${req.method} ${url.pathname}`;
+    const route = routes[routeKey];
+
+    if (!route) {
+      sendJSON(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    const session = sessions.get(readSessionId(req));
+    if (!session && !PUBLIC_ROUTES.includes(routeKey)) {
+      sendJSON(res, 401, { error: 'Not signed in or session expired' });
+      return;
+    }
+
+    const name = url.searchParams.get('name');
+    const target = url.pathname === '/api/storage/objects' ? url.searchParams.get('prefix') : name;
+    if (url.pathname.startsWith('/api/storage/') && !isAllowedObject(target)) {
+      sendJSON(res, 403, { error: 'Forbidden object' });
+      return;
+    }
+
+    if ((req.method === 'PUT' || req.method === 'DELETE') && !can(session.user, permissionForWrite(name))) {
+      console.warn(`⚠️ ${session.user.username} (${session.user.role}) may not change ${name}`);
+      sendJSON(res, 403, { error: 'Your role does not allow this change' });
+      return;
+    }
+
+    const readPermission = req.method === 'GET' && url.pathname.startsWith('/api/storage/') ? permissionForRead(target) : null;
+    if (readPermission && !can(session.user, readPermission)) {
+      console.warn(`⚠️ ${session.user.username} (${session.user.role}) may not read ${target}`);
+      sendJSON(res, 403, { error: 'Your role does not allow this' });
+      return;
+    }
+
+    const isAuditRewrite = req.method === 'DELETE' || (req.method === 'PUT' && url.searchParams.get('ifGenerationMatch') !== '0');
+    if (name?.startsWith(AUDIT_PREFIX) && isAuditRewrite) {
+      sendJSON(res, 403, { error: 'Audit entries are append-only' });
+      return;
+    }
+
+    try {
+      sendJSON(res, 200, await route({ req, res, session, query: url.searchParams, name }));
+    } catch (error) {
+      const status = statusForError(error);
+      if (status === 500) {
+        // Log the details; the client only learns that something went wrong
+        console.error('❌ Storage server error:', error);
+        sendJSON(res, status, { error: 'Internal server error' });
+        return;
+      }
+      sendJSON(res, status, { error: error.message });
+    }
+  };
+}
+
+/**
+ * Start the storage server
+ * @param {Object} options
+ * @param {Object} options.backend - Storage adapter to serve
+ * @param {Object} options.auth - { provider, sessions, secureCookies }
+ * @param {number} options.port - Port to listen on (0 = any free port)
+ * @returns {Promise<http.Server>} Listening server
+ */
+export function startStorageServer({ backend, auth, port = 3557 }) {
+  const server = http.createServer(createStorageHandler({ backend, auth }));
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      console.log(`🚀 Storage server (${backend.name}) listening on port ${server.address().port}`);
+      resolve(server);
+    });
+  });
+}
+
+export default startStorageServer;
@@ -1,40 +1,95 @@
 import React, { useState, useEffect } from 'react'
 import RedPegasusPricingCalculator from './components/RedPegasusPricingCalculator'
 import Login from './components/Login'
+import { getSession, logout, logoutEverywhere } from './services/authClient'
+
+// Offline / demo mode has no storage server to sign in against
+const isLocalMode = import.meta.env.VITE_STORAGE_BACKEND === 'local'
+const LOCAL_SESSION = { user: { username: 'local', name: 'Local User', email: '', role: 'Admin' }, expiresAt: null }
+
+// setTimeout fires at once for delays over 2^31 - 1 ms (about 24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1
 
 function App() {
-  const [isAuthenticated, setIsAuthenticated] = useState(false)
+  const [session, setSession] = useState(isLocalMode ? LOCAL_SESSION : null)
+  const [isCheckingSession, setIsCheckingSession] = useState(!isLocalMode)
+  const [notice, setNotice] = useState('')
 
-  // Check if user is already authenticated on mount
+  // Resume an existing session on mount
   useEffect(() => {
-    const authStatus = sessionStorage.getItem('isAuthenticated')
-    console.log('Auth status from sessionStorage:', authStatus)
-    console.log('Is authenticated:', authStatus === 'true')
-    if (authStatus === 'true') {
-      setIsAuthenticated(true)
-    }
+    if (isLocalMode) return
+    getSession()
+      .then(existingSession => setSession(existingSession))
+      .catch(error => console.error('Failed to check session:', error))
+      .finally(() => setIsCheckingSession(false))
   }, [])
 
-  const handleLogin = () => {
-    setIsAuthenticated(true)
+  // Sign out when the session expires; long sessions wait in steps the timer can
+  // hold and re-check the expiry each time it fires
+  useEffect(() => {
+    if (!session?.expiresAt) return
+    const expiresAt = new Date(session.expiresAt).getTime()
+    if (!Number.isFinite(expiresAt)) return
+    let timeoutId
+    const check = () => {
+      const remaining = expiresAt - Date.now()
+      if (remaining <= 0) {
+        handleSessionExpired()
+        return
+      }
+      timeoutId = setTimeout(check, Math.min(remaining, MAX_TIMER_DELAY))
+    }
+    check()
+    return () => clearTimeout(timeoutId)
+  }, [session])
+
+  const handleLogin = (newSession) => {
+    setNotice('')
+    setSession(newSession)
+  }
+
+  const handleSessionExpired = () => {
+    setSession(null)
+    setNotice('Your session has expired. Please sign in again.')
+  }
+
+  const handleLogout = async () => {
+    try {
+      await logout()
+    } catch (error) {
+      console.error('Logout failed:', error)
+    }
+    setSession(null)
+  }
+
+  const handleLogoutEverywhere = async () => {
+    try {
+      await logoutEverywhere()
+      setNotice('You have been signed out on all devices.')
+    } catch (error) {
+      console.error('Logout everywhere failed:', error)
+    }
+    setSession(null)
   }
 
-  const handleLogout = () => {
-    sessionStorage.removeItem('isAuthenticated')
-    setIsAuthenticated(false)
+  if (isCheckingSession) {
+    return <div className="min-h-screen bg-slate-50" />
   }
 
-  // Show login page if not authenticated
-  if (!isAuthenticated) {
-    console.log('Rendering Login component')
-    return <Login onLogin={handleLogin} />
+  // Show login page if not signed in
+  if (!session) {
+    return <Login onLogin={handleLogin} notice={notice} />
   }
 
-  // Show Pricing Model if authenticated
-  console.log('Rendering Pricing Model component')
+  // Show Pricing Model if signed in
   return (
     <div className="min-h-screen bg-slate-50">
-      <RedPegasusPricingCalculator onLogout={handleLogout} />
+      <RedPegasusPricingCalculator
+        currentUser={session.user}
+        onLogout={isLocalMode ? undefined : handleLogout}
+        onLogoutEverywhere={isLocalMode ? undefined : handleLogoutEverywhere}
+        onSessionExpired={handleSessionExpired}
+      />
     </div>
   )
 }
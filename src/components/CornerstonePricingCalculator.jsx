@@ -4,6 +4,7 @@ import { FileJson, Printer, LogOut } from 'lucide-react';
 
 // Shared utilities
 import formatGBP from './pricing/shared/formatGBP';
+import { DEFAULT_TAX_SETTINGS } from './pricing/shared/tax';
 import CostPriceRow from './pricing/shared/CostPriceRow';
 import ValidationAlert from './pricing/shared/ValidationAlert';
 
@@ -385,6 +386,8 @@ const defaultInputs = {
   // AI SaaS competitors: Conventional vendor model (230d build + 10d ingestion = £600k ÷ 135k docs = £5)
   // Source: Reverse-engineered industry project delivery model
   benchmarkCompetitorPerDoc: 5,
+  // VAT on the client quote (UK standard rate, EU reverse charge or zero-rated)
+  taxSettings: DEFAULT_TAX_SETTINGS,
 };
 
 /**
@@ -1137,6 +1140,7 @@ const CornerstonePricingCalculator = ({ onLogout }) => {
           formatGBP={formatGBP}
           inputs={inputs}
           scenario={scenario}
+          onTaxChange={(taxSettings) => setInputs(prev => ({ ...prev, taxSettings }))}
         />
 
         {/* Cost Breakdown & Markup Structure */}
@@ -1,24 +1,32 @@
 import React, { useState } from 'react';
 import { Lock } from 'lucide-react';
+import { login, loginErrorMessage } from '../services/authClient';
 
-const Login = ({ onLogin }) => {
+/**
+ * Login Component
+ * Signs in a named user against the storage server (session cookie, expires server-side)
+ *
+ * @param {Function} onLogin - Called with the new session { user, expiresAt }
+ * @param {string} notice - Message to show above the form (e.g. session expired)
+ */
+const Login = ({ onLogin, notice = '' }) => {
+  const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
 
-  // Hardcoded password - change this to your desired password
-  const CORRECT_PASSWORD = 'redpegasus';
-
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
+    setIsSubmitting(true);
 
-    if (password === CORRECT_PASSWORD) {
-      // Store authentication in sessionStorage (expires when browser closes)
-      sessionStorage.setItem('isAuthenticated', 'true');
-      onLogin();
-    } else {
-      setError('Incorrect password. Please try again.');
+    try {
+      const session = await login(username.trim(), password);
+      onLogin(session);
+    } catch (err) {
+      setError(loginErrorMessage(err));
       setPassword('');
     }
+    setIsSubmitting(false);
   };
 
   return (
@@ -35,12 +43,41 @@ const Login = ({ onLogin }) => {
             Pricing Model
           </h1>
           <p className="text-slate-600">
-            Please enter the password to access the application
+            Please sign in to access the application
           </p>
         </div>
 
+        {notice && (
+          <div className="mb-6 bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg text-sm">
+            {notice}
+          </div>
+        )}
+
         {/* Login Form */}
         <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label
+              htmlFor="username"
+              className="block text-sm font-medium text-slate-700 mb-2"
+            >
+              Username
+            </label>
+            <input
+              id="username"
+              type="text"
+              value={username}
+              onChange={(e) => {
+                setUsername(e.target.value);
+                setError('');
+              }}
+              className="w-full px-4 py-3 bg-slate-50 border border-slate-300 rounded-lg text-slate-900 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              placeholder="Enter username"
+              autoFocus
+              required
+              autoComplete="username"
+            />
+          </div>
+
           <div>
             <label
               htmlFor="password"
@@ -58,9 +95,8 @@ const Login = ({ onLogin }) => {
               }}
               className="w-full px-4 py-3 bg-slate-50 border border-slate-300 rounded-lg text-slate-900 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               placeholder="Enter password"
-              autoFocus
               required
-              autoComplete="new-password"
+              autoComplete="current-password"
             />
           </div>
 
@@ -74,10 +110,11 @@ const Login = ({ onLogin }) => {
           {/* Submit Button */}
           <button
             type="submit"
-            className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-colors duration-200 flex items-center justify-center gap-2 shadow-md hover:shadow-lg"
+            disabled={isSubmitting}
+            className="w-full disabled:opacity-50 bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-4 rounded-lg transition-colors duration-200 flex items-center justify-center gap-2 shadow-md hover:shadow-lg"
           >
             <Lock className="w-4 h-4" />
-            Access Pricing Model
+            {isSubmitting ? 'Signing In...' : 'Sign In'}
           </button>
         </form>
 
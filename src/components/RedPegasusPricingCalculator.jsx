@@ -1,28 +1,110 @@
 import React, { useState, useMemo, useEffect, useRef } from 'react';
 import { useReactToPrint } from 'react-to-print';
-import { FileJson, Printer, LogOut, Package } from 'lucide-react';
+import { FileJson, Printer, LogOut, Package, History, ScrollText, CalendarDays, FileEdit, Layers, ShieldAlert, BadgePercent } from 'lucide-react';
 import { RadialBarChart, RadialBar, ResponsiveContainer, Tooltip, Legend, Cell } from 'recharts';
 
 // Shared utilities
 import formatGBP from './pricing/shared/formatGBP';
 import ValidationAlert from './pricing/shared/ValidationAlert';
 import { validateInputs, getValidationWarnings } from './pricing/shared/validation';
-
-// GCS utilities
 import {
-  initializeGCS,
+  getRoleWeightVersions,
+  findVersion,
+  getEffectiveVersion,
+  pinnedVersionFor,
+  addRoleWeightVersion
+} from './pricing/shared/roleWeightVersions';
+import {
+  JOINT_OWNER,
+  DEFAULT_ALLOCATION_RULES,
+  normalizeAllocationRules,
+  allocateRevenue,
+  formatUplift,
+  jointSplitFractions
+} from './pricing/shared/allocationRules';
+import { reconcileDeliverables, reconciliationBlocksSaving } from './pricing/shared/reconciliation';
+import { DEFAULT_RISK_CONTINGENCY, calculateRiskContingency, allocateRiskContingency } from './pricing/shared/riskContingency';
+import { applyAdjustments, settlePartyAllocations } from './pricing/shared/commercialAdjustments';
+import {
+  DEFAULT_COST_RATES,
+  RESOURCE_TYPES,
+  RESOURCE_TYPE_LABELS,
+  normalizeCostRates,
+  analyzeCosts,
+  getCostWarnings
+} from './pricing/shared/costModel';
+import { buildSchedule, getScheduleWarnings } from './pricing/shared/schedule';
+import { cleanDeliverables } from './pricing/shared/deliverables';
+import { DEFAULT_PAYMENT_PLAN, buildPaymentSchedule } from './pricing/shared/paymentSchedule';
+import { DEFAULT_TAX_SETTINGS, normalizeTaxSettings } from './pricing/shared/tax';
+import { buildCashFlow, cashFlowToCsv } from './pricing/shared/cashFlow';
+import { EMPTY_ACTUALS, analyzeActuals, getActualsWarnings } from './pricing/shared/actuals';
+import { buildVariations } from './pricing/shared/changeRequests';
+import { addQuoteVersion, findMatchingVersion } from './pricing/shared/quoteVersions';
+import { diffQuotes } from './pricing/shared/quoteDiff';
+import {
+  BASE_CURRENCY,
+  CURRENCIES,
+  CURRENCY_LABELS,
+  normalizeFxTable,
+  addFxVersion,
+  fxSnapshot,
+  currencyFormatter,
+  describeFx
+} from './pricing/shared/currency';
+
+// Storage utilities
+import {
+  initializeProxyStorage,
+  initializeLocalStorage,
   loadProjectsFromGCS,
+  loadProjectFromGCS,
   loadRoleWeightsFromGCS,
-  saveProjectsToGCS,
-  saveRoleWeightsToGCS
+  saveProjectToGCS,
+  deleteProjectFromGCS,
+  saveRoleWeightsToGCS,
+  isConflictError,
+  listProjectBackups,
+  readProjectBackup,
+  restoreProjectFromBackup,
+  loadRetentionPolicy,
+  saveRetentionPolicy,
+  setAuditUser,
+  loadAuditTrail,
+  loadCostRates,
+  saveCostRates,
+  loadFxTable,
+  saveFxTable,
+  ROLE_WEIGHTS_AUDIT,
+  COST_RATES_AUDIT,
+  FX_RATES_AUDIT
 } from '../services/gcsStorage';
+import { mergeProjectLibraries } from '../services/projectMerge';
+import { can, getRole, allowedReportVariants, filterExportForUser } from '../services/permissions';
 
 // Analysis components
 import MarginAnalysis from './pricing/MarginAnalysis';
 import ScenarioLibrary from './pricing/ScenarioLibrary';
+import BackupBrowser from './pricing/BackupBrowser';
+import AuditTimeline from './pricing/AuditTimeline';
+import RepriceComparison from './pricing/RepriceComparison';
+import AllocationRulesEditor from './pricing/AllocationRulesEditor';
+import CostRatesEditor from './pricing/CostRatesEditor';
+import FxRatesEditor from './pricing/FxRatesEditor';
+import DeliveryPlan from './pricing/DeliveryPlan';
+import PaymentSchedule from './pricing/PaymentSchedule';
+import CashFlowProjection from './pricing/CashFlowProjection';
+import ActualsTracker from './pricing/ActualsTracker';
+import DaysReconciliation from './pricing/DaysReconciliation';
+import RiskContingency from './pricing/RiskContingency';
+import CommercialAdjustments from './pricing/CommercialAdjustments';
+import ChangeRequests from './pricing/ChangeRequests';
+import QuoteVersions from './pricing/QuoteVersions';
+import QuoteDiff from './pricing/QuoteDiff';
 import ReportVariantSelector from './pricing/ReportVariantSelector';
 import RedPegasusInternalReport from './pricing/RedPegasusInternalReport';
 import RedPegasusQuoteReport from './pricing/RedPegasusQuoteReport';
+import SaveConflictDialog from './pricing/SaveConflictDialog';
 
 // Help modal components
 import HelpModal from './pricing/HelpModal';
@@ -38,7 +120,9 @@ import { helpContent } from './pricing/helpContent';
  * - Revenue is allocated proportionally by value-days
  * - Parties (RPG, Proaptus, etc.) receive their share based on total value-days
  *
- * Data persists directly in Google Cloud Storage - no server required
+ * Data persists in Google Cloud Storage via the storage server (server/), which
+ * holds the service-account key (set VITE_STORAGE_BACKEND=local to keep data in
+ * the browser instead)
  * Based on Cornerstone architecture but with different calculation model
  */
 
@@ -58,61 +142,82 @@ function generateProjectId() {
  *
  * Model: Revenue allocation based on deliverable days × role weights
  * - Each role has a weight that multiplies the base day rate
- * - Account manager party gets 10% uplift on their final share
+ * - Project-level overrides (roleWeightOverrides) replace the global weight for that role
+ * - Revenue is split between parties by the project's allocation rules: account manager
+ *   uplift (% or fixed fee), Joint deliverable split ratio and minimum-share floors
  * - Formula: deliverable_revenue = days × (base_rate × role_weight)
+ * - Risk contingency (deliverable risk ratings and the risk register) is priced on top
+ *   of the sold days and shared by the project's contingency rules
+ * - Commercial adjustments (discounts, fixed-price caps) turn the gross price into the
+ *   net price; each party bears its share of the discount
  */
-function calculateRedPegasusModel(inputs) {
-  const { clientRate, soldDays, deliverables, accountManagerParty, roleWeights = {} } = inputs;
+export function calculateRedPegasusModel(inputs) {
+  const { clientRate, soldDays, accountManagerParty, roleWeights: globalRoleWeights = {}, roleWeightOverrides = {}, allocationRules, reconciliation, risks = [], riskContingency, adjustments = [] } = inputs;
+
+  // Reconcile deliverable days with the days sold (scaled days or a contingency line)
+  const reconciled = reconcileDeliverables({ soldDays, deliverables: inputs.deliverables, reconciliation });
+  const { deliverables } = reconciled;
+
+  // Layer project overrides on the global weights, remembering where each came from
+  const roleWeights = { ...globalRoleWeights };
+  const roleWeightSources = Object.fromEntries(Object.keys(globalRoleWeights).map(role => [role, 'global']));
+  Object.entries(roleWeightOverrides || {}).forEach(([role, weight]) => {
+    if (Number.isFinite(Number(weight)) && weight !== '' && weight !== null) {
+      roleWeights[role] = Number(weight);
+      roleWeightSources[role] = 'project';
+    }
+  });
 
-  // Calculate total revenue
-  const totalRevenue = clientRate * soldDays;
+  // Sold days revenue; risk contingency is added to it below
+  const baseRevenue = clientRate * soldDays;
 
   // Calculate revenue for each deliverable based on role weights
   const deliverablesWithRevenue = deliverables.map(d => {
     const days = d.days || 0;
     const roleWeight = Number(roleWeights[d.role]) || 1.0;
+    const roleWeightSource = roleWeightSources[d.role] || 'default';
     const effectiveRate = clientRate * roleWeight;
     const revenue = days * effectiveRate;
-    return { ...d, days, roleWeight, effectiveRate, revenue };
+    return { ...d, days, roleWeight, roleWeightSource, effectiveRate, revenue };
   });
 
   // Calculate total weighted revenue (before uplift)
   const totalWeightedRevenue = deliverablesWithRevenue.reduce((sum, d) => sum + d.revenue, 0);
 
-  // Calculate party allocations from deliverables
-  const partyAllocations = {};
-  deliverablesWithRevenue.forEach(d => {
-    if (!partyAllocations[d.owner]) {
-      partyAllocations[d.owner] = {
-        days: 0,
-        revenue: 0,
-        deliverables: []
-      };
+  // Contingency is priced at the client rate and owned by the chosen party
+  const contingency = reconciled.contingency
+    ? {
+      id: 'contingency',
+      name: 'Contingency',
+      owner: reconciled.contingency.party,
+      days: reconciled.contingency.days,
+      revenue: reconciled.contingency.days * clientRate,
+      isContingency: true
     }
-    partyAllocations[d.owner].days += d.days;
-    partyAllocations[d.owner].revenue += d.revenue;
-    partyAllocations[d.owner].deliverables.push(d);
-  });
+    : null;
 
-  // Apply 10% uplift to account manager party's revenue
-  Object.keys(partyAllocations).forEach(party => {
-    const allocation = partyAllocations[party];
-    const upliftFactor = party === accountManagerParty ? 1.1 : 1.0;
-    allocation.upliftFactor = upliftFactor;
-    allocation.adjustedRevenue = allocation.revenue * upliftFactor;
+  // Allocate revenue to parties using the project's allocation rules
+  const rules = normalizeAllocationRules(allocationRules);
+  const partyAllocations = allocateRevenue({
+    deliverables: contingency ? [...deliverablesWithRevenue, contingency] : deliverablesWithRevenue,
+    totalRevenue: baseRevenue,
+    accountManagerParty,
+    rules
   });
 
-  // Calculate total adjusted revenue and percentages
-  const totalAdjustedRevenue = Object.values(partyAllocations).reduce((sum, a) => sum + a.adjustedRevenue, 0);
-
-  // Normalize to actual total revenue
-  Object.keys(partyAllocations).forEach(party => {
-    const allocation = partyAllocations[party];
-    const normalizedShare = totalAdjustedRevenue > 0 ? allocation.adjustedRevenue / totalAdjustedRevenue : 0;
-    allocation.percentage = normalizedShare * 100;
-    allocation.share = allocation.percentage; // For compatibility
-    allocation.finalRevenue = normalizedShare * totalRevenue;
+  // Price the risk contingency and add each party's part to its allocation
+  const risk = calculateRiskContingency({ deliverables: deliverablesWithRevenue, risks, settings: riskContingency, clientRate });
+  const riskParties = allocateRiskContingency(risk, {
+    settings: riskContingency,
+    rules,
+    baseShares: Object.fromEntries(Object.entries(partyAllocations).map(([party, allocation]) => [party, allocation.percentage / 100]))
   });
+  const grossRevenue = baseRevenue + risk.price;
+
+  // Discounts and caps come off the gross price; the client pays the net price
+  const adjusted = applyAdjustments(grossRevenue, adjustments);
+  const totalRevenue = adjusted.net;
+  const discountParties = settlePartyAllocations(partyAllocations, { riskParties, riskPrice: risk.price, adjusted });
 
   // Calculate total days from deliverables
   const totalDays = deliverablesWithRevenue.reduce((sum, d) => sum + d.days, 0);
@@ -140,10 +245,19 @@ function calculateRedPegasusModel(inputs) {
     // Inputs
     clientRate,
     soldDays,
-    totalRevenue,
+    baseRevenue,
+    grossRevenue,
+    totalRevenue, // net price after commercial adjustments
     totalDays,
     accountManagerParty,
-    roleWeights,
+    roleWeights, // effective weights (global + project overrides)
+    globalRoleWeights,
+    roleWeightSources, // role -> 'global' | 'project'
+    allocationRules: rules,
+    upliftLabel: formatUplift(rules.uplift),
+    reconciliation: { ...reconciled.summary, contingencyRevenue: contingency ? contingency.revenue : 0 },
+    riskContingency: { ...risk, parties: riskParties },
+    commercialAdjustments: { ...adjusted, parties: discountParties },
 
     // Calculations
     deliverables: deliverablesWithRevenue,
@@ -157,12 +271,15 @@ function calculateRedPegasusModel(inputs) {
     // For MarginAnalysis component
     rpg: partyAllocations['RPG'] || { days: 0, percentage: 0, revenue: 0, finalRevenue: 0 },
     proaptus: partyAllocations['Proaptus'] || { days: 0, percentage: 0, revenue: 0, finalRevenue: 0 },
-    joint: partyAllocations['Joint'] || { days: 0, percentage: 0, revenue: 0, finalRevenue: 0 },
+    joint: {
+      days: deliverablesWithRevenue.filter(d => d.owner === JOINT_OWNER).reduce((sum, d) => sum + d.days, 0),
+      revenue: deliverablesWithRevenue.filter(d => d.owner === JOINT_OWNER).reduce((sum, d) => sum + d.revenue, 0)
+    },
     total: { days: totalDays, revenue: totalRevenue }
   };
 }
 
-const RedPegasusPricingCalculator = ({ onLogout }) => {
+const RedPegasusPricingCalculator = ({ currentUser = null, onLogout, onLogoutEverywhere, onSessionExpired }) => {
   // Server connectivity state
   const [serverConnected, setServerConnected] = useState(true);
   const [serverError, setServerError] = useState(null);
@@ -180,7 +297,18 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
     soldDays: 45,
     deliverables: [],
     accountManagerParty: 'RPG',
-    roleWeights: {}
+    roleWeights: {},
+    roleWeightOverrides: {},
+    allocationRules: DEFAULT_ALLOCATION_RULES,
+    paymentPlan: DEFAULT_PAYMENT_PLAN,
+    actuals: EMPTY_ACTUALS,
+    changeRequests: [],
+    reconciliation: null,
+    risks: [],
+    riskContingency: DEFAULT_RISK_CONTINGENCY,
+    adjustments: [],
+    currency: BASE_CURRENCY,
+    taxSettings: DEFAULT_TAX_SETTINGS
   });
 
   // State for project metadata
@@ -195,14 +323,25 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
   const [accountManager, setAccountManager] = useState('');
   const [accountManagerParty, setAccountManagerParty] = useState('RPG');
   const [status, setStatus] = useState('Active');
+  const [quoteVersions, setQuoteVersions] = useState([]);
 
   // State for UI
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [showComparison, setShowComparison] = useState(false);
+  const [comparePair, setComparePair] = useState({ left: '', right: '' });
   const [showLibrary, setShowLibrary] = useState(false);
+  const [showBackups, setShowBackups] = useState(false);
+  const [auditView, setAuditView] = useState(null); // { subject, title } of the open history timeline
+  const [restoreUndoUrl, setRestoreUndoUrl] = useState(null);
+  const [retentionPolicy, setRetentionPolicy] = useState(null);
+  const [costRates, setCostRates] = useState(() => normalizeCostRates(DEFAULT_COST_RATES));
+  const [showCostRates, setShowCostRates] = useState(false);
+  const [fxTable, setFxTable] = useState(() => normalizeFxTable(null));
+  const [showFxRates, setShowFxRates] = useState(false);
   const [showReportSelector, setShowReportSelector] = useState(false);
   const [showProjectBackground, setShowProjectBackground] = useState(true);
   const [isEditingDeliverables, setIsEditingDeliverables] = useState(false);
+  const [isEditingSchedule, setIsEditingSchedule] = useState(false);
   const [showNewProjectModal, setShowNewProjectModal] = useState(false);
   const [isEditingRoleWeights, setIsEditingRoleWeights] = useState(false);
   const [isEditingProjectInfo, setIsEditingProjectInfo] = useState(false);
@@ -223,6 +362,16 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
   const [roleWeightsEditData, setRoleWeightsEditData] = useState({});
   const [roleWeightsChangeReason, setRoleWeightsChangeReason] = useState('');
   const [roleWeightsChangeComment, setRoleWeightsChangeComment] = useState('');
+  const [roleWeightsEffectiveFrom, setRoleWeightsEffectiveFrom] = useState('');
+
+  // Role-weight version the open project is priced with, and the re-price preview
+  const [roleWeightsVersion, setRoleWeightsVersion] = useState(null);
+  const [showReprice, setShowReprice] = useState(false);
+  const [isEditingOverrides, setIsEditingOverrides] = useState(false);
+
+  // Concurrent edit handling - projects as last loaded/saved, and any unresolved conflict
+  const syncedLibraryRef = useRef({});
+  const [saveConflict, setSaveConflict] = useState(null);
 
   const reportRef = useRef();
 
@@ -234,13 +383,14 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
   const loadData = async () => {
     setIsLoading(true);
     try {
-      // Initialize GCS with service account credentials
-      const credentialsResponse = await fetch('/gcs-credentials.json');
-      if (!credentialsResponse.ok) {
-        throw new Error('GCS credentials not found');
+      if (import.meta.env.VITE_STORAGE_BACKEND === 'local') {
+        // Offline / demo mode - keep data in the browser, no bucket needed
+        await initializeLocalStorage();
+      } else {
+        // Storage server holds the GCS key - the browser never sees credentials
+        await initializeProxyStorage({ onUnauthorized: onSessionExpired });
       }
-      const credentials = await credentialsResponse.json();
-      await initializeGCS(credentials);
+      setAuditUser(getModifiedBy());
 
       // Load role weights from GCS
       const weightsData = await loadRoleWeightsFromGCS();
@@ -250,9 +400,22 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
       } else {
         setRoleWeights(weightsData);
       }
+      const versions = getRoleWeightVersions(weightsData.current ? weightsData : { current: weightsData });
+
+      // Load backup retention policy
+      setRetentionPolicy(await loadRetentionPolicy());
+
+      // Load central cost rates (used for margins - internal figures the server only serves to internal roles)
+      if (can(currentUser, 'viewInternal')) {
+        setCostRates(await loadCostRates());
+      }
+
+      // Load the FX table (used for quotes in other currencies)
+      setFxTable(await loadFxTable());
 
       // Load projects from GCS
       const projects = await loadProjectsFromGCS();
+      syncedLibraryRef.current = projects;
       setProjectLibrary(projects);
       setServerConnected(true);
       setServerError(null);
@@ -267,7 +430,18 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
           soldDays: 45,
           deliverables: [],
           accountManagerParty: 'RPG',
-          roleWeights: weightsData.current || weightsData
+          roleWeights: getEffectiveVersion(versions).weights,
+          roleWeightOverrides: {},
+          allocationRules: DEFAULT_ALLOCATION_RULES,
+          paymentPlan: DEFAULT_PAYMENT_PLAN,
+          actuals: EMPTY_ACTUALS,
+          changeRequests: [],
+          reconciliation: null,
+          risks: [],
+          riskContingency: DEFAULT_RISK_CONTINGENCY,
+          adjustments: [],
+          currency: BASE_CURRENCY,
+          taxSettings: DEFAULT_TAX_SETTINGS
         });
       } else {
         const firstProject = projects[projectIds[0]];
@@ -285,12 +459,24 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
         setAccountManager(firstProject.accountManager || '');
         setAccountManagerParty(firstProject.accountManagerParty || 'RPG');
         setStatus(firstProject.status || 'Active');
+        setQuoteVersions(firstProject.quoteVersions || []);
         setInputs({
           clientRate: firstProject.clientRate,
           soldDays: firstProject.soldDays,
           deliverables: firstProject.deliverables,
           accountManagerParty: firstProject.accountManagerParty,
-          roleWeights: weightsData.current || weightsData
+          roleWeights: pinRoleWeights(firstProject, versions),
+          roleWeightOverrides: firstProject.roleWeightOverrides || {},
+          allocationRules: firstProject.allocationRules || DEFAULT_ALLOCATION_RULES,
+          paymentPlan: firstProject.paymentPlan || DEFAULT_PAYMENT_PLAN,
+          actuals: firstProject.actuals || EMPTY_ACTUALS,
+          changeRequests: firstProject.changeRequests || [],
+          reconciliation: firstProject.reconciliation || null,
+          risks: firstProject.risks || [],
+          riskContingency: firstProject.riskContingency || DEFAULT_RISK_CONTINGENCY,
+          adjustments: firstProject.adjustments || [],
+          currency: firstProject.currency || BASE_CURRENCY,
+          taxSettings: normalizeTaxSettings(firstProject.taxSettings, firstProject.paymentPlan?.vatRate)
         });
       }
     } catch (error) {
@@ -304,9 +490,164 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
     setIsLoading(false);
   };
 
+  // Save one project; if it changed in storage since we last synced, three-way merge and retry.
+  // Resolves to { stored } (null when the project was deleted elsewhere), or null when the
+  // user has to resolve a conflict first.
+  const persistProject = async (project) => {
+    try {
+      await saveProjectToGCS(project);
+      syncedLibraryRef.current = { ...syncedLibraryRef.current, [project.id]: project };
+      return { stored: project };
+    } catch (error) {
+      if (!isConflictError(error)) throw error;
+
+      console.log('🔀 Project changed elsewhere - merging...');
+      const { id } = project;
+      const base = syncedLibraryRef.current[id];
+      const remoteProject = await loadProjectFromGCS(id);
+      const { merged, conflicts } = mergeProjectLibraries(
+        base ? { [id]: base } : {},
+        { [id]: project },
+        remoteProject ? { [id]: remoteProject } : {}
+      );
+      setSyncedProject(id, remoteProject);
+
+      if (conflicts.length > 0) {
+        setSaveConflict({ conflicts });
+        return null;
+      }
+
+      const result = merged[id] || null;
+      if (result && result !== remoteProject) {
+        await saveProjectToGCS(result);
+        setSyncedProject(id, result);
+      }
+      return { stored: result };
+    }
+  };
+
+  const setSyncedProject = (id, project) => {
+    const synced = { ...syncedLibraryRef.current };
+    if (project) {
+      synced[id] = project;
+    } else {
+      delete synced[id];
+    }
+    syncedLibraryRef.current = synced;
+  };
+
+  // Adopt a stored project, reloading the open project if a merge replaced or removed it
+  const applyStoredProject = (id, storedProject, activeProject) => {
+    const updatedLibrary = { ...projectLibrary };
+    if (storedProject) {
+      updatedLibrary[id] = storedProject;
+    } else {
+      delete updatedLibrary[id];
+    }
+    setProjectLibrary(updatedLibrary);
+    if (!activeProject || activeProject.id !== id) return;
+
+    if (!storedProject) {
+      const remaining = Object.values(updatedLibrary);
+      if (remaining.length > 0) {
+        loadProject(remaining[0]);
+      } else {
+        setCurrentProject(null);
+      }
+    } else if (storedProject !== activeProject) {
+      loadProject(storedProject);
+    }
+  };
+
+  // Save the user's conflict choice
+  const resolveSaveConflict = async (choices) => {
+    const { conflicts } = saveConflict;
+    setSaveConflict(null);
+    try {
+      for (const conflict of conflicts) {
+        const keepLocal = choices[conflict.id] === 'local';
+        let stored = keepLocal ? conflict.local : conflict.remote;
+        if (keepLocal && conflict.local) {
+          const result = await persistProject(conflict.local);
+          if (!result) return;
+          stored = result.stored;
+        } else if (keepLocal) {
+          await deleteProjectFromGCS(conflict.id);
+          setSyncedProject(conflict.id, null);
+        }
+        applyStoredProject(conflict.id, stored, currentProject);
+      }
+    } catch (error) {
+      console.error('❌ Failed to save resolved project:', error);
+      alert('Failed to save project. Please try again.');
+    }
+  };
+
+  // Who is making this change - stored on every saved project
+  const getModifiedBy = () => (currentUser ? { username: currentUser.username, name: currentUser.name } : null);
+
+  // Role-weight versions, and the one in effect today
+  const roleWeightVersions = useMemo(
+    () => getRoleWeightVersions(roleWeightsMetadata?.current ? roleWeightsMetadata : { current: roleWeights }),
+    [roleWeightsMetadata, roleWeights]
+  );
+  const latestRoleWeights = getEffectiveVersion(roleWeightVersions);
+  const pricedRoleWeights = findVersion(roleWeightVersions, roleWeightsVersion) || latestRoleWeights;
+
+  // Weights a project is priced with - its pinned version (see roleWeightVersions.js)
+  const pinRoleWeights = (project, versions = roleWeightVersions) => {
+    const version = findVersion(versions, pinnedVersionFor(project, versions));
+    setRoleWeightsVersion(version.version);
+    return version.weights;
+  };
+
+  // What the signed-in user's role allows (the storage server enforces the same rules on writes)
+  const canViewInternal = can(currentUser, 'viewInternal');
+  const canEditProjects = can(currentUser, 'editProjects');
+  const canEditRoleWeights = can(currentUser, 'editRoleWeights');
+  const canManageBackups = can(currentUser, 'manageBackups');
+  const canEditSettings = can(currentUser, 'editSettings');
+  const canApproveChanges = can(currentUser, 'approveChanges');
+
+  // Reload the library after a restore and show the restored version of the open project
+  const reloadLibrary = async () => {
+    const projects = await loadProjectsFromGCS();
+    syncedLibraryRef.current = projects;
+    setProjectLibrary(projects);
+    if (!currentProject) return;
+
+    const storedProject = projects[currentProject.id];
+    if (storedProject) {
+      loadProject(storedProject);
+    } else {
+      const remaining = Object.values(projects);
+      if (remaining.length > 0) {
+        loadProject(remaining[0]);
+      } else {
+        setCurrentProject(null);
+      }
+    }
+  };
+
+  // Restore one project (projectId) or the whole backup (null); the library is snapshotted first
+  const restoreBackup = async (backup, projectId) => {
+    const { undoUrl } = await restoreProjectFromBackup(backup.url, { projectId });
+    setRestoreUndoUrl(undoUrl);
+    await reloadLibrary();
+  };
+
+  // Put the library back as it was before the last restore
+  const undoRestore = async () => {
+    await restoreProjectFromBackup(restoreUndoUrl);
+    setRestoreUndoUrl(null);
+    await reloadLibrary();
+  };
+
   // Autosave effect - saves current project whenever it changes
   useEffect(() => {
-    if (!autosaveEnabled || isLoading || !currentProject) return;
+    if (!autosaveEnabled || isLoading || !currentProject || saveConflict || !canEditProjects) return;
+    // Projects set to block on a days gap wait until sold and deliverable days match
+    if (reconciliationBlocksSaving(inputs)) return;
 
     const projectData = {
       id: currentProject.id,
@@ -321,10 +662,24 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
       accountManager,
       accountManagerParty,
       status,
+      quoteVersions,
       clientRate: inputs.clientRate,
       soldDays: inputs.soldDays,
       deliverables: inputs.deliverables,
-      lastModified: new Date().toISOString()
+      roleWeightsVersion,
+      roleWeightOverrides: inputs.roleWeightOverrides,
+      allocationRules: inputs.allocationRules,
+      paymentPlan: inputs.paymentPlan,
+      actuals: inputs.actuals,
+      changeRequests: inputs.changeRequests,
+      reconciliation: inputs.reconciliation,
+      risks: inputs.risks,
+      riskContingency: inputs.riskContingency,
+      adjustments: inputs.adjustments,
+      currency: inputs.currency,
+      taxSettings: inputs.taxSettings,
+      lastModified: new Date().toISOString(),
+      lastModifiedBy: getModifiedBy()
     };
 
     // Debounce the save to avoid too many GCS writes
@@ -332,17 +687,12 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
       try {
         console.log('🔄 Autosaving project to GCS:', projectData.id, projectData.name);
 
-        // Get current library and update it
-        const updatedLibrary = {
-          ...projectLibrary,
-          [projectData.id]: projectData
-        };
-
-        // Save to GCS
-        await saveProjectsToGCS(updatedLibrary);
+        // Save to GCS (merging with any concurrent edits)
+        const result = await persistProject(projectData);
+        if (!result) return;
 
         // Update local state
-        setProjectLibrary(updatedLibrary);
+        applyStoredProject(projectData.id, result.stored, projectData);
 
         console.log('✅ Project autosaved to GCS:', projectData.name);
       } catch (error) {
@@ -366,9 +716,24 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
     accountManager,
     accountManagerParty,
     status,
+    quoteVersions,
     inputs.clientRate,
     inputs.soldDays,
-    inputs.deliverables
+    inputs.deliverables,
+    inputs.roleWeightOverrides,
+    inputs.allocationRules,
+    inputs.paymentPlan,
+    inputs.actuals,
+    inputs.changeRequests,
+    inputs.reconciliation,
+    inputs.risks,
+    inputs.riskContingency,
+    inputs.adjustments,
+    inputs.currency,
+    inputs.taxSettings,
+    roleWeightsVersion,
+    saveConflict,
+    canEditProjects
   ]);
 
   // NOTE: Role weights do NOT autosave - they require explicit save with change reason
@@ -379,7 +744,110 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
 
   // Validation
   const validation = useMemo(() => validateInputs(inputs, inputs.deliverables), [inputs]);
-  const warnings = useMemo(() => getValidationWarnings(inputs, model.partyAllocations || {}, inputs.deliverables), [inputs, model]);
+  // True cost and margin from the central cost rates
+  const costAnalysis = useMemo(() => analyzeCosts(model, costRates), [model, costRates]);
+
+  // Delivery schedule from deliverable starts, durations and predecessors
+  const schedule = useMemo(
+    () => buildSchedule({ deliverables: inputs.deliverables, startDate, endDate }),
+    [inputs.deliverables, startDate, endDate]
+  );
+
+  // Dated invoices from the payment plan
+  const paymentSchedule = useMemo(
+    () => buildPaymentSchedule({ plan: inputs.paymentPlan, model, schedule, startDate, endDate, tax: inputs.taxSettings }),
+    [inputs.paymentPlan, inputs.taxSettings, model, schedule, startDate, endDate]
+  );
+
+  // Monthly billing, revenue recognition and cost per party
+  const cashFlow = useMemo(
+    () => buildCashFlow({ model, schedule, paymentSchedule, costAnalysis }),
+    [model, schedule, paymentSchedule, costAnalysis]
+  );
+
+  // Actual days against the plan
+  const actualsAnalysis = useMemo(() => analyzeActuals({ model, actuals: inputs.actuals }), [model, inputs.actuals]);
+
+  // Signed baseline plus approved change requests
+  const variations = useMemo(
+    () => buildVariations({ inputs, changeRequests: inputs.changeRequests }),
+    [inputs]
+  );
+
+  // Frozen quote versions: the one matching the current quote, and the one being printed
+  const [printedQuoteVersion, setPrintedQuoteVersion] = useState(null);
+  // Client-facing amounts are converted at today's rate; issued versions keep theirs
+  const fx = useMemo(() => fxSnapshot(fxTable, inputs.currency), [fxTable, inputs.currency]);
+  const matchingQuoteVersion = useMemo(
+    () => findMatchingVersion(quoteVersions, { inputs, project: { clientName, startDate, endDate } }),
+    [quoteVersions, inputs, clientName, startDate, endDate]
+  );
+  // A version keeps the rate it was issued at; versions from before currencies are GBP
+  const quoteVersionForReport = printedQuoteVersion || matchingQuoteVersion;
+  const quoteFx = quoteVersionForReport ? quoteVersionForReport.fx || fxSnapshot(null) : fx;
+  const printedQuote = useMemo(() => {
+    if (!printedQuoteVersion) return null;
+    const { project, inputs: versionInputs, model: versionModel } = printedQuoteVersion;
+    const versionSchedule = buildSchedule({ deliverables: versionInputs.deliverables, startDate: project.startDate, endDate: project.endDate });
+    return {
+      ...project,
+      inputs: versionInputs,
+      model: versionModel,
+      schedule: versionSchedule,
+      paymentSchedule: buildPaymentSchedule({
+        plan: versionInputs.paymentPlan,
+        model: versionModel,
+        schedule: versionSchedule,
+        startDate: project.startDate,
+        endDate: project.endDate,
+        tax: normalizeTaxSettings(versionInputs.taxSettings, versionInputs.paymentPlan?.vatRate)
+      })
+    };
+  }, [printedQuoteVersion]);
+
+  // Projects (as they are now) and their frozen versions, for the comparison view.
+  // The open project uses its unsaved state.
+  const modelForProject = (project) => calculateRedPegasusModel({
+    clientRate: project.clientRate,
+    soldDays: project.soldDays,
+    deliverables: project.deliverables,
+    accountManagerParty: project.accountManagerParty || 'RPG',
+    roleWeights: findVersion(roleWeightVersions, pinnedVersionFor(project, roleWeightVersions)).weights,
+    roleWeightOverrides: project.roleWeightOverrides || {},
+    allocationRules: project.allocationRules,
+    reconciliation: project.reconciliation || null,
+    risks: project.risks || [],
+    riskContingency: project.riskContingency || DEFAULT_RISK_CONTINGENCY,
+    adjustments: project.adjustments || []
+  });
+  const comparisonOptions = showComparison
+    ? Object.entries(projectLibrary).flatMap(([id, project]) => {
+      const isOpen = currentProject?.id === id;
+      const name = isOpen ? projectName : project.name;
+      return [
+        { key: id, projectId: id, label: name, model: () => (isOpen ? model : modelForProject(project)) },
+        ...(isOpen ? quoteVersions : project.quoteVersions || []).map(version => ({
+          key: `${id}@v${version.version}`,
+          projectId: id,
+          label: `${name} v${version.version}`,
+          model: () => version.model
+        }))
+      ];
+    })
+    : [];
+  const compareLeft = comparisonOptions.find(option => option.key === comparePair.left);
+  const compareRight = comparisonOptions.find(option => option.key === comparePair.right);
+  const projectDiff = compareLeft && compareRight && compareLeft.key !== compareRight.key
+    ? diffQuotes(compareLeft.model(), compareRight.model(), { matchIds: compareLeft.projectId === compareRight.projectId })
+    : null;
+
+  const warnings = useMemo(() => [
+    ...getValidationWarnings(inputs, model.partyAllocations || {}, inputs.deliverables),
+    ...getScheduleWarnings(schedule, { startDate, endDate }),
+    ...getActualsWarnings(actualsAnalysis),
+    // Costs and margins are internal figures
+    ...(canViewInternal ? getCostWarnings(costAnalysis, formatGBP) : [])
+  ], [inputs, model, schedule, startDate, endDate, actualsAnalysis, costAnalysis, canViewInternal]);
 
   // Export data
   const exportData = () => {
@@ -390,15 +858,30 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
       projectDescription,
       projectBackground,
       inputs,
+      roleWeightsVersion: pricedRoleWeights.version,
       model,
+      paymentSchedule,
       validation
     };
 
-    const blob = new Blob([JSON.stringify(exportPayload, null, 2)], { type: 'application/json' });
+    // Roles without internal access get the quote figures only
+    const payload = filterExportForUser(exportPayload, currentUser);
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `red_pegasus_${canViewInternal ? 'project' : 'quote'}_${projectName.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Cash-flow CSV for finance (internal figures)
+  const exportCashFlowCsv = () => {
+    const blob = new Blob([cashFlowToCsv(cashFlow)], { type: 'text/csv' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `red_pegasus_project_${projectName.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.json`;
+    a.download = `red_pegasus_cash_flow_${projectName.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.csv`;
     a.click();
     URL.revokeObjectURL(url);
   };
@@ -406,24 +889,49 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
   // Print handler
   const handlePrint = useReactToPrint({
     contentRef: reportRef,
+    onAfterPrint: () => setPrintedQuoteVersion(null)
   });
 
+  // Freeze the current quote as a new version
+  const freezeQuoteVersion = ({ name, note }) => {
+    const versions = addQuoteVersion(quoteVersions, {
+      name,
+      note,
+      inputs,
+      project: { clientName, startDate, endDate },
+      model,
+      roleWeightsVersion,
+      fx,
+      createdBy: getModifiedBy()
+    });
+    setQuoteVersions(versions);
+    console.log('📌 Quote version frozen:', versions[versions.length - 1].name);
+  };
+
+  // Print the client quote exactly as a frozen version was sent
+  const printQuoteVersion = (version) => {
+    setPrintedQuoteVersion(version);
+    setReportVariant('DETAILED_QUOTE');
+    setTimeout(() => handlePrint(), 100);
+  };
+
   // Save project - UPDATE current project, don't create new one
   const saveProject = async () => {
+    if (!canEditProjects) {
+      alert('Your role can view projects but not save them.');
+      return;
+    }
     if (!currentProject) {
       alert('No project loaded. Please create or select a project first.');
       return;
     }
+    if (model.reconciliation.blocksSaving) {
+      alert(`Deliverables add up to ${model.reconciliation.deliverableDays} days but ${model.reconciliation.soldDays} days are sold. Reconcile the days (or change the reconciliation mode) before saving.`);
+      return;
+    }
 
     // Clean deliverables to avoid circular references
-    const cleanDeliverables = inputs.deliverables.map(d => ({
-      id: d.id,
-      name: d.name,
-      owner: d.owner,
-      role: d.role,
-      days: d.days,
-      acceptanceCriteria: d.acceptanceCriteria
-    }));
+    const cleanedDeliverables = cleanDeliverables(inputs.deliverables);
 
     // Update current project data
     const updatedProject = {
@@ -439,25 +947,34 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
       accountManager,
       accountManagerParty,
       status,
+      quoteVersions,
       clientRate: inputs.clientRate,
       soldDays: inputs.soldDays,
-      deliverables: cleanDeliverables,
-      lastModified: new Date().toISOString()
+      deliverables: cleanedDeliverables,
+      roleWeightsVersion,
+      roleWeightOverrides: inputs.roleWeightOverrides,
+      allocationRules: inputs.allocationRules,
+      paymentPlan: inputs.paymentPlan,
+      actuals: inputs.actuals,
+      changeRequests: inputs.changeRequests,
+      reconciliation: inputs.reconciliation,
+      risks: inputs.risks,
+      riskContingency: inputs.riskContingency,
+      adjustments: inputs.adjustments,
+      currency: inputs.currency,
+      taxSettings: inputs.taxSettings,
+      lastModified: new Date().toISOString(),
+      lastModifiedBy: getModifiedBy()
     };
 
     try {
-      // Update in library first
-      const updatedLibrary = {
-        ...projectLibrary,
-        [updatedProject.id]: updatedProject
-      };
-
-      // Save to GCS
-      await saveProjectsToGCS(updatedLibrary);
+      // Save to GCS (merging with any concurrent edits)
+      const result = await persistProject(updatedProject);
+      if (!result) return;
 
       // Update local state
       setCurrentProject(updatedProject);
-      setProjectLibrary(updatedLibrary);
+      applyStoredProject(updatedProject.id, result.stored, updatedProject);
 
       console.log('✅ Project saved:', updatedProject.name);
       alert('✅ Project saved successfully!');
@@ -469,9 +986,12 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
 
   // Start editing role weights
   const startEditingRoleWeights = () => {
-    setRoleWeightsEditData({ ...inputs.roleWeights });
+    if (!canEditRoleWeights) return;
+    // Start from the newest version (it may not be in effect yet)
+    setRoleWeightsEditData({ ...roleWeightVersions[roleWeightVersions.length - 1].weights });
     setRoleWeightsChangeReason('');
     setRoleWeightsChangeComment('');
+    setRoleWeightsEffectiveFrom(new Date().toISOString().slice(0, 10));
     setIsEditingRoleWeights(true);
   };
 
@@ -481,10 +1001,35 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
     setRoleWeightsEditData({});
     setRoleWeightsChangeReason('');
     setRoleWeightsChangeComment('');
+    setRoleWeightsEffectiveFrom('');
+  };
+
+  // Re-price the open project with the weights in effect today
+  const repriceWithLatestWeights = () => {
+    setInputs(prev => ({ ...prev, roleWeights: latestRoleWeights.weights }));
+    setRoleWeightsVersion(latestRoleWeights.version);
+    setShowReprice(false);
+  };
+
+  // Override a role weight for this project only (blank clears the override)
+  const updateRoleWeightOverride = (role, value) => {
+    setInputs(prev => {
+      const overrides = { ...(prev.roleWeightOverrides || {}) };
+      if (value === '' || !Number.isFinite(parseFloat(value))) {
+        delete overrides[role];
+      } else {
+        overrides[role] = parseFloat(value);
+      }
+      return { ...prev, roleWeightOverrides: overrides };
+    });
   };
 
   // Save role weights changes
   const saveRoleWeightsChanges = async () => {
+    if (!canEditRoleWeights) {
+      alert('Only Admins can change role weights.');
+      return;
+    }
     if (!roleWeightsChangeReason) {
       alert('Please select a reason for this change');
       return;
@@ -493,29 +1038,22 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
     try {
       console.log('🔄 Saving role weights with reason:', roleWeightsChangeReason);
 
-      // Save to GCS with metadata in correct structure
-      const metadata = {
-        current: roleWeightsEditData,
-        lastChanged: {
-          date: new Date().toISOString(),
-          reason: roleWeightsChangeReason,
-          comment: roleWeightsChangeComment
-        }
-      };
+      // Save as a new version; earlier versions stay so priced projects keep their weights
+      const metadata = addRoleWeightVersion(roleWeightsMetadata, {
+        weights: roleWeightsEditData,
+        effectiveFrom: roleWeightsEffectiveFrom,
+        reason: roleWeightsChangeReason,
+        comment: roleWeightsChangeComment,
+        createdBy: getModifiedBy()
+      });
       await saveRoleWeightsToGCS(metadata);
 
-      // Update local state
-      setRoleWeights(roleWeightsEditData);
+      // Update local state - the open project stays on its pinned version until re-priced
+      setRoleWeights(metadata.current);
       setRoleWeightsMetadata(metadata);
 
-      // Update inputs
-      setInputs(prev => ({
-        ...prev,
-        roleWeights: roleWeightsEditData
-      }));
-
       console.log('✅ Role weights saved:', roleWeightsChangeReason);
-      alert('✅ Role weights updated successfully!');
+      alert(`✅ Role weights saved as version ${metadata.lastChanged.version} (effective ${metadata.lastChanged.effectiveFrom}). Projects keep their current weights until re-priced.`);
       setIsEditingRoleWeights(false);
       setRoleWeightsChangeReason('');
       setRoleWeightsChangeComment('');
@@ -542,6 +1080,7 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
     setAccountManager(project.accountManager || '');
     setAccountManagerParty(project.accountManagerParty || 'RPG');
     setStatus(project.status || 'Active');
+    setQuoteVersions(project.quoteVersions || []);
 
     // Load inputs
     setInputs({
@@ -549,7 +1088,18 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
       soldDays: project.soldDays,
       deliverables: project.deliverables,
       accountManagerParty: project.accountManagerParty || 'RPG',
-      roleWeights: roleWeights
+      roleWeights: pinRoleWeights(project),
+      roleWeightOverrides: project.roleWeightOverrides || {},
+      allocationRules: project.allocationRules || DEFAULT_ALLOCATION_RULES,
+      paymentPlan: project.paymentPlan || DEFAULT_PAYMENT_PLAN,
+      actuals: project.actuals || EMPTY_ACTUALS,
+      changeRequests: project.changeRequests || [],
+      reconciliation: project.reconciliation || null,
+      risks: project.risks || [],
+      riskContingency: project.riskContingency || DEFAULT_RISK_CONTINGENCY,
+      adjustments: project.adjustments || [],
+      currency: project.currency || BASE_CURRENCY,
+      taxSettings: normalizeTaxSettings(project.taxSettings, project.paymentPlan?.vatRate)
     });
 
     setShowLibrary(false);
@@ -559,14 +1109,13 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
   // Delete project
   const deleteProject = async (id) => {
     try {
-      // Calculate updated library first
-      const updatedLibrary = { ...projectLibrary };
-      delete updatedLibrary[id];
-
-      // Save updated library to GCS
-      await saveProjectsToGCS(updatedLibrary);
+      // Delete from GCS
+      await deleteProjectFromGCS(id);
+      setSyncedProject(id, null);
 
       // Update state
+      const updatedLibrary = { ...projectLibrary };
+      delete updatedLibrary[id];
       setProjectLibrary(updatedLibrary);
 
       // If we deleted the current project, switch to another or show empty state
@@ -607,24 +1156,31 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
         accountManager: '',
         accountManagerParty: 'RPG',
         status: 'Active',
+        quoteVersions: [],
         clientRate: 950,
         soldDays: 45,
         deliverables: [],
-        lastModified: new Date().toISOString()
+        roleWeightsVersion: latestRoleWeights.version,
+        roleWeightOverrides: {},
+        allocationRules: DEFAULT_ALLOCATION_RULES,
+        paymentPlan: DEFAULT_PAYMENT_PLAN,
+        actuals: EMPTY_ACTUALS,
+        changeRequests: [],
+        reconciliation: null,
+        risks: [],
+        riskContingency: DEFAULT_RISK_CONTINGENCY,
+        adjustments: [],
+        currency: BASE_CURRENCY,
+        taxSettings: DEFAULT_TAX_SETTINGS,
+        lastModified: new Date().toISOString(),
+        lastModifiedBy: getModifiedBy()
       };
 
-      // Update library and save to GCS
-      const updatedLibrary = {
-        ...projectLibrary,
-        [id]: newProject
-      };
-      await saveProjectsToGCS(updatedLibrary);
+      // Save to GCS
+      await persistProject(newProject);
 
       // Update local state
-      setProjectLibrary(prev => ({
-        ...prev,
-        [id]: newProject
-      }));
+      setProjectLibrary(prev => ({ ...prev, [id]: newProject }));
 
       // Load the new project
       loadProject(newProject);
@@ -651,12 +1207,19 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
   const deleteDeliverable = (id) => {
     setInputs(prev => ({
       ...prev,
-      deliverables: prev.deliverables.filter(d => d.id !== id)
+      deliverables: prev.deliverables
+        .filter(d => d.id !== id)
+        // Nothing can wait on a deliverable that no longer exists
+        .map(d => (d.predecessors || []).includes(id) ? { ...d, predecessors: d.predecessors.filter(p => p !== id) } : d)
     }));
   };
 
-  const rpgAllocation = model.partyAllocations['RPG'] || { finalRevenue: 0, percentage: 0 };
-  const proaptusAllocation = model.partyAllocations['Proaptus'] || { finalRevenue: 0, percentage: 0 };
+  // Deliverable sections: the project's parties, any other owners, then Joint
+  const deliverableOwners = Array.from(new Set([
+    ...model.allocationRules.parties,
+    ...inputs.deliverables.map(d => d.owner).filter(owner => owner && owner !== JOINT_OWNER),
+    JOINT_OWNER
+  ]));
   const clientRateValue = inputs.clientRate || 0;
   const formattedClientDayRate = formatGBP(
     clientRateValue,
@@ -685,15 +1248,32 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
                 style={{ filter: 'brightness(0) saturate(100%) invert(23%) sepia(90%) saturate(3500%) hue-rotate(345deg) brightness(95%) contrast(105%)' }}
               />
             </div>
-            {/* Logout Button - Right aligned */}
-            <div className="flex-shrink-0">
-              <button
-                onClick={onLogout}
-                className="flex items-center gap-1 md:gap-2 px-2 md:px-4 py-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors font-medium text-sm md:text-base"
-              >
-                <LogOut className="w-4 h-4 md:w-5 md:h-5" />
-                <span className="hidden sm:inline">Logout</span>
-              </button>
+            {/* Current User and Logout - Right aligned */}
+            <div className="flex items-center gap-1 md:gap-2 flex-shrink-0">
+              {currentUser && (
+                <span className="hidden md:inline text-sm text-slate-600">{currentUser.name} ({getRole(currentUser)})</span>
+              )}
+              {onLogoutEverywhere && (
+                <button
+                  onClick={() => {
+                    if (confirm('Sign out on all devices?')) {
+                      onLogoutEverywhere();
+                    }
+                  }}
+                  className="hidden sm:inline px-2 md:px-3 py-2 text-slate-600 hover:bg-slate-100 rounded-lg transition-colors text-sm"
+                >
+                  Logout Everywhere
+                </button>
+              )}
+              {onLogout && (
+                <button
+                  onClick={onLogout}
+                  className="flex items-center gap-1 md:gap-2 px-2 md:px-4 py-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors font-medium text-sm md:text-base"
+                >
+                  <LogOut className="w-4 h-4 md:w-5 md:h-5" />
+                  <span className="hidden sm:inline">Logout</span>
+                </button>
+              )}
             </div>
           </div>
           {/* Title Section */}
@@ -712,7 +1292,7 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
           <div className="bg-red-50 border-2 border-red-500 rounded-lg p-6 mb-6">
             <h2 className="text-xl font-bold text-red-900 mb-2">Server connection lost</h2>
             <p className="text-red-700 mb-4">
-              Unable to connect to the Red Pegasus API server. Please ensure the server is running on port 3557.
+              Unable to connect to the Red Pegasus storage server. Please ensure the server is running on port 3557 (npm run server).
             </p>
             <button
               onClick={loadData}
@@ -731,18 +1311,27 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
           />
         )}
 
+        {/* Read-only notice for roles that cannot save */}
+        {currentProject && !canEditProjects && (
+          <div className="bg-slate-100 border border-slate-300 rounded-lg p-3 mb-6 text-sm text-slate-700">
+            You have read-only access ({getRole(currentUser)}). Changes you make here are not saved.
+          </div>
+        )}
+
         {/* Action Buttons - Top */}
         <div className="bg-white rounded-lg shadow mb-6 p-3 md:p-4">
           <div className="flex flex-col sm:flex-row items-stretch sm:items-center justify-between gap-3">
             <div className="flex flex-wrap gap-2 md:gap-3">
-              <button
-                onClick={saveProject}
-                className="flex items-center gap-2 px-3 md:px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium text-sm md:text-base"
-              >
-                <FileJson className="w-4 h-4" />
-                <span className="hidden sm:inline">Save Project</span>
-                <span className="sm:hidden">Save</span>
-              </button>
+              {canEditProjects && (
+                <button
+                  onClick={saveProject}
+                  className="flex items-center gap-2 px-3 md:px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium text-sm md:text-base"
+                >
+                  <FileJson className="w-4 h-4" />
+                  <span className="hidden sm:inline">Save Project</span>
+                  <span className="sm:hidden">Save</span>
+                </button>
+              )}
               <button
                 onClick={() => setShowLibrary(true)}
                 className="flex items-center gap-2 px-3 md:px-4 py-2 bg-slate-600 text-white rounded-lg hover:bg-slate-700 transition-colors font-medium text-sm md:text-base"
@@ -751,6 +1340,15 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
                 <span className="hidden sm:inline">Project Library</span>
                 <span className="sm:hidden">Library</span>
               </button>
+              {canManageBackups && (
+                <button
+                  onClick={() => setShowBackups(true)}
+                  className="flex items-center gap-2 px-3 md:px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors font-medium text-sm md:text-base"
+                >
+                  <History className="w-4 h-4" />
+                  <span>Backups</span>
+                </button>
+              )}
             </div>
             <div className="flex flex-wrap gap-2 md:gap-3">
               <button
@@ -781,7 +1379,7 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
                 <h2 className="text-lg md:text-xl font-semibold text-slate-900">Your Projects</h2>
                 <p className="text-xs md:text-sm text-slate-500 mt-1">{Object.keys(projectLibrary).length} project{Object.keys(projectLibrary).length !== 1 ? 's' : ''} available</p>
               </div>
-              {Object.keys(projectLibrary).length > 0 && (
+              {canEditProjects && Object.keys(projectLibrary).length > 0 && (
                 <button
                   onClick={() => setShowNewProjectModal(true)}
                   className="flex items-center gap-2 px-3 md:px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium text-sm md:text-base flex-shrink-0 whitespace-nowrap"
@@ -868,16 +1466,27 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
               <h2 className="text-lg md:text-xl font-semibold text-slate-900">Project Information</h2>
               <InfoIcon onClick={() => setActiveHelpKey('projectInformation')} />
             </div>
-            <button
-              onClick={() => setIsEditingProjectInfo(!isEditingProjectInfo)}
-              className={`px-3 md:px-4 py-2 text-xs md:text-sm font-semibold rounded transition-colors flex-shrink-0 whitespace-nowrap ${
-                isEditingProjectInfo
-                  ? 'text-slate-700 border border-slate-300 hover:bg-slate-50'
-                  : 'text-blue-600 border border-blue-600 hover:bg-blue-50'
-              }`}
-            >
-              {isEditingProjectInfo ? 'Done' : 'Edit'}
-            </button>
+            <div className="flex gap-2">
+              {canViewInternal && (
+                <button
+                  onClick={() => setAuditView({ subject: currentProject.id, title: projectName })}
+                  className="flex items-center gap-1 px-3 md:px-4 py-2 text-xs md:text-sm font-semibold rounded transition-colors flex-shrink-0 whitespace-nowrap text-slate-700 border border-slate-300 hover:bg-slate-50"
+                >
+                  <ScrollText className="w-4 h-4" />
+                  History
+                </button>
+              )}
+              <button
+                onClick={() => setIsEditingProjectInfo(!isEditingProjectInfo)}
+                className={`px-3 md:px-4 py-2 text-xs md:text-sm font-semibold rounded transition-colors flex-shrink-0 whitespace-nowrap ${
+                  isEditingProjectInfo
+                    ? 'text-slate-700 border border-slate-300 hover:bg-slate-50'
+                    : 'text-blue-600 border border-blue-600 hover:bg-blue-50'
+                }`}
+              >
+                {isEditingProjectInfo ? 'Done' : 'Edit'}
+              </button>
+            </div>
           </div>
 
           <div className="space-y-4">
@@ -988,7 +1597,7 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
                 </select>
               </div>
               <div>
-                <label className="block text-sm font-medium text-slate-700 mb-2">Account Manager Party (10% Uplift)</label>
+                <label className="block text-sm font-medium text-slate-700 mb-2">Account Manager Party ({model.upliftLabel || 'No'} Uplift)</label>
                 <select
                   value={accountManagerParty}
                   onChange={(e) => {
@@ -999,11 +1608,12 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
                   disabled={!isEditingProjectInfo}
                   className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-slate-100 disabled:text-slate-600 disabled:cursor-not-allowed"
                 >
-                  <option value="RPG">RPG</option>
-                  <option value="Proaptus">Proaptus</option>
+                  {model.allocationRules.parties.map(party => (
+                    <option key={party} value={party}>{party}</option>
+                  ))}
                 </select>
                 <p className="text-xs text-slate-500 mt-1">
-                  Party receives 10% revenue uplift for account management
+                  {model.upliftLabel ? `Party receives a ${model.upliftLabel} revenue uplift for account management` : 'No account management uplift is configured'}
                 </p>
               </div>
             </div>
@@ -1070,150 +1680,272 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
                 className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-100 disabled:text-slate-600 disabled:cursor-not-allowed"
               />
             </div>
+            <div>
+              <label htmlFor="quote-currency" className="block text-sm font-medium text-slate-700 mb-2">
+                Quote Currency
+              </label>
+              <select
+                id="quote-currency"
+                value={inputs.currency}
+                onChange={(e) => setInputs(prev => ({ ...prev, currency: e.target.value }))}
+                disabled={!isEditingProjectRevenue}
+                className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-100 disabled:text-slate-600 disabled:cursor-not-allowed"
+              >
+                {CURRENCIES.map(currency => (
+                  <option key={currency} value={currency}>{CURRENCY_LABELS[currency]}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex flex-col justify-end">
+              <p className="text-xs text-slate-500 mb-2">
+                {inputs.currency === BASE_CURRENCY
+                  ? 'Quoted in GBP.'
+                  : `Quote converted at ${describeFx(fx)}: ${currencyFormatter(fx)(model.totalRevenue)}. Party allocations stay in GBP.`}
+              </p>
+              <div className="flex gap-2">
+                {canViewInternal && (
+                  <button
+                    onClick={() => setAuditView({ subject: FX_RATES_AUDIT, title: 'FX Rates' })}
+                    className="flex items-center gap-1 px-3 py-1.5 text-sm font-semibold rounded transition-colors text-slate-700 border border-slate-300 hover:bg-slate-50"
+                  >
+                    <ScrollText className="w-4 h-4" />
+                    History
+                  </button>
+                )}
+                <button
+                  onClick={() => setShowFxRates(true)}
+                  className="px-3 py-1.5 text-sm font-semibold rounded transition-colors text-blue-600 border border-blue-600 hover:bg-blue-50"
+                >
+                  {canEditSettings ? 'Edit FX Rates' : 'View FX Rates'}
+                </button>
+              </div>
+            </div>
           </div>
         </section>
 
         {/* Role Weights Configuration */}
-        <section className="bg-white rounded-lg shadow p-4 md:p-6 mb-6">
-          <div className="flex flex-col sm:flex-row justify-between items-start gap-3 sm:gap-4 mb-4">
-            <div className="min-w-0 flex-1">
-              <div className="flex items-center gap-2 mb-2">
-                <h2 className="text-lg md:text-xl font-semibold text-slate-900">Role Weights (Day Rate Multipliers)</h2>
-                <InfoIcon onClick={() => setActiveHelpKey('roleWeights')} />
-              </div>
-              {roleWeightsMetadata?.lastChanged?.date && (
+        {canViewInternal && (
+          <section className="bg-white rounded-lg shadow p-4 md:p-6 mb-6">
+            <div className="flex flex-col sm:flex-row justify-between items-start gap-3 sm:gap-4 mb-4">
+              <div className="min-w-0 flex-1">
+                <div className="flex items-center gap-2 mb-2">
+                  <h2 className="text-lg md:text-xl font-semibold text-slate-900">Role Weights (Day Rate Multipliers)</h2>
+                  <InfoIcon onClick={() => setActiveHelpKey('roleWeights')} />
+                </div>
+                {roleWeightsMetadata?.lastChanged?.date && (
+                  <p className="text-xs text-slate-500">
+                    Last changed: {new Date(roleWeightsMetadata.lastChanged.date).toLocaleDateString()} ({roleWeightsMetadata.lastChanged.reason})
+                    {roleWeightsMetadata.lastChanged.comment && ` - ${roleWeightsMetadata.lastChanged.comment}`}
+                  </p>
+                )}
                 <p className="text-xs text-slate-500">
-                  Last changed: {new Date(roleWeightsMetadata.lastChanged.date).toLocaleDateString()} ({roleWeightsMetadata.lastChanged.reason})
-                  {roleWeightsMetadata.lastChanged.comment && ` - ${roleWeightsMetadata.lastChanged.comment}`}
+                  This project is priced with version {pricedRoleWeights.version} (effective {pricedRoleWeights.effectiveFrom})
                 </p>
-              )}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setAuditView({ subject: ROLE_WEIGHTS_AUDIT, title: 'Role Weights' })}
+                  className="flex items-center gap-1 px-4 py-2 text-sm font-semibold rounded transition-colors text-slate-700 border border-slate-300 hover:bg-slate-50"
+                >
+                  <ScrollText className="w-4 h-4" />
+                  History
+                </button>
+                {canEditProjects && (
+                  <button
+                    onClick={() => setIsEditingOverrides(!isEditingOverrides)}
+                    className={`px-4 py-2 text-sm font-semibold rounded transition-colors ${
+                      isEditingOverrides
+                        ? 'text-slate-700 border border-slate-300 hover:bg-slate-50'
+                        : 'text-purple-600 border border-purple-600 hover:bg-purple-50'
+                    }`}
+                  >
+                    {isEditingOverrides ? 'Done' : 'Project Overrides'}
+                  </button>
+                )}
+                {canEditRoleWeights && (
+                  <button
+                    onClick={isEditingRoleWeights ? cancelEditingRoleWeights : startEditingRoleWeights}
+                    className={`px-4 py-2 text-sm font-semibold rounded transition-colors ${
+                      isEditingRoleWeights
+                        ? 'text-slate-700 border border-slate-300 hover:bg-slate-50'
+                        : 'text-blue-600 border border-blue-600 hover:bg-blue-50'
+                    }`}
+                  >
+                    {isEditingRoleWeights ? 'Cancel' : 'Edit'}
+                  </button>
+                )}
+              </div>
             </div>
-            <button
-              onClick={isEditingRoleWeights ? cancelEditingRoleWeights : startEditingRoleWeights}
-              className={`px-4 py-2 text-sm font-semibold rounded transition-colors ${
-                isEditingRoleWeights
-                  ? 'text-slate-700 border border-slate-300 hover:bg-slate-50'
-                  : 'text-blue-600 border border-blue-600 hover:bg-blue-50'
-              }`}
-            >
-              {isEditingRoleWeights ? 'Cancel' : 'Edit'}
-            </button>
-          </div>
 
-          {!isEditingRoleWeights ? (
-            <>
-              <p className="text-sm text-slate-600 mb-4">
-                Click "Edit" above to modify multipliers. These are applied to the base client day rate of {formatGBP(inputs.clientRate)} to calculate effective day rates.
-              </p>
-              <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
-                {Object.entries(inputs.roleWeights).map(([role, weight]) => (
-                  <div key={role} className="rounded-lg border border-slate-200 bg-slate-50 p-3">
-                    <label className="block text-xs font-medium text-slate-700 mb-2">
-                      {role}
-                    </label>
-                    <div className="flex items-baseline space-x-2">
-                      <span className="text-lg font-semibold text-slate-900">
-                        {Number(weight).toFixed(2)}
-                      </span>
-                      <span className="text-xs text-slate-500">
-                        ({formatGBP(inputs.clientRate * Number(weight))})
-                      </span>
-                    </div>
-                  </div>
-                ))}
+            {pricedRoleWeights.version !== latestRoleWeights.version && (
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg">
+                <p className="text-sm text-amber-800">
+                  Newer role weights are in effect: version {latestRoleWeights.version} (effective {latestRoleWeights.effectiveFrom}).
+                </p>
+                {canEditProjects && (
+                  <button
+                    onClick={() => setShowReprice(true)}
+                    className="px-3 py-1.5 text-sm font-semibold text-amber-800 border border-amber-400 rounded hover:bg-amber-100 transition-colors whitespace-nowrap"
+                  >
+                    Re-price with latest weights
+                  </button>
+                )}
               </div>
-            </>
-          ) : (
-            // Edit modal
-            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-3 md:p-4">
-              <div className="bg-white rounded-lg shadow-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
-                <div className="p-4 md:p-6 border-b border-slate-200">
-                  <h3 className="text-base md:text-lg font-semibold text-slate-900">Edit Role Weights</h3>
-                  <p className="text-xs md:text-sm text-slate-600 mt-1">Modify the multipliers and provide a reason for the change</p>
+            )}
+
+            {!isEditingRoleWeights ? (
+              <>
+                <p className="text-sm text-slate-600 mb-4">
+                  {canEditRoleWeights ? 'Click "Edit" above to modify multipliers. ' : 'Only Admins can modify multipliers. '}These are applied to the base client day rate of {formatGBP(inputs.clientRate)} to calculate effective day rates.
+                  {isEditingOverrides && ' Enter a project override to replace the global weight for this project only; leave it blank to use the global weight.'}
+                </p>
+                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
+                  {Object.entries(model.roleWeights).map(([role, weight]) => {
+                    const isOverridden = model.roleWeightSources[role] === 'project';
+                    return (
+                      <div key={role} className={`rounded-lg border p-3 ${isOverridden ? 'border-purple-300 bg-purple-50' : 'border-slate-200 bg-slate-50'}`}>
+                        <label className="flex items-center justify-between text-xs font-medium text-slate-700 mb-2">
+                          {role}
+                          {isOverridden && (
+                            <span className="px-1.5 py-0.5 text-[10px] font-semibold uppercase rounded bg-purple-200 text-purple-800">Project</span>
+                          )}
+                        </label>
+                        <div className="flex items-baseline space-x-2">
+                          <span className="text-lg font-semibold text-slate-900">
+                            {Number(weight).toFixed(2)}
+                          </span>
+                          <span className="text-xs text-slate-500">
+                            ({formatGBP(inputs.clientRate * Number(weight))})
+                          </span>
+                        </div>
+                        {isOverridden && (
+                          <p className="text-xs text-purple-700 mt-1">
+                            Global: {inputs.roleWeights[role] !== undefined ? Number(inputs.roleWeights[role]).toFixed(2) : '—'}
+                          </p>
+                        )}
+                        {isEditingOverrides && (
+                          <input
+                            type="number"
+                            value={inputs.roleWeightOverrides?.[role] ?? ''}
+                            onChange={(e) => updateRoleWeightOverride(role, e.target.value)}
+                            placeholder="Global"
+                            aria-label={`${role} project override`}
+                            className="mt-2 w-full px-2 py-1 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 text-sm"
+                            step="0.05"
+                            min="0"
+                          />
+                        )}
+                      </div>
+                    );
+                  })}
                 </div>
+              </>
+            ) : (
+              // Edit modal
+              <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-3 md:p-4">
+                <div className="bg-white rounded-lg shadow-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+                  <div className="p-4 md:p-6 border-b border-slate-200">
+                    <h3 className="text-base md:text-lg font-semibold text-slate-900">Edit Role Weights</h3>
+                    <p className="text-xs md:text-sm text-slate-600 mt-1">Modify the multipliers and provide a reason for the change</p>
+                  </div>
 
-                <div className="p-4 md:p-6 space-y-4 md:space-y-6">
-                  {/* Role weights editing grid */}
-                  <div>
-                    <label className="block text-sm font-medium text-slate-700 mb-3">Role Weights</label>
-                    <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
-                      {Object.entries(roleWeightsEditData).map(([role, weight]) => (
-                        <div key={role}>
-                          <label className="block text-xs font-medium text-slate-600 mb-1">
-                            {role}
-                          </label>
-                          <div className="flex items-center space-x-2">
-                            <input
-                              type="number"
-                              value={weight}
-                              onChange={(e) => setRoleWeightsEditData(prev => ({
-                                ...prev,
-                                [role]: parseFloat(e.target.value) || 1.0
-                              }))}
-                              className="w-20 px-2 py-1 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
-                              step="0.05"
-                              min="0.5"
-                              max="2.0"
-                            />
-                            <span className="text-xs text-slate-500">
-                              = {formatGBP(inputs.clientRate * weight)}
-                            </span>
+                  <div className="p-4 md:p-6 space-y-4 md:space-y-6">
+                    {/* Role weights editing grid */}
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 mb-3">Role Weights</label>
+                      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                        {Object.entries(roleWeightsEditData).map(([role, weight]) => (
+                          <div key={role}>
+                            <label className="block text-xs font-medium text-slate-600 mb-1">
+                              {role}
+                            </label>
+                            <div className="flex items-center space-x-2">
+                              <input
+                                type="number"
+                                value={weight}
+                                onChange={(e) => setRoleWeightsEditData(prev => ({
+                                  ...prev,
+                                  [role]: parseFloat(e.target.value) || 1.0
+                                }))}
+                                className="w-20 px-2 py-1 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                                step="0.05"
+                                min="0.5"
+                                max="2.0"
+                              />
+                              <span className="text-xs text-slate-500">
+                                = {formatGBP(inputs.clientRate * weight)}
+                              </span>
+                            </div>
                           </div>
-                        </div>
-                      ))}
+                        ))}
+                      </div>
                     </div>
-                  </div>
 
-                  {/* Change reason */}
-                  <div>
-                    <label className="block text-sm font-medium text-slate-700 mb-2">Reason for Change *</label>
-                    <select
-                      value={roleWeightsChangeReason}
-                      onChange={(e) => setRoleWeightsChangeReason(e.target.value)}
-                      className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    >
-                      <option value="">-- Select a reason --</option>
-                      <option value="Agreed">Agreed (Client/Team agreement)</option>
-                      <option value="Testing">Testing (Experimental adjustment)</option>
-                      <option value="Correction">Correction (Fix previous error)</option>
-                      <option value="Adjustment">Adjustment (Market/rate change)</option>
-                      <option value="Client Request">Client Request</option>
-                    </select>
-                  </div>
+                    {/* Effective date */}
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 mb-2">Effective From *</label>
+                      <input
+                        type="date"
+                        value={roleWeightsEffectiveFrom}
+                        onChange={(e) => setRoleWeightsEffectiveFrom(e.target.value)}
+                        className="px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                      />
+                      <p className="text-xs text-slate-500 mt-1">
+                        Saved as version {roleWeightVersions[roleWeightVersions.length - 1].version + 1}. Existing projects keep the version they were priced with.
+                      </p>
+                    </div>
 
-                  {/* Change comment */}
-                  <div>
-                    <label className="block text-sm font-medium text-slate-700 mb-2">Additional Notes (optional)</label>
-                    <textarea
-                      value={roleWeightsChangeComment}
-                      onChange={(e) => setRoleWeightsChangeComment(e.target.value)}
-                      placeholder="e.g., Senior architect premium rate increase..."
-                      className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
-                      rows="3"
-                    />
+                    {/* Change reason */}
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 mb-2">Reason for Change *</label>
+                      <select
+                        value={roleWeightsChangeReason}
+                        onChange={(e) => setRoleWeightsChangeReason(e.target.value)}
+                        className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">-- Select a reason --</option>
+                        <option value="Agreed">Agreed (Client/Team agreement)</option>
+                        <option value="Testing">Testing (Experimental adjustment)</option>
+                        <option value="Correction">Correction (Fix previous error)</option>
+                        <option value="Adjustment">Adjustment (Market/rate change)</option>
+                        <option value="Client Request">Client Request</option>
+                      </select>
+                    </div>
+
+                    {/* Change comment */}
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 mb-2">Additional Notes (optional)</label>
+                      <textarea
+                        value={roleWeightsChangeComment}
+                        onChange={(e) => setRoleWeightsChangeComment(e.target.value)}
+                        placeholder="e.g., Senior architect premium rate increase..."
+                        className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                        rows="3"
+                      />
+                    </div>
                   </div>
-                </div>
 
-                {/* Modal buttons */}
-                <div className="p-4 md:p-6 border-t border-slate-200 flex justify-end gap-2 md:gap-3">
-                  <button
-                    onClick={cancelEditingRoleWeights}
-                    className="px-4 py-2 text-sm font-semibold text-slate-700 border border-slate-300 rounded hover:bg-slate-50 transition-colors"
-                  >
-                    Cancel
-                  </button>
-                  <button
-                    onClick={saveRoleWeightsChanges}
-                    disabled={!roleWeightsChangeReason}
-                    className="px-4 py-2 text-sm font-semibold text-white bg-blue-600 rounded hover:bg-blue-700 transition-colors disabled:bg-slate-300 disabled:cursor-not-allowed"
-                  >
-                    Done Editing & Save
-                  </button>
+                  {/* Modal buttons */}
+                  <div className="p-4 md:p-6 border-t border-slate-200 flex justify-end gap-2 md:gap-3">
+                    <button
+                      onClick={cancelEditingRoleWeights}
+                      className="px-4 py-2 text-sm font-semibold text-slate-700 border border-slate-300 rounded hover:bg-slate-50 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={saveRoleWeightsChanges}
+                      disabled={!roleWeightsChangeReason || !roleWeightsEffectiveFrom}
+                      className="px-4 py-2 text-sm font-semibold text-white bg-blue-600 rounded hover:bg-blue-700 transition-colors disabled:bg-slate-300 disabled:cursor-not-allowed"
+                    >
+                      Done Editing & Save
+                    </button>
+                  </div>
                 </div>
               </div>
-            </div>
-          )}
-        </section>
+            )}
+          </section>
+        )}
 
         {/* Deliverables */}
         <section className="bg-white rounded-lg shadow p-4 md:p-6 mb-6">
@@ -1223,16 +1955,18 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
               Deliverables & Revenue Overview
               <InfoIcon onClick={() => setActiveHelpKey('deliverables')} />
             </h2>
-            <button
-              onClick={() => setIsEditingDeliverables(!isEditingDeliverables)}
-              className={`px-4 py-2 text-sm font-semibold rounded transition-colors ${
-                isEditingDeliverables
-                  ? 'text-slate-700 border border-slate-300 hover:bg-slate-50'
-                  : 'text-blue-600 border border-blue-600 hover:bg-blue-50'
-              }`}
-            >
-              {isEditingDeliverables ? 'Done' : 'Edit'}
-            </button>
+            {canEditProjects && (
+              <button
+                onClick={() => setIsEditingDeliverables(!isEditingDeliverables)}
+                className={`px-4 py-2 text-sm font-semibold rounded transition-colors ${
+                  isEditingDeliverables
+                    ? 'text-slate-700 border border-slate-300 hover:bg-slate-50'
+                    : 'text-blue-600 border border-blue-600 hover:bg-blue-50'
+                }`}
+              >
+                {isEditingDeliverables ? 'Done' : 'Edit'}
+              </button>
+            )}
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
@@ -1241,36 +1975,42 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
               <p className="text-3xl font-bold text-slate-900">{formatGBP(model.totalRevenue)}</p>
               <p className="text-sm text-slate-500 mt-2">
                 {inputs.soldDays} days sold @ {formattedClientDayRate} per day
+                {model.riskContingency.price > 0 && ` + ${formatGBP(model.riskContingency.price)} risk contingency`}
+                {model.commercialAdjustments.discount > 0 && ` − ${formatGBP(model.commercialAdjustments.discount)} discount`}
               </p>
             </div>
 
-            <div className="rounded-lg border border-slate-200 bg-slate-50 p-5">
-              <p className="text-sm font-semibold text-slate-700 uppercase tracking-wide mb-1">RPG Allocation</p>
-              <p className="text-3xl font-bold text-slate-900">{formatGBP(rpgAllocation.finalRevenue || 0)}</p>
-              <p className="text-sm text-slate-500 mt-2">
-                {(Number.isFinite(rpgAllocation.percentage) ? rpgAllocation.percentage : 0).toFixed(1)}% of revenue
-              </p>
-            </div>
-
-            <div className="rounded-lg border border-slate-200 bg-slate-50 p-5">
-              <p className="text-sm font-semibold text-slate-700 uppercase tracking-wide mb-1">Proaptus Allocation</p>
-              <p className="text-3xl font-bold text-slate-900">{formatGBP(proaptusAllocation.finalRevenue || 0)}</p>
-              <p className="text-sm text-slate-500 mt-2">
-                {(Number.isFinite(proaptusAllocation.percentage) ? proaptusAllocation.percentage : 0).toFixed(1)}% of revenue
-              </p>
-            </div>
+            {canViewInternal && Object.entries(model.partyAllocations).map(([party, allocation]) => (
+              <div key={party} className="rounded-lg border border-slate-200 bg-slate-50 p-5">
+                <p className="text-sm font-semibold text-slate-700 uppercase tracking-wide mb-1">{party} Allocation</p>
+                <p className="text-3xl font-bold text-slate-900">{formatGBP(allocation.finalRevenue || 0)}</p>
+                <p className="text-sm text-slate-500 mt-2">
+                  {(Number.isFinite(allocation.percentage) ? allocation.percentage : 0).toFixed(1)}% of revenue
+                  {allocation.floorApplied && ` (${allocation.minimumShare}% minimum)`}
+                </p>
+              </div>
+            ))}
           </div>
 
+          <DaysReconciliation
+            reconciliation={inputs.reconciliation}
+            summary={model.reconciliation}
+            parties={deliverableOwners}
+            showInternal={canViewInternal}
+            canEdit={canEditProjects}
+            onChange={(reconciliation) => setInputs(prev => ({ ...prev, reconciliation }))}
+          />
+
           {(() => {
             // Calculate total price across ALL deliverables for percentage calculation
             const allDeliverablesTotalPrice = inputs.deliverables.reduce((sum, d) => {
               const deliverableDays = Number.isFinite(d.days) ? d.days : 0;
-              const roleWeight = Number(inputs.roleWeights[d.role]) || 1.0;
+              const roleWeight = Number(model.roleWeights[d.role]) || 1.0;
               const effectiveDayRate = inputs.clientRate * roleWeight;
               return sum + (deliverableDays * effectiveDayRate);
             }, 0);
 
-            return ['RPG', 'Proaptus'].map((party) => {
+            return deliverableOwners.map((party) => {
               const partyDeliverables = inputs.deliverables.filter(d => d.owner === party);
               const partyDaysTotal = partyDeliverables.reduce((sum, d) => sum + (d.days || 0), 0);
               const partyFinalRevenue = model.partyAllocations[party]?.finalRevenue || 0;
@@ -1280,7 +2020,7 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
               // Calculate the actual total price for all deliverables for this party
               const partyTotalPrice = partyDeliverables.reduce((sum, d) => {
                 const deliverableDays = Number.isFinite(d.days) ? d.days : 0;
-                const roleWeight = Number(inputs.roleWeights[d.role]) || 1.0;
+                const roleWeight = Number(model.roleWeights[d.role]) || 1.0;
                 const effectiveDayRate = inputs.clientRate * roleWeight;
                 return sum + (deliverableDays * effectiveDayRate);
               }, 0);
@@ -1289,7 +2029,14 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
             return (
               <div key={party} className="mb-8">
                 <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-3">
-                  <h3 className="font-semibold text-slate-900 text-base md:text-lg">{party}</h3>
+                  <h3 className="font-semibold text-slate-900 text-base md:text-lg">
+                    {party}
+                    {party === JOINT_OWNER && canViewInternal && (
+                      <span className="ml-2 text-xs font-normal text-slate-500">
+                        split {Object.entries(jointSplitFractions(model.allocationRules)).map(([name, fraction]) => `${name} ${(fraction * 100).toFixed(0)}%`).join(' / ')}
+                      </span>
+                    )}
+                  </h3>
                   {isEditingDeliverables && (
                     <button
                       onClick={() => {
@@ -1301,6 +2048,7 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
                             name: 'New Deliverable',
                             owner: party,
                             role: 'Development',
+                            resourceType: 'internal',
                             days: 0,
                             acceptanceCriteria: ''
                           }]
@@ -1339,13 +2087,15 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
                       ) : (
                         partyDeliverables.map((d, index) => {
                           const deliverableDays = Number.isFinite(d.days) ? d.days : 0;
-                          const roleWeight = Number(inputs.roleWeights[d.role]) || 1.0;
+                          const roleWeight = Number(model.roleWeights[d.role]) || 1.0;
                           const effectiveDayRate = inputs.clientRate * roleWeight;
                           const totalPrice = deliverableDays * effectiveDayRate;
-                          const deliverableId = `${party === 'RPG' ? 'RPG' : 'PRO'}-D${String(index + 1).padStart(2, '0')}`;
+                          const deliverableId = `${party.slice(0, 3).toUpperCase()}-D${String(index + 1).padStart(2, '0')}`;
+                          const deliverableCost = costAnalysis.deliverables.find(c => c.id === d.id);
+                          const isLoss = canViewInternal && deliverableCost?.isLoss;
 
                           return (
-                            <tr key={d.id} className="border-b border-slate-100 hover:bg-slate-50 align-middle">
+                            <tr key={d.id} className={`border-b border-slate-100 align-middle ${isLoss ? 'bg-red-50 hover:bg-red-100' : 'hover:bg-slate-50'}`}>
                               <td className="py-3 px-4 align-middle">
                                 <span className="font-mono text-xs text-slate-600">{deliverableId}</span>
                               </td>
@@ -1368,13 +2118,29 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
                                     onChange={(e) => updateDeliverable(d.id, 'role', e.target.value)}
                                     className="w-full px-3 py-2 border border-slate-300 rounded text-slate-900 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
                                   >
-                                    {Object.keys(inputs.roleWeights).map(role => (
+                                    {Object.keys(model.roleWeights).map(role => (
                                       <option key={role} value={role}>{role}</option>
                                     ))}
                                   </select>
                                 ) : (
                                   <span className="text-slate-700">{d.role}</span>
                                 )}
+                                {canViewInternal && (
+                                  isEditingDeliverables ? (
+                                    <select
+                                      value={d.resourceType || 'internal'}
+                                      onChange={(e) => updateDeliverable(d.id, 'resourceType', e.target.value)}
+                                      aria-label="Resource type"
+                                      className="w-full mt-1 px-3 py-1 border border-slate-300 rounded text-slate-700 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    >
+                                      {RESOURCE_TYPES.map(type => (
+                                        <option key={type} value={type}>{RESOURCE_TYPE_LABELS[type]}</option>
+                                      ))}
+                                    </select>
+                                  ) : (
+                                    <span className="block text-xs text-slate-400">{RESOURCE_TYPE_LABELS[d.resourceType] || RESOURCE_TYPE_LABELS.internal}</span>
+                                  )
+                                )}
                               </td>
                               <td className="py-3 px-4 text-right align-middle">
                                 {isEditingDeliverables ? (
@@ -1392,9 +2158,19 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
                               </td>
                               <td className="py-3 px-4 text-right font-mono tabular-nums text-slate-700 align-middle">
                                 {formatGBP(effectiveDayRate)}
+                                {canViewInternal && (
+                                  <span className={`block text-xs font-sans ${model.roleWeightSources[d.role] === 'project' ? 'text-purple-700' : 'text-slate-400'}`}>
+                                    ×{roleWeight.toFixed(2)} {model.roleWeightSources[d.role] === 'project' ? 'Project override' : 'Global'}
+                                  </span>
+                                )}
                               </td>
                               <td className="py-3 px-4 text-right font-mono tabular-nums font-bold text-slate-900 align-middle">
                                 {formatGBP(totalPrice)}
+                                {canViewInternal && deliverableCost && (
+                                  <span className={`block text-xs font-sans font-normal ${isLoss ? 'text-red-700' : 'text-slate-400'}`}>
+                                    {isLoss ? 'Loss ' : 'Margin '}{formatGBP(deliverableCost.margin)}
+                                  </span>
+                                )}
                               </td>
                               <td className="py-3 px-4 align-middle">
                                 {isEditingDeliverables ? (
@@ -1447,244 +2223,509 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
           });
           })()}
 
+          {variations.variations.length > 0 && (
+            <p className="mt-4 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded p-3">
+              These are the signed baseline deliverables. Scope changes go through change requests
+              ({variations.variations.length} approved, contract now {variations.contract.soldDays} days / {formatGBP(variations.contract.price)}).
+            </p>
+          )}
         </section>
 
-        {/* Margin Analysis (if needed for internal reporting) - can be toggled */}
-        {false && <MarginAnalysis model={model} formatGBP={formatGBP} />}
+        {/* Risk & Contingency */}
+        <section className="bg-white rounded-lg shadow p-4 md:p-6 mb-6">
+          <h2 className="text-xl font-semibold text-slate-900 flex items-center mb-4">
+            <ShieldAlert className="w-5 h-5 mr-2" />
+            Risk & Contingency
+            <InfoIcon onClick={() => setActiveHelpKey('riskContingency')} />
+          </h2>
+          <RiskContingency
+            deliverables={inputs.deliverables}
+            risks={inputs.risks}
+            settings={inputs.riskContingency}
+            contingency={model.riskContingency}
+            owners={deliverableOwners}
+            parties={model.allocationRules.parties}
+            showInternal={canViewInternal}
+            canEdit={canEditProjects}
+            onRatingChange={(id, riskRating) => setInputs(prev => ({
+              ...prev,
+              deliverables: prev.deliverables.map(d => (d.id === id ? { ...d, riskRating } : d))
+            }))}
+            onRisksChange={(risks) => setInputs(prev => ({ ...prev, risks }))}
+            onSettingsChange={(riskContingency) => setInputs(prev => ({ ...prev, riskContingency }))}
+          />
+        </section>
 
-        {/* Profit Split Analysis */}
-        <section className="bg-white rounded-lg shadow p-4 md:p-6 mb-6" data-component="profit-split-analysis">
-          <div className="flex items-center gap-2 mb-3 md:mb-4">
-            <h2 className="text-lg md:text-xl font-semibold text-slate-900">Profit Split Analysis</h2>
-            <InfoIcon onClick={() => setActiveHelpKey('profitSplitAnalysis')} />
+        {/* Commercial Adjustments */}
+        <section className="bg-white rounded-lg shadow p-4 md:p-6 mb-6">
+          <h2 className="text-xl font-semibold text-slate-900 flex items-center mb-4">
+            <BadgePercent className="w-5 h-5 mr-2" />
+            Commercial Adjustments
+            <InfoIcon onClick={() => setActiveHelpKey('commercialAdjustments')} />
+          </h2>
+          <CommercialAdjustments
+            adjustments={inputs.adjustments}
+            result={model.commercialAdjustments}
+            parties={model.allocationRules.parties}
+            showInternal={canViewInternal}
+            canEdit={canEditProjects}
+            onChange={(adjustments) => setInputs(prev => ({ ...prev, adjustments }))}
+          />
+        </section>
+
+        {/* Quote Versions */}
+        <section className="bg-white rounded-lg shadow p-4 md:p-6 mb-6">
+          <h2 className="text-xl font-semibold text-slate-900 flex items-center mb-4">
+            <Layers className="w-5 h-5 mr-2" />
+            Quote Versions
+            <InfoIcon onClick={() => setActiveHelpKey('quoteVersions')} />
+          </h2>
+          <QuoteVersions
+            versions={quoteVersions}
+            current={{ inputs, model }}
+            matchingVersion={matchingQuoteVersion}
+            showInternal={canViewInternal}
+            canFreeze={canEditProjects}
+            onFreeze={freezeQuoteVersion}
+            onPrint={printQuoteVersion}
+          />
+        </section>
+
+        {/* Change Requests */}
+        {(inputs.changeRequests.length > 0 || canEditProjects) && (
+          <section className="bg-white rounded-lg shadow p-4 md:p-6 mb-6">
+            <h2 className="text-xl font-semibold text-slate-900 flex items-center mb-4">
+              <FileEdit className="w-5 h-5 mr-2" />
+              Change Requests & Variations
+              <InfoIcon onClick={() => setActiveHelpKey('changeRequests')} />
+            </h2>
+            <ChangeRequests
+              changeRequests={inputs.changeRequests}
+              variations={variations}
+              owners={deliverableOwners}
+              roles={Object.keys(model.roleWeights)}
+              currentUser={getModifiedBy()}
+              canEdit={canEditProjects}
+              canApprove={canApproveChanges}
+              onChange={(changeRequests) => setInputs(prev => ({ ...prev, changeRequests }))}
+            />
+          </section>
+        )}
+
+        {/* Delivery Plan */}
+        <section className="bg-white rounded-lg shadow p-4 md:p-6 mb-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-slate-900 flex items-center">
+              <CalendarDays className="w-5 h-5 mr-2" />
+              Delivery Plan
+              <InfoIcon onClick={() => setActiveHelpKey('deliveryPlan')} />
+            </h2>
+            {canEditProjects && (
+              <button
+                onClick={() => setIsEditingSchedule(!isEditingSchedule)}
+                className={`px-4 py-2 text-sm font-semibold rounded transition-colors ${
+                  isEditingSchedule
+                    ? 'text-slate-700 border border-slate-300 hover:bg-slate-50'
+                    : 'text-blue-600 border border-blue-600 hover:bg-blue-50'
+                }`}
+              >
+                {isEditingSchedule ? 'Done' : 'Edit'}
+              </button>
+            )}
+          </div>
+          <DeliveryPlan
+            deliverables={inputs.deliverables}
+            schedule={schedule}
+            startDate={startDate}
+            endDate={endDate}
+            owners={deliverableOwners}
+            readOnly={!(canEditProjects && isEditingSchedule)}
+            onUpdate={updateDeliverable}
+          />
+        </section>
+
+        {/* Payment Schedule */}
+        <section className="bg-white rounded-lg shadow p-4 md:p-6 mb-6">
+          <div className="flex items-center gap-2 mb-2">
+            <h2 className="text-lg md:text-xl font-semibold text-slate-900">Payment Schedule</h2>
+            <InfoIcon onClick={() => setActiveHelpKey('paymentSchedule')} />
           </div>
           <p className="text-xs md:text-sm text-slate-600 mb-4">
-            Revenue allocation based on internal weighting with {inputs.accountManagerParty} receiving a 10% uplift for account management responsibilities. 
-            Price represents calculated value before normalization; Revenue shows final allocation after uplift and normalization.
+            Billing milestones for the quote, dated from the delivery plan.{canViewInternal && ' Each invoice is split between the parties by their share of the revenue.'}
           </p>
-          
-          {/* Enhanced Cards */}
-          <div className="grid gap-4 md:gap-6" style={{ gridTemplateColumns: 'repeat(auto-fit, minmax(min(100%, 280px), 1fr))' }}>
-            {Object.entries(model.partyAllocations)
-              .filter(([_, data]) => data.finalRevenue > 0)
-              .map(([party, data]) => {
-                const pricePercentage = model.totalWeightedRevenue > 0 
-                  ? (data.revenue / model.totalWeightedRevenue) * 100 
-                  : 0;
-                const revenuePercentage = Number.isFinite(data.percentage) ? data.percentage : 0;
-                const effectiveBlendedRate = data.days > 0 ? data.finalRevenue / data.days : 0;
-                const difference = revenuePercentage - pricePercentage;
-                const hasUplift = data.upliftFactor > 1.0;
-                
-                return (
-                  <div key={party} className="bg-gradient-to-br from-slate-50 to-white rounded-lg border-2 border-slate-200 shadow-sm hover:shadow-md transition-shadow p-4 md:p-6">
-                    {/* Header */}
-                    <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-2 sm:gap-3 mb-3 md:mb-4 pb-3 md:pb-4 border-b border-slate-200">
-                      <h3 className="text-lg md:text-xl font-bold text-slate-900">{party}</h3>
-                      {hasUplift && (
-                        <span className="text-xs font-semibold bg-blue-100 text-blue-700 px-2 md:px-3 py-1 rounded-full whitespace-nowrap flex-shrink-0">
-                          +10% Uplift
-                        </span>
-                      )}
-                    </div>
-                    
-                    {/* Final Revenue */}
-                    <div className="mb-3 md:mb-4">
-                      <div className="flex justify-between items-baseline mb-2">
-                        <span className="text-xs font-semibold text-slate-600 uppercase tracking-wide">Final Revenue</span>
-                        <span className="text-xl md:text-2xl font-bold text-slate-900 break-words text-right ml-2">{formatGBP(data.finalRevenue)}</span>
-                      </div>
-                      <div className="text-xs text-slate-500 font-medium">
-                        {revenuePercentage.toFixed(1)}% of total revenue
-                      </div>
-                    </div>
-                    
-                    {/* Price vs Revenue Comparison */}
-                    <div className="mb-3 md:mb-4 p-2 md:p-3 bg-slate-50 rounded-lg border border-slate-200">
-                      <div className="text-xs font-semibold text-slate-600 uppercase tracking-wide mb-2">Price vs Revenue Split</div>
-                      <div className="space-y-2">
-                        <div className="flex justify-between items-center gap-2">
-                          <span className="text-xs text-slate-600 flex-shrink-0">Price (Before Norm)</span>
-                          <span className="text-xs font-mono tabular-nums text-slate-700 text-right break-words">
-                            {formatGBP(data.revenue)} ({pricePercentage.toFixed(1)}%)
+          <PaymentSchedule
+            plan={inputs.paymentPlan}
+            deliverables={inputs.deliverables}
+            paymentSchedule={paymentSchedule}
+            showParties={canViewInternal}
+            readOnly={!canEditProjects}
+            onChange={(paymentPlan) => setInputs(prev => ({ ...prev, paymentPlan }))}
+            tax={inputs.taxSettings}
+            onTaxChange={(taxSettings) => setInputs(prev => ({ ...prev, taxSettings }))}
+            formatCurrency={formatGBP}
+          />
+        </section>
+
+        {/* Actuals - tracked once the project is running */}
+        {(status === 'Active' || actualsAnalysis.hasActuals) && (
+          <section className="bg-white rounded-lg shadow p-4 md:p-6 mb-6">
+            <div className="flex items-center gap-2 mb-2">
+              <h2 className="text-lg md:text-xl font-semibold text-slate-900">Actuals vs Sold Days</h2>
+              <InfoIcon onClick={() => setActiveHelpKey('actuals')} />
+            </div>
+            <p className="text-xs md:text-sm text-slate-600 mb-4">
+              Actual days per deliverable per week, with burn-down against the {inputs.soldDays} days sold and the estimate at completion.
+            </p>
+            <ActualsTracker
+              actuals={inputs.actuals}
+              deliverables={inputs.deliverables}
+              analysis={actualsAnalysis}
+              showSplit={canViewInternal}
+              readOnly={!canEditProjects}
+              onChange={(actuals) => setInputs(prev => ({ ...prev, actuals }))}
+              formatCurrency={formatGBP}
+            />
+          </section>
+        )}
+
+        {/* Cash Flow & Revenue Recognition */}
+        {canViewInternal && (
+          <section className="bg-white rounded-lg shadow p-4 md:p-6 mb-6">
+            <div className="flex items-center gap-2 mb-2">
+              <h2 className="text-lg md:text-xl font-semibold text-slate-900">Cash Flow & Revenue Recognition</h2>
+              <InfoIcon onClick={() => setActiveHelpKey('cashFlow')} />
+            </div>
+            <p className="text-xs md:text-sm text-slate-600 mb-4">
+              Monthly projection from the delivery plan and payment schedule. Revenue is recognised on a percentage-of-completion basis as each party's days are delivered.
+            </p>
+            <CashFlowProjection cashFlow={cashFlow} onExportCsv={exportCashFlowCsv} formatCurrency={formatGBP} />
+          </section>
+        )}
+
+        {/* Margin Analysis (if needed for internal reporting) - can be toggled */}
+        {false && <MarginAnalysis model={model} formatGBP={formatGBP} />}
+
+        {/* Allocation Rules */}
+        {canViewInternal && (
+          <section className="bg-white rounded-lg shadow p-4 md:p-6 mb-6">
+            <div className="flex items-center gap-2 mb-2">
+              <h2 className="text-lg md:text-xl font-semibold text-slate-900">Allocation Rules</h2>
+              <InfoIcon onClick={() => setActiveHelpKey('profitSplitAnalysis')} />
+            </div>
+            <p className="text-xs md:text-sm text-slate-600 mb-4">
+              How this project's revenue is split: the account manager uplift, the parties, how Joint deliverables are shared and any minimum shares. Saved with the project.
+            </p>
+            <AllocationRulesEditor
+              rules={inputs.allocationRules}
+              accountManagerParty={inputs.accountManagerParty}
+              ownersInUse={inputs.deliverables.map(d => d.owner)}
+              onChange={(allocationRules) => setInputs(prev => ({ ...prev, allocationRules }))}
+              readOnly={!canEditProjects}
+            />
+          </section>
+        )}
+
+        {/* Profit Split Analysis */}
+        {canViewInternal && (
+          <section className="bg-white rounded-lg shadow p-4 md:p-6 mb-6" data-component="profit-split-analysis">
+            <div className="flex items-center gap-2 mb-3 md:mb-4">
+              <h2 className="text-lg md:text-xl font-semibold text-slate-900">Profit Split Analysis</h2>
+              <InfoIcon onClick={() => setActiveHelpKey('profitSplitAnalysis')} />
+            </div>
+            <p className="text-xs md:text-sm text-slate-600 mb-4">
+              Revenue allocation based on internal weighting{model.upliftLabel ? ` with ${inputs.accountManagerParty} receiving a ${model.upliftLabel} uplift for account management responsibilities` : ''}.
+              Price represents calculated value before normalization (including each party's share of Joint deliverables); Revenue shows final allocation after uplift, minimum shares and normalization.
+            </p>
+            
+            {/* Enhanced Cards */}
+            <div className="grid gap-4 md:gap-6" style={{ gridTemplateColumns: 'repeat(auto-fit, minmax(min(100%, 280px), 1fr))' }}>
+              {Object.entries(model.partyAllocations)
+                .filter(([_, data]) => data.finalRevenue > 0)
+                .map(([party, data]) => {
+                  const pricePercentage = model.totalWeightedRevenue > 0 
+                    ? (data.revenue / model.totalWeightedRevenue) * 100 
+                    : 0;
+                  const revenuePercentage = Number.isFinite(data.percentage) ? data.percentage : 0;
+                  const effectiveBlendedRate = data.days > 0 ? data.finalRevenue / data.days : 0;
+                  const difference = revenuePercentage - pricePercentage;
+                  const hasUplift = data.hasUplift;
+                  
+                  return (
+                    <div key={party} className="bg-gradient-to-br from-slate-50 to-white rounded-lg border-2 border-slate-200 shadow-sm hover:shadow-md transition-shadow p-4 md:p-6">
+                      {/* Header */}
+                      <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-2 sm:gap-3 mb-3 md:mb-4 pb-3 md:pb-4 border-b border-slate-200">
+                        <h3 className="text-lg md:text-xl font-bold text-slate-900">{party}</h3>
+                        {hasUplift && (
+                          <span className="text-xs font-semibold bg-blue-100 text-blue-700 px-2 md:px-3 py-1 rounded-full whitespace-nowrap flex-shrink-0">
+                            {model.upliftLabel} Uplift
                           </span>
-                        </div>
-                        <div className="flex justify-between items-center gap-2">
-                          <span className="text-xs font-semibold text-slate-900 flex-shrink-0">Revenue (After Norm)</span>
-                          <span className="text-xs font-mono tabular-nums font-semibold text-slate-900 text-right break-words">
-                            {formatGBP(data.finalRevenue)} ({revenuePercentage.toFixed(1)}%)
+                        )}
+                        {data.floorApplied && (
+                          <span className="text-xs font-semibold bg-amber-100 text-amber-700 px-2 md:px-3 py-1 rounded-full whitespace-nowrap flex-shrink-0">
+                            {data.minimumShare}% Minimum
                           </span>
+                        )}
+                      </div>
+                      
+                      {/* Final Revenue */}
+                      <div className="mb-3 md:mb-4">
+                        <div className="flex justify-between items-baseline mb-2">
+                          <span className="text-xs font-semibold text-slate-600 uppercase tracking-wide">Final Revenue</span>
+                          <span className="text-xl md:text-2xl font-bold text-slate-900 break-words text-right ml-2">{formatGBP(data.finalRevenue)}</span>
                         </div>
-                        {Math.abs(difference) > 0.1 && (
-                          <div className="flex justify-between items-center pt-1 border-t border-slate-200 gap-2">
-                            <span className="text-xs text-slate-600">Difference</span>
-                            <span className={`text-xs font-semibold ${difference > 0 ? 'text-green-600' : 'text-red-600'}`}>
-                              {difference > 0 ? '+' : ''}{difference.toFixed(1)}%
+                        <div className="text-xs text-slate-500 font-medium">
+                          {revenuePercentage.toFixed(1)}% of total revenue
+                        </div>
+                      </div>
+                      
+                      {/* Price vs Revenue Comparison */}
+                      <div className="mb-3 md:mb-4 p-2 md:p-3 bg-slate-50 rounded-lg border border-slate-200">
+                        <div className="text-xs font-semibold text-slate-600 uppercase tracking-wide mb-2">Price vs Revenue Split</div>
+                        <div className="space-y-2">
+                          <div className="flex justify-between items-center gap-2">
+                            <span className="text-xs text-slate-600 flex-shrink-0">Price (Before Norm)</span>
+                            <span className="text-xs font-mono tabular-nums text-slate-700 text-right break-words">
+                              {formatGBP(data.revenue)} ({pricePercentage.toFixed(1)}%)
                             </span>
                           </div>
-                        )}
-                      </div>
-                    </div>
-                    
-                    {/* Effective Blended Rate */}
-                    <div className="mb-3 md:mb-4 p-2 md:p-3 bg-blue-50 rounded-lg border border-blue-200">
-                      <div className="flex justify-between items-baseline mb-1 gap-2">
-                        <span className="text-xs font-semibold text-blue-700 uppercase tracking-wide flex-shrink-0">Effective Blended Rate</span>
-                        <span className="text-lg md:text-xl font-bold text-blue-900 text-right break-words">
-                          {formatGBP(effectiveBlendedRate, 0)}/day
-                        </span>
+                          <div className="flex justify-between items-center gap-2">
+                            <span className="text-xs font-semibold text-slate-900 flex-shrink-0">Revenue (After Norm)</span>
+                            <span className="text-xs font-mono tabular-nums font-semibold text-slate-900 text-right break-words">
+                              {formatGBP(data.finalRevenue)} ({revenuePercentage.toFixed(1)}%)
+                            </span>
+                          </div>
+                          {Math.abs(difference) > 0.1 && (
+                            <div className="flex justify-between items-center pt-1 border-t border-slate-200 gap-2">
+                              <span className="text-xs text-slate-600">Difference</span>
+                              <span className={`text-xs font-semibold ${difference > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                {difference > 0 ? '+' : ''}{difference.toFixed(1)}%
+                              </span>
+                            </div>
+                          )}
+                        </div>
                       </div>
-                      <div className="text-xs text-blue-600 font-medium">
-                        {data.days.toFixed(1)} days allocated
+                      
+                      {/* Effective Blended Rate */}
+                      <div className="mb-3 md:mb-4 p-2 md:p-3 bg-blue-50 rounded-lg border border-blue-200">
+                        <div className="flex justify-between items-baseline mb-1 gap-2">
+                          <span className="text-xs font-semibold text-blue-700 uppercase tracking-wide flex-shrink-0">Effective Blended Rate</span>
+                          <span className="text-lg md:text-xl font-bold text-blue-900 text-right break-words">
+                            {formatGBP(effectiveBlendedRate, 0)}/day
+                          </span>
+                        </div>
+                        <div className="text-xs text-blue-600 font-medium">
+                          {data.days.toFixed(1)} days allocated
+                        </div>
                       </div>
-                    </div>
-                    
-                    {/* Days Summary */}
-                    <div className="pt-3 border-t border-slate-200">
-                      <div className="flex justify-between items-center text-xs">
-                        <span className="text-slate-600">Days Allocated</span>
-                        <span className="font-mono tabular-nums font-semibold text-slate-900">
-                          {data.days.toFixed(2)} days
-                        </span>
+                      
+                      {/* Days Summary */}
+                      <div className="pt-3 border-t border-slate-200">
+                        <div className="flex justify-between items-center text-xs">
+                          <span className="text-slate-600">Days Allocated</span>
+                          <span className="font-mono tabular-nums font-semibold text-slate-900">
+                            {data.days.toFixed(2)} days
+                          </span>
+                        </div>
                       </div>
                     </div>
-                  </div>
-                );
-              })}
-          </div>
+                  );
+                })}
+            </div>
 
-          {/* Margin Analysis - Visual Dashboard */}
-          <div className="mt-6 md:mt-8 pt-6 md:pt-8 border-t border-slate-200">
-            <div className="bg-gradient-to-br from-slate-50 to-white rounded-lg border-2 border-slate-200 shadow-sm p-4 md:p-6">
-              <h3 className="text-base md:text-lg font-semibold text-slate-900 mb-2">Gross Margin Analysis</h3>
-              <div className="bg-blue-50 border-l-4 border-blue-500 p-3 md:p-4 rounded-r-lg mb-4 md:mb-6">
-                <p className="text-xs md:text-sm text-slate-700 font-medium mb-1">
-                  <span className="font-bold text-blue-700">Assumption:</span> Resource costs are 50% of the price (before normalization)
-                </p>
-                <p className="text-xs text-slate-600 break-words">
-                  Cost = 50% × Price • Margin = Revenue - Cost • Margin % = (Margin ÷ Revenue) × 100
-                </p>
-              </div>
-              
-              {/* Margin Analysis Cards Grid */}
-              <div className="grid gap-4 md:gap-6 mb-6" style={{ gridTemplateColumns: 'repeat(auto-fit, minmax(min(100%, 280px), 1fr))' }}>
-                {Object.entries(model.partyAllocations)
-                  .filter(([_, data]) => data.finalRevenue > 0)
-                  .map(([party, data], index) => {
-                    // Cost is 50% of the PRICE (before normalization), not revenue
-                    const price = data.revenue; // Price before normalization
-                    const cost = price * 0.5; // 50% of price
-                    const revenue = data.finalRevenue; // Revenue after normalization
-                    const margin = revenue - cost; // Margin = Revenue - Cost
-                    const marginPercentage = revenue > 0 ? (margin / revenue) * 100 : 0;
-                    const costPercentage = revenue > 0 ? (cost / revenue) * 100 : 0;
-                    
-                    // Prepare data for radial chart - using blue/slate color scheme
-                    const radialData = [
-                      { name: 'Margin', value: marginPercentage, fill: '#3b82f6' },
-                      { name: 'Cost', value: costPercentage, fill: '#64748b' }
-                    ];
-                    
-                    return (
-                      <div key={party} className="relative bg-gradient-to-br from-white to-slate-50 rounded-xl border-2 border-slate-200 p-6 shadow-lg hover:shadow-xl transition-all duration-300 overflow-hidden">
-                        {/* Corner Uplift Badge */}
-                        {data.upliftFactor > 1.0 && (
-                          <div className="absolute top-0 right-0 bg-gradient-to-br from-blue-500 to-blue-600 text-white text-xs font-bold px-3 py-1 rounded-bl-lg shadow-md">
-                            +10%
+            {/* Margin Analysis - Visual Dashboard */}
+            <div className="mt-6 md:mt-8 pt-6 md:pt-8 border-t border-slate-200">
+              <div className="bg-gradient-to-br from-slate-50 to-white rounded-lg border-2 border-slate-200 shadow-sm p-4 md:p-6">
+                <div className="flex flex-col sm:flex-row justify-between items-start gap-3 mb-2">
+                  <h3 className="text-base md:text-lg font-semibold text-slate-900">Gross Margin Analysis</h3>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => setAuditView({ subject: COST_RATES_AUDIT, title: 'Cost Rates' })}
+                      className="flex items-center gap-1 px-3 py-1.5 text-sm font-semibold rounded transition-colors text-slate-700 border border-slate-300 hover:bg-slate-50"
+                    >
+                      <ScrollText className="w-4 h-4" />
+                      History
+                    </button>
+                    <button
+                      onClick={() => setShowCostRates(true)}
+                      className="px-3 py-1.5 text-sm font-semibold rounded transition-colors text-blue-600 border border-blue-600 hover:bg-blue-50"
+                    >
+                      {canEditSettings ? 'Edit Cost Rates' : 'View Cost Rates'}
+                    </button>
+                  </div>
+                </div>
+                <div className="bg-blue-50 border-l-4 border-blue-500 p-3 md:p-4 rounded-r-lg mb-4 md:mb-6">
+                  <p className="text-xs md:text-sm text-slate-700 font-medium mb-1">
+                    <span className="font-bold text-blue-700">Costs:</span> central day cost rates per party, role and resource type (internal or contractor)
+                  </p>
+                  <p className="text-xs text-slate-600 break-words">
+                    Cost = Days × Cost Rate • Margin = Revenue - Cost • Margin % = (Margin ÷ Revenue) × 100
+                  </p>
+                </div>
+                
+                {/* Margin Analysis Cards Grid */}
+                <div className="grid gap-4 md:gap-6 mb-6" style={{ gridTemplateColumns: 'repeat(auto-fit, minmax(min(100%, 280px), 1fr))' }}>
+                  {Object.entries(model.partyAllocations)
+                    .filter(([_, data]) => data.finalRevenue > 0)
+                    .map(([party, data], index) => {
+                      // Cost comes from the party's cost rates for the days it delivers
+                      const price = data.revenue; // Price before normalization
+                      const revenue = data.finalRevenue; // Revenue after normalization
+                      const { cost, margin, marginPercentage, isLoss } = costAnalysis.parties[party] || { cost: 0, margin: revenue, marginPercentage: 100, isLoss: false };
+                      const costPercentage = revenue > 0 ? Math.min((cost / revenue) * 100, 100) : 0;
+                      
+                      // Prepare data for radial chart - using blue/slate color scheme
+                      const radialData = [
+                        { name: 'Margin', value: Math.max(marginPercentage, 0), fill: isLoss ? '#dc2626' : '#3b82f6' },
+                        { name: 'Cost', value: costPercentage, fill: '#64748b' }
+                      ];
+                      
+                      return (
+                        <div key={party} className="relative bg-gradient-to-br from-white to-slate-50 rounded-xl border-2 border-slate-200 p-6 shadow-lg hover:shadow-xl transition-all duration-300 overflow-hidden">
+                          {/* Corner Uplift Badge */}
+                          {data.hasUplift && (
+                            <div className="absolute top-0 right-0 bg-gradient-to-br from-blue-500 to-blue-600 text-white text-xs font-bold px-3 py-1 rounded-bl-lg shadow-md">
+                              {model.upliftLabel}
+                            </div>
+                          )}
+                          
+                          {/* Header */}
+                          <div className="text-center mb-4 md:mb-6 relative z-10">
+                            <h4 className="text-lg md:text-xl font-bold text-slate-900">{party}</h4>
                           </div>
-                        )}
-                        
-                        {/* Header */}
-                        <div className="text-center mb-4 md:mb-6 relative z-10">
-                          <h4 className="text-lg md:text-xl font-bold text-slate-900">{party}</h4>
-                        </div>
-                        
-                        {/* Radial Gauge Chart */}
-                        <div className="relative mb-4 md:mb-6" style={{ height: '160px', minHeight: '160px' }}>
-                          <ResponsiveContainer width="100%" height="100%">
-                            <RadialBarChart
-                              cx="50%"
-                              cy="50%"
-                              innerRadius="65%"
-                              outerRadius="95%"
-                              barSize={24}
-                              data={radialData}
-                              startAngle={90}
-                              endAngle={-270}
-                            >
-                              <RadialBar
-                                dataKey="value"
-                                cornerRadius={12}
-                                fill="#8884d8"
-                              >
-                                {radialData.map((entry, idx) => (
-                                  <Cell key={`cell-${idx}`} fill={entry.fill} />
-                                ))}
-                              </RadialBar>
-                              <Tooltip
-                                formatter={(value) => value.toFixed(0) + '%'}
-                                contentStyle={{
-                                  backgroundColor: 'white',
-                                  border: '2px solid #e2e8f0',
-                                  borderRadius: '8px',
-                                  padding: '10px',
-                                  boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
-                                }}
-                              />
-                            </RadialBarChart>
-                          </ResponsiveContainer>
                           
-                          {/* Center Label - Absolutely positioned */}
-                          <div className="absolute inset-0 flex flex-col items-center justify-center pointer-events-none">
-                            <div className="text-xl md:text-2xl font-bold bg-gradient-to-br from-blue-600 to-blue-800 bg-clip-text text-transparent">
-                              {marginPercentage.toFixed(0)}%
+                          {/* Radial Gauge Chart */}
+                          <div className="relative mb-4 md:mb-6" style={{ height: '160px', minHeight: '160px' }}>
+                            <ResponsiveContainer width="100%" height="100%">
+                              <RadialBarChart
+                                cx="50%"
+                                cy="50%"
+                                innerRadius="65%"
+                                outerRadius="95%"
+                                barSize={24}
+                                data={radialData}
+                                startAngle={90}
+                                endAngle={-270}
+                              >
+                                <RadialBar
+                                  dataKey="value"
+                                  cornerRadius={12}
+                                  fill="#8884d8"
+                                >
+                                  {radialData.map((entry, idx) => (
+                                    <Cell key={`cell-${idx}`} fill={entry.fill} />
+                                  ))}
+                                </RadialBar>
+                                <Tooltip
+                                  formatter={(value) => value.toFixed(0) + '%'}
+                                  contentStyle={{
+                                    backgroundColor: 'white',
+                                    border: '2px solid #e2e8f0',
+                                    borderRadius: '8px',
+                                    padding: '10px',
+                                    boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
+                                  }}
+                                />
+                              </RadialBarChart>
+                            </ResponsiveContainer>
+                            
+                            {/* Center Label - Absolutely positioned */}
+                            <div className="absolute inset-0 flex flex-col items-center justify-center pointer-events-none">
+                              <div className="text-xl md:text-2xl font-bold bg-gradient-to-br from-blue-600 to-blue-800 bg-clip-text text-transparent">
+                                {marginPercentage.toFixed(0)}%
+                              </div>
+                              <div className="text-xs text-slate-500 font-semibold mt-1 uppercase tracking-wide">Margin</div>
                             </div>
-                            <div className="text-xs text-slate-500 font-semibold mt-1 uppercase tracking-wide">Margin</div>
                           </div>
-                        </div>
-                        
-                        {/* Financial Breakdown */}
-                        <div className="space-y-2 md:space-y-3 pt-3 md:pt-4 border-t-2 border-slate-200">
-                          <div className="flex justify-between items-center py-1 gap-2">
-                            <span className="text-xs font-medium text-slate-500 uppercase tracking-wide flex-shrink-0">Price</span>
-                            <span className="text-xs md:text-sm font-semibold text-slate-700 text-right break-words">{formatGBP(price)}</span>
-                          </div>
-                          <div className="flex justify-between items-center py-1 gap-2">
-                            <span className="text-xs font-medium text-slate-500 uppercase tracking-wide flex-shrink-0">Revenue</span>
-                            <span className="text-xs md:text-sm font-bold text-slate-900 text-right break-words">{formatGBP(revenue)}</span>
-                          </div>
-                          <div className="flex justify-between items-center py-1 bg-slate-50 -mx-2 px-2 rounded gap-2">
-                            <div className="flex items-center gap-1 flex-shrink-0">
-                              <span className="text-xs font-medium text-slate-600">Cost</span>
-                              <span className="text-xs text-slate-400 hidden sm:inline">(50% of Price)</span>
+                          
+                          {/* Financial Breakdown */}
+                          <div className="space-y-2 md:space-y-3 pt-3 md:pt-4 border-t-2 border-slate-200">
+                            <div className="flex justify-between items-center py-1 gap-2">
+                              <span className="text-xs font-medium text-slate-500 uppercase tracking-wide flex-shrink-0">Price</span>
+                              <span className="text-xs md:text-sm font-semibold text-slate-700 text-right break-words">{formatGBP(price)}</span>
+                            </div>
+                            <div className="flex justify-between items-center py-1 gap-2">
+                              <span className="text-xs font-medium text-slate-500 uppercase tracking-wide flex-shrink-0">Revenue</span>
+                              <span className="text-xs md:text-sm font-bold text-slate-900 text-right break-words">{formatGBP(revenue)}</span>
+                            </div>
+                            <div className="flex justify-between items-center py-1 bg-slate-50 -mx-2 px-2 rounded gap-2">
+                              <div className="flex items-center gap-1 flex-shrink-0">
+                                <span className="text-xs font-medium text-slate-600">Cost</span>
+                                <span className="text-xs text-slate-400 hidden sm:inline">(cost rates)</span>
+                              </div>
+                              <span className="text-xs md:text-sm font-semibold text-slate-700 text-right break-words">{formatGBP(cost)}</span>
+                            </div>
+                            <div className={`flex justify-between items-center pt-2 md:pt-3 border-t-2 -mx-2 px-2 py-2 rounded mt-2 gap-2 ${isLoss ? 'border-red-200 bg-red-50' : 'border-blue-200 bg-blue-50'}`}>
+                              <span className={`text-xs md:text-sm font-bold uppercase tracking-wide flex-shrink-0 ${isLoss ? 'text-red-700' : 'text-blue-700'}`}>{isLoss ? 'Loss' : 'Margin'}</span>
+                              <span className={`text-sm md:text-base font-bold text-right break-words ${isLoss ? 'text-red-900' : 'text-blue-900'}`}>{formatGBP(margin)}</span>
                             </div>
-                            <span className="text-xs md:text-sm font-semibold text-slate-700 text-right break-words">{formatGBP(cost)}</span>
-                          </div>
-                          <div className="flex justify-between items-center pt-2 md:pt-3 border-t-2 border-blue-200 bg-blue-50 -mx-2 px-2 py-2 rounded mt-2 gap-2">
-                            <span className="text-xs md:text-sm font-bold text-blue-700 uppercase tracking-wide flex-shrink-0">Margin</span>
-                            <span className="text-sm md:text-base font-bold text-blue-900 text-right break-words">{formatGBP(margin)}</span>
                           </div>
                         </div>
-                      </div>
-                    );
-                  })}
+                      );
+                    })}
+                </div>
+
+                {/* Per-deliverable margin */}
+                <div className="mt-6 md:mt-8">
+                  <div className="flex flex-wrap justify-between items-baseline gap-2 mb-3">
+                    <h4 className="text-sm md:text-base font-semibold text-slate-900">Margin by Deliverable</h4>
+                    <span className={`text-sm font-semibold ${costAnalysis.project.margin < 0 ? 'text-red-700' : 'text-slate-700'}`}>
+                      Project: {formatGBP(costAnalysis.project.revenue)} revenue • {formatGBP(costAnalysis.project.cost)} cost • {formatGBP(costAnalysis.project.margin)} margin ({costAnalysis.project.marginPercentage.toFixed(1)}%)
+                    </span>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-slate-200 text-slate-600">
+                          <th className="py-2 pr-3 text-left font-semibold">Deliverable</th>
+                          <th className="py-2 pr-3 text-left font-semibold">Owner</th>
+                          <th className="py-2 pr-3 text-left font-semibold">Resource</th>
+                          <th className="py-2 pr-3 text-right font-semibold">Revenue</th>
+                          <th className="py-2 pr-3 text-right font-semibold">Cost</th>
+                          <th className="py-2 text-right font-semibold">Margin</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {costAnalysis.deliverables.map(d => (
+                          <tr key={d.id} className={`border-b border-slate-100 ${d.isLoss ? 'bg-red-50' : ''}`}>
+                            <td className="py-2 pr-3 text-slate-800">
+                              {d.name}
+                              {d.isLoss && <span className="ml-2 px-1.5 py-0.5 text-xs font-semibold text-red-700 bg-red-100 rounded">Loss</span>}
+                            </td>
+                            <td className="py-2 pr-3 text-slate-600">{d.owner}</td>
+                            <td className="py-2 pr-3 text-slate-600">
+                              {RESOURCE_TYPE_LABELS[d.resourceType]}
+                              {d.missingRate && <span className="ml-1 text-xs text-amber-600" title="No cost rate set">(no rate)</span>}
+                            </td>
+                            <td className="py-2 pr-3 text-right text-slate-700">{formatGBP(d.revenue)}</td>
+                            <td className="py-2 pr-3 text-right text-slate-700">{formatGBP(d.cost)}</td>
+                            <td className={`py-2 text-right font-semibold ${d.isLoss ? 'text-red-700' : 'text-slate-900'}`}>
+                              {formatGBP(d.margin)} <span className="text-xs font-normal">({d.marginPercentage.toFixed(0)}%)</span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
               </div>
             </div>
-          </div>
-        </section>
+          </section>
+        )}
 
         {/* Action Buttons - Bottom */}
         <div className="bg-white rounded-lg shadow mb-6 p-3 md:p-4">
           <div className="flex flex-col sm:flex-row items-stretch sm:items-center justify-between gap-3">
             <div className="flex flex-wrap gap-2 md:gap-3">
-              <button
-                onClick={saveProject}
-                className="flex items-center gap-2 px-3 md:px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium text-sm md:text-base"
-              >
-                <FileJson className="w-4 h-4" />
-                <span className="hidden sm:inline">Save Project</span>
-                <span className="sm:hidden">Save</span>
-              </button>
+              {canEditProjects && (
+                <button
+                  onClick={saveProject}
+                  className="flex items-center gap-2 px-3 md:px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium text-sm md:text-base"
+                >
+                  <FileJson className="w-4 h-4" />
+                  <span className="hidden sm:inline">Save Project</span>
+                  <span className="sm:hidden">Save</span>
+                </button>
+              )}
               <button
                 onClick={() => setShowLibrary(true)}
                 className="flex items-center gap-2 px-3 md:px-4 py-2 bg-slate-600 text-white rounded-lg hover:bg-slate-700 transition-colors font-medium text-sm md:text-base"
@@ -1735,34 +2776,61 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
                     <th className="text-left py-3 px-4 font-semibold text-slate-700">Project</th>
                     <th className="text-right py-3 px-4 font-semibold text-slate-700">Total Days</th>
                     <th className="text-right py-3 px-4 font-semibold text-slate-700">Revenue</th>
-                    <th className="text-right py-3 px-4 font-semibold text-slate-700">RPG Share</th>
-                    <th className="text-right py-3 px-4 font-semibold text-slate-700">Proaptus Share</th>
+                    {canViewInternal && (
+                      <th className="text-right py-3 px-4 font-semibold text-slate-700">Party Shares</th>
+                    )}
                   </tr>
                 </thead>
                 <tbody>
                   {Object.entries(projectLibrary).map(([key, project]) => {
-                    const tempModel = calculateRedPegasusModel({
-                      clientRate: project.clientRate,
-                      soldDays: project.soldDays,
-                      deliverables: project.deliverables,
-                      accountManagerParty: project.accountManagerParty || 'RPG',
-                      roleWeights: roleWeights
-                    });
-                    const rpgShare = tempModel.partyAllocations['RPG']?.percentage || 0;
-                    const proaptusShare = tempModel.partyAllocations['Proaptus']?.percentage || 0;
+                    const tempModel = modelForProject(project);
                     return (
                       <tr key={key} className="border-b border-slate-100">
                         <td className="py-3 px-4 font-medium">{project.name}</td>
                         <td className="text-right py-3 px-4">{project.soldDays}</td>
                         <td className="text-right py-3 px-4">{formatGBP(tempModel.totalRevenue)}</td>
-                        <td className="text-right py-3 px-4">{rpgShare.toFixed(1)}%</td>
-                        <td className="text-right py-3 px-4">{proaptusShare.toFixed(1)}%</td>
+                        {canViewInternal && (
+                          <td className="text-right py-3 px-4">
+                            {Object.entries(tempModel.partyAllocations)
+                              .filter(([, data]) => data.finalRevenue > 0)
+                              .map(([party, data]) => `${party} ${data.percentage.toFixed(1)}%`)
+                              .join(' · ')}
+                          </td>
+                        )}
                       </tr>
                     );
                   })}
                 </tbody>
               </table>
             </div>
+
+            <div className="flex flex-wrap items-end gap-3 mt-6 mb-4">
+              <h3 className="text-base font-semibold text-slate-900 mr-2">Compare Side by Side</h3>
+              {['left', 'right'].map(side => (
+                <select
+                  key={side}
+                  value={comparePair[side]}
+                  onChange={(e) => setComparePair(prev => ({ ...prev, [side]: e.target.value }))}
+                  aria-label={side === 'left' ? 'Compare from' : 'Compare to'}
+                  className="px-2 py-1 border border-slate-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">-- Project or version --</option>
+                  {comparisonOptions.map(option => (
+                    <option key={option.key} value={option.key}>{option.label}</option>
+                  ))}
+                </select>
+              ))}
+            </div>
+            {projectDiff ? (
+              <QuoteDiff
+                diff={projectDiff}
+                leftLabel={compareLeft.label}
+                rightLabel={compareRight.label}
+                showInternal={canViewInternal}
+              />
+            ) : (
+              <p className="text-sm text-slate-500">Choose two projects, or two versions of a project, to see every difference.</p>
+            )}
           </section>
         )}
 
@@ -1771,14 +2839,68 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
           <ScenarioLibrary
             scenarios={Object.values(projectLibrary)}
             onLoad={loadProject}
-            onDelete={deleteProject}
+            onDelete={canEditProjects ? deleteProject : undefined}
             onClose={() => setShowLibrary(false)}
             isProjectMode={true}
           />
         )}
 
+        {showBackups && canManageBackups && (
+          <BackupBrowser
+            projectLibrary={projectLibrary}
+            loadBackups={listProjectBackups}
+            loadBackup={readProjectBackup}
+            onRestore={restoreBackup}
+            onUndo={undoRestore}
+            canUndo={restoreUndoUrl !== null}
+            retentionPolicy={retentionPolicy}
+            onSaveRetentionPolicy={async (policy) => setRetentionPolicy(await saveRetentionPolicy(policy))}
+            onClose={() => setShowBackups(false)}
+          />
+        )}
+
+        {showReprice && (
+          <RepriceComparison
+            currentVersion={pricedRoleWeights}
+            latestVersion={latestRoleWeights}
+            currentModel={model}
+            latestModel={calculateRedPegasusModel({ ...inputs, roleWeights: latestRoleWeights.weights })}
+            onConfirm={repriceWithLatestWeights}
+            onClose={() => setShowReprice(false)}
+          />
+        )}
+
+        {auditView && (
+          <AuditTimeline
+            title={auditView.title}
+            loadEntries={(page) => loadAuditTrail(auditView.subject, page)}
+            onClose={() => setAuditView(null)}
+          />
+        )}
+
+        {showCostRates && (
+          <CostRatesEditor
+            costRates={costRates}
+            parties={[...new Set([...model.allocationRules.parties, ...Object.keys(costRates.rates)])]}
+            roles={Object.keys(model.roleWeights)}
+            readOnly={!canEditSettings}
+            onSave={async (updated) => setCostRates(await saveCostRates(updated))}
+            onClose={() => setShowCostRates(false)}
+          />
+        )}
+
+        {showFxRates && (
+          <FxRatesEditor
+            fxTable={fxTable}
+            readOnly={!canEditSettings}
+            onSave={async (change) => setFxTable(await saveFxTable(addFxVersion(fxTable, { ...change, createdBy: getModifiedBy() })))}
+            onClose={() => setShowFxRates(false)}
+          />
+        )}
+
         {showReportSelector && (
           <ReportVariantSelector
+            variants={allowedReportVariants(currentUser)}
             onSelect={(variant) => {
               setReportVariant(variant);
               setShowReportSelector(false);
@@ -1843,7 +2965,7 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
         {/* Report for Printing - Hidden on screen, shown only in print */}
         <div ref={reportRef} className="print-only-report">
           {model && inputs ? (
-            reportVariant === 'INTERNAL' ? (
+            reportVariant === 'INTERNAL' && canViewInternal ? (
               <RedPegasusInternalReport 
                 model={model} 
                 inputs={inputs} 
@@ -1859,18 +2981,28 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
                 accountManager={accountManager}
                 accountManagerParty={accountManagerParty}
                 status={status}
+                roleWeightsVersion={pricedRoleWeights}
+                fx={fx}
+                costAnalysis={costAnalysis}
+                paymentSchedule={paymentSchedule}
+                variations={variations}
               />
             ) : (
               <RedPegasusQuoteReport 
-                model={model} 
-                inputs={inputs} 
-                formatGBP={formatGBP}
+                model={printedQuote ? printedQuote.model : model} 
+                inputs={printedQuote ? printedQuote.inputs : inputs} 
+                formatGBP={currencyFormatter(quoteFx)}
+                fx={quoteFx}
                 projectName={projectName}
-                clientName={clientName}
-                startDate={startDate}
-                endDate={endDate}
+                clientName={printedQuote ? printedQuote.clientName : clientName}
+                startDate={printedQuote ? printedQuote.startDate : startDate}
+                endDate={printedQuote ? printedQuote.endDate : endDate}
                 projectCode={projectCode}
                 accountManager={accountManager}
+                schedule={printedQuote ? printedQuote.schedule : schedule}
+                paymentSchedule={printedQuote ? printedQuote.paymentSchedule : paymentSchedule}
+                variations={printedQuote ? null : variations}
+                quoteVersion={quoteVersionForReport}
               />
             )
           ) : (
@@ -1880,6 +3012,14 @@ const RedPegasusPricingCalculator = ({ onLogout }) => {
           )}
         </div>
 
+        {/* Save Conflict Dialog */}
+        {saveConflict && (
+          <SaveConflictDialog
+            conflicts={saveConflict.conflicts}
+            onResolve={resolveSaveConflict}
+          />
+        )}
+
         {/* Help Modal */}
         {activeHelpKey && helpContent[activeHelpKey] && (
           <HelpModal
@@ -0,0 +1,248 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, CartesianGrid, ReferenceLine } from 'recharts';
+import formatGBP from './shared/formatGBP';
+import { normalizeActuals, weekStart, parseActualsCsv, mergeActuals } from './shared/actuals';
+import { formatDate } from './shared/schedule';
+
+/**
+ * ActualsTracker Component
+ * Records actual days per deliverable per week (typed in or imported from CSV)
+ * and shows burn-down against the days sold, estimate at completion, variance
+ * by party and, for internal users, the profit split recalculated on actuals.
+ *
+ * @param {Object} actuals - Project actuals ({ weeks, forecasts })
+ * @param {Array} deliverables - Project deliverables
+ * @param {Object} analysis - Result of analyzeActuals
+ * @param {boolean} showSplit - Show the profit split on actuals
+ * @param {boolean} readOnly - Show actuals without editing controls
+ * @param {Function} onChange - Called with the updated actuals
+ * @param {Function} formatCurrency - Currency formatter
+ */
+const ActualsTracker = ({
+  actuals,
+  deliverables = [],
+  analysis,
+  showSplit = false,
+  readOnly = false,
+  onChange,
+  formatCurrency = formatGBP
+}) => {
+  const normalized = normalizeActuals(actuals);
+  const [week, setWeek] = useState(() => weekStart(formatDate(new Date())));
+  const [importErrors, setImportErrors] = useState([]);
+
+  const weekEntries = normalized.weeks[week] || {};
+
+  const updateDays = (deliverableId, value) => {
+    onChange(normalizeActuals({
+      ...normalized,
+      weeks: { ...normalized.weeks, [week]: { ...weekEntries, [deliverableId]: parseFloat(value) || 0 } }
+    }));
+  };
+
+  const updateForecast = (deliverableId, value) => {
+    const { [deliverableId]: _previous, ...forecasts } = normalized.forecasts;
+    onChange({ ...normalized, forecasts: value === '' ? forecasts : { ...forecasts, [deliverableId]: parseFloat(value) || 0 } });
+  };
+
+  const importCsv = async (file) => {
+    if (!file) return;
+    const { weeks, errors } = parseActualsCsv(await file.text(), deliverables);
+    setImportErrors(errors);
+    onChange(mergeActuals(normalized, weeks));
+  };
+
+  const { project } = analysis;
+  const inputClass = 'px-2 py-1 border border-slate-300 rounded text-sm text-right focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+        {[
+          ['Days Sold', project.soldDays.toFixed(1)],
+          ['Actual to Date', project.actual.toFixed(1)],
+          ['Estimate at Completion', project.eac.toFixed(1)],
+          ['Variance', `${project.variance > 0 ? '+' : ''}${project.variance.toFixed(1)}`]
+        ].map(([label, value]) => (
+          <div key={label} className={`rounded-lg border p-3 ${label === 'Variance' && project.variance > 0 ? 'border-red-200 bg-red-50' : 'border-slate-200 bg-slate-50'}`}>
+            <p className="text-xs font-semibold text-slate-600 uppercase tracking-wide">{label}</p>
+            <p className={`text-xl font-bold ${label === 'Variance' && project.variance > 0 ? 'text-red-700' : 'text-slate-900'}`}>{value}</p>
+          </div>
+        ))}
+      </div>
+
+      {!readOnly && (
+        <div className="flex flex-wrap items-end gap-3 mb-3">
+          <div>
+            <label className="block text-xs font-medium text-slate-700 mb-1">Week commencing</label>
+            <input
+              type="date"
+              value={week}
+              onChange={(e) => setWeek(weekStart(e.target.value))}
+              className="px-2 py-1 border border-slate-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <label className="px-3 py-1.5 text-sm font-semibold rounded transition-colors text-blue-600 border border-blue-600 hover:bg-blue-50 cursor-pointer">
+            Import CSV
+            <input type="file" accept=".csv,text/csv" className="hidden" onChange={(e) => importCsv(e.target.files[0])} />
+          </label>
+          <span className="text-xs text-slate-500">CSV columns: week, deliverable (id or name), days</span>
+        </div>
+      )}
+
+      {importErrors.length > 0 && (
+        <ul className="mb-3 text-xs text-red-700 list-disc list-inside">
+          {importErrors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <div className="overflow-x-auto mb-6">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-200 text-slate-600">
+              <th className="py-2 pr-3 text-left font-semibold">Deliverable</th>
+              <th className="py-2 pr-3 text-left font-semibold">Owner</th>
+              {!readOnly && <th className="py-2 pr-3 text-right font-semibold">Week of {week}</th>}
+              <th className="py-2 pr-3 text-right font-semibold">Planned</th>
+              <th className="py-2 pr-3 text-right font-semibold">Actual</th>
+              <th className="py-2 pr-3 text-right font-semibold">Remaining</th>
+              <th className="py-2 pr-3 text-right font-semibold">EAC</th>
+              <th className="py-2 text-right font-semibold">Variance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {analysis.deliverables.map(d => (
+              <tr key={d.id} className={`border-b border-slate-100 ${d.variance > 0 ? 'bg-red-50' : ''}`}>
+                <td className="py-2 pr-3 text-slate-800">{d.name}</td>
+                <td className="py-2 pr-3 text-slate-600">{d.owner}</td>
+                {!readOnly && (
+                  <td className="py-2 pr-3 text-right">
+                    <input
+                      type="number"
+                      value={weekEntries[d.id] ?? ''}
+                      onChange={(e) => updateDays(d.id, e.target.value)}
+                      aria-label={`${d.name} actual days for week of ${week}`}
+                      min="0"
+                      step="0.25"
+                      className={`w-20 ${inputClass}`}
+                    />
+                  </td>
+                )}
+                <td className="py-2 pr-3 text-right text-slate-700">{d.planned.toFixed(1)}</td>
+                <td className="py-2 pr-3 text-right text-slate-700">{d.actual.toFixed(1)}</td>
+                <td className="py-2 pr-3 text-right">
+                  {readOnly ? (
+                    <span className="text-slate-700">{d.remaining.toFixed(1)}</span>
+                  ) : (
+                    <input
+                      type="number"
+                      value={normalized.forecasts[d.id] ?? ''}
+                      onChange={(e) => updateForecast(d.id, e.target.value)}
+                      placeholder={d.remaining.toFixed(1)}
+                      aria-label={`${d.name} remaining days`}
+                      title="Estimate to complete (blank = planned days not yet used)"
+                      min="0"
+                      step="0.25"
+                      className={`w-20 ${inputClass}`}
+                    />
+                  )}
+                </td>
+                <td className="py-2 pr-3 text-right font-semibold text-slate-900">{d.eac.toFixed(1)}</td>
+                <td className={`py-2 text-right font-semibold ${d.variance > 0 ? 'text-red-700' : 'text-green-700'}`}>
+                  {d.variance > 0 ? '+' : ''}{d.variance.toFixed(1)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {analysis.burndown.length > 0 && (
+        <div className="mb-6">
+          <h3 className="text-sm md:text-base font-semibold text-slate-900 mb-2">Burn-down</h3>
+          <ResponsiveContainer width="100%" height={260}>
+            <LineChart data={analysis.burndown} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="week" tick={{ fontSize: 11 }} />
+              <YAxis tick={{ fontSize: 11 }} />
+              <Tooltip formatter={(value) => `${Number(value).toFixed(1)} days`} />
+              <Legend />
+              <ReferenceLine y={0} stroke="#dc2626" strokeDasharray="4 4" />
+              <Line dataKey="remaining" name="Sold days remaining" stroke="#2563eb" isAnimationActive={false} />
+              <Line dataKey="actual" name="Days this week" stroke="#94a3b8" isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-sm md:text-base font-semibold text-slate-900 mb-2">Variance by Party</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-slate-600">
+                <th className="py-2 pr-3 text-left font-semibold">Party</th>
+                <th className="py-2 pr-3 text-right font-semibold">Planned</th>
+                <th className="py-2 pr-3 text-right font-semibold">Actual</th>
+                <th className="py-2 pr-3 text-right font-semibold">EAC</th>
+                <th className="py-2 text-right font-semibold">Variance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(analysis.parties).map(([party, data]) => (
+                <tr key={party} className="border-b border-slate-100">
+                  <td className="py-2 pr-3 font-medium text-slate-800">{party}</td>
+                  <td className="py-2 pr-3 text-right text-slate-700">{data.planned.toFixed(1)}</td>
+                  <td className="py-2 pr-3 text-right text-slate-700">{data.actual.toFixed(1)}</td>
+                  <td className="py-2 pr-3 text-right text-slate-700">{data.eac.toFixed(1)}</td>
+                  <td className={`py-2 text-right font-semibold ${data.variance > 0 ? 'text-red-700' : 'text-green-700'}`}>
+                    {data.variance > 0 ? '+' : ''}{data.variance.toFixed(1)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {showSplit && analysis.actualSplit && (
+          <div>
+            <h3 className="text-sm md:text-base font-semibold text-slate-900 mb-2">Profit Split on Actuals</h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-200 text-slate-600">
+                  <th className="py-2 pr-3 text-left font-semibold">Party</th>
+                  <th className="py-2 pr-3 text-right font-semibold">Agreed</th>
+                  <th className="py-2 pr-3 text-right font-semibold">On Actuals</th>
+                  <th className="py-2 text-right font-semibold">Difference</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(analysis.actualSplit).map(([party, data]) => (
+                  <tr key={party} className="border-b border-slate-100">
+                    <td className="py-2 pr-3 font-medium text-slate-800">{party}</td>
+                    <td className="py-2 pr-3 text-right text-slate-700">
+                      {data.agreedPercentage.toFixed(1)}%
+                      <span className="block text-xs text-slate-400">{formatCurrency(data.agreedRevenue)}</span>
+                    </td>
+                    <td className="py-2 pr-3 text-right text-slate-700">
+                      {data.actualPercentage.toFixed(1)}%
+                      <span className="block text-xs text-slate-400">{formatCurrency(data.actualRevenue)}</span>
+                    </td>
+                    <td className={`py-2 text-right font-semibold ${Math.abs(data.difference) >= 5 ? 'text-amber-700' : 'text-slate-700'}`}>
+                      {data.difference > 0 ? '+' : ''}{data.difference.toFixed(1)} pts
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="mt-2 text-xs text-slate-500">
+              The project's allocation rules applied to the days worked so far. A gap of 5 points or more is highlighted.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ActualsTracker;
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { JOINT_OWNER, normalizeAllocationRules, jointSplitFractions, validateAllocationRules } from './shared/allocationRules';
+
+/**
+ * AllocationRulesEditor Component
+ * Edits a project's allocation rules: the named parties, the account-manager
+ * uplift (percentage or fixed fee), how Joint deliverables are split and each
+ * party's minimum share of revenue.
+ *
+ * @param {Object} rules - Project allocation rules
+ * @param {string} accountManagerParty - Party receiving the uplift
+ * @param {Array<string>} ownersInUse - Parties that own deliverables (can't be removed)
+ * @param {Function} onChange - Called with the updated rules
+ * @param {boolean} readOnly - Show the rules without editing controls
+ */
+const AllocationRulesEditor = ({ rules, accountManagerParty, ownersInUse = [], onChange, readOnly = false }) => {
+  const [newParty, setNewParty] = useState('');
+  const normalized = normalizeAllocationRules(rules);
+  const fractions = jointSplitFractions(normalized);
+  const errors = validateAllocationRules(rules, accountManagerParty);
+
+  const update = (changes) => onChange({ ...normalized, ...changes });
+
+  const canAdd = (name) => name && name !== JOINT_OWNER && !normalized.parties.includes(name);
+
+  const addParty = () => {
+    const name = newParty.trim();
+    if (!canAdd(name)) return;
+    update({
+      parties: [...normalized.parties, name],
+      jointSplit: { ...normalized.jointSplit, [name]: 0 }
+    });
+    setNewParty('');
+  };
+
+  const removeParty = (party) => {
+    const { [party]: _split, ...jointSplit } = normalized.jointSplit;
+    const { [party]: _floor, ...minimumShares } = normalized.minimumShares;
+    update({ parties: normalized.parties.filter(p => p !== party), jointSplit, minimumShares });
+  };
+
+  const inputClass = 'w-24 px-2 py-1 border border-slate-300 rounded-md text-sm text-right focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-100 disabled:text-slate-600';
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row sm:items-end gap-3 mb-4">
+        <div>
+          <label className="block text-xs font-medium text-slate-700 mb-1">Account manager uplift</label>
+          <select
+            value={normalized.uplift.type}
+            onChange={(e) => update({ uplift: { ...normalized.uplift, type: e.target.value } })}
+            disabled={readOnly}
+            className="px-2 py-1 border border-slate-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-100 disabled:text-slate-600"
+          >
+            <option value="percentage">Percentage</option>
+            <option value="fixed">Fixed fee (£)</option>
+          </select>
+        </div>
+        <div>
+          <input
+            type="number"
+            value={normalized.uplift.value}
+            onChange={(e) => update({ uplift: { ...normalized.uplift, value: parseFloat(e.target.value) || 0 } })}
+            disabled={readOnly}
+            aria-label="Uplift value"
+            min="0"
+            step={normalized.uplift.type === 'fixed' ? '100' : '0.5'}
+            className={inputClass}
+          />
+          <span className="ml-1 text-xs text-slate-500">{normalized.uplift.type === 'fixed' ? 'GBP' : '%'} to {accountManagerParty}</span>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-200 text-slate-600">
+              <th className="py-2 pr-3 text-left font-semibold">Party</th>
+              <th className="py-2 pr-3 text-right font-semibold">Joint split ratio</th>
+              <th className="py-2 pr-3 text-right font-semibold">Minimum share %</th>
+              {!readOnly && <th className="py-2 text-right font-semibold"></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {normalized.parties.map(party => (
+              <tr key={party} className="border-b border-slate-100">
+                <td className="py-2 pr-3 font-medium text-slate-800">
+                  {party}
+                  {party === accountManagerParty && <span className="ml-2 text-xs text-blue-600">account manager</span>}
+                </td>
+                <td className="py-2 pr-3 text-right">
+                  <input
+                    type="number"
+                    value={normalized.jointSplit[party]}
+                    onChange={(e) => update({ jointSplit: { ...normalized.jointSplit, [party]: parseFloat(e.target.value) || 0 } })}
+                    disabled={readOnly}
+                    aria-label={`${party} joint split`}
+                    min="0"
+                    className={inputClass}
+                  />
+                  <span className="ml-2 text-xs text-slate-500">{(fractions[party] * 100).toFixed(0)}%</span>
+                </td>
+                <td className="py-2 pr-3 text-right">
+                  <input
+                    type="number"
+                    value={normalized.minimumShares[party] ?? ''}
+                    onChange={(e) => update({ minimumShares: { ...normalized.minimumShares, [party]: parseFloat(e.target.value) || 0 } })}
+                    disabled={readOnly}
+                    placeholder="None"
+                    aria-label={`${party} minimum share`}
+                    min="0"
+                    max="100"
+                    className={inputClass}
+                  />
+                </td>
+                {!readOnly && (
+                  <td className="py-2 text-right">
+                    <button
+                      onClick={() => removeParty(party)}
+                      disabled={normalized.parties.length <= 1 || party === accountManagerParty || ownersInUse.includes(party)}
+                      title={ownersInUse.includes(party) ? 'Reassign this party\'s deliverables first' : undefined}
+                      className="px-2 py-1 text-xs font-semibold text-red-600 border border-red-300 rounded hover:bg-red-50 transition-colors disabled:text-slate-400 disabled:border-slate-200 disabled:hover:bg-transparent disabled:cursor-not-allowed"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {!readOnly && (
+        <div className="flex gap-2 mt-3">
+          <input
+            type="text"
+            value={newParty}
+            onChange={(e) => setNewParty(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addParty()}
+            placeholder="New party name"
+            className="px-3 py-1.5 border border-slate-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            onClick={addParty}
+            disabled={!canAdd(newParty.trim())}
+            className="px-3 py-1.5 bg-blue-600 text-white text-sm font-semibold rounded hover:bg-blue-700 transition-colors disabled:bg-slate-300 disabled:cursor-not-allowed"
+          >
+            + Add Party
+          </button>
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <ul className="mt-3 text-xs text-red-700 list-disc list-inside">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AllocationRulesEditor;
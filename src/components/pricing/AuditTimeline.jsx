@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import { ScrollText } from 'lucide-react';
+import { flattenAuditEntries, filterAuditEvents, formatAuditValue } from './shared/auditTrail';
+
+// Entries loaded per page, newest first
+const PAGE_SIZE = 100;
+
+const ACTION_STYLES = {
+  create: { label: 'Created', className: 'bg-blue-100 text-blue-700' },
+  update: { label: 'Changed', className: 'bg-amber-100 text-amber-800' },
+  delete: { label: 'Deleted', className: 'bg-red-100 text-red-700' }
+};
+
+/**
+ * AuditTimeline Component
+ * Read-only timeline of audit events (who changed which field, when, from what
+ * to what), newest first, with a free-text filter - e.g. "Proaptus days".
+ *
+ * @param {string} title - Heading, e.g. the project name
+ * @param {Function} loadEntries - Called with { offset, limit }; resolves to that page of stored audit entries (see shared/auditTrail.js)
+ * @param {Function} onClose - Callback when user closes modal
+ */
+const AuditTimeline = ({ title, loadEntries, onClose }) => {
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [query, setQuery] = useState('');
+
+  const loadPage = async (offset) => {
+    setIsLoading(true);
+    try {
+      const page = await loadEntries({ offset, limit: PAGE_SIZE });
+      setEntries(prev => (offset === 0 ? page : [...prev, ...page]));
+      setHasMore(page.length === PAGE_SIZE);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+    setIsLoading(false);
+  };
+
+  useEffect(() => {
+    loadPage(0);
+  }, []);
+
+  const events = flattenAuditEntries(entries);
+  const visibleEvents = filterAuditEvents(events, query);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-3 md:p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-5xl w-full p-4 md:p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <h2 className="flex items-center gap-2 text-lg md:text-xl font-bold text-slate-800">
+            <ScrollText className="w-5 h-5" />
+            History: {title}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-slate-600 text-2xl leading-none"
+          >
+            ×
+          </button>
+        </div>
+
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Filter by field, user, value or reason (e.g. Proaptus days)"
+          className="w-full mb-4 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+        )}
+
+        {isLoading && entries.length === 0 ? (
+          <p className="text-sm text-slate-500">Loading history...</p>
+        ) : visibleEvents.length === 0 ? (
+          <p className="text-sm text-slate-500">{events.length === 0 ? 'No changes recorded yet.' : 'No changes match the filter.'}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-200 text-left text-slate-600">
+                  <th className="py-2 pr-3 font-semibold">When</th>
+                  <th className="py-2 pr-3 font-semibold">Who</th>
+                  <th className="py-2 pr-3 font-semibold">Change</th>
+                  <th className="py-2 pr-3 font-semibold">Old value</th>
+                  <th className="py-2 pr-3 font-semibold">New value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleEvents.map((event, index) => {
+                  const action = ACTION_STYLES[event.action] || ACTION_STYLES.update;
+                  return (
+                    <tr key={`${event.timestamp}-${event.path}-${index}`} className="border-b border-slate-100 align-top">
+                      <td className="py-2 pr-3 whitespace-nowrap text-slate-600">{new Date(event.timestamp).toLocaleString()}</td>
+                      <td className="py-2 pr-3 whitespace-nowrap">{event.user?.name || event.user?.username || 'Unknown'}</td>
+                      <td className="py-2 pr-3">
+                        <span className={`inline-block mr-2 px-2 py-0.5 rounded text-xs font-semibold ${action.className}`}>{action.label}</span>
+                        <span className="text-slate-800">{event.label}</span>
+                        {event.reason && (
+                          <div className="text-xs text-slate-500 mt-1">
+                            {event.reason}{event.comment && ` - ${event.comment}`}
+                          </div>
+                        )}
+                      </td>
+                      <td className="py-2 pr-3 text-red-700 break-words max-w-xs">{formatAuditValue(event.oldValue)}</td>
+                      <td className="py-2 pr-3 text-green-700 break-words max-w-xs">{formatAuditValue(event.newValue)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {hasMore && (
+          <button
+            onClick={() => loadPage(entries.length)}
+            disabled={isLoading}
+            className="mt-4 px-4 py-2 text-sm font-semibold text-slate-700 border border-slate-300 rounded hover:bg-slate-50 transition-colors disabled:opacity-50"
+          >
+            {isLoading ? 'Loading...' : 'Load older changes'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditTimeline;
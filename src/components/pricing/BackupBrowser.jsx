@@ -0,0 +1,342 @@
+import React, { useEffect, useState } from 'react';
+import { History, RotateCcw, Undo2 } from 'lucide-react';
+import { diffLibraries } from './shared/libraryDiff';
+import { describeRetentionPolicy } from '../../services/backupRetention';
+
+const STATUS_STYLES = {
+  changed: { label: 'Changed', className: 'bg-amber-100 text-amber-800' },
+  unchanged: { label: 'Unchanged', className: 'bg-slate-100 text-slate-600' },
+  onlyInBackup: { label: 'Deleted since', className: 'bg-red-100 text-red-700' },
+  onlyInCurrent: { label: 'Created since', className: 'bg-blue-100 text-blue-700' }
+};
+
+const RETENTION_FIELDS = [
+  { key: 'keepAllMinutes', label: 'Keep every backup for (minutes)' },
+  { key: 'hourlyForHours', label: 'Then hourly for (hours)' },
+  { key: 'dailyForDays', label: 'Then daily for (days)' },
+  { key: 'weeklyForWeeks', label: 'Then weekly for (weeks, blank = forever)' }
+];
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * BackupBrowser Component
+ * Lists timestamped backups, previews a backup against the current library and
+ * restores one project or the whole library. Restores are snapshotted first so
+ * the last one can be undone.
+ *
+ * @param {Object} projectLibrary - Current projects keyed by id
+ * @param {Function} loadBackups - Resolves to [{ fileName, projectId, timestamp, size, url }]
+ * @param {Function} loadBackup - Called with a backup URL, resolves to projects keyed by id
+ * @param {Function} onRestore - Called with (backup, projectId | null); null restores the whole backup
+ * @param {Function} onUndo - Undo the last restore (only shown when canUndo)
+ * @param {boolean} canUndo - Whether a restore from this session can be undone
+ * @param {Object} retentionPolicy - Backup retention policy (see services/backupRetention.js)
+ * @param {Function} onSaveRetentionPolicy - Called with the edited policy
+ * @param {Function} onClose - Callback when user closes modal
+ */
+const BackupBrowser = ({
+  projectLibrary,
+  loadBackups,
+  loadBackup,
+  onRestore,
+  onUndo,
+  canUndo = false,
+  retentionPolicy,
+  onSaveRetentionPolicy,
+  onClose
+}) => {
+  const [backups, setBackups] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [filter, setFilter] = useState('all');
+  const [selected, setSelected] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [policyDraft, setPolicyDraft] = useState(null);
+
+  const refreshBackups = async () => {
+    setIsLoading(true);
+    try {
+      setBackups(await loadBackups());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+    setIsLoading(false);
+  };
+
+  useEffect(() => {
+    refreshBackups();
+  }, []);
+
+  const selectBackup = async (backup) => {
+    setSelected(backup);
+    setPreview(null);
+    try {
+      setPreview(await loadBackup(backup.url));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const runAction = async (action, confirmMessage) => {
+    if (!confirm(confirmMessage)) return;
+    setIsBusy(true);
+    try {
+      await action();
+      setSelected(null);
+      setPreview(null);
+      await refreshBackups();
+    } catch (err) {
+      setError(err.message);
+    }
+    setIsBusy(false);
+  };
+
+  const savePolicy = async () => {
+    setIsBusy(true);
+    try {
+      await onSaveRetentionPolicy(policyDraft);
+      setPolicyDraft(null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+    setIsBusy(false);
+  };
+
+  const backupLabel = (backup) => {
+    if (backup.projectId === null) return 'Whole library';
+    return projectLibrary[backup.projectId]?.name || backup.projectId;
+  };
+
+  const projectIds = Array.from(new Set(backups.map(b => b.projectId).filter(Boolean)));
+  const visibleBackups = backups.filter(backup => {
+    if (filter === 'all') return true;
+    if (filter === 'library') return backup.projectId === null;
+    return backup.projectId === filter;
+  });
+
+  // Project backups are only compared with their own project, not the whole library
+  const diff = preview
+    ? diffLibraries(
+      selected.projectId === null
+        ? projectLibrary
+        : Object.fromEntries(Object.entries(projectLibrary).filter(([id]) => preview[id])),
+      preview
+    )
+    : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-3 md:p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-5xl w-full p-4 md:p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <h2 className="flex items-center gap-2 text-lg md:text-xl font-bold text-slate-800">
+            <History className="w-5 h-5" />
+            Backups
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-slate-600 text-2xl leading-none"
+          >
+            ×
+          </button>
+        </div>
+
+        {/* Retention policy */}
+        <div className="mb-4 p-3 bg-slate-50 border border-slate-200 rounded-lg">
+          <div className="flex items-center justify-between gap-3">
+            <p className="text-sm text-slate-700">
+              <span className="font-semibold">Retention:</span> {describeRetentionPolicy(retentionPolicy)}
+            </p>
+            {!policyDraft && (
+              <button
+                onClick={() => setPolicyDraft({ ...retentionPolicy })}
+                className="px-3 py-1.5 border border-slate-300 text-slate-700 text-sm rounded hover:bg-white transition-colors whitespace-nowrap"
+              >
+                Edit Policy
+              </button>
+            )}
+          </div>
+          {policyDraft && (
+            <div className="mt-3">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-3">
+                {RETENTION_FIELDS.map(field => (
+                  <label key={field.key} className="block text-xs font-medium text-slate-600">
+                    {field.label}
+                    <input
+                      type="number"
+                      min="0"
+                      value={policyDraft[field.key] ?? ''}
+                      onChange={(e) => setPolicyDraft(prev => ({ ...prev, [field.key]: e.target.value }))}
+                      className="mt-1 w-full px-2 py-1 border border-slate-300 rounded text-sm"
+                    />
+                  </label>
+                ))}
+              </div>
+              <div className="flex justify-end gap-2">
+                <button
+                  onClick={() => setPolicyDraft(null)}
+                  className="px-3 py-1.5 border border-slate-300 text-slate-700 text-sm rounded hover:bg-white transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={savePolicy}
+                  disabled={isBusy}
+                  className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded hover:bg-blue-700 transition-colors disabled:opacity-50"
+                >
+                  Save Policy
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {canUndo && (
+          <div className="flex items-center justify-between gap-3 mb-4 p-3 bg-green-50 border border-green-200 rounded-lg">
+            <p className="text-sm text-green-800">Backup restored. The library was snapshotted first.</p>
+            <button
+              onClick={() => runAction(onUndo, 'Undo the last restore?')}
+              disabled={isBusy}
+              className="flex items-center gap-2 px-3 py-1.5 border border-green-300 text-green-800 text-sm font-semibold rounded hover:bg-green-100 transition-colors disabled:opacity-50"
+            >
+              <Undo2 className="w-4 h-4" />
+              Undo Restore
+            </button>
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          {/* Backup list */}
+          <div className="md:col-span-2">
+            <select
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              aria-label="Filter backups"
+              className="w-full mb-3 px-3 py-2 border border-slate-300 rounded-lg text-sm"
+            >
+              <option value="all">All backups</option>
+              <option value="library">Whole-library snapshots</option>
+              {projectIds.map(id => (
+                <option key={id} value={id}>{projectLibrary[id]?.name || id}</option>
+              ))}
+            </select>
+
+            {isLoading ? (
+              <p className="text-sm text-slate-500 p-4">Loading backups...</p>
+            ) : visibleBackups.length === 0 ? (
+              <p className="text-sm text-slate-500 p-4">No backups found.</p>
+            ) : (
+              <div className="space-y-2 max-h-[55vh] overflow-y-auto pr-1">
+                {visibleBackups.map(backup => (
+                  <button
+                    key={backup.url}
+                    type="button"
+                    onClick={() => selectBackup(backup)}
+                    className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                      selected?.url === backup.url ? 'border-blue-600 bg-blue-50' : 'border-slate-200 hover:bg-slate-50'
+                    }`}
+                  >
+                    <p className="text-sm font-semibold text-slate-800 truncate">{backupLabel(backup)}</p>
+                    <p className="text-xs text-slate-500">
+                      {new Date(backup.timestamp).toLocaleDateString()} at {new Date(backup.timestamp).toLocaleTimeString()}
+                    </p>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Preview */}
+          <div className="md:col-span-3">
+            {!selected ? (
+              <p className="text-sm text-slate-500 p-4">Select a backup to compare it with the current library.</p>
+            ) : !preview ? (
+              <p className="text-sm text-slate-500 p-4">Loading preview...</p>
+            ) : (
+              <>
+                <div className="space-y-3 mb-4">
+                  {diff.map(entry => (
+                    <div key={entry.id} className="border border-slate-200 rounded-lg p-3">
+                      <div className="flex items-center justify-between gap-2 mb-2">
+                        <div className="flex items-center gap-2 min-w-0">
+                          <p className="text-sm font-semibold text-slate-800 truncate">{entry.name}</p>
+                          <span className={`px-2 py-0.5 rounded text-xs font-semibold ${STATUS_STYLES[entry.status].className}`}>
+                            {STATUS_STYLES[entry.status].label}
+                          </span>
+                        </div>
+                        {preview[entry.id] && entry.status !== 'unchanged' && (
+                          <button
+                            onClick={() => runAction(
+                              () => onRestore(selected, entry.id),
+                              `Restore "${entry.name}" from this backup?`
+                            )}
+                            disabled={isBusy}
+                            className="flex items-center gap-1 px-2 py-1 bg-blue-600 text-white text-xs font-semibold rounded hover:bg-blue-700 transition-colors whitespace-nowrap disabled:opacity-50"
+                          >
+                            <RotateCcw className="w-3 h-3" />
+                            Restore Project
+                          </button>
+                        )}
+                      </div>
+                      {entry.changes.length > 0 && (
+                        <table className="w-full text-xs">
+                          <thead>
+                            <tr className="text-slate-500">
+                              <th className="text-left font-medium py-1">Field</th>
+                              <th className="text-left font-medium py-1">Current</th>
+                              <th className="text-left font-medium py-1">Backup</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {entry.changes.map(change => (
+                              <tr key={change.field} className="border-t border-slate-100">
+                                <td className="py-1 pr-2 text-slate-600">{change.label}</td>
+                                <td className="py-1 pr-2 text-red-700 break-words">{formatValue(change.current)}</td>
+                                <td className="py-1 text-green-700 break-words">{formatValue(change.backup)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </div>
+                  ))}
+                </div>
+
+                {selected.projectId === null && (
+                  <div className="flex items-center justify-between gap-3 p-3 bg-slate-50 border border-slate-200 rounded-lg">
+                    <p className="text-xs text-slate-600">
+                      Restoring the whole library also removes projects created since this snapshot.
+                    </p>
+                    <button
+                      onClick={() => runAction(
+                        () => onRestore(selected, null),
+                        'Replace the entire library with this snapshot?'
+                      )}
+                      disabled={isBusy}
+                      className="px-3 py-2 bg-red-600 text-white text-sm font-semibold rounded hover:bg-red-700 transition-colors whitespace-nowrap disabled:opacity-50"
+                    >
+                      Restore Entire Library
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackupBrowser;
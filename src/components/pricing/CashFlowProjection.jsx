@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, CartesianGrid } from 'recharts';
+import formatGBP from './shared/formatGBP';
+
+/**
+ * CashFlowProjection Component
+ * Monthly projection of billed, received and recognised revenue and cost,
+ * for the whole project or a single party, with a CSV export for finance.
+ *
+ * @param {Object} cashFlow - Result of buildCashFlow
+ * @param {Function} onExportCsv - Called to download the CSV
+ * @param {Function} formatCurrency - Currency formatter
+ */
+const CashFlowProjection = ({ cashFlow, onExportCsv, formatCurrency = formatGBP }) => {
+  const [view, setView] = useState('total');
+
+  if (cashFlow.months.length === 0) {
+    return (
+      <p className="text-sm text-slate-500">Set a project start date and payment milestones to project cash flow.</p>
+    );
+  }
+
+  const measuresFor = (row) => (view === 'total' ? row.total : row.parties[view]);
+  const totals = cashFlow.totals[view];
+
+  let cumulativeBilled = 0;
+  let cumulativeRecognised = 0;
+  const data = cashFlow.months.map(row => {
+    const measures = measuresFor(row);
+    cumulativeBilled += measures.billed;
+    cumulativeRecognised += measures.recognised;
+    return { label: row.label, ...measures, cumulativeBilled, cumulativeRecognised };
+  });
+
+  const compact = (value) => (Math.abs(value) >= 1000 ? `£${(value / 1000).toFixed(0)}k` : `£${value.toFixed(0)}`);
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-end gap-3 mb-4">
+        <div>
+          <label className="block text-xs font-medium text-slate-700 mb-1">Show</label>
+          <select
+            value={view}
+            onChange={(e) => setView(e.target.value)}
+            className="px-2 py-1 border border-slate-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="total">All parties</option>
+            {cashFlow.parties.map(party => (
+              <option key={party} value={party}>{party}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          onClick={onExportCsv}
+          className="px-3 py-1.5 text-sm font-semibold rounded transition-colors text-blue-600 border border-blue-600 hover:bg-blue-50"
+        >
+          Export CSV
+        </button>
+      </div>
+
+      <ResponsiveContainer width="100%" height={300}>
+        <ComposedChart data={data} margin={{ top: 5, right: 20, bottom: 5, left: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+          <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+          <YAxis tickFormatter={compact} tick={{ fontSize: 11 }} />
+          <Tooltip formatter={(value) => formatCurrency(value)} />
+          <Legend />
+          <Bar dataKey="billed" name="Billed" fill="#3b82f6" isAnimationActive={false} />
+          <Bar dataKey="recognised" name="Recognised" fill="#10b981" isAnimationActive={false} />
+          <Bar dataKey="cost" name="Cost" fill="#94a3b8" isAnimationActive={false} />
+          <Line dataKey="cumulativeBilled" name="Cumulative billed" stroke="#1d4ed8" dot={false} isAnimationActive={false} />
+          <Line dataKey="cumulativeRecognised" name="Cumulative recognised" stroke="#047857" strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      <div className="overflow-x-auto mt-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-200 text-slate-600">
+              <th className="py-2 pr-3 text-left font-semibold">Month</th>
+              <th className="py-2 pr-3 text-right font-semibold">Billed</th>
+              <th className="py-2 pr-3 text-right font-semibold">Cash Received</th>
+              <th className="py-2 pr-3 text-right font-semibold">Recognised</th>
+              <th className="py-2 pr-3 text-right font-semibold">Cost</th>
+              <th className="py-2 text-right font-semibold">Margin</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.map(row => (
+              <tr key={row.label} className="border-b border-slate-100">
+                <td className="py-2 pr-3 text-slate-800">{row.label}</td>
+                <td className="py-2 pr-3 text-right text-slate-700">{formatCurrency(row.billed)}</td>
+                <td className="py-2 pr-3 text-right text-slate-700">{formatCurrency(row.received)}</td>
+                <td className="py-2 pr-3 text-right text-slate-700">{formatCurrency(row.recognised)}</td>
+                <td className="py-2 pr-3 text-right text-slate-700">{formatCurrency(row.cost)}</td>
+                <td className={`py-2 text-right font-semibold ${row.recognised - row.cost < 0 ? 'text-red-700' : 'text-slate-900'}`}>
+                  {formatCurrency(row.recognised - row.cost)}
+                </td>
+              </tr>
+            ))}
+            <tr className="font-semibold text-slate-900 border-t-2 border-slate-300">
+              <td className="py-2 pr-3">Total</td>
+              <td className="py-2 pr-3 text-right">{formatCurrency(totals.billed)}</td>
+              <td className="py-2 pr-3 text-right">{formatCurrency(totals.received)}</td>
+              <td className="py-2 pr-3 text-right">{formatCurrency(totals.recognised)}</td>
+              <td className="py-2 pr-3 text-right">{formatCurrency(totals.cost)}</td>
+              <td className="py-2 text-right">{formatCurrency(totals.recognised - totals.cost)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      {cashFlow.undatedBilled > 0 && (
+        <p className="mt-3 text-xs text-amber-700">
+          {formatCurrency(cashFlow.undatedBilled)} of invoices have no date yet and are not shown.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CashFlowProjection;
@@ -0,0 +1,361 @@
+import React from 'react';
+import formatGBP from './shared/formatGBP';
+import {
+  CHANGE_TYPES,
+  CHANGE_TYPE_LABELS,
+  CHANGE_REQUEST_STATUS_LABELS,
+  createChangeRequest
+} from './shared/changeRequests';
+
+const STATUS_STYLES = {
+  draft: 'bg-slate-100 text-slate-700',
+  submitted: 'bg-amber-100 text-amber-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-700'
+};
+
+const formatDelta = (value, format) => `${value > 0 ? '+' : value < 0 ? '−' : ''}${format(Math.abs(value))}`;
+
+/**
+ * ChangeRequests Component
+ * Raises change requests that add, remove or resize deliverables after the
+ * quote is signed, takes them through submission and approval, and shows the
+ * signed baseline plus each approved variation.
+ *
+ * @param {Array} changeRequests - Project change requests
+ * @param {Object} variations - Result of buildVariations
+ * @param {Array} owners - Parties that can own an added deliverable
+ * @param {Array} roles - Roles that can be given to an added deliverable
+ * @param {Object} currentUser - { username, name } recorded against new and decided requests
+ * @param {boolean} canEdit - Raise, edit and submit requests
+ * @param {boolean} canApprove - Approve or reject submitted requests
+ * @param {Function} onChange - Called with the updated change requests
+ * @param {Function} formatCurrency - Currency formatter
+ */
+const ChangeRequests = ({
+  changeRequests = [],
+  variations,
+  owners = [],
+  roles = [],
+  currentUser = null,
+  canEdit = false,
+  canApprove = false,
+  onChange,
+  formatCurrency = formatGBP
+}) => {
+  const { baseline, contract } = variations;
+  const contractDeliverables = contract.deliverables;
+  const pendingById = Object.fromEntries(variations.pending.map(cr => [cr.id, cr]));
+  const variationById = Object.fromEntries(variations.variations.map(v => [v.id, v]));
+
+  const update = (id, changes) => {
+    onChange(changeRequests.map(cr => (cr.id === id ? { ...cr, ...changes } : cr)));
+  };
+
+  const updateChange = (cr, index, changes) => {
+    update(cr.id, { changes: cr.changes.map((change, i) => (i === index ? { ...change, ...changes } : change)) });
+  };
+
+  const setChangeType = (cr, index, type) => {
+    const firstId = contractDeliverables[0]?.id ?? null;
+    const change = type === 'add'
+      ? { type, deliverable: { name: '', owner: owners[0] || '', role: roles[0] || '', days: 1 } }
+      : type === 'resize'
+        ? { type, deliverableId: firstId, days: contractDeliverables[0]?.days || 0 }
+        : { type, deliverableId: firstId };
+    update(cr.id, { changes: cr.changes.map((existing, i) => (i === index ? change : existing)) });
+  };
+
+  const addChange = (cr) => {
+    update(cr.id, { changes: [...cr.changes, { type: 'add', deliverable: { name: '', owner: owners[0] || '', role: roles[0] || '', days: 1 } }] });
+  };
+
+  const removeChange = (cr, index) => {
+    update(cr.id, { changes: cr.changes.filter((_, i) => i !== index) });
+  };
+
+  const decide = (cr, status) => {
+    update(cr.id, { status, decidedAt: new Date().toISOString(), decidedBy: currentUser });
+  };
+
+  const deliverableName = (id) => contractDeliverables.find(d => d.id === id)?.name || `Deliverable ${id}`;
+
+  const describeChange = (change) => {
+    if (change.type === 'add') return `Add "${change.deliverable?.name}" (${change.deliverable?.days} days, ${change.deliverable?.owner})`;
+    if (change.type === 'remove') return `Remove "${deliverableName(change.deliverableId)}"`;
+    return `Resize "${deliverableName(change.deliverableId)}" to ${change.days} days`;
+  };
+
+  const inputClass = 'px-2 py-1 border border-slate-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+  const buttonClass = 'px-3 py-1 text-xs font-semibold rounded transition-colors';
+
+  return (
+    <div>
+      <div className="overflow-x-auto mb-6">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-200 text-slate-600">
+              <th className="py-2 pr-3 text-left font-semibold">Contract</th>
+              <th className="py-2 pr-3 text-right font-semibold">Days</th>
+              <th className="py-2 pr-3 text-right font-semibold">Price Change</th>
+              <th className="py-2 text-right font-semibold">Contract Value</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="border-b border-slate-100">
+              <td className="py-2 pr-3 font-medium text-slate-800">Signed baseline</td>
+              <td className="py-2 pr-3 text-right text-slate-700">{baseline.soldDays}</td>
+              <td className="py-2 pr-3 text-right text-slate-400">—</td>
+              <td className="py-2 text-right text-slate-700">{formatCurrency(baseline.price)}</td>
+            </tr>
+            {variations.variations.map(v => (
+              <tr key={v.id} className="border-b border-slate-100">
+                <td className="py-2 pr-3 text-slate-800">
+                  <span className="font-mono text-xs text-slate-500 mr-2">{v.reference}</span>{v.title}
+                </td>
+                <td className="py-2 pr-3 text-right text-slate-700">{v.daysDelta > 0 ? '+' : ''}{v.daysDelta}</td>
+                <td className={`py-2 pr-3 text-right font-semibold ${v.priceDelta < 0 ? 'text-red-700' : 'text-green-700'}`}>
+                  {formatDelta(v.priceDelta, formatCurrency)}
+                </td>
+                <td className="py-2 text-right text-slate-700">{formatCurrency(v.price)}</td>
+              </tr>
+            ))}
+            <tr className="font-semibold text-slate-900 border-t-2 border-slate-300">
+              <td className="py-2 pr-3">Current contract</td>
+              <td className="py-2 pr-3 text-right">{contract.soldDays}</td>
+              <td className="py-2 pr-3 text-right">{formatDelta(contract.price - baseline.price, formatCurrency)}</td>
+              <td className="py-2 text-right">{formatCurrency(contract.price)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      {changeRequests.length === 0 && (
+        <p className="text-sm text-slate-500 mb-4">No change requests. Once the quote is signed, raise scope changes here rather than editing deliverables.</p>
+      )}
+
+      <div className="space-y-4">
+        {changeRequests.map(cr => {
+          const pending = pendingById[cr.id];
+          const approved = variationById[cr.id];
+          const editable = canEdit && cr.status === 'draft';
+          const errors = pending?.errors || [];
+
+          return (
+            <div key={cr.id} className="border border-slate-200 rounded-lg p-4">
+              <div className="flex flex-wrap items-start justify-between gap-3 mb-3">
+                <div className="flex-1 min-w-[200px]">
+                  <div className="flex items-center gap-2 mb-1">
+                    <span className="font-mono text-xs text-slate-500">{cr.reference}</span>
+                    <span className={`px-2 py-0.5 rounded text-xs font-semibold ${STATUS_STYLES[cr.status]}`}>
+                      {CHANGE_REQUEST_STATUS_LABELS[cr.status]}
+                    </span>
+                  </div>
+                  {editable ? (
+                    <div className="space-y-2">
+                      <input
+                        type="text"
+                        value={cr.title}
+                        onChange={(e) => update(cr.id, { title: e.target.value })}
+                        placeholder="Title"
+                        aria-label={`${cr.reference} title`}
+                        className={`w-full ${inputClass}`}
+                      />
+                      <textarea
+                        value={cr.reason}
+                        onChange={(e) => update(cr.id, { reason: e.target.value })}
+                        placeholder="Reason for the change"
+                        aria-label={`${cr.reference} reason`}
+                        rows={2}
+                        className={`w-full ${inputClass}`}
+                      />
+                    </div>
+                  ) : (
+                    <>
+                      <p className="font-semibold text-slate-900">{cr.title || 'Untitled'}</p>
+                      {cr.reason && <p className="text-sm text-slate-600">{cr.reason}</p>}
+                    </>
+                  )}
+                </div>
+                <div className="text-right">
+                  {(pending || approved) && (
+                    <>
+                      <p className="text-sm text-slate-700">{(pending || approved).daysDelta > 0 ? '+' : ''}{(pending || approved).daysDelta} days</p>
+                      <p className={`text-lg font-bold ${(pending || approved).priceDelta < 0 ? 'text-red-700' : 'text-green-700'}`}>
+                        {formatDelta((pending || approved).priceDelta, formatCurrency)}
+                      </p>
+                    </>
+                  )}
+                  {cr.decidedAt && (
+                    <p className="text-xs text-slate-500">
+                      {CHANGE_REQUEST_STATUS_LABELS[cr.status]} {new Date(cr.decidedAt).toLocaleDateString('en-GB')}
+                      {cr.decidedBy ? ` by ${cr.decidedBy.name || cr.decidedBy.username}` : ''}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              {editable ? (
+                <div className="space-y-2">
+                  {cr.changes.map((change, index) => (
+                    <div key={index} className="flex flex-wrap items-center gap-2">
+                      <select
+                        value={change.type}
+                        onChange={(e) => setChangeType(cr, index, e.target.value)}
+                        aria-label="Change type"
+                        className={inputClass}
+                      >
+                        {CHANGE_TYPES.map(type => (
+                          <option key={type} value={type}>{CHANGE_TYPE_LABELS[type]}</option>
+                        ))}
+                      </select>
+                      {change.type === 'add' ? (
+                        <>
+                          <input
+                            type="text"
+                            value={change.deliverable.name}
+                            onChange={(e) => updateChange(cr, index, { deliverable: { ...change.deliverable, name: e.target.value } })}
+                            placeholder="Deliverable name"
+                            aria-label="New deliverable name"
+                            className={`flex-1 min-w-[150px] ${inputClass}`}
+                          />
+                          <select
+                            value={change.deliverable.owner}
+                            onChange={(e) => updateChange(cr, index, { deliverable: { ...change.deliverable, owner: e.target.value } })}
+                            aria-label="New deliverable owner"
+                            className={inputClass}
+                          >
+                            {owners.map(owner => <option key={owner} value={owner}>{owner}</option>)}
+                          </select>
+                          <select
+                            value={change.deliverable.role}
+                            onChange={(e) => updateChange(cr, index, { deliverable: { ...change.deliverable, role: e.target.value } })}
+                            aria-label="New deliverable role"
+                            className={inputClass}
+                          >
+                            {roles.map(role => <option key={role} value={role}>{role}</option>)}
+                          </select>
+                          <input
+                            type="number"
+                            value={change.deliverable.days}
+                            onChange={(e) => updateChange(cr, index, { deliverable: { ...change.deliverable, days: parseFloat(e.target.value) || 0 } })}
+                            aria-label="New deliverable days"
+                            min="0"
+                            step="0.5"
+                            className={`w-20 text-right ${inputClass}`}
+                          />
+                        </>
+                      ) : (
+                        <>
+                          <select
+                            value={change.deliverableId ?? ''}
+                            onChange={(e) => updateChange(cr, index, { deliverableId: Number(e.target.value) })}
+                            aria-label="Deliverable"
+                            className={`flex-1 min-w-[150px] ${inputClass}`}
+                          >
+                            {contractDeliverables.map(d => (
+                              <option key={d.id} value={d.id}>{d.name} ({d.days} days)</option>
+                            ))}
+                          </select>
+                          {change.type === 'resize' && (
+                            <input
+                              type="number"
+                              value={change.days}
+                              onChange={(e) => updateChange(cr, index, { days: parseFloat(e.target.value) || 0 })}
+                              aria-label="New days"
+                              min="0"
+                              step="0.5"
+                              className={`w-20 text-right ${inputClass}`}
+                            />
+                          )}
+                        </>
+                      )}
+                      <button
+                        onClick={() => removeChange(cr, index)}
+                        className="text-red-600 hover:text-red-700 text-xs font-semibold"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    onClick={() => addChange(cr)}
+                    className="text-blue-600 hover:text-blue-700 text-xs font-semibold"
+                  >
+                    + Add Change
+                  </button>
+                </div>
+              ) : (
+                <ul className="text-sm text-slate-700 list-disc list-inside">
+                  {cr.changes.map((change, index) => <li key={index}>{describeChange(change)}</li>)}
+                </ul>
+              )}
+
+              {errors.length > 0 && cr.status !== 'rejected' && (
+                <ul className="mt-2 text-xs text-red-700 list-disc list-inside">
+                  {errors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+              )}
+
+              <div className="flex flex-wrap gap-2 mt-3">
+                {editable && (
+                  <>
+                    <button
+                      onClick={() => update(cr.id, { status: 'submitted' })}
+                      disabled={errors.length > 0}
+                      className={`${buttonClass} bg-blue-600 text-white hover:bg-blue-700 disabled:bg-slate-300 disabled:cursor-not-allowed`}
+                    >
+                      Submit for Approval
+                    </button>
+                    <button
+                      onClick={() => onChange(changeRequests.filter(other => other.id !== cr.id))}
+                      className={`${buttonClass} text-red-600 border border-red-600 hover:bg-red-50`}
+                    >
+                      Delete Draft
+                    </button>
+                  </>
+                )}
+                {cr.status === 'submitted' && canEdit && (
+                  <button
+                    onClick={() => update(cr.id, { status: 'draft' })}
+                    className={`${buttonClass} text-slate-600 border border-slate-400 hover:bg-slate-50`}
+                  >
+                    Withdraw
+                  </button>
+                )}
+                {cr.status === 'submitted' && canApprove && (
+                  <>
+                    <button
+                      onClick={() => decide(cr, 'approved')}
+                      disabled={errors.length > 0}
+                      className={`${buttonClass} bg-green-600 text-white hover:bg-green-700 disabled:bg-slate-300 disabled:cursor-not-allowed`}
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => decide(cr, 'rejected')}
+                      className={`${buttonClass} text-red-600 border border-red-600 hover:bg-red-50`}
+                    >
+                      Reject
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {canEdit && (
+        <button
+          onClick={() => onChange([...changeRequests, createChangeRequest(changeRequests, currentUser)])}
+          className="mt-4 px-3 py-1.5 text-sm font-semibold rounded transition-colors text-blue-600 border border-blue-600 hover:bg-blue-50"
+        >
+          + New Change Request
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ChangeRequests;
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { ChevronDown } from 'lucide-react';
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip } from 'recharts';
+import { TAX_TREATMENTS, TAX_TREATMENT_LABELS, normalizeTaxSettings, calculateTax, taxLabel, taxNote } from './shared/tax';
 
 /**
  * ClientQuoteSummary Component
@@ -14,8 +15,9 @@ import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip } from 'recharts';
  * @param {Function} props.formatGBP - Currency formatting function
  * @param {Object} props.inputs - User input parameters for assumptions display
  * @param {string} props.scenario - Current pricing scenario
+ * @param {Function} props.onTaxChange - Called with updated tax settings (omit to hide the selector)
  */
-const ClientQuoteSummary = ({ model, formatGBP, inputs, scenario }) => {
+const ClientQuoteSummary = ({ model, formatGBP, inputs, scenario, onTaxChange }) => {
   const [quoteVariant, setQuoteVariant] = useState('short'); // 'short' or 'detailed'
   const [expandedAssumptions, setExpandedAssumptions] = useState(false);
 
@@ -29,6 +31,16 @@ const ClientQuoteSummary = ({ model, formatGBP, inputs, scenario }) => {
   const monthlyOpexPrice = model.opexTotalPrice; // opexTotalPrice is monthly, opexAnnualPrice is yearly
   const annualOpexPrice = model.opexAnnualPrice;
 
+  // Net, VAT and gross from the tax settings
+  const taxSettings = normalizeTaxSettings(inputs.taxSettings);
+  const vatLabel = taxLabel(taxSettings);
+  const note = taxNote(taxSettings);
+  const taxRows = [
+    { label: 'Initial Platform Setup (CAPEX)', ...calculateTax(capexPrice, taxSettings) },
+    { label: 'Monthly OPEX', ...calculateTax(monthlyOpexPrice, taxSettings) },
+    { label: 'Annual OPEX (12 months)', ...calculateTax(annualOpexPrice, taxSettings) }
+  ];
+
   // ROM Quote ranges (±15% with rounding for conservative estimate)
   const capexLow = roundTo(capexPrice * 0.85);
   const capexHigh = roundTo(capexPrice * 1.15);
@@ -88,6 +100,10 @@ const ClientQuoteSummary = ({ model, formatGBP, inputs, scenario }) => {
 
       </div>
 
+      <p className="text-xs text-slate-600">
+        All prices exclude VAT. {taxSettings.treatment === 'standard' ? `VAT is charged at ${taxSettings.rate}%.` : note}
+      </p>
+
       {/* Scope Summary */}
       <div className="mt-6 p-4 bg-slate-50 rounded-lg border border-slate-200">
         <h4 className="font-semibold text-slate-900 mb-3">Scope of Work</h4>
@@ -260,6 +276,31 @@ const ClientQuoteSummary = ({ model, formatGBP, inputs, scenario }) => {
           </div>
         </div>
 
+        {/* Net, VAT and Gross */}
+        <div className="border rounded-lg overflow-hidden">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="bg-slate-50 border-b border-slate-200 text-slate-600">
+                <th className="p-3 text-left font-semibold"></th>
+                <th className="p-3 text-right font-semibold">Net</th>
+                <th className="p-3 text-right font-semibold">{vatLabel}</th>
+                <th className="p-3 text-right font-semibold">Gross</th>
+              </tr>
+            </thead>
+            <tbody>
+              {taxRows.map(row => (
+                <tr key={row.label} className="border-b border-slate-100">
+                  <td className="p-3 text-slate-700">{row.label}</td>
+                  <td className="p-3 text-right text-slate-700">{formatGBP(row.net)}</td>
+                  <td className="p-3 text-right text-slate-700">{formatGBP(row.tax)}</td>
+                  <td className="p-3 text-right font-semibold text-slate-900">{formatGBP(row.gross)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {note && <p className="p-3 text-xs text-slate-600 border-t border-slate-200">{note}</p>}
+        </div>
+
       </div>
 
       {/* Key Assumptions - Collapsible */}
@@ -363,6 +404,31 @@ const ClientQuoteSummary = ({ model, formatGBP, inputs, scenario }) => {
       <div className="flex items-center justify-between mb-6 pb-4 border-b border-slate-200">
         <h2 className="text-xl font-bold text-slate-800">Professional Quote</h2>
         <div className="flex gap-2">
+          {onTaxChange && (
+            <>
+              <select
+                value={taxSettings.treatment}
+                onChange={(e) => onTaxChange({ ...taxSettings, treatment: e.target.value })}
+                aria-label="Tax"
+                className="px-2 py-2 border border-slate-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {TAX_TREATMENTS.map(treatment => (
+                  <option key={treatment} value={treatment}>{TAX_TREATMENT_LABELS[treatment]}</option>
+                ))}
+              </select>
+              {taxSettings.treatment === 'standard' && (
+                <input
+                  type="number"
+                  value={taxSettings.rate}
+                  onChange={(e) => onTaxChange({ ...taxSettings, rate: parseFloat(e.target.value) || 0 })}
+                  min="0"
+                  step="0.5"
+                  aria-label="VAT %"
+                  className="w-20 px-2 py-2 border border-slate-300 rounded text-sm text-right focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              )}
+            </>
+          )}
           <button
             onClick={() => setQuoteVariant('short')}
             className={`px-4 py-2 rounded text-sm font-semibold transition-colors ${
@@ -0,0 +1,222 @@
+import React from 'react';
+import formatGBP from './shared/formatGBP';
+import { ADJUSTMENT_TYPES, ADJUSTMENT_TYPE_LABELS, createAdjustment } from './shared/commercialAdjustments';
+
+/**
+ * CommercialAdjustments Component
+ * Edits the stack of discounts and fixed-price caps applied to the gross
+ * price, each with a reason, and shows gross price, net price and each
+ * party's share of the discount.
+ *
+ * @param {Array} adjustments - Project adjustments, in the order they apply
+ * @param {Object} result - model.commercialAdjustments
+ * @param {Array} parties - Parties that can bear a discount on their own
+ * @param {boolean} showInternal - Show who bears each discount and the party shares
+ * @param {boolean} canEdit - Add, edit, reorder and remove adjustments
+ * @param {Function} onChange - Called with the updated adjustments
+ * @param {Function} formatCurrency - Currency formatter
+ */
+const CommercialAdjustments = ({
+  adjustments = [],
+  result,
+  parties = [],
+  showInternal = false,
+  canEdit = false,
+  onChange,
+  formatCurrency = formatGBP
+}) => {
+  const stepById = Object.fromEntries(result.steps.map(step => [step.id, step]));
+
+  const update = (id, changes) => {
+    onChange(adjustments.map(a => (a.id === id ? { ...a, ...changes } : a)));
+  };
+
+  const move = (index, offset) => {
+    const next = [...adjustments];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  const setType = (adjustment, type) => {
+    update(adjustment.id, type === 'cap' ? { type, valueType: 'fixed' } : { type });
+  };
+
+  const inputClass = 'px-2 py-1 border border-slate-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="rounded-lg border border-slate-200 bg-slate-50 p-5">
+          <p className="text-sm font-semibold text-slate-700 uppercase tracking-wide mb-1">Gross Price</p>
+          <p className="text-3xl font-bold text-slate-900">{formatCurrency(result.gross)}</p>
+        </div>
+        <div className="rounded-lg border border-slate-200 bg-slate-50 p-5">
+          <p className="text-sm font-semibold text-slate-700 uppercase tracking-wide mb-1">Discount</p>
+          <p className="text-3xl font-bold text-red-700">{result.discount > 0 ? `−${formatCurrency(result.discount)}` : formatCurrency(0)}</p>
+          <p className="text-sm text-slate-500 mt-2">
+            {result.gross > 0 ? ((result.discount / result.gross) * 100).toFixed(1) : '0.0'}% of the gross price
+          </p>
+        </div>
+        <div className="rounded-lg border border-slate-200 bg-slate-50 p-5">
+          <p className="text-sm font-semibold text-slate-700 uppercase tracking-wide mb-1">Net Price</p>
+          <p className="text-3xl font-bold text-slate-900">{formatCurrency(result.net)}</p>
+        </div>
+      </div>
+
+      {adjustments.length === 0 ? (
+        <p className="text-sm text-slate-500 mb-4">No discounts or caps. The client pays the gross price.</p>
+      ) : (
+        <div className="overflow-x-auto mb-4">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-slate-600">
+                <th className="py-2 pr-3 text-left font-semibold">Adjustment</th>
+                <th className="py-2 pr-3 text-left font-semibold">Reason</th>
+                <th className="py-2 pr-3 text-right font-semibold">Value</th>
+                {showInternal && <th className="py-2 pr-3 text-left font-semibold">Borne By</th>}
+                <th className="py-2 pr-3 text-right font-semibold">Discount</th>
+                <th className="py-2 pr-3 text-right font-semibold">Price After</th>
+                {canEdit && <th className="py-2"></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {adjustments.map((adjustment, index) => {
+                const step = stepById[adjustment.id];
+                return (
+                  <tr key={adjustment.id} className="border-b border-slate-100">
+                    <td className="py-2 pr-3">
+                      {canEdit ? (
+                        <select value={adjustment.type} onChange={(e) => setType(adjustment, e.target.value)} className={inputClass}>
+                          {ADJUSTMENT_TYPES.map(type => (
+                            <option key={type} value={type}>{ADJUSTMENT_TYPE_LABELS[type]}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className="font-medium text-slate-800">{ADJUSTMENT_TYPE_LABELS[adjustment.type]}</span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-3">
+                      {canEdit ? (
+                        <input
+                          type="text"
+                          value={adjustment.reason}
+                          onChange={(e) => update(adjustment.id, { reason: e.target.value })}
+                          placeholder="Why the client gets this"
+                          className={`w-full ${inputClass}`}
+                        />
+                      ) : (
+                        <span className="text-slate-700">{adjustment.reason}</span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-3 text-right whitespace-nowrap">
+                      {canEdit ? (
+                        <>
+                          <input
+                            type="number"
+                            min="0"
+                            value={adjustment.value}
+                            onChange={(e) => update(adjustment.id, { value: e.target.value === '' ? '' : Number(e.target.value) })}
+                            aria-label={adjustment.type === 'cap' ? 'Cap' : 'Discount'}
+                            className={`w-24 text-right ${inputClass}`}
+                          />
+                          {adjustment.type !== 'cap' && (
+                            <select
+                              value={adjustment.valueType}
+                              onChange={(e) => update(adjustment.id, { valueType: e.target.value })}
+                              className={`ml-1 ${inputClass}`}
+                            >
+                              <option value="percentage">%</option>
+                              <option value="fixed">£</option>
+                            </select>
+                          )}
+                        </>
+                      ) : adjustment.type !== 'cap' && adjustment.valueType === 'percentage'
+                        ? `${adjustment.value}%`
+                        : formatCurrency(Number(adjustment.value) || 0)}
+                    </td>
+                    {showInternal && (
+                      <td className="py-2 pr-3">
+                        {canEdit ? (
+                          <select
+                            value={adjustment.borneBy || ''}
+                            onChange={(e) => update(adjustment.id, { borneBy: e.target.value })}
+                            className={inputClass}
+                          >
+                            <option value="">Shared</option>
+                            {parties.map(party => (
+                              <option key={party} value={party}>{party}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <span className="text-slate-600">{adjustment.borneBy || 'Shared'}</span>
+                        )}
+                      </td>
+                    )}
+                    <td className="py-2 pr-3 text-right font-semibold text-red-700">
+                      {step?.amount ? `−${formatCurrency(step.amount)}` : '—'}
+                    </td>
+                    <td className="py-2 pr-3 text-right text-slate-700">{formatCurrency(step?.priceAfter ?? result.net)}</td>
+                    {canEdit && (
+                      <td className="py-2 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => move(index, -1)}
+                          disabled={index === 0}
+                          className="text-slate-500 hover:text-slate-700 disabled:opacity-30 text-xs font-semibold mr-2"
+                          aria-label="Move up"
+                        >
+                          ↑
+                        </button>
+                        <button
+                          onClick={() => move(index, 1)}
+                          disabled={index === adjustments.length - 1}
+                          className="text-slate-500 hover:text-slate-700 disabled:opacity-30 text-xs font-semibold mr-2"
+                          aria-label="Move down"
+                        >
+                          ↓
+                        </button>
+                        <button
+                          onClick={() => onChange(adjustments.filter(a => a.id !== adjustment.id))}
+                          className="text-red-600 hover:text-red-700 text-xs font-semibold"
+                        >
+                          Remove
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {canEdit && (
+        <button
+          onClick={() => onChange([...adjustments, createAdjustment(adjustments)])}
+          className="text-blue-600 hover:text-blue-700 text-sm font-semibold mb-4"
+        >
+          + Add Adjustment
+        </button>
+      )}
+
+      {showInternal && result.discount > 0 && (
+        <div>
+          <h3 className="text-sm md:text-base font-semibold text-slate-900 mb-2">Discount by Party</h3>
+          <table className="w-full text-sm max-w-md">
+            <tbody>
+              {Object.entries(result.parties).map(([party, discount]) => (
+                <tr key={party} className="border-b border-slate-100">
+                  <td className="py-2 pr-3 font-medium text-slate-800">{party}</td>
+                  <td className="py-2 pr-3 text-right font-semibold text-red-700">−{formatCurrency(discount)}</td>
+                  <td className="py-2 text-right text-slate-500">{((discount / result.discount) * 100).toFixed(1)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommercialAdjustments;
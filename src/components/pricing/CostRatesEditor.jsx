@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { RESOURCE_TYPES, RESOURCE_TYPE_LABELS } from './shared/costModel';
+
+/**
+ * CostRatesEditor Component
+ * Modal for the central day cost rates used for margins: one rate per party,
+ * role and resource type (internal staff vs contractor). Shared by all projects.
+ *
+ * @param {Object} costRates - Current cost rates ({ rates, lastChanged })
+ * @param {Array<string>} parties - Parties to show (the project's plus any with rates)
+ * @param {Array<string>} roles - Roles to show
+ * @param {boolean} readOnly - View without editing (non-admins)
+ * @param {Function} onSave - async (costRates) => void
+ * @param {Function} onClose - Callback to close the modal
+ */
+const CostRatesEditor = ({ costRates, parties, roles, readOnly = false, onSave, onClose }) => {
+  const [rates, setRates] = useState(() => JSON.parse(JSON.stringify(costRates?.rates || {})));
+  const [reason, setReason] = useState('');
+  const [comment, setComment] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const updateRate = (party, role, type, value) => {
+    setRates(prev => ({
+      ...prev,
+      [party]: {
+        ...prev[party],
+        [role]: { ...prev[party]?.[role], [type]: value === '' ? '' : parseFloat(value) }
+      }
+    }));
+  };
+
+  const save = async () => {
+    setIsSaving(true);
+    try {
+      await onSave({ rates, lastChanged: { date: new Date().toISOString(), reason, comment } });
+      onClose();
+    } catch (error) {
+      alert(`Failed to save cost rates: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-3 md:p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-4 md:p-6 border-b border-slate-200 flex justify-between items-start">
+          <div>
+            <h2 className="text-lg md:text-xl font-bold text-slate-800">Cost Rates</h2>
+            <p className="text-sm text-slate-600 mt-1">
+              Day cost per party, role and resource type. Used for margins on every project.
+              {costRates?.lastChanged?.date && ` Last changed ${new Date(costRates.lastChanged.date).toLocaleDateString()}${costRates.lastChanged.reason ? ` (${costRates.lastChanged.reason})` : ''}.`}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-slate-600 text-2xl leading-none"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="p-4 md:p-6 space-y-6">
+          {parties.map(party => (
+            <div key={party}>
+              <h3 className="text-sm font-semibold text-slate-700 mb-2">{party}</h3>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-slate-200 text-slate-600">
+                    <th className="py-2 pr-3 text-left font-semibold">Role</th>
+                    {RESOURCE_TYPES.map(type => (
+                      <th key={type} className="py-2 pr-3 text-right font-semibold">{RESOURCE_TYPE_LABELS[type]} (£/day)</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {roles.map(role => (
+                    <tr key={role} className="border-b border-slate-100">
+                      <td className="py-2 pr-3 text-slate-800">{role}</td>
+                      {RESOURCE_TYPES.map(type => (
+                        <td key={type} className="py-2 pr-3 text-right">
+                          <input
+                            type="number"
+                            value={rates[party]?.[role]?.[type] ?? ''}
+                            onChange={(e) => updateRate(party, role, type, e.target.value)}
+                            disabled={readOnly}
+                            placeholder="Not set"
+                            aria-label={`${party} ${role} ${RESOURCE_TYPE_LABELS[type]} cost`}
+                            min="0"
+                            step="10"
+                            className="w-28 px-2 py-1 border border-slate-300 rounded-md text-sm text-right focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-100 disabled:text-slate-600"
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+
+          {!readOnly && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">Reason for Change *</label>
+                <select
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">-- Select a reason --</option>
+                  <option value="Pay review">Pay review</option>
+                  <option value="Contractor rates">Contractor rate change</option>
+                  <option value="Correction">Correction (Fix previous error)</option>
+                  <option value="Adjustment">Adjustment</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">Additional Notes (optional)</label>
+                <input
+                  type="text"
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                />
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 md:p-6 border-t border-slate-200 flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-semibold text-slate-700 border border-slate-300 rounded hover:bg-slate-50 transition-colors"
+          >
+            {readOnly ? 'Close' : 'Cancel'}
+          </button>
+          {!readOnly && (
+            <button
+              onClick={save}
+              disabled={!reason || isSaving}
+              className="px-4 py-2 text-sm font-semibold text-white bg-blue-600 rounded hover:bg-blue-700 transition-colors disabled:bg-slate-300 disabled:cursor-not-allowed"
+            >
+              {isSaving ? 'Saving...' : 'Save Cost Rates'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CostRatesEditor;
@@ -0,0 +1,106 @@
+import React from 'react';
+import formatGBP from './shared/formatGBP';
+import { RECONCILIATION_MODES, RECONCILIATION_MODE_LABELS, normalizeReconciliation } from './shared/reconciliation';
+
+const formatDays = (days) => (Number.isInteger(days) ? String(days) : days.toFixed(2));
+
+/**
+ * DaysReconciliation Component
+ * Compares sold days with the days in the deliverables and lets the project
+ * choose how a gap is handled: scale the deliverables, price the gap as one
+ * party's contingency, or block saving until the two match. Nothing is
+ * applied until a mode is chosen.
+ *
+ * @param {Object} reconciliation - Project reconciliation settings (null until a mode is chosen)
+ * @param {Object} summary - model.reconciliation
+ * @param {Array} parties - Parties that can own the contingency
+ * @param {boolean} showInternal - Show and choose the contingency party
+ * @param {boolean} canEdit - Change the reconciliation mode
+ * @param {Function} onChange - Called with the updated reconciliation settings
+ * @param {Function} formatCurrency - Currency formatter
+ */
+const DaysReconciliation = ({
+  reconciliation,
+  summary,
+  parties = [],
+  showInternal = false,
+  canEdit = false,
+  onChange,
+  formatCurrency = formatGBP
+}) => {
+  const settings = normalizeReconciliation(reconciliation);
+  const mode = reconciliation ? settings.mode : '';
+  const { soldDays, deliverableDays, gap, gapPercentage, matches } = summary;
+
+  const inputClass = 'px-2 py-1 border border-slate-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  const outcome = () => {
+    if (matches) return 'Sold days and deliverable days match.';
+    if (!mode) return 'Not reconciled: deliverable days are used as entered. Choose how the gap is handled.';
+    if (mode === 'scale') {
+      return `Deliverable days are scaled by ${summary.factor.toFixed(3)} so they add up to the ${formatDays(soldDays)} sold days.`;
+    }
+    if (mode === 'contingency') {
+      const owner = showInternal ? ` owned by ${summary.contingencyParty}` : '';
+      return gap > 0
+        ? `${formatDays(gap)} days (${formatCurrency(summary.contingencyRevenue)}) are held as contingency${owner}.`
+        : `${formatDays(-gap)} days of deliverables are not sold; the overrun (${formatCurrency(-summary.contingencyRevenue)}) is absorbed${owner}.`;
+    }
+    return 'Saving is blocked until the deliverable days match the sold days.';
+  };
+
+  return (
+    <div className={`rounded-lg border p-4 mb-6 ${matches ? 'border-slate-200 bg-slate-50' : summary.blocksSaving ? 'border-red-200 bg-red-50' : 'border-amber-200 bg-amber-50'}`}>
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <p className="text-sm font-semibold text-slate-700 uppercase tracking-wide mb-1">Days Reconciliation</p>
+          <p className="text-sm text-slate-700">
+            <span className="font-semibold">{formatDays(soldDays)}</span> sold
+            {' · '}
+            <span className="font-semibold">{formatDays(deliverableDays)}</span> in deliverables
+            {' · '}
+            gap <span className={`font-semibold ${matches ? 'text-slate-700' : 'text-amber-800'}`}>
+              {gap > 0 ? '+' : ''}{formatDays(gap)} days
+            </span>
+            {!matches && <span className="text-slate-500"> ({gapPercentage.toFixed(1)}% of sold days)</span>}
+          </p>
+          <p className={`text-sm mt-1 ${summary.blocksSaving ? 'font-semibold text-red-700' : 'text-slate-600'}`}>{outcome()}</p>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <label className="block text-xs font-medium text-slate-700 mb-1">When the days differ</label>
+            <select
+              value={mode}
+              onChange={(e) => onChange({ ...settings, mode: e.target.value })}
+              disabled={!canEdit}
+              className={inputClass}
+            >
+              {!mode && <option value="">Choose a mode…</option>}
+              {RECONCILIATION_MODES.map(mode => (
+                <option key={mode} value={mode}>{RECONCILIATION_MODE_LABELS[mode]}</option>
+              ))}
+            </select>
+          </div>
+          {showInternal && mode === 'contingency' && (
+            <div>
+              <label className="block text-xs font-medium text-slate-700 mb-1">Contingency owner</label>
+              <select
+                value={settings.contingencyParty}
+                onChange={(e) => onChange({ ...settings, contingencyParty: e.target.value })}
+                disabled={!canEdit}
+                className={inputClass}
+              >
+                {parties.map(party => (
+                  <option key={party} value={party}>{party}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DaysReconciliation;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Cell, ReferenceLine } from 'recharts';
+import { parseDate, formatDate, daysBetween } from './shared/schedule';
+
+const OWNER_COLOURS = ['#2563eb', '#0f766e', '#7c3aed', '#c2410c', '#0369a1', '#4d7c0f'];
+
+/**
+ * DeliveryGantt Component
+ * Gantt chart of the delivery schedule: one bar per scheduled deliverable,
+ * coloured by owner. Bars outside the project dates or clashing with another
+ * deliverable for the same party and role are shown in red.
+ *
+ * @param {Object} schedule - Result of buildSchedule
+ * @param {Array<string>} owners - Owners in display order (for colours)
+ * @param {string} endDate - Project end date ('YYYY-MM-DD'), drawn as a reference line
+ */
+const DeliveryGantt = ({ schedule, owners = [], endDate = '' }) => {
+  if (!schedule.scheduled) {
+    return (
+      <p className="text-sm text-slate-500">Set a project start date (or a start date on a deliverable) to build the schedule.</p>
+    );
+  }
+
+  const colourFor = (owner) => OWNER_COLOURS[Math.max(owners.indexOf(owner), 0) % OWNER_COLOURS.length];
+  const projectEnd = parseDate(endDate);
+
+  // Stacked bars: an invisible offset from the schedule start, then the deliverable itself
+  const data = schedule.items
+    .filter(item => item.start)
+    .sort((a, b) => a.start - b.start)
+    .map(item => ({
+      ...item,
+      label: item.name,
+      offset: daysBetween(schedule.start, item.start),
+      length: daysBetween(item.start, item.end) + 1,
+      flagged: item.outsideProject || item.overlapping
+    }));
+  const projectEndDay = projectEnd ? daysBetween(schedule.start, projectEnd) + 1 : null;
+  const span = Math.max(...data.map(item => item.offset + item.length), projectEndDay || 0);
+
+  const renderTooltip = ({ active, payload }) => {
+    if (!active || !payload?.length) return null;
+    const item = payload[0].payload;
+    return (
+      <div className="bg-white border border-slate-200 rounded shadow px-3 py-2 text-xs">
+        <p className="font-semibold text-slate-900">{item.name}</p>
+        <p className="text-slate-600">{item.owner} • {item.role}</p>
+        <p className="text-slate-600">{formatDate(item.start)} to {formatDate(item.end)} ({item.durationDays} working days)</p>
+        {item.outsideProject && <p className="text-red-700">Outside the project dates</p>}
+        {item.overlapping && <p className="text-red-700">Overlaps another {item.owner} {item.role} deliverable</p>}
+      </div>
+    );
+  };
+
+  return (
+    <ResponsiveContainer width="100%" height={Math.max(data.length * 36 + 40, 120)}>
+      <BarChart data={data} layout="vertical" margin={{ top: 5, right: 20, bottom: 5, left: 10 }}>
+        <XAxis
+          type="number"
+          domain={[0, span]}
+          tickFormatter={(day) => formatDate(new Date(schedule.start.getTime() + day * 86400000)).slice(5)}
+          tick={{ fontSize: 11 }}
+        />
+        <YAxis type="category" dataKey="label" width={160} tick={{ fontSize: 11 }} />
+        <Tooltip content={renderTooltip} cursor={{ fill: '#f1f5f9' }} />
+        <Bar dataKey="offset" stackId="gantt" fill="transparent" isAnimationActive={false} />
+        <Bar dataKey="length" stackId="gantt" radius={[3, 3, 3, 3]} isAnimationActive={false}>
+          {data.map(item => (
+            <Cell key={item.id} fill={item.flagged ? '#dc2626' : colourFor(item.owner)} />
+          ))}
+        </Bar>
+        {projectEndDay > 0 && (
+          <ReferenceLine
+            x={projectEndDay}
+            stroke="#dc2626"
+            strokeDasharray="4 4"
+            label={{ value: 'Project end', position: 'top', fontSize: 10, fill: '#dc2626' }}
+          />
+        )}
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+export default DeliveryGantt;
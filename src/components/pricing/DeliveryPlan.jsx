@@ -0,0 +1,139 @@
+import React from 'react';
+import DeliveryGantt from './DeliveryGantt';
+import { formatDate } from './shared/schedule';
+
+/**
+ * DeliveryPlan Component
+ * Time-phased plan for the project's deliverables: start date, duration and
+ * predecessors per deliverable, the resulting dates and a Gantt chart.
+ *
+ * @param {Array} deliverables - Project deliverables
+ * @param {Object} schedule - Result of buildSchedule for those deliverables
+ * @param {string} startDate - Project start date
+ * @param {string} endDate - Project end date
+ * @param {Array<string>} owners - Owners in display order (for Gantt colours)
+ * @param {boolean} readOnly - Show the plan without editing controls
+ * @param {Function} onUpdate - (id, field, value) => void
+ */
+const DeliveryPlan = ({ deliverables, schedule, startDate = '', endDate = '', owners = [], readOnly = false, onUpdate }) => {
+  const itemsById = Object.fromEntries(schedule.items.map(item => [item.id, item]));
+  const nameOf = (id) => deliverables.find(d => d.id === id)?.name || `#${id}`;
+
+  const addPredecessor = (d, id) => {
+    if (!id) return;
+    onUpdate(d.id, 'predecessors', [...(d.predecessors || []), Number(id)]);
+  };
+
+  const removePredecessor = (d, id) => {
+    onUpdate(d.id, 'predecessors', (d.predecessors || []).filter(p => p !== id));
+  };
+
+  const inputClass = 'px-2 py-1 border border-slate-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div>
+      {schedule.scheduled && (
+        <div className={`mb-4 p-3 rounded-r-lg border-l-4 text-sm ${schedule.fitsProject ? 'bg-blue-50 border-blue-500 text-slate-700' : 'bg-red-50 border-red-500 text-red-800'}`}>
+          Planned delivery {formatDate(schedule.start)} to {formatDate(schedule.end)}
+          {(startDate || endDate) && ` • Project dates ${startDate || '…'} to ${endDate || '…'}`}
+          {!schedule.fitsProject && ' • Some deliverables fall outside the project dates'}
+          {schedule.overlaps.length > 0 && ` • ${schedule.overlaps.length} resource overlap${schedule.overlaps.length === 1 ? '' : 's'}`}
+        </div>
+      )}
+
+      <div className="overflow-x-auto mb-6">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-200 text-slate-600">
+              <th className="py-2 pr-3 text-left font-semibold">Deliverable</th>
+              <th className="py-2 pr-3 text-left font-semibold">Owner / Role</th>
+              <th className="py-2 pr-3 text-left font-semibold">Earliest Start</th>
+              <th className="py-2 pr-3 text-right font-semibold">Duration (working days)</th>
+              <th className="py-2 pr-3 text-left font-semibold">Predecessors</th>
+              <th className="py-2 pr-3 text-left font-semibold">Start</th>
+              <th className="py-2 text-left font-semibold">End</th>
+            </tr>
+          </thead>
+          <tbody>
+            {deliverables.map(d => {
+              const item = itemsById[d.id] || {};
+              const predecessors = d.predecessors || [];
+              const candidates = deliverables.filter(other => other.id !== d.id && !predecessors.includes(other.id));
+              return (
+                <tr key={d.id} className={`border-b border-slate-100 align-top ${item.outsideProject || item.overlapping ? 'bg-red-50' : ''}`}>
+                  <td className="py-2 pr-3 font-medium text-slate-800">{d.name}</td>
+                  <td className="py-2 pr-3 text-slate-600">{d.owner} • {d.role}</td>
+                  <td className="py-2 pr-3">
+                    {readOnly ? (
+                      <span className="text-slate-700">{d.startDate || '—'}</span>
+                    ) : (
+                      <input
+                        type="date"
+                        value={d.startDate || ''}
+                        onChange={(e) => onUpdate(d.id, 'startDate', e.target.value)}
+                        aria-label={`${d.name} start date`}
+                        className={inputClass}
+                      />
+                    )}
+                  </td>
+                  <td className="py-2 pr-3 text-right">
+                    {readOnly ? (
+                      <span className="text-slate-700">{item.durationDays}</span>
+                    ) : (
+                      <input
+                        type="number"
+                        value={d.durationDays ?? ''}
+                        onChange={(e) => onUpdate(d.id, 'durationDays', e.target.value === '' ? undefined : parseFloat(e.target.value))}
+                        placeholder={String(item.durationDays)}
+                        aria-label={`${d.name} duration`}
+                        min="1"
+                        step="1"
+                        className={`w-20 text-right ${inputClass}`}
+                      />
+                    )}
+                  </td>
+                  <td className="py-2 pr-3">
+                    <div className="flex flex-wrap gap-1">
+                      {predecessors.map(id => (
+                        <span key={id} className="inline-flex items-center gap-1 px-2 py-0.5 text-xs bg-slate-100 text-slate-700 rounded">
+                          {nameOf(id)}
+                          {!readOnly && (
+                            <button onClick={() => removePredecessor(d, id)} aria-label={`Remove ${nameOf(id)}`} className="text-slate-400 hover:text-red-600">×</button>
+                          )}
+                        </span>
+                      ))}
+                      {!readOnly && candidates.length > 0 && (
+                        <select
+                          value=""
+                          onChange={(e) => addPredecessor(d, e.target.value)}
+                          aria-label={`${d.name} predecessors`}
+                          className="px-1 py-0.5 border border-slate-300 rounded text-xs text-slate-600"
+                        >
+                          <option value="">+ After…</option>
+                          {candidates.map(other => (
+                            <option key={other.id} value={other.id}>{other.name}</option>
+                          ))}
+                        </select>
+                      )}
+                      {readOnly && predecessors.length === 0 && <span className="text-slate-400">—</span>}
+                    </div>
+                  </td>
+                  <td className="py-2 pr-3 text-slate-700 whitespace-nowrap">{item.start ? formatDate(item.start) : '—'}</td>
+                  <td className="py-2 text-slate-700 whitespace-nowrap">
+                    {item.end ? formatDate(item.end) : '—'}
+                    {item.outsideProject && <span className="ml-2 text-xs font-semibold text-red-700">Outside project</span>}
+                    {item.overlapping && <span className="ml-2 text-xs font-semibold text-red-700">Overlap</span>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <DeliveryGantt schedule={schedule} owners={owners} endDate={endDate} />
+    </div>
+  );
+};
+
+export default DeliveryPlan;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { BASE_CURRENCY, CURRENCIES, CURRENCY_SYMBOLS, validateFxRates } from './shared/currency';
+
+/**
+ * FxRatesEditor Component
+ * Modal for the central FX table: lists every version of the rates and adds
+ * a new version with the date it takes effect from. Rates are the GBP value
+ * of one unit of each currency. Shared by all projects.
+ *
+ * @param {Object} fxTable - Current FX table ({ versions })
+ * @param {boolean} readOnly - View without editing (non-admins)
+ * @param {Function} onSave - async ({ rates, effectiveFrom, source }) => void
+ * @param {Function} onClose - Callback to close the modal
+ */
+const FxRatesEditor = ({ fxTable, readOnly = false, onSave, onClose }) => {
+  const latest = fxTable.versions[fxTable.versions.length - 1];
+  const currencies = CURRENCIES.filter(currency => currency !== BASE_CURRENCY);
+  const [rates, setRates] = useState(() => ({ ...latest.rates }));
+  const [effectiveFrom, setEffectiveFrom] = useState(() => new Date().toISOString().slice(0, 10));
+  const [source, setSource] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const errors = validateFxRates(rates);
+
+  const save = async () => {
+    setIsSaving(true);
+    try {
+      await onSave({ rates, effectiveFrom, source });
+      onClose();
+    } catch (error) {
+      alert(`Failed to save FX rates: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = 'px-2 py-1 border border-slate-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-3 md:p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-4 md:p-6 border-b border-slate-200 flex justify-between items-start">
+          <div>
+            <h2 className="text-lg md:text-xl font-bold text-slate-800">FX Rates</h2>
+            <p className="text-sm text-slate-600 mt-1">
+              GBP value of one unit of each currency. Quotes in other currencies are converted at the rates in effect; issued quote versions keep the rate they were sent with.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-slate-600 text-2xl leading-none"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="p-4 md:p-6 space-y-6">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-slate-600">
+                <th className="py-2 pr-3 text-left font-semibold">Version</th>
+                <th className="py-2 pr-3 text-left font-semibold">Effective From</th>
+                {currencies.map(currency => (
+                  <th key={currency} className="py-2 pr-3 text-right font-semibold">£ per {CURRENCY_SYMBOLS[currency]}1</th>
+                ))}
+                <th className="py-2 text-left font-semibold">Source</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...fxTable.versions].reverse().map(version => (
+                <tr key={version.version} className="border-b border-slate-100">
+                  <td className="py-2 pr-3 font-mono text-xs text-slate-500">v{version.version}</td>
+                  <td className="py-2 pr-3 text-slate-700">{version.effectiveFrom}</td>
+                  {currencies.map(currency => (
+                    <td key={currency} className="py-2 pr-3 text-right font-mono text-slate-800">{version.rates[currency] ?? '—'}</td>
+                  ))}
+                  <td className="py-2 text-slate-600">{version.source}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {!readOnly && (
+            <div>
+              <h3 className="text-sm font-semibold text-slate-700 mb-2">New Version</h3>
+              <div className="flex flex-wrap items-end gap-3">
+                {currencies.map(currency => (
+                  <div key={currency}>
+                    <label className="block text-xs font-medium text-slate-700 mb-1">£ per {CURRENCY_SYMBOLS[currency]}1</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.0001"
+                      value={rates[currency] ?? ''}
+                      onChange={(e) => setRates(prev => ({ ...prev, [currency]: e.target.value === '' ? '' : parseFloat(e.target.value) }))}
+                      aria-label={`${currency} rate`}
+                      className={`w-28 text-right ${inputClass}`}
+                    />
+                  </div>
+                ))}
+                <div>
+                  <label className="block text-xs font-medium text-slate-700 mb-1">Effective from</label>
+                  <input
+                    type="date"
+                    value={effectiveFrom}
+                    onChange={(e) => setEffectiveFrom(e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <div className="flex-1 min-w-[200px]">
+                  <label className="block text-xs font-medium text-slate-700 mb-1">Source *</label>
+                  <input
+                    type="text"
+                    value={source}
+                    onChange={(e) => setSource(e.target.value)}
+                    placeholder="e.g. ECB - Nov 2025"
+                    className={`w-full ${inputClass}`}
+                  />
+                </div>
+              </div>
+              {errors.length > 0 && (
+                <p className="text-xs text-red-700 mt-2">{errors.join('. ')}</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 md:p-6 border-t border-slate-200 flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-semibold text-slate-700 border border-slate-300 rounded hover:bg-slate-50 transition-colors"
+          >
+            {readOnly ? 'Close' : 'Cancel'}
+          </button>
+          {!readOnly && (
+            <button
+              onClick={save}
+              disabled={!source.trim() || !effectiveFrom || errors.length > 0 || isSaving}
+              className="px-4 py-2 text-sm font-semibold text-white bg-blue-600 rounded hover:bg-blue-700 transition-colors disabled:bg-slate-300 disabled:cursor-not-allowed"
+            >
+              {isSaving ? 'Saving...' : 'Save FX Rates'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FxRatesEditor;
@@ -6,7 +6,7 @@ import React from 'react';
  * Displays revenue allocation summary dashboard:
  * - Total revenue and value-days
  * - Blended effective day rate
- * - Party allocation breakdown (RPG vs Proaptus)
+ * - Party allocation breakdown (every party in model.partyAllocations, or RPG vs Proaptus)
  * - Dark dashboard styling for visual prominence
  *
  * @param {Object} props
@@ -19,9 +19,19 @@ const MarginAnalysis = ({ model, formatGBP }) => {
     return null;
   }
 
-  // ACTUAL data structure from RedPegasusPricingCalculator:
-  // model = { rpg: {...}, proaptus: {...}, total: {...} }
+  // Models with partyAllocations (any number of parties) list every party;
+  // older models only carry the rpg/proaptus shortcuts
   const { total, rpg, proaptus } = model;
+  const parties = model.partyAllocations
+    ? Object.entries(model.partyAllocations).map(([name, data]) => ({
+      name,
+      valueDays: data.valueDays ?? data.days,
+      share: data.share,
+      revenue: data.finalRevenue ?? data.revenue
+    }))
+    : [['RPG', rpg], ['Proaptus', proaptus]]
+      .filter(([, data]) => data)
+      .map(([name, data]) => ({ name, ...data }));
 
   // Calculate blended effective rate (revenue per value-day)
   const blendedRate = total.valueDays > 0 ? total.revenue / total.valueDays : 0;
@@ -60,22 +70,14 @@ const MarginAnalysis = ({ model, formatGBP }) => {
             </tr>
           </thead>
           <tbody>
-            {rpg && (
-              <tr className="border-b border-slate-100 hover:bg-slate-50 align-middle">
-                <td className="py-3 px-4 font-medium text-slate-800">RPG</td>
-                <td className="py-3 px-4 text-right font-mono tabular-nums text-slate-700">{rpg.valueDays ? rpg.valueDays.toFixed(1) : '0.0'}</td>
-                <td className="py-3 px-4 text-right font-mono tabular-nums text-slate-700">{rpg.share ? rpg.share.toFixed(2) : '0.00'}%</td>
-                <td className="py-3 px-4 text-right font-mono tabular-nums font-bold text-slate-900">{formatGBP(rpg.revenue || 0)}</td>
+            {parties.map(party => (
+              <tr key={party.name} className="border-b border-slate-100 hover:bg-slate-50 align-middle">
+                <td className="py-3 px-4 font-medium text-slate-800">{party.name}</td>
+                <td className="py-3 px-4 text-right font-mono tabular-nums text-slate-700">{party.valueDays ? party.valueDays.toFixed(1) : '0.0'}</td>
+                <td className="py-3 px-4 text-right font-mono tabular-nums text-slate-700">{party.share ? party.share.toFixed(2) : '0.00'}%</td>
+                <td className="py-3 px-4 text-right font-mono tabular-nums font-bold text-slate-900">{formatGBP(party.revenue || 0)}</td>
               </tr>
-            )}
-            {proaptus && (
-              <tr className="border-b border-slate-100 hover:bg-slate-50 align-middle">
-                <td className="py-3 px-4 font-medium text-slate-800">Proaptus</td>
-                <td className="py-3 px-4 text-right font-mono tabular-nums text-slate-700">{proaptus.valueDays ? proaptus.valueDays.toFixed(1) : '0.0'}</td>
-                <td className="py-3 px-4 text-right font-mono tabular-nums text-slate-700">{proaptus.share ? proaptus.share.toFixed(2) : '0.00'}%</td>
-                <td className="py-3 px-4 text-right font-mono tabular-nums font-bold text-slate-900">{formatGBP(proaptus.revenue || 0)}</td>
-              </tr>
-            )}
+            ))}
           </tbody>
         </table>
 
@@ -103,4 +103,21 @@ describe('MarginAnalysis', () => {
     const zeroValues = screen.getAllByText('£0');
     expect(zeroValues.length).toBeGreaterThan(0);
   });
+
+  it('should list every party when the model has party allocations', () => {
+    const multiPartyModel = {
+      ...mockModel,
+      partyAllocations: {
+        RPG: { days: 10, share: 40, finalRevenue: 17100 },
+        Proaptus: { days: 12, share: 45, finalRevenue: 19237.5 },
+        Acme: { days: 4, share: 15, finalRevenue: 6412.5 }
+      }
+    };
+
+    render(<MarginAnalysis model={multiPartyModel} formatGBP={formatGBP} />);
+
+    expect(screen.getByText('Acme')).toBeTruthy();
+    expect(screen.getByText('15.00%')).toBeTruthy();
+    expect(screen.getByText('£17,100')).toBeTruthy();
+  });
 });
@@ -0,0 +1,266 @@
+import React from 'react';
+import formatGBP from './shared/formatGBP';
+import { normalizePaymentPlan, validatePaymentPlan } from './shared/paymentSchedule';
+import { TAX_TREATMENTS, TAX_TREATMENT_LABELS, normalizeTaxSettings, validateTaxSettings } from './shared/tax';
+
+/**
+ * PaymentSchedule Component
+ * Edits a project's billing milestones (percentage tranches or groups of
+ * deliverables) and the project's tax settings, and shows the resulting
+ * dated invoices with VAT. Internal users also see how each invoice splits
+ * between the parties.
+ *
+ * @param {Object} plan - Project payment plan
+ * @param {Array} deliverables - Project deliverables (for grouping)
+ * @param {Object} paymentSchedule - Result of buildPaymentSchedule
+ * @param {boolean} showParties - Show each party's share of every invoice
+ * @param {boolean} readOnly - Show the plan without editing controls
+ * @param {Function} onChange - Called with the updated plan
+ * @param {Object} tax - Project tax settings
+ * @param {Function} onTaxChange - Called with the updated tax settings
+ * @param {Function} formatCurrency - Currency formatter
+ */
+const PaymentSchedule = ({
+  plan,
+  deliverables = [],
+  paymentSchedule,
+  showParties = false,
+  readOnly = false,
+  onChange,
+  tax,
+  onTaxChange,
+  formatCurrency = formatGBP
+}) => {
+  const normalized = normalizePaymentPlan(plan);
+  const taxSettings = normalizeTaxSettings(tax, normalized.vatRate);
+  const errors = [...validatePaymentPlan(plan, deliverables), ...validateTaxSettings(taxSettings)];
+  const parties = Object.keys(paymentSchedule.totals.parties);
+
+  const update = (changes) => onChange({ ...normalized, ...changes });
+
+  const updateMilestone = (id, field, value) => {
+    update({ milestones: normalized.milestones.map(m => (m.id === id ? { ...m, [field]: value } : m)) });
+  };
+
+  const toggleDeliverable = (milestone, deliverableId) => {
+    const ids = milestone.deliverableIds.includes(deliverableId)
+      ? milestone.deliverableIds.filter(id => id !== deliverableId)
+      : [...milestone.deliverableIds, deliverableId];
+    updateMilestone(milestone.id, 'deliverableIds', ids);
+  };
+
+  const addMilestone = () => {
+    const id = Math.max(...normalized.milestones.map(m => m.id), 0) + 1;
+    update({
+      milestones: [...normalized.milestones, { id, name: `Milestone ${id}`, percentage: 0, timing: 100, deliverableIds: [], date: '' }]
+    });
+  };
+
+  const removeMilestone = (id) => {
+    update({ milestones: normalized.milestones.filter(m => m.id !== id) });
+  };
+
+  const inputClass = 'px-2 py-1 border border-slate-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-100 disabled:text-slate-600';
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row sm:items-end gap-3 mb-4">
+        <div>
+          <label className="block text-xs font-medium text-slate-700 mb-1">Bill by</label>
+          <select
+            value={normalized.type}
+            onChange={(e) => update({ type: e.target.value })}
+            disabled={readOnly}
+            className={inputClass}
+          >
+            <option value="tranches">Percentage tranches</option>
+            <option value="deliverables">Deliverable groups</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-700 mb-1">Tax</label>
+          <select
+            value={taxSettings.treatment}
+            onChange={(e) => onTaxChange({ ...taxSettings, treatment: e.target.value })}
+            disabled={readOnly}
+            className={inputClass}
+          >
+            {TAX_TREATMENTS.map(treatment => (
+              <option key={treatment} value={treatment}>{TAX_TREATMENT_LABELS[treatment]}</option>
+            ))}
+          </select>
+        </div>
+        {taxSettings.treatment === 'standard' && (
+          <div>
+            <label className="block text-xs font-medium text-slate-700 mb-1">VAT %</label>
+            <input
+              type="number"
+              value={taxSettings.rate}
+              onChange={(e) => onTaxChange({ ...taxSettings, rate: parseFloat(e.target.value) || 0 })}
+              disabled={readOnly}
+              min="0"
+              step="0.5"
+              className={`w-20 text-right ${inputClass}`}
+            />
+          </div>
+        )}
+        <div>
+          <label className="block text-xs font-medium text-slate-700 mb-1">Payment terms (days)</label>
+          <input
+            type="number"
+            value={normalized.paymentTermsDays}
+            onChange={(e) => update({ paymentTermsDays: parseInt(e.target.value, 10) || 0 })}
+            disabled={readOnly}
+            min="0"
+            className={`w-20 text-right ${inputClass}`}
+          />
+        </div>
+      </div>
+
+      <div className="space-y-2 mb-4">
+        {normalized.milestones.map(m => (
+          <div key={m.id} className="flex flex-col md:flex-row md:items-start gap-2 p-3 border border-slate-200 rounded-lg">
+            <input
+              type="text"
+              value={m.name}
+              onChange={(e) => updateMilestone(m.id, 'name', e.target.value)}
+              disabled={readOnly}
+              aria-label="Milestone name"
+              className={`md:w-56 ${inputClass}`}
+            />
+            {normalized.type === 'tranches' ? (
+              <div className="flex items-center gap-2 text-xs text-slate-600">
+                <input
+                  type="number"
+                  value={m.percentage}
+                  onChange={(e) => updateMilestone(m.id, 'percentage', parseFloat(e.target.value) || 0)}
+                  disabled={readOnly}
+                  aria-label={`${m.name} percentage`}
+                  min="0"
+                  max="100"
+                  className={`w-20 text-right ${inputClass}`}
+                />
+                % billed
+                <input
+                  type="number"
+                  value={m.timing}
+                  onChange={(e) => updateMilestone(m.id, 'timing', parseFloat(e.target.value) || 0)}
+                  disabled={readOnly || Boolean(m.date)}
+                  aria-label={`${m.name} timing`}
+                  min="0"
+                  max="100"
+                  className={`w-20 text-right ${inputClass}`}
+                />
+                % through delivery
+              </div>
+            ) : (
+              <div className="flex flex-wrap gap-1 flex-1">
+                {deliverables.map(d => (
+                  <label key={d.id} className={`flex items-center gap-1 px-2 py-0.5 text-xs rounded border ${m.deliverableIds.includes(d.id) ? 'bg-blue-50 border-blue-300 text-blue-800' : 'border-slate-200 text-slate-600'}`}>
+                    <input
+                      type="checkbox"
+                      checked={m.deliverableIds.includes(d.id)}
+                      onChange={() => toggleDeliverable(m, d.id)}
+                      disabled={readOnly}
+                    />
+                    {d.name}
+                  </label>
+                ))}
+              </div>
+            )}
+            <div className="flex items-center gap-2 md:ml-auto">
+              <input
+                type="date"
+                value={m.date}
+                onChange={(e) => updateMilestone(m.id, 'date', e.target.value)}
+                disabled={readOnly}
+                aria-label={`${m.name} date`}
+                title="Fixed invoice date (optional)"
+                className={inputClass}
+              />
+              {!readOnly && (
+                <button
+                  onClick={() => removeMilestone(m.id)}
+                  className="px-2 py-1 text-xs font-semibold text-red-600 border border-red-300 rounded hover:bg-red-50 transition-colors"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+        {!readOnly && (
+          <button
+            onClick={addMilestone}
+            className="px-3 py-1.5 bg-blue-600 text-white text-sm font-semibold rounded hover:bg-blue-700 transition-colors"
+          >
+            + Add Milestone
+          </button>
+        )}
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="mb-4 text-xs text-red-700 list-disc list-inside">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-200 text-slate-600">
+              <th className="py-2 pr-3 text-left font-semibold">Milestone</th>
+              <th className="py-2 pr-3 text-left font-semibold">Invoice Date</th>
+              <th className="py-2 pr-3 text-left font-semibold">Due</th>
+              <th className="py-2 pr-3 text-right font-semibold">Net</th>
+              <th className="py-2 pr-3 text-right font-semibold">{paymentSchedule.taxLabel}</th>
+              <th className="py-2 pr-3 text-right font-semibold">Gross</th>
+              {showParties && parties.map(party => (
+                <th key={party} className="py-2 pr-3 text-right font-semibold">{party}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {paymentSchedule.instalments.map(i => (
+              <tr key={i.id} className="border-b border-slate-100">
+                <td className="py-2 pr-3 text-slate-800">
+                  {i.name}
+                  <span className="ml-2 text-xs text-slate-400">{i.percentage.toFixed(1)}%</span>
+                </td>
+                <td className="py-2 pr-3 text-slate-700 whitespace-nowrap">{i.date || 'TBC'}</td>
+                <td className="py-2 pr-3 text-slate-700 whitespace-nowrap">{i.dueDate || 'TBC'}</td>
+                <td className="py-2 pr-3 text-right text-slate-700">{formatCurrency(i.net)}</td>
+                <td className="py-2 pr-3 text-right text-slate-700">{formatCurrency(i.vat)}</td>
+                <td className="py-2 pr-3 text-right font-semibold text-slate-900">{formatCurrency(i.gross)}</td>
+                {showParties && parties.map(party => (
+                  <td key={party} className="py-2 pr-3 text-right text-slate-600">{formatCurrency(i.parties[party])}</td>
+                ))}
+              </tr>
+            ))}
+            <tr className="font-semibold text-slate-900 border-t-2 border-slate-300">
+              <td className="py-2 pr-3" colSpan="3">Total</td>
+              <td className="py-2 pr-3 text-right">{formatCurrency(paymentSchedule.totals.net)}</td>
+              <td className="py-2 pr-3 text-right">{formatCurrency(paymentSchedule.totals.vat)}</td>
+              <td className="py-2 pr-3 text-right">{formatCurrency(paymentSchedule.totals.gross)}</td>
+              {showParties && parties.map(party => (
+                <td key={party} className="py-2 pr-3 text-right">{formatCurrency(paymentSchedule.totals.parties[party])}</td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      {paymentSchedule.taxNote && (
+        <p className="mt-3 text-xs text-slate-600">{paymentSchedule.taxNote}</p>
+      )}
+
+      {paymentSchedule.unbilled.deliverables.length > 0 && (
+        <p className="mt-3 text-xs text-amber-700">
+          Not in any milestone ({formatCurrency(paymentSchedule.unbilled.net)}): {paymentSchedule.unbilled.deliverables.join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PaymentSchedule;
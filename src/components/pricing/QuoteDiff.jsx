@@ -0,0 +1,177 @@
+import React from 'react';
+import formatGBP from './shared/formatGBP';
+
+const ROW_STYLES = {
+  added: 'bg-green-50',
+  removed: 'bg-red-50',
+  changed: '',
+  unchanged: ''
+};
+
+const CURRENCY_FIELDS = ['clientRate', 'totalRevenue', 'effectiveRate', 'revenue'];
+
+/**
+ * QuoteDiff Component
+ * Side-by-side differences between two priced quotes (projects or versions):
+ * headline figures, rates, deliverables matched by name/id with day, role,
+ * owner and rate changes, and party allocation deltas. Changes are highlighted.
+ *
+ * @param {Object} diff - Result of diffQuotes
+ * @param {string} leftLabel - Name of the left-hand quote
+ * @param {string} rightLabel - Name of the right-hand quote
+ * @param {boolean} showInternal - Show role weights, rates, uplift and party allocations
+ * @param {Function} formatCurrency - Currency formatter
+ */
+const QuoteDiff = ({ diff, leftLabel, rightLabel, showInternal = false, formatCurrency = formatGBP }) => {
+  const format = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    return CURRENCY_FIELDS.includes(field) ? formatCurrency(value) : value;
+  };
+
+  const formatDelta = (field, value) => {
+    if (Math.abs(value) < 0.005) return '—';
+    return `${value > 0 ? '+' : '−'}${format(field, Math.abs(value))}`;
+  };
+
+  const deltaClass = (value) => (value < 0 ? 'text-red-700' : value > 0 ? 'text-green-700' : 'text-slate-400');
+
+  // One cell of the deliverables table: the old value struck through when it changed
+  const cell = (d, field) => {
+    if (!d.a || !d.b) return <span className="text-slate-700">{format(field, (d.a || d.b)[field])}</span>;
+    if (!d.changed.includes(field)) return <span className="text-slate-700">{format(field, d.b[field])}</span>;
+    return (
+      <span className="inline-block px-1 rounded bg-amber-100">
+        <span className="line-through text-slate-400 mr-1">{format(field, d.a[field])}</span>
+        <span className="font-semibold text-slate-900">{format(field, d.b[field])}</span>
+      </span>
+    );
+  };
+
+  const columns = [
+    ['days', 'Days'],
+    ['role', 'Role'],
+    ['owner', 'Owner'],
+    ...(showInternal ? [['effectiveRate', 'Day Rate']] : []),
+    ['revenue', 'Price']
+  ];
+  const visibleChanges = diff.deliverables.filter(d => d.status !== 'unchanged').length
+    + diff.headline.filter(row => row.changed).length
+    + (showInternal ? diff.roleWeights.length + (diff.uplift.changed ? 1 : 0) : 0);
+
+  return (
+    <div>
+      <p className="text-sm text-slate-600 mb-3">
+        {visibleChanges === 0
+          ? `${leftLabel} and ${rightLabel} are priced the same.`
+          : `${visibleChanges} difference${visibleChanges === 1 ? '' : 's'} between ${leftLabel} and ${rightLabel}.`}
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-200 text-slate-600">
+              <th className="py-2 pr-3 text-left font-semibold"></th>
+              <th className="py-2 pr-3 text-right font-semibold">{leftLabel}</th>
+              <th className="py-2 pr-3 text-right font-semibold">{rightLabel}</th>
+              <th className="py-2 text-right font-semibold">Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {diff.headline.map(row => (
+              <tr key={row.key} className={`border-b border-slate-100 ${row.changed ? 'bg-amber-50' : ''}`}>
+                <td className="py-2 pr-3 text-slate-700">{row.label}</td>
+                <td className="py-2 pr-3 text-right text-slate-700">{format(row.key, row.a)}</td>
+                <td className="py-2 pr-3 text-right text-slate-700">{format(row.key, row.b)}</td>
+                <td className={`py-2 text-right font-semibold ${deltaClass(row.delta)}`}>{formatDelta(row.key, row.delta)}</td>
+              </tr>
+            ))}
+            {showInternal && diff.uplift.changed && (
+              <tr className="border-b border-slate-100 bg-amber-50">
+                <td className="py-2 pr-3 text-slate-700">Account management uplift</td>
+                <td className="py-2 pr-3 text-right text-slate-700">{diff.uplift.a || 'None'}</td>
+                <td className="py-2 pr-3 text-right text-slate-700">{diff.uplift.b || 'None'}</td>
+                <td className="py-2 text-right text-slate-400">—</td>
+              </tr>
+            )}
+            {showInternal && diff.roleWeights.map(row => (
+              <tr key={row.role} className="border-b border-slate-100 bg-amber-50">
+                <td className="py-2 pr-3 text-slate-700">{row.role} weight</td>
+                <td className="py-2 pr-3 text-right font-mono text-slate-700">{row.a ?? '—'}</td>
+                <td className="py-2 pr-3 text-right font-mono text-slate-700">{row.b ?? '—'}</td>
+                <td className={`py-2 text-right font-mono font-semibold ${deltaClass(row.delta)}`}>
+                  {row.delta > 0 ? '+' : ''}{row.delta.toFixed(2)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {showInternal && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-slate-600">
+                <th className="py-2 pr-3 text-left font-semibold">Party</th>
+                <th className="py-2 pr-3 text-right font-semibold">{leftLabel}</th>
+                <th className="py-2 pr-3 text-right font-semibold">{rightLabel}</th>
+                <th className="py-2 text-right font-semibold">Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {diff.allocations.map(row => (
+                <tr key={row.party} className={`border-b border-slate-100 ${Math.abs(row.revenueDelta) >= 0.005 ? 'bg-amber-50' : ''}`}>
+                  <td className="py-2 pr-3 font-medium text-slate-800">{row.party}</td>
+                  <td className="py-2 pr-3 text-right text-slate-700">
+                    {formatCurrency(row.before.revenue)}
+                    <span className="block text-xs text-slate-400">{row.before.percentage.toFixed(1)}%</span>
+                  </td>
+                  <td className="py-2 pr-3 text-right text-slate-700">
+                    {formatCurrency(row.after.revenue)}
+                    <span className="block text-xs text-slate-400">{row.after.percentage.toFixed(1)}%</span>
+                  </td>
+                  <td className={`py-2 text-right font-semibold ${deltaClass(row.revenueDelta)}`}>
+                    {formatDelta('revenue', row.revenueDelta)}
+                    <span className="block text-xs font-normal">
+                      {Math.abs(row.percentageDelta) >= 0.05 ? `${row.percentageDelta > 0 ? '+' : ''}${row.percentageDelta.toFixed(1)} pts` : ''}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-200 text-slate-600">
+              <th className="py-2 pr-3 text-left font-semibold">Deliverable</th>
+              {columns.map(([field, label]) => (
+                <th key={field} className={`py-2 pr-3 font-semibold ${field === 'role' || field === 'owner' ? 'text-left' : 'text-right'}`}>{label}</th>
+              ))}
+              <th className="py-2 text-right font-semibold">Price Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {diff.deliverables.map((d, index) => (
+              <tr key={index} className={`border-b border-slate-100 ${ROW_STYLES[d.status]}`}>
+                <td className="py-2 pr-3 text-slate-800">
+                  {d.changed.includes('name') ? cell(d, 'name') : <span className="font-medium">{d.name}</span>}
+                  {d.status === 'added' && <span className="ml-2 text-xs font-semibold text-green-700">only in {rightLabel}</span>}
+                  {d.status === 'removed' && <span className="ml-2 text-xs font-semibold text-red-700">only in {leftLabel}</span>}
+                  {d.matchedBy === 'id' && <span className="block text-xs text-slate-400">matched by id</span>}
+                </td>
+                {columns.map(([field]) => (
+                  <td key={field} className={`py-2 pr-3 ${field === 'role' || field === 'owner' ? 'text-left' : 'text-right'}`}>{cell(d, field)}</td>
+                ))}
+                <td className={`py-2 text-right font-semibold ${deltaClass(d.revenueDelta)}`}>{formatDelta('revenue', d.revenueDelta)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default QuoteDiff;
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import formatGBP from './shared/formatGBP';
+import { diffQuotes } from './shared/quoteDiff';
+import { BASE_CURRENCY, currencyFormatter } from './shared/currency';
+import QuoteDiff from './QuoteDiff';
+
+const CURRENT = 'current';
+
+/**
+ * QuoteVersions Component
+ * Freezes named versions of the quote sent to the client, lists them, and
+ * compares any two versions (or a version and the current quote) side by side.
+ *
+ * @param {Array} versions - Project quote versions
+ * @param {Object} current - { inputs, model } of the quote as it is now
+ * @param {Object} matchingVersion - Frozen version identical to the current quote, if any
+ * @param {boolean} showInternal - Show rates and party allocations in the comparison
+ * @param {boolean} canFreeze - Freeze new versions
+ * @param {Function} onFreeze - Called with { name, note } to freeze the current quote
+ * @param {Function} onPrint - Called with a version to print its quote report
+ * @param {Function} formatCurrency - Currency formatter
+ */
+const QuoteVersions = ({
+  versions = [],
+  current,
+  matchingVersion = null,
+  showInternal = false,
+  canFreeze = false,
+  onFreeze,
+  onPrint,
+  formatCurrency = formatGBP
+}) => {
+  const [name, setName] = useState('');
+  const [note, setNote] = useState('');
+  const [left, setLeft] = useState(null);
+  const [right, setRight] = useState(CURRENT);
+
+  const latest = versions[versions.length - 1];
+  const leftKey = left ?? (latest ? String(latest.version) : CURRENT);
+  const quoteFor = (key) => (key === CURRENT ? current : versions.find(v => String(v.version) === key));
+  const labelFor = (key) => {
+    if (key === CURRENT) return 'Current quote';
+    const version = quoteFor(key);
+    return version ? `v${version.version}` : '';
+  };
+  const comparison = quoteFor(leftKey) && quoteFor(right) && leftKey !== right
+    ? diffQuotes(quoteFor(leftKey).model, quoteFor(right).model)
+    : null;
+
+  const freeze = () => {
+    onFreeze({ name, note });
+    setName('');
+    setNote('');
+  };
+
+  const inputClass = 'px-2 py-1 border border-slate-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div>
+      <p className="text-sm text-slate-600 mb-4">
+        {matchingVersion
+          ? `The current quote is frozen as v${matchingVersion.version} (${matchingVersion.name}). Printed quotes carry this version number.`
+          : versions.length > 0
+            ? `The current quote has changed since v${latest.version}. Freeze it as a new version before sending it to the client.`
+            : 'No versions yet. Freeze the quote each time it is sent to the client.'}
+      </p>
+
+      {versions.length > 0 && (
+        <div className="overflow-x-auto mb-6">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-slate-600">
+                <th className="py-2 pr-3 text-left font-semibold">Version</th>
+                <th className="py-2 pr-3 text-left font-semibold">Frozen</th>
+                <th className="py-2 pr-3 text-right font-semibold">Days</th>
+                <th className="py-2 pr-3 text-right font-semibold">Total Price</th>
+                <th className="py-2 text-right font-semibold"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...versions].reverse().map(version => (
+                <tr key={version.version} className={`border-b border-slate-100 ${matchingVersion?.version === version.version ? 'bg-blue-50' : ''}`}>
+                  <td className="py-2 pr-3 text-slate-800">
+                    <span className="font-mono text-xs text-slate-500 mr-2">v{version.version}</span>
+                    <span className="font-medium">{version.name}</span>
+                    {version.note && <span className="block text-xs text-slate-500">{version.note}</span>}
+                  </td>
+                  <td className="py-2 pr-3 text-slate-600">
+                    {new Date(version.createdAt).toLocaleDateString('en-GB')}
+                    {version.createdBy && <span className="block text-xs text-slate-400">{version.createdBy.name || version.createdBy.username}</span>}
+                  </td>
+                  <td className="py-2 pr-3 text-right text-slate-700">{version.inputs.soldDays}</td>
+                  <td className="py-2 pr-3 text-right font-semibold text-slate-900">
+                    {formatCurrency(version.model?.totalRevenue || 0)}
+                    {version.fx && version.fx.currency !== BASE_CURRENCY && (
+                      <div className="text-xs font-normal text-slate-500">{currencyFormatter(version.fx)(version.model?.totalRevenue || 0)}</div>
+                    )}
+                  </td>
+                  <td className="py-2 text-right">
+                    <button
+                      onClick={() => onPrint(version)}
+                      className="text-blue-600 hover:text-blue-700 text-xs font-semibold"
+                    >
+                      Print Quote
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {canFreeze && !matchingVersion && (
+        <div className="flex flex-wrap items-end gap-3 mb-6">
+          <div>
+            <label className="block text-xs font-medium text-slate-700 mb-1">Version name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={`v${(latest?.version || 0) + 1}`}
+              className={inputClass}
+            />
+          </div>
+          <div className="flex-1 min-w-[200px]">
+            <label className="block text-xs font-medium text-slate-700 mb-1">Note</label>
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="What changed, who it was sent to"
+              className={`w-full ${inputClass}`}
+            />
+          </div>
+          <button
+            onClick={freeze}
+            className="px-3 py-1.5 text-sm font-semibold rounded transition-colors bg-blue-600 text-white hover:bg-blue-700"
+          >
+            Freeze Version
+          </button>
+        </div>
+      )}
+
+      {versions.length > 0 && (
+        <div>
+          <div className="flex flex-wrap items-end gap-3 mb-3">
+            <h3 className="text-sm md:text-base font-semibold text-slate-900 mr-2">Compare</h3>
+            {[[leftKey, setLeft], [right, setRight]].map(([value, setValue], index) => (
+              <select
+                key={index}
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                aria-label={index === 0 ? 'Compare from' : 'Compare to'}
+                className={inputClass}
+              >
+                {versions.map(version => (
+                  <option key={version.version} value={String(version.version)}>v{version.version} – {version.name}</option>
+                ))}
+                <option value={CURRENT}>Current quote</option>
+              </select>
+            ))}
+          </div>
+
+          {!comparison ? (
+            <p className="text-sm text-slate-500">Choose two different versions to compare.</p>
+          ) : (
+            <QuoteDiff
+              diff={comparison}
+              leftLabel={labelFor(leftKey)}
+              rightLabel={labelFor(right)}
+              showInternal={showInternal}
+              formatCurrency={formatCurrency}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuoteVersions;
@@ -1,10 +1,17 @@
 import React from 'react';
 import formatGBP from './shared/formatGBP';
+import { BASE_CURRENCY, currencyFormatter, describeFx } from './shared/currency';
+import { jointSplitFractions } from './shared/allocationRules';
+import { DEFAULT_COST_RATES, RESOURCE_TYPE_LABELS, analyzeCosts } from './shared/costModel';
+import { CHANGE_REQUEST_STATUS_LABELS } from './shared/changeRequests';
+import { RISK_RATING_LABELS } from './shared/riskContingency';
+import { ADJUSTMENT_TYPE_LABELS } from './shared/commercialAdjustments';
 
 /**
  * RedPegasusInternalReport Component
  * Internal financial report showing full breakdown with all costs, margins, and allocations
  * Classification: INTERNAL USE ONLY - CONFIDENTIAL
+ * All amounts are in GBP; `fx` is only used to show the client's price.
  */
 const RedPegasusInternalReport = ({ 
   model, 
@@ -20,7 +27,12 @@ const RedPegasusInternalReport = ({
   projectCode = '',
   accountManager = '',
   accountManagerParty = 'RPG',
-  status = ''
+  status = '',
+  roleWeightsVersion = null,
+  fx = null,
+  costAnalysis = null,
+  paymentSchedule = null,
+  variations = null
 }) => {
   if (!model || !inputs) {
     return (
@@ -56,6 +68,10 @@ const RedPegasusInternalReport = ({
     deliverablesByParty[party].push(d);
   });
 
+  // True costs from the central cost rates
+  const costs = costAnalysis || analyzeCosts(model, DEFAULT_COST_RATES);
+  const deliverableCosts = Object.fromEntries(costs.deliverables.map(c => [c.id, c]));
+
   // Calculate price vs revenue for each party
   const totalWeightedRevenue = model.totalWeightedRevenue || model.totalRevenue;
   const partyDetails = Object.entries(model.partyAllocations || {}).map(([party, allocation]) => {
@@ -65,7 +81,7 @@ const RedPegasusInternalReport = ({
     const revenuePercentage = Number.isFinite(allocation.percentage) ? allocation.percentage : 0;
     const effectiveBlendedRate = allocation.days > 0 ? allocation.finalRevenue / allocation.days : 0;
     const price = allocation.revenue;
-    const cost = price * 0.5; // 50% of price
+    const cost = costs.parties[party]?.cost || 0;
     const revenue = allocation.finalRevenue;
     const margin = revenue - cost;
     const marginPercentage = revenue > 0 ? (margin / revenue) * 100 : 0;
@@ -80,10 +96,17 @@ const RedPegasusInternalReport = ({
       cost,
       margin,
       marginPercentage,
-      hasUplift: allocation.upliftFactor > 1.0
+      hasUplift: allocation.hasUplift ?? allocation.upliftFactor > 1.0
     };
   });
 
+  const upliftLabel = model.upliftLabel ?? '+10%';
+  const allocationRules = model.allocationRules;
+  const reconciliation = model.reconciliation || null;
+  const riskContingency = model.riskContingency?.price > 0 ? model.riskContingency : null;
+  const adjustments = model.commercialAdjustments?.discount > 0 ? model.commercialAdjustments : null;
+  const formatDays = (days) => (Number.isInteger(days) ? days : Number(days || 0).toFixed(2));
+
   return (
     <div className="red-pegasus-internal-report bg-white text-slate-900" style={{ fontSize: '11pt', fontFamily: 'Arial, sans-serif' }}>
       {/* Page 1: Header & Project Information */}
@@ -194,10 +217,57 @@ const RedPegasusInternalReport = ({
                 <td style={{ padding: '8px', fontWeight: 'bold', backgroundColor: '#f5f5f5' }}>Total Deliverable Days:</td>
                 <td style={{ padding: '8px', textAlign: 'right', fontSize: '14px', fontWeight: 'bold' }}>{model.totalDays}</td>
               </tr>
+              {reconciliation && !reconciliation.matches && (
+                <tr style={{ borderBottom: '1px solid #ccc', backgroundColor: '#fffbeb' }}>
+                  <td style={{ padding: '8px', fontWeight: 'bold', backgroundColor: '#f5f5f5' }}>Days Gap:</td>
+                  <td style={{ padding: '8px', textAlign: 'right', fontSize: '12px' }}>
+                    <strong>{reconciliation.gap > 0 ? '+' : ''}{formatDays(reconciliation.gap)} days</strong> ({reconciliation.gapPercentage.toFixed(1)}% of sold days)
+                    <div style={{ color: '#475569' }}>
+                      {reconciliation.mode === 'scale' && `Scaled from ${formatDays(reconciliation.deliverableDays)} deliverable days (×${reconciliation.factor.toFixed(3)})`}
+                      {reconciliation.mode === 'contingency' && `Contingency owned by ${reconciliation.contingencyParty}: ${safeFormatGBP(reconciliation.contingencyRevenue)}`}
+                      {reconciliation.mode === 'block' && 'Not reconciled - saving is blocked'}
+                      {!reconciliation.mode && 'Not reconciled'}
+                    </div>
+                  </td>
+                </tr>
+              )}
+              {riskContingency && (
+                <>
+                  <tr style={{ borderBottom: '1px solid #ccc' }}>
+                    <td style={{ padding: '8px', fontWeight: 'bold', backgroundColor: '#f5f5f5' }}>Sold Days Revenue:</td>
+                    <td style={{ padding: '8px', textAlign: 'right', fontSize: '14px', fontWeight: 'bold' }}>{safeFormatGBP(model.baseRevenue)}</td>
+                  </tr>
+                  <tr style={{ borderBottom: '1px solid #ccc' }}>
+                    <td style={{ padding: '8px', fontWeight: 'bold', backgroundColor: '#f5f5f5' }}>Risk Contingency:</td>
+                    <td style={{ padding: '8px', textAlign: 'right', fontSize: '14px', fontWeight: 'bold' }}>{safeFormatGBP(riskContingency.price)} ({formatDays(riskContingency.days)} days)</td>
+                  </tr>
+                </>
+              )}
+              {adjustments && (
+                <>
+                  <tr style={{ borderBottom: '1px solid #ccc' }}>
+                    <td style={{ padding: '8px', fontWeight: 'bold', backgroundColor: '#f5f5f5' }}>Gross Price:</td>
+                    <td style={{ padding: '8px', textAlign: 'right', fontSize: '14px', fontWeight: 'bold' }}>{safeFormatGBP(adjustments.gross)}</td>
+                  </tr>
+                  <tr style={{ borderBottom: '1px solid #ccc' }}>
+                    <td style={{ padding: '8px', fontWeight: 'bold', backgroundColor: '#f5f5f5' }}>Discounts:</td>
+                    <td style={{ padding: '8px', textAlign: 'right', fontSize: '14px', fontWeight: 'bold' }}>−{safeFormatGBP(adjustments.discount)}</td>
+                  </tr>
+                </>
+              )}
               <tr style={{ borderTop: '2px solid #000' }}>
                 <td style={{ padding: '12px', fontWeight: 'bold', backgroundColor: '#f5f5f5' }}>Total Revenue:</td>
                 <td style={{ padding: '12px', textAlign: 'right', fontSize: '16px', fontWeight: 'bold' }}>{safeFormatGBP(model.totalRevenue)}</td>
               </tr>
+              {fx && fx.currency !== BASE_CURRENCY && (
+                <tr style={{ borderBottom: '1px solid #ccc' }}>
+                  <td style={{ padding: '8px', fontWeight: 'bold', backgroundColor: '#f5f5f5' }}>Quote Currency:</td>
+                  <td style={{ padding: '8px', textAlign: 'right', fontSize: '12px' }}>
+                    <strong>{currencyFormatter(fx)(model.totalRevenue)}</strong>
+                    <div style={{ color: '#475569' }}>{describeFx(fx)}</div>
+                  </td>
+                </tr>
+              )}
             </tbody>
           </table>
         </div>
@@ -218,18 +288,31 @@ const RedPegasusInternalReport = ({
                 <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Role Weight</th>
                 <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Effective Rate</th>
                 <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Revenue</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Cost</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Margin</th>
               </tr>
             </thead>
             <tbody>
               {(model.deliverables || []).map((d, idx) => (
-                <tr key={idx} style={{ borderBottom: '1px solid #ccc' }}>
+                <tr key={idx} style={{ borderBottom: '1px solid #ccc', backgroundColor: deliverableCosts[d.id]?.isLoss ? '#fef2f2' : undefined }}>
                   <td style={{ padding: '8px' }}>{d.name}</td>
                   <td style={{ padding: '8px' }}>{d.owner || 'Unknown'}</td>
                   <td style={{ padding: '8px' }}>{d.role || 'N/A'}</td>
                   <td style={{ padding: '8px', textAlign: 'center' }}>{d.days}</td>
-                  <td style={{ padding: '8px', textAlign: 'right' }}>{d.roleWeight ? d.roleWeight.toFixed(2) + 'x' : '1.00x'}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>
+                    {d.roleWeight ? d.roleWeight.toFixed(2) + 'x' : '1.00x'}
+                    {d.roleWeightSource === 'project' && '*'}
+                  </td>
                   <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(d.effectiveRate || model.clientRate)}</td>
                   <td style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>{safeFormatGBP(d.revenue)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>
+                    {safeFormatGBP(deliverableCosts[d.id]?.cost)}
+                    {deliverableCosts[d.id] && <div style={{ fontSize: '7pt', color: '#666' }}>{RESOURCE_TYPE_LABELS[deliverableCosts[d.id].resourceType]}</div>}
+                  </td>
+                  <td style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold', color: deliverableCosts[d.id]?.isLoss ? '#dc2626' : undefined }}>
+                    {safeFormatGBP(deliverableCosts[d.id]?.margin)}
+                    {deliverableCosts[d.id]?.isLoss && <div style={{ fontSize: '7pt' }}>LOSS</div>}
+                  </td>
                 </tr>
               ))}
               <tr style={{ backgroundColor: '#f5f5f5', borderTop: '2px solid #000', fontWeight: 'bold' }}>
@@ -237,20 +320,29 @@ const RedPegasusInternalReport = ({
                 <td style={{ padding: '8px', textAlign: 'center' }}>{model.totalDays}</td>
                 <td colSpan="2" style={{ padding: '8px' }}></td>
                 <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(model.totalRevenue)}</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(costs.project.cost)}</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(costs.project.margin)}</td>
               </tr>
             </tbody>
           </table>
+          {(model.deliverables || []).some(d => d.roleWeightSource === 'project') && (
+            <p style={{ fontSize: '8pt', color: '#666', marginTop: '6px' }}>* Role weight overridden for this project</p>
+          )}
         </div>
 
         {/* Role Weights Table */}
         {model.roleWeights && Object.keys(model.roleWeights).length > 0 && (
           <div style={{ marginBottom: '30px' }}>
-            <h3 style={{ fontSize: '14px', fontWeight: 'bold', marginBottom: '12px', borderBottom: '2px solid #000', paddingBottom: '8px' }}>Role Weights Configuration</h3>
+            <h3 style={{ fontSize: '14px', fontWeight: 'bold', marginBottom: '12px', borderBottom: '2px solid #000', paddingBottom: '8px' }}>
+              Role Weights Configuration
+              {roleWeightsVersion && ` (version ${roleWeightsVersion.version}, effective ${roleWeightsVersion.effectiveFrom})`}
+            </h3>
             <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '10pt' }}>
               <thead>
                 <tr style={{ backgroundColor: '#f5f5f5', borderBottom: '1px solid #ccc' }}>
                   <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Role</th>
                   <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Weight</th>
+                  <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Source</th>
                   <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Base Rate</th>
                   <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Effective Rate</th>
                 </tr>
@@ -260,6 +352,11 @@ const RedPegasusInternalReport = ({
                   <tr key={role} style={{ borderBottom: '1px solid #ccc' }}>
                     <td style={{ padding: '8px' }}>{role}</td>
                     <td style={{ padding: '8px', textAlign: 'right' }}>{Number(weight).toFixed(2)}x</td>
+                    <td style={{ padding: '8px' }}>
+                      {model.roleWeightSources?.[role] === 'project'
+                        ? `Project override (global ${model.globalRoleWeights?.[role] !== undefined ? Number(model.globalRoleWeights[role]).toFixed(2) + 'x' : 'none'})`
+                        : 'Global'}
+                    </td>
                     <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(model.clientRate)}</td>
                     <td style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>{safeFormatGBP(model.clientRate * Number(weight))}</td>
                   </tr>
@@ -318,9 +415,31 @@ const RedPegasusInternalReport = ({
       <div className="page" style={{ padding: '40px' }}>
         <h2 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '20px', borderBottom: '2px solid #000', paddingBottom: '8px' }}>Profit Split Analysis</h2>
         <p style={{ fontSize: '9pt', color: '#475569', marginBottom: '20px', lineHeight: '1.6' }}>
-          Revenue allocation based on internal weighting with <strong>{accountManagerParty}</strong> receiving a 10% uplift for account management responsibilities. 
-          Price represents calculated value before normalization; Revenue shows final allocation after uplift and normalization.
+          Revenue allocation based on internal weighting
+          {upliftLabel && <> with <strong>{accountManagerParty}</strong> receiving a {upliftLabel} uplift for account management responsibilities</>}.
+          Price represents calculated value before normalization; Revenue shows final allocation after uplift, minimum shares and normalization.
         </p>
+
+        {allocationRules && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9pt', marginBottom: '20px' }}>
+            <thead>
+              <tr style={{ backgroundColor: '#f5f5f5', borderBottom: '1px solid #ccc' }}>
+                <th style={{ padding: '6px', textAlign: 'left', fontWeight: 'bold' }}>Allocation Rules</th>
+                <th style={{ padding: '6px', textAlign: 'right', fontWeight: 'bold' }}>Joint Split</th>
+                <th style={{ padding: '6px', textAlign: 'right', fontWeight: 'bold' }}>Minimum Share</th>
+              </tr>
+            </thead>
+            <tbody>
+              {allocationRules.parties.map(party => (
+                <tr key={party} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={{ padding: '6px' }}>{party}{party === accountManagerParty && upliftLabel && ` (account manager, ${upliftLabel})`}</td>
+                  <td style={{ padding: '6px', textAlign: 'right' }}>{(jointSplitFractions(allocationRules)[party] * 100).toFixed(0)}%</td>
+                  <td style={{ padding: '6px', textAlign: 'right' }}>{allocationRules.minimumShares[party] ? `${allocationRules.minimumShares[party]}%` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
         
         {partyDetails.map((partyData) => (
           <div key={partyData.party} style={{ marginBottom: '24px', border: '1px solid #ccc', padding: '16px', backgroundColor: '#fafafa' }}>
@@ -328,7 +447,12 @@ const RedPegasusInternalReport = ({
               <h3 style={{ fontSize: '14px', fontWeight: 'bold', margin: 0 }}>{partyData.party}</h3>
               {partyData.hasUplift && (
                 <span style={{ fontSize: '10px', fontWeight: 'bold', backgroundColor: '#3b82f6', color: 'white', padding: '4px 8px', borderRadius: '4px' }}>
-                  +10% Uplift
+                  {upliftLabel} Uplift
+                </span>
+              )}
+              {partyData.floorApplied && (
+                <span style={{ fontSize: '10px', fontWeight: 'bold', backgroundColor: '#f59e0b', color: 'white', padding: '4px 8px', borderRadius: '4px' }}>
+                  {partyData.minimumShare}% Minimum
                 </span>
               )}
             </div>
@@ -379,9 +503,9 @@ const RedPegasusInternalReport = ({
       <div className="page" style={{ padding: '40px' }}>
         <h2 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '20px', borderBottom: '2px solid #000', paddingBottom: '8px' }}>Gross Margin Analysis</h2>
         <div style={{ backgroundColor: '#e0f2fe', borderLeft: '4px solid #0284c7', padding: '12px', marginBottom: '20px', fontSize: '9pt' }}>
-          <p style={{ margin: '0 0 4px 0', fontWeight: 'bold', color: '#075985' }}>Assumption:</p>
+          <p style={{ margin: '0 0 4px 0', fontWeight: 'bold', color: '#075985' }}>Costs:</p>
           <p style={{ margin: 0, color: '#475569' }}>
-            Resource costs are 50% of the price (before normalization). Cost = 50% × Price • Margin = Revenue - Cost • Margin % = (Margin ÷ Revenue) × 100
+            Central day cost rates per party, role and resource type. Cost = Days × Cost Rate • Margin = Revenue - Cost • Margin % = (Margin ÷ Revenue) × 100
           </p>
         </div>
 
@@ -390,7 +514,7 @@ const RedPegasusInternalReport = ({
             <tr style={{ backgroundColor: '#f5f5f5', borderBottom: '2px solid #000' }}>
               <th style={{ padding: '10px', textAlign: 'left', fontWeight: 'bold' }}>Party</th>
               <th style={{ padding: '10px', textAlign: 'right', fontWeight: 'bold' }}>Price</th>
-              <th style={{ padding: '10px', textAlign: 'right', fontWeight: 'bold' }}>Cost (50%)</th>
+              <th style={{ padding: '10px', textAlign: 'right', fontWeight: 'bold' }}>Cost</th>
               <th style={{ padding: '10px', textAlign: 'right', fontWeight: 'bold' }}>Revenue</th>
               <th style={{ padding: '10px', textAlign: 'right', fontWeight: 'bold' }}>Margin</th>
               <th style={{ padding: '10px', textAlign: 'right', fontWeight: 'bold' }}>Margin %</th>
@@ -401,7 +525,7 @@ const RedPegasusInternalReport = ({
               <tr key={partyData.party} style={{ borderBottom: '1px solid #ccc' }}>
                 <td style={{ padding: '10px', fontWeight: 'bold' }}>
                   {partyData.party}
-                  {partyData.hasUplift && <span style={{ fontSize: '8pt', color: '#3b82f6', marginLeft: '8px' }}>(+10%)</span>}
+                  {partyData.hasUplift && <span style={{ fontSize: '8pt', color: '#3b82f6', marginLeft: '8px' }}>({upliftLabel})</span>}
                 </td>
                 <td style={{ padding: '10px', textAlign: 'right' }}>{safeFormatGBP(partyData.price)}</td>
                 <td style={{ padding: '10px', textAlign: 'right' }}>{safeFormatGBP(partyData.cost)}</td>
@@ -430,6 +554,240 @@ const RedPegasusInternalReport = ({
         </table>
       </div>
 
+      {/* Page 6: Payment Schedule */}
+      {paymentSchedule && paymentSchedule.instalments.length > 0 && (
+        <div className="page" style={{ padding: '40px' }}>
+          <h2 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '20px', borderBottom: '2px solid #000', paddingBottom: '8px' }}>Payment Schedule & Invoice Split</h2>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9pt' }}>
+            <thead>
+              <tr style={{ backgroundColor: '#f5f5f5', borderBottom: '2px solid #000' }}>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Milestone</th>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Invoice Date</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Net</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>{paymentSchedule.taxLabel}</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Gross</th>
+                {Object.keys(paymentSchedule.totals.parties).map(party => (
+                  <th key={party} style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>{party}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {paymentSchedule.instalments.map(instalment => (
+                <tr key={instalment.id} style={{ borderBottom: '1px solid #ccc' }}>
+                  <td style={{ padding: '8px' }}>{instalment.name} ({instalment.percentage.toFixed(1)}%)</td>
+                  <td style={{ padding: '8px' }}>{instalment.date || 'TBC'}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(instalment.net)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(instalment.vat)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>{safeFormatGBP(instalment.gross)}</td>
+                  {Object.keys(paymentSchedule.totals.parties).map(party => (
+                    <td key={party} style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(instalment.parties[party])}</td>
+                  ))}
+                </tr>
+              ))}
+              <tr style={{ backgroundColor: '#f5f5f5', borderTop: '2px solid #000', fontWeight: 'bold' }}>
+                <td colSpan="2" style={{ padding: '8px' }}>TOTAL</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(paymentSchedule.totals.net)}</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(paymentSchedule.totals.vat)}</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(paymentSchedule.totals.gross)}</td>
+                {Object.entries(paymentSchedule.totals.parties).map(([party, value]) => (
+                  <td key={party} style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(value)}</td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+          <p style={{ fontSize: '8pt', color: '#666', marginTop: '6px' }}>
+            Party columns split each invoice's net value by the party's share of project revenue. Payment terms: {paymentSchedule.paymentTermsDays} days.
+            {paymentSchedule.taxNote && ` ${paymentSchedule.taxNote}.`}
+          </p>
+        </div>
+      )}
+
+      {/* Page 7: Risk Contingency */}
+      {riskContingency && (
+        <div className="page" style={{ padding: '40px' }}>
+          <h2 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '20px', borderBottom: '2px solid #000', paddingBottom: '8px' }}>Risk Contingency</h2>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9pt', marginBottom: '20px' }}>
+            <thead>
+              <tr style={{ backgroundColor: '#f5f5f5', borderBottom: '2px solid #000' }}>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Source</th>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Owner</th>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Basis</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Days</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Price</th>
+              </tr>
+            </thead>
+            <tbody>
+              {riskContingency.deliverables.map(d => (
+                <tr key={`deliverable-${d.id}`} style={{ borderBottom: '1px solid #ccc' }}>
+                  <td style={{ padding: '8px' }}>{d.name}</td>
+                  <td style={{ padding: '8px' }}>{d.owner}</td>
+                  <td style={{ padding: '8px' }}>{RISK_RATING_LABELS[d.riskRating]} risk, {d.percentage}% of days</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{formatDays(d.days)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(d.price)}</td>
+                </tr>
+              ))}
+              {riskContingency.risks.map(risk => (
+                <tr key={`risk-${risk.id}`} style={{ borderBottom: '1px solid #ccc' }}>
+                  <td style={{ padding: '8px' }}>{risk.title || 'Untitled risk'}</td>
+                  <td style={{ padding: '8px' }}>{risk.owner || 'Shared'}</td>
+                  <td style={{ padding: '8px' }}>{risk.probability}% × {risk.impactDays} days</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{formatDays(risk.expectedDays)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(risk.price)}</td>
+                </tr>
+              ))}
+              <tr style={{ backgroundColor: '#f5f5f5', borderTop: '2px solid #000', fontWeight: 'bold' }}>
+                <td colSpan="3" style={{ padding: '8px' }}>TOTAL CONTINGENCY</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>{formatDays(riskContingency.days)}</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(riskContingency.price)}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <h3 style={{ fontSize: '12pt', fontWeight: 'bold', margin: '0 0 8px 0' }}>Contingency by Party</h3>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9pt' }}>
+            <tbody>
+              {Object.entries(riskContingency.parties).map(([party, revenue]) => (
+                <tr key={party} style={{ borderBottom: '1px solid #ccc' }}>
+                  <td style={{ padding: '8px', fontWeight: 'bold', width: '200px', backgroundColor: '#f5f5f5' }}>{party}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(revenue)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right', color: '#666' }}>{((revenue / riskContingency.price) * 100).toFixed(1)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p style={{ fontSize: '8pt', color: '#666', marginTop: '6px' }}>
+            Contingency is priced at the client day rate ({safeFormatGBP(inputs.clientRate)}) on top of the sold days and is included in each party's revenue elsewhere in this report. It is separate from any days reconciliation contingency.
+          </p>
+        </div>
+      )}
+
+      {/* Page 8: Commercial Adjustments */}
+      {adjustments && (
+        <div className="page" style={{ padding: '40px' }}>
+          <h2 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '20px', borderBottom: '2px solid #000', paddingBottom: '8px' }}>Commercial Adjustments</h2>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9pt', marginBottom: '20px' }}>
+            <thead>
+              <tr style={{ backgroundColor: '#f5f5f5', borderBottom: '2px solid #000' }}>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Adjustment</th>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Reason</th>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Borne By</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Discount</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Price After</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr style={{ borderBottom: '1px solid #ccc' }}>
+                <td colSpan="4" style={{ padding: '8px' }}>Gross price</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(adjustments.gross)}</td>
+              </tr>
+              {adjustments.steps.map(step => (
+                <tr key={step.id} style={{ borderBottom: '1px solid #ccc' }}>
+                  <td style={{ padding: '8px' }}>
+                    {ADJUSTMENT_TYPE_LABELS[step.type]}
+                    <div style={{ fontSize: '8pt', color: '#666' }}>
+                      {step.type === 'cap' ? `Cap at ${safeFormatGBP(Number(step.value) || 0)}` : step.valueType === 'fixed' ? safeFormatGBP(Number(step.value) || 0) : `${step.value}%`}
+                    </div>
+                  </td>
+                  <td style={{ padding: '8px' }}>{step.reason}</td>
+                  <td style={{ padding: '8px' }}>{step.borneBy || 'Shared'}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>−{safeFormatGBP(step.amount)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(step.priceAfter)}</td>
+                </tr>
+              ))}
+              <tr style={{ backgroundColor: '#f5f5f5', borderTop: '2px solid #000', fontWeight: 'bold' }}>
+                <td colSpan="3" style={{ padding: '8px' }}>NET PRICE</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>−{safeFormatGBP(adjustments.discount)}</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(adjustments.net)}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <h3 style={{ fontSize: '12pt', fontWeight: 'bold', margin: '0 0 8px 0' }}>Discount by Party</h3>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9pt' }}>
+            <thead>
+              <tr style={{ backgroundColor: '#f5f5f5', borderBottom: '2px solid #000' }}>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Party</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Gross</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Discount</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Net</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(model.partyAllocations || {}).map(([party, allocation]) => (
+                <tr key={party} style={{ borderBottom: '1px solid #ccc' }}>
+                  <td style={{ padding: '8px', fontWeight: 'bold' }}>{party}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(allocation.grossRevenue)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>−{safeFormatGBP(allocation.discount)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(allocation.finalRevenue)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Page 9: Change Requests */}
+      {variations && (variations.variations.length > 0 || variations.pending.length > 0) && (
+        <div className="page" style={{ padding: '40px' }}>
+          <h2 style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '20px', borderBottom: '2px solid #000', paddingBottom: '8px' }}>Contract Variations</h2>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9pt' }}>
+            <thead>
+              <tr style={{ backgroundColor: '#f5f5f5', borderBottom: '2px solid #000' }}>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Reference</th>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Change</th>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Status</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Days</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Price Change</th>
+                <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Contract Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr style={{ borderBottom: '1px solid #ccc' }}>
+                <td colSpan="3" style={{ padding: '8px' }}>Signed baseline</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>{variations.baseline.soldDays}</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>—</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(variations.baseline.price)}</td>
+              </tr>
+              {variations.variations.map(variation => (
+                <tr key={variation.id} style={{ borderBottom: '1px solid #ccc' }}>
+                  <td style={{ padding: '8px' }}>{variation.reference}</td>
+                  <td style={{ padding: '8px' }}>
+                    {variation.title}
+                    {variation.reason && <div style={{ fontSize: '8pt', color: '#666' }}>{variation.reason}</div>}
+                  </td>
+                  <td style={{ padding: '8px' }}>
+                    Approved {variation.decidedAt ? new Date(variation.decidedAt).toLocaleDateString('en-GB') : ''}
+                    {variation.decidedBy && ` by ${variation.decidedBy.name || variation.decidedBy.username}`}
+                  </td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{variation.daysDelta > 0 ? '+' : ''}{variation.daysDelta}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(variation.priceDelta)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(variation.price)}</td>
+                </tr>
+              ))}
+              <tr style={{ backgroundColor: '#f5f5f5', borderTop: '2px solid #000', fontWeight: 'bold' }}>
+                <td colSpan="3" style={{ padding: '8px' }}>CURRENT CONTRACT</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>{variations.contract.soldDays}</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(variations.contract.price - variations.baseline.price)}</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(variations.contract.price)}</td>
+              </tr>
+              {variations.pending.map(cr => (
+                <tr key={cr.id} style={{ borderBottom: '1px solid #ccc', color: '#666' }}>
+                  <td style={{ padding: '8px' }}>{cr.reference}</td>
+                  <td style={{ padding: '8px' }}>{cr.title || 'Untitled'}</td>
+                  <td style={{ padding: '8px' }}>{CHANGE_REQUEST_STATUS_LABELS[cr.status]}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{cr.daysDelta > 0 ? '+' : ''}{cr.daysDelta}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(cr.priceDelta)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>—</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p style={{ fontSize: '8pt', color: '#666', marginTop: '6px' }}>
+            Variations are priced at the client day rate ({safeFormatGBP(inputs.clientRate)}). Open requests are not included in the current contract. Deliverables, splits and margins elsewhere in this report are for the signed baseline.
+          </p>
+        </div>
+      )}
+
       {/* Print Styles */}
       <style>{`
         @media print {
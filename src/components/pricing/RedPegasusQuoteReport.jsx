@@ -1,10 +1,14 @@
 import React from 'react';
 import formatGBP from './shared/formatGBP';
+import { ADJUSTMENT_TYPE_LABELS } from './shared/commercialAdjustments';
+import { BASE_CURRENCY, CURRENCY_LABELS, formatMoney, describeFx } from './shared/currency';
+import { TAX_TREATMENT_LABELS, normalizeTaxSettings, calculateTax, taxLabel, taxNote } from './shared/tax';
 
 /**
  * RedPegasusQuoteReport Component
  * Client-facing quote report showing deliverables, pricing, and terms only
  * Classification: DETAILED QUOTE - CLIENT PROPOSAL / CLIENT-READY
+ * Amounts are in the quote currency: formatGBP converts from GBP at `fx`.
  */
 const RedPegasusQuoteReport = ({ 
   model, 
@@ -15,7 +19,12 @@ const RedPegasusQuoteReport = ({
   startDate = '',
   endDate = '',
   projectCode = '',
-  accountManager = ''
+  accountManager = '',
+  schedule = null,
+  paymentSchedule = null,
+  variations = null,
+  quoteVersion = null,
+  fx = null
 }) => {
   if (!model || !inputs) {
     return (
@@ -25,16 +34,18 @@ const RedPegasusQuoteReport = ({
     );
   }
 
+  const currency = fx?.currency || BASE_CURRENCY;
   const safeFormatGBP = (value) => {
-    if (value === null || value === undefined) return '£0.00';
+    if (value === null || value === undefined) return formatMoney(0, currency, 2);
     try {
       return formatCurrency(value);
     } catch {
-      return '£0.00';
+      return formatMoney(0, currency, 2);
     }
   };
 
-  const reportDate = new Date().toLocaleDateString('en-GB', {
+  // A frozen version is dated when it was frozen
+  const reportDate = new Date(quoteVersion?.createdAt || Date.now()).toLocaleDateString('en-GB', {
     weekday: 'long',
     year: 'numeric',
     month: 'long',
@@ -42,6 +53,27 @@ const RedPegasusQuoteReport = ({
   });
 
   const totalRevenue = model.totalRevenue || 0;
+  const versionLabel = quoteVersion ? `v${quoteVersion.version}` : 'Draft';
+  const approvedVariations = variations?.variations || [];
+  const formatDelta = (value) => `${value < 0 ? '−' : '+'}${safeFormatGBP(Math.abs(value))}`;
+
+  // Sold days vs deliverable days (scaled days can be fractional)
+  const reconciliation = model.reconciliation || null;
+  const formatDays = (days) => (Number.isInteger(days) ? days : Number(days || 0).toFixed(2));
+  const contingencyDays = reconciliation?.contingencyDays || 0;
+  const riskContingency = model.riskContingency || null;
+  const adjustments = model.commercialAdjustments?.discount > 0 ? model.commercialAdjustments : null;
+
+  // Net, VAT and gross from the project tax settings
+  const taxSettings = normalizeTaxSettings(inputs.taxSettings, inputs.paymentPlan?.vatRate);
+  const tax = calculateTax(totalRevenue, taxSettings);
+  const note = taxNote(taxSettings);
+
+  // Timeline from the delivery plan, when one has been built
+  const isScheduled = Boolean(schedule?.scheduled);
+  const formatPlanDate = (date) => date
+    ? date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })
+    : 'TBC';
 
   return (
     <div className="red-pegasus-quote-report bg-white text-slate-900" style={{ fontSize: '11pt', fontFamily: 'Arial, sans-serif' }}>
@@ -73,11 +105,21 @@ const RedPegasusQuoteReport = ({
           <p style={{ margin: '4px 0', color: '#475569' }}>
             <strong>Quote Date:</strong> {reportDate}
           </p>
+          <p style={{ margin: '4px 0', color: '#475569' }}>
+            <strong>Quote Version:</strong> {versionLabel}
+            {quoteVersion && quoteVersion.name !== versionLabel ? ` – ${quoteVersion.name}` : ''}
+            {!quoteVersion && ' (not yet issued)'}
+          </p>
           {(startDate || endDate) && (
             <p style={{ margin: '4px 0', color: '#475569' }}>
               <strong>Project Timeline:</strong> {startDate && endDate ? `${startDate} to ${endDate}` : startDate || endDate}
             </p>
           )}
+          {isScheduled && (
+            <p style={{ margin: '4px 0', color: '#475569' }}>
+              <strong>Planned Delivery:</strong> {formatPlanDate(schedule.start)} to {formatPlanDate(schedule.end)}
+            </p>
+          )}
           <p style={{ margin: '4px 0', color: '#475569' }}>
             <strong>Engagement Model:</strong> Deliverable-based pricing
           </p>
@@ -92,6 +134,9 @@ const RedPegasusQuoteReport = ({
           <div>
             <p style={{ fontSize: '12px', fontWeight: 'bold', margin: '0 0 8px 0' }}>TOTAL QUOTE AMOUNT</p>
             <p style={{ fontSize: '32px', fontWeight: 'bold', margin: 0 }}>{safeFormatGBP(totalRevenue)}</p>
+            <p style={{ fontSize: '10pt', color: '#64748b', margin: '4px 0 0 0' }}>
+              {tax.rate > 0 ? `excluding VAT (${safeFormatGBP(tax.gross)} including VAT)` : `${TAX_TREATMENT_LABELS[taxSettings.treatment]}: no VAT charged`}
+            </p>
           </div>
         </div>
       </div>
@@ -117,18 +162,95 @@ const RedPegasusQuoteReport = ({
             {(model.deliverables || []).map((deliverable, idx) => (
               <tr key={idx} style={{ borderBottom: '1px solid #ccc' }}>
                 <td style={{ padding: '10px', fontWeight: '500' }}>{deliverable.name}</td>
-                <td style={{ padding: '10px', textAlign: 'center' }}>{deliverable.days}</td>
+                <td style={{ padding: '10px', textAlign: 'center' }}>{formatDays(deliverable.days)}</td>
                 <td style={{ padding: '10px' }}>{deliverable.acceptance || 'Completion verification'}</td>
                 <td style={{ padding: '10px', textAlign: 'right', fontWeight: 'bold' }}>{safeFormatGBP(deliverable.revenue)}</td>
               </tr>
             ))}
+            {contingencyDays > 0 && (
+              <tr style={{ borderBottom: '1px solid #ccc', fontStyle: 'italic' }}>
+                <td style={{ padding: '10px', fontWeight: '500' }}>Contingency</td>
+                <td style={{ padding: '10px', textAlign: 'center' }}>{formatDays(contingencyDays)}</td>
+                <td style={{ padding: '10px' }}>Sold days not yet assigned to a deliverable</td>
+                <td style={{ padding: '10px', textAlign: 'right', fontWeight: 'bold' }}>{safeFormatGBP(reconciliation.contingencyRevenue)}</td>
+              </tr>
+            )}
+            {riskContingency?.price > 0 && (
+              <tr style={{ borderBottom: '1px solid #ccc', fontStyle: 'italic' }}>
+                <td style={{ padding: '10px', fontWeight: '500' }}>Risk contingency</td>
+                <td style={{ padding: '10px', textAlign: 'center' }}>{formatDays(riskContingency.days)}</td>
+                <td style={{ padding: '10px' }}>Allowance for identified delivery risks</td>
+                <td style={{ padding: '10px', textAlign: 'right', fontWeight: 'bold' }}>{safeFormatGBP(riskContingency.price)}</td>
+              </tr>
+            )}
+            {adjustments && (
+              <>
+                <tr style={{ borderTop: '2px solid #000', fontWeight: 'bold' }}>
+                  <td colSpan="3" style={{ padding: '10px' }}>Subtotal</td>
+                  <td style={{ padding: '10px', textAlign: 'right' }}>{safeFormatGBP(adjustments.gross)}</td>
+                </tr>
+                {adjustments.steps.filter(step => step.amount > 0).map(step => (
+                  <tr key={`adjustment-${step.id}`} style={{ borderBottom: '1px solid #ccc' }}>
+                    <td colSpan="3" style={{ padding: '10px' }}>
+                      {ADJUSTMENT_TYPE_LABELS[step.type]}
+                      {step.reason && <span style={{ color: '#475569' }}> – {step.reason}</span>}
+                    </td>
+                    <td style={{ padding: '10px', textAlign: 'right' }}>−{safeFormatGBP(step.amount)}</td>
+                  </tr>
+                ))}
+              </>
+            )}
+            <tr style={{ borderTop: '2px solid #000', fontWeight: 'bold' }}>
+              <td colSpan="3" style={{ padding: '10px' }}>TOTAL (NET)</td>
+              <td style={{ padding: '10px', textAlign: 'right' }}>{safeFormatGBP(tax.net)}</td>
+            </tr>
+            <tr style={{ borderBottom: '1px solid #ccc' }}>
+              <td colSpan="3" style={{ padding: '10px' }}>{taxLabel(taxSettings)}</td>
+              <td style={{ padding: '10px', textAlign: 'right' }}>{safeFormatGBP(tax.tax)}</td>
+            </tr>
             <tr style={{ backgroundColor: '#f5f5f5', borderTop: '2px solid #000', fontWeight: 'bold' }}>
-              <td colSpan="3" style={{ padding: '10px' }}>TOTAL</td>
-              <td style={{ padding: '10px', textAlign: 'right' }}>{safeFormatGBP(totalRevenue)}</td>
+              <td colSpan="3" style={{ padding: '10px' }}>TOTAL (GROSS)</td>
+              <td style={{ padding: '10px', textAlign: 'right' }}>{safeFormatGBP(tax.gross)}</td>
             </tr>
           </tbody>
         </table>
 
+        {reconciliation && !reconciliation.matches && contingencyDays <= 0 && (
+          <p style={{ color: '#475569', margin: '0 0 20px 0', fontSize: '10pt' }}>
+            {reconciliation.mode === 'scale'
+              ? `Deliverable days have been scaled to the ${formatDays(reconciliation.soldDays)} days quoted (${formatDays(reconciliation.deliverableDays)} days estimated).`
+              : `Deliverables are estimated at ${formatDays(reconciliation.deliverableDays)} days; ${formatDays(reconciliation.soldDays)} days are quoted.`}
+          </p>
+        )}
+
+        {isScheduled && (
+          <>
+            <h3 style={{ fontSize: '12pt', fontWeight: 'bold', margin: '0 0 8px 0' }}>Delivery Timeline</h3>
+            <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '20px', fontSize: '10pt' }}>
+              <thead>
+                <tr style={{ backgroundColor: '#f5f5f5', borderBottom: '2px solid #000' }}>
+                  <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Deliverable</th>
+                  <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Start</th>
+                  <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Complete</th>
+                  <th style={{ padding: '8px', textAlign: 'center', fontWeight: 'bold' }}>Working Days</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...schedule.items]
+                  .sort((a, b) => (a.start || Infinity) - (b.start || Infinity))
+                  .map(item => (
+                    <tr key={item.id} style={{ borderBottom: '1px solid #ccc' }}>
+                      <td style={{ padding: '8px' }}>{item.name}</td>
+                      <td style={{ padding: '8px' }}>{formatPlanDate(item.start)}</td>
+                      <td style={{ padding: '8px' }}>{formatPlanDate(item.end)}</td>
+                      <td style={{ padding: '8px', textAlign: 'center' }}>{item.durationDays}</td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
         <div style={{ backgroundColor: '#f5f5f5', padding: '12px', borderLeft: '2px solid #000', borderRadius: '0px', fontSize: '9pt' }}>
           <p style={{ margin: 0 }}>
             <strong>Note:</strong> Deliverables are estimated based on current scope and assumptions. Any significant scope changes will be discussed and may impact the timeline and pricing.
@@ -144,10 +266,53 @@ const RedPegasusQuoteReport = ({
         <div style={{ backgroundColor: '#f5f5f5', border: '2px solid #000', padding: '20px', borderRadius: '0px', marginBottom: '24px' }}>
           <div style={{ textAlign: 'center' }}>
             <p style={{ fontSize: '10px', fontWeight: 'bold', margin: '0 0 4px 0' }}>TOTAL QUOTE AMOUNT</p>
-            <p style={{ fontSize: '32px', fontWeight: 'bold', margin: 0 }}>{safeFormatGBP(totalRevenue)}</p>
+            <p style={{ fontSize: '32px', fontWeight: 'bold', margin: 0 }}>{safeFormatGBP(tax.net)}</p>
+            <p style={{ fontSize: '10pt', margin: '4px 0 0 0' }}>
+              {tax.rate > 0
+                ? <>+ {taxLabel(taxSettings)} {safeFormatGBP(tax.tax)} = <strong>{safeFormatGBP(tax.gross)}</strong> including VAT</>
+                : `${TAX_TREATMENT_LABELS[taxSettings.treatment]}: no VAT charged`}
+            </p>
+            <p style={{ fontSize: '9pt', color: '#64748b', margin: '4px 0 0 0' }}>Quote {projectCode ? `${projectCode} ` : ''}{versionLabel}</p>
           </div>
         </div>
 
+        {/* Contract Variations */}
+        {approvedVariations.length > 0 && (
+          <>
+            <h3 style={{ fontSize: '12pt', fontWeight: 'bold', marginBottom: '12px', backgroundColor: '#f5f5f5', padding: '8px 12px', borderBottom: '2px solid #000' }}>Contract Variations</h3>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9pt', marginBottom: '20px' }}>
+              <thead>
+                <tr style={{ backgroundColor: '#f5f5f5', borderBottom: '2px solid #000' }}>
+                  <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Reference</th>
+                  <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Change</th>
+                  <th style={{ padding: '8px', textAlign: 'center', fontWeight: 'bold' }}>Days</th>
+                  <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Price</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr style={{ borderBottom: '1px solid #ccc' }}>
+                  <td style={{ padding: '8px' }} colSpan="2">Original quote</td>
+                  <td style={{ padding: '8px', textAlign: 'center' }}>{variations.baseline.soldDays}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(variations.baseline.price)}</td>
+                </tr>
+                {approvedVariations.map(variation => (
+                  <tr key={variation.id} style={{ borderBottom: '1px solid #ccc' }}>
+                    <td style={{ padding: '8px' }}>{variation.reference}</td>
+                    <td style={{ padding: '8px' }}>{variation.title}</td>
+                    <td style={{ padding: '8px', textAlign: 'center' }}>{variation.daysDelta > 0 ? '+' : ''}{variation.daysDelta}</td>
+                    <td style={{ padding: '8px', textAlign: 'right' }}>{formatDelta(variation.priceDelta)}</td>
+                  </tr>
+                ))}
+                <tr style={{ backgroundColor: '#f5f5f5', borderTop: '2px solid #000', fontWeight: 'bold' }}>
+                  <td colSpan="2" style={{ padding: '8px' }}>REVISED CONTRACT VALUE</td>
+                  <td style={{ padding: '8px', textAlign: 'center' }}>{variations.contract.soldDays}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(variations.contract.price)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </>
+        )}
+
         {/* Pricing Notes */}
         <div style={{ marginBottom: '20px' }}>
           <h3 style={{ fontSize: '12pt', fontWeight: 'bold', marginBottom: '12px' }}>Pricing Approach</h3>
@@ -156,21 +321,66 @@ const RedPegasusQuoteReport = ({
           </div>
         </div>
 
+        {/* Payment Schedule */}
+        {paymentSchedule && paymentSchedule.instalments.length > 0 && (
+          <>
+            <h3 style={{ fontSize: '12pt', fontWeight: 'bold', marginBottom: '12px', backgroundColor: '#f5f5f5', padding: '8px 12px', borderBottom: '2px solid #000' }}>Payment Schedule</h3>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9pt', marginBottom: '20px' }}>
+              <thead>
+                <tr style={{ backgroundColor: '#f5f5f5', borderBottom: '2px solid #000' }}>
+                  <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Milestone</th>
+                  <th style={{ padding: '8px', textAlign: 'left', fontWeight: 'bold' }}>Invoice Date</th>
+                  <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Net</th>
+                  <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>{paymentSchedule.taxLabel}</th>
+                  <th style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {paymentSchedule.instalments.map(instalment => (
+                  <tr key={instalment.id} style={{ borderBottom: '1px solid #ccc' }}>
+                    <td style={{ padding: '8px' }}>{instalment.name} ({instalment.percentage.toFixed(0)}%)</td>
+                    <td style={{ padding: '8px' }}>{instalment.date ? formatPlanDate(new Date(`${instalment.date}T00:00:00Z`)) : 'TBC'}</td>
+                    <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(instalment.net)}</td>
+                    <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(instalment.vat)}</td>
+                    <td style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold' }}>{safeFormatGBP(instalment.gross)}</td>
+                  </tr>
+                ))}
+                <tr style={{ backgroundColor: '#f5f5f5', borderTop: '2px solid #000', fontWeight: 'bold' }}>
+                  <td colSpan="2" style={{ padding: '8px' }}>TOTAL</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(paymentSchedule.totals.net)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(paymentSchedule.totals.vat)}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>{safeFormatGBP(paymentSchedule.totals.gross)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </>
+        )}
+
         {/* Payment Terms */}
         <h3 style={{ fontSize: '12pt', fontWeight: 'bold', marginBottom: '12px', backgroundColor: '#f5f5f5', padding: '8px 12px', borderBottom: '2px solid #000' }}>Payment Terms</h3>
         <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '9pt' }}>
           <tbody>
             <tr style={{ borderBottom: '1px solid #ccc' }}>
               <td style={{ padding: '8px', fontWeight: 'bold', width: '180px', backgroundColor: '#f5f5f5' }}>Invoice Schedule:</td>
-              <td style={{ padding: '8px' }}>Milestone-based invoicing as deliverables are completed</td>
+              <td style={{ padding: '8px' }}>
+                {paymentSchedule ? 'As set out in the payment schedule above' : 'Milestone-based invoicing as deliverables are completed'}
+              </td>
             </tr>
             <tr style={{ borderBottom: '1px solid #ccc' }}>
               <td style={{ padding: '8px', fontWeight: 'bold', backgroundColor: '#f5f5f5' }}>Payment Terms:</td>
-              <td style={{ padding: '8px' }}>Net 30 days from invoice date</td>
+              <td style={{ padding: '8px' }}>Net {paymentSchedule ? paymentSchedule.paymentTermsDays : 30} days from invoice date</td>
+            </tr>
+            <tr style={{ borderBottom: '1px solid #ccc' }}>
+              <td style={{ padding: '8px', fontWeight: 'bold', backgroundColor: '#f5f5f5' }}>VAT:</td>
+              <td style={{ padding: '8px' }}>
+                {note || `Charged at ${tax.rate}% on each invoice`}
+              </td>
             </tr>
             <tr>
               <td style={{ padding: '8px', fontWeight: 'bold', backgroundColor: '#f5f5f5' }}>Currency:</td>
-              <td style={{ padding: '8px' }}>British Pounds Sterling (GBP)</td>
+              <td style={{ padding: '8px' }}>
+                {currency === BASE_CURRENCY ? 'British Pounds Sterling (GBP)' : `${CURRENCY_LABELS[currency]} – converted at ${describeFx(fx)}`}
+              </td>
             </tr>
           </tbody>
         </table>
@@ -191,7 +401,9 @@ const RedPegasusQuoteReport = ({
           <div style={{ marginBottom: '12px' }}>
             <h3 style={{ fontSize: '11pt', fontWeight: 'bold', margin: '0 0 4px 0' }}>Timeline</h3>
             <p style={{ margin: '0' }}>
-              The estimated effort is based on current availability and understanding of requirements. Actual timeline will be confirmed upon project initiation.
+              {isScheduled
+                ? `Delivery is planned from ${formatPlanDate(schedule.start)} to ${formatPlanDate(schedule.end)}, as set out in the delivery timeline. Dates are based on current availability and will be confirmed upon project initiation.`
+                : 'The estimated effort is based on current availability and understanding of requirements. Actual timeline will be confirmed upon project initiation.'}
             </p>
           </div>
 
@@ -6,8 +6,9 @@ import React from 'react';
  *
  * @param {Function} onSelect - Callback when variant is selected
  * @param {Function} onClose - Callback to close the modal
+ * @param {Array<string>} variants - Variants the user's role may print
  */
-const ReportVariantSelector = ({ onSelect, onClose }) => {
+const ReportVariantSelector = ({ onSelect, onClose, variants = ['INTERNAL', 'DETAILED_QUOTE'] }) => {
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-3 md:p-4">
       <div className="bg-white rounded-lg shadow-xl p-4 md:p-8 w-full max-w-4xl max-h-screen overflow-y-auto">
@@ -27,38 +28,48 @@ const ReportVariantSelector = ({ onSelect, onClose }) => {
 
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 md:gap-6">
           {/* INTERNAL Report */}
-          <button
-            onClick={() => onSelect('INTERNAL')}
-            className="p-4 md:p-6 rounded-lg border-2 border-blue-200 hover:border-blue-600 hover:bg-blue-50 transition text-left cursor-pointer"
-          >
-            <div className="font-bold text-slate-900 mb-2 md:mb-3 text-base md:text-lg">Internal Report</div>
-            <div className="text-sm text-slate-600 space-y-1">
-              <p>✓ Full financial analysis</p>
-              <p>✓ All deliverables detailed</p>
-              <p>✓ Role weights & allocations</p>
-              <p>✓ Party revenue breakdown</p>
-              <p>✓ Account manager uplift shown</p>
-              <p className="text-red-600 font-semibold mt-2">CONFIDENTIAL</p>
-            </div>
-          </button>
+          {variants.includes('INTERNAL') && (
+            <button
+              onClick={() => onSelect('INTERNAL')}
+              className="p-4 md:p-6 rounded-lg border-2 border-blue-200 hover:border-blue-600 hover:bg-blue-50 transition text-left cursor-pointer"
+            >
+              <div className="font-bold text-slate-900 mb-2 md:mb-3 text-base md:text-lg">Internal Report</div>
+              <div className="text-sm text-slate-600 space-y-1">
+                <p>✓ Full financial analysis</p>
+                <p>✓ All deliverables detailed</p>
+                <p>✓ Role weights & allocations</p>
+                <p>✓ Party revenue breakdown</p>
+                <p>✓ Account manager uplift shown</p>
+                <p className="text-red-600 font-semibold mt-2">CONFIDENTIAL</p>
+              </div>
+            </button>
+          )}
 
           {/* Detailed Quote Report */}
-          <button
-            onClick={() => onSelect('DETAILED_QUOTE')}
-            className="p-6 rounded-lg border-2 border-purple-200 hover:border-purple-600 hover:bg-purple-50 transition text-left cursor-pointer"
-          >
-            <div className="font-bold text-slate-900 mb-3 text-lg">Detailed Quote</div>
-            <div className="text-sm text-slate-600 space-y-1">
-              <p>✓ Client-facing proposal</p>
-              <p>✓ Deliverables & timeline</p>
-              <p>✓ Pricing summary</p>
-              <p>✓ Payment terms included</p>
-              <p>✓ No internal details</p>
-              <p className="text-purple-600 font-semibold mt-2">CLIENT-READY</p>
-            </div>
-          </button>
+          {variants.includes('DETAILED_QUOTE') && (
+            <button
+              onClick={() => onSelect('DETAILED_QUOTE')}
+              className="p-6 rounded-lg border-2 border-purple-200 hover:border-purple-600 hover:bg-purple-50 transition text-left cursor-pointer"
+            >
+              <div className="font-bold text-slate-900 mb-3 text-lg">Detailed Quote</div>
+              <div className="text-sm text-slate-600 space-y-1">
+                <p>✓ Client-facing proposal</p>
+                <p>✓ Deliverables & timeline</p>
+                <p>✓ Pricing summary</p>
+                <p>✓ Payment terms included</p>
+                <p>✓ No internal details</p>
+                <p className="text-purple-600 font-semibold mt-2">CLIENT-READY</p>
+              </div>
+            </button>
+          )}
         </div>
 
+        {!variants.includes('INTERNAL') && (
+          <p className="mt-4 text-xs md:text-sm text-slate-500">
+            Your role can print the client quote only. Ask an Admin or Commercial user for the internal report.
+          </p>
+        )}
+
         {/* Info Box */}
         <div className="mt-6 md:mt-8 p-3 md:p-4 bg-blue-50 border border-blue-200 rounded text-xs md:text-sm text-blue-800">
           <strong>Tip:</strong> <strong>Internal Report</strong> shows complete financial breakdown with role weights and party allocations. <strong>Detailed Quote</strong> shows client-facing proposal with pricing and terms only.
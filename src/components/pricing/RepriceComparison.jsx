@@ -0,0 +1,119 @@
+import React from 'react';
+import formatGBP from './shared/formatGBP';
+import { compareAllocations } from './shared/roleWeightVersions';
+
+const formatDelta = (value, format) => {
+  if (Math.abs(value) < 0.005) return '—';
+  return `${value > 0 ? '+' : '−'}${format(Math.abs(value))}`;
+};
+
+/**
+ * RepriceComparison Component
+ * Before/after view of re-pricing a project with a newer role-weight version:
+ * the weights that change and each party's allocation under both.
+ *
+ * @param {Object} currentVersion - Version the project is priced with ({ version, effectiveFrom, weights })
+ * @param {Object} latestVersion - Version now in effect
+ * @param {Object} currentModel - Pricing model with the current weights
+ * @param {Object} latestModel - Pricing model with the latest weights
+ * @param {Function} onConfirm - Apply the latest weights to the project
+ * @param {Function} onClose - Callback to close the modal
+ */
+const RepriceComparison = ({ currentVersion, latestVersion, currentModel, latestModel, onConfirm, onClose }) => {
+  const rows = compareAllocations(currentModel, latestModel);
+  const roles = Array.from(new Set([
+    ...Object.keys(currentVersion.weights || {}),
+    ...Object.keys(latestVersion.weights || {})
+  ]));
+  const changedRoles = roles.filter(role => currentVersion.weights[role] !== latestVersion.weights[role]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-3 md:p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full p-4 md:p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 className="text-lg md:text-xl font-bold text-slate-800">Re-price with Latest Weights</h2>
+            <p className="text-sm text-slate-600 mt-1">
+              Version {currentVersion.version} (effective {currentVersion.effectiveFrom}) → version {latestVersion.version} (effective {latestVersion.effectiveFrom})
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-slate-600 text-2xl leading-none"
+          >
+            ×
+          </button>
+        </div>
+
+        <h3 className="text-sm font-semibold text-slate-700 mb-2">Role weight changes</h3>
+        {changedRoles.length === 0 ? (
+          <p className="text-sm text-slate-500 mb-4">The weights are the same in both versions.</p>
+        ) : (
+          <table className="w-full text-sm mb-4">
+            <tbody>
+              {changedRoles.map(role => (
+                <tr key={role} className="border-b border-slate-100">
+                  <td className="py-1.5 pr-3 text-slate-700">{role}</td>
+                  <td className="py-1.5 pr-3 text-right font-mono text-red-700">{currentVersion.weights[role] ?? '—'}</td>
+                  <td className="py-1.5 pr-3 text-center text-slate-400">→</td>
+                  <td className="py-1.5 text-right font-mono text-green-700">{latestVersion.weights[role] ?? '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <h3 className="text-sm font-semibold text-slate-700 mb-2">Party allocations</h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-slate-600">
+                <th className="py-2 pr-3 text-left font-semibold">Party</th>
+                <th className="py-2 pr-3 text-right font-semibold">Before</th>
+                <th className="py-2 pr-3 text-right font-semibold">After</th>
+                <th className="py-2 text-right font-semibold">Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.party} className="border-b border-slate-100">
+                  <td className="py-2 pr-3 font-medium text-slate-800">{row.party}</td>
+                  <td className="py-2 pr-3 text-right font-mono">
+                    {formatGBP(row.before.revenue)} <span className="text-slate-500">({row.before.percentage.toFixed(1)}%)</span>
+                  </td>
+                  <td className="py-2 pr-3 text-right font-mono">
+                    {formatGBP(row.after.revenue)} <span className="text-slate-500">({row.after.percentage.toFixed(1)}%)</span>
+                  </td>
+                  <td className={`py-2 text-right font-mono ${row.revenueDelta < 0 ? 'text-red-700' : 'text-green-700'}`}>
+                    {formatDelta(row.revenueDelta, formatGBP)}
+                    <span className="block text-xs">{formatDelta(row.percentageDelta, value => `${value.toFixed(1)} pts`)}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-slate-500 mt-2">
+          Total revenue stays at {formatGBP(latestModel.totalRevenue)}; weights only change how it is split and the deliverable prices.
+        </p>
+
+        <div className="flex justify-end gap-2 mt-6">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-semibold text-slate-700 border border-slate-300 rounded hover:bg-slate-50 transition-colors"
+          >
+            Keep Version {currentVersion.version}
+          </button>
+          <button
+            onClick={onConfirm}
+            className="px-4 py-2 text-sm font-semibold text-white bg-blue-600 rounded hover:bg-blue-700 transition-colors"
+          >
+            Re-price with Version {latestVersion.version}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RepriceComparison;
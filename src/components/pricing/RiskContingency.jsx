@@ -0,0 +1,277 @@
+import React from 'react';
+import formatGBP from './shared/formatGBP';
+import {
+  RISK_RATINGS,
+  RISK_RATING_LABELS,
+  RISK_ALLOCATIONS,
+  RISK_ALLOCATION_LABELS,
+  normalizeRiskContingency,
+  nextRiskId
+} from './shared/riskContingency';
+
+const formatDays = (days) => (Number.isInteger(days) ? String(days) : days.toFixed(2));
+
+/**
+ * RiskContingency Component
+ * Rates each deliverable's risk, keeps the project risk register
+ * (probability × impact in days) and shows the priced contingency line and
+ * how it is shared between the parties.
+ *
+ * @param {Array} deliverables - Project deliverables (riskRating is edited here)
+ * @param {Array} risks - Project risk register
+ * @param {Object} settings - Project risk contingency rules
+ * @param {Object} contingency - model.riskContingency
+ * @param {Array} owners - Parties that can own a risk
+ * @param {Array} parties - Parties for fixed contingency shares
+ * @param {boolean} showInternal - Show and edit the contingency rules and party shares
+ * @param {boolean} canEdit - Edit ratings, risks and rules
+ * @param {Function} onRatingChange - Called with (deliverableId, riskRating)
+ * @param {Function} onRisksChange - Called with the updated risk register
+ * @param {Function} onSettingsChange - Called with the updated contingency rules
+ * @param {Function} formatCurrency - Currency formatter
+ */
+const RiskContingency = ({
+  deliverables = [],
+  risks = [],
+  settings,
+  contingency,
+  owners = [],
+  parties = [],
+  showInternal = false,
+  canEdit = false,
+  onRatingChange,
+  onRisksChange,
+  onSettingsChange,
+  formatCurrency = formatGBP
+}) => {
+  const rules = normalizeRiskContingency(settings);
+  const ratedById = Object.fromEntries(contingency.deliverables.map(d => [d.id, d]));
+  const riskById = Object.fromEntries(contingency.risks.map(r => [r.id, r]));
+
+  const updateRisk = (id, changes) => {
+    onRisksChange(risks.map(risk => (risk.id === id ? { ...risk, ...changes } : risk)));
+  };
+
+  const addRisk = () => {
+    onRisksChange([...risks, { id: nextRiskId(risks), title: '', probability: 25, impactDays: 0, owner: '' }]);
+  };
+
+  const inputClass = 'px-2 py-1 border border-slate-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="rounded-lg border border-slate-200 bg-slate-50 p-5">
+          <p className="text-sm font-semibold text-slate-700 uppercase tracking-wide mb-1">Risk Contingency</p>
+          <p className="text-3xl font-bold text-slate-900">{formatCurrency(contingency.price)}</p>
+          <p className="text-sm text-slate-500 mt-2">{formatDays(contingency.days)} days on top of the sold days</p>
+        </div>
+        {showInternal && Object.entries(contingency.parties).map(([party, revenue]) => (
+          <div key={party} className="rounded-lg border border-slate-200 bg-slate-50 p-5">
+            <p className="text-sm font-semibold text-slate-700 uppercase tracking-wide mb-1">{party} Contingency</p>
+            <p className="text-3xl font-bold text-slate-900">{formatCurrency(revenue)}</p>
+            <p className="text-sm text-slate-500 mt-2">
+              {contingency.price > 0 ? ((revenue / contingency.price) * 100).toFixed(1) : '0.0'}% of the contingency
+            </p>
+          </div>
+        ))}
+      </div>
+
+      <h3 className="text-sm md:text-base font-semibold text-slate-900 mb-2">Deliverable Risk</h3>
+      <div className="overflow-x-auto mb-6">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-200 text-slate-600">
+              <th className="py-2 pr-3 text-left font-semibold">Deliverable</th>
+              <th className="py-2 pr-3 text-left font-semibold">Owner</th>
+              <th className="py-2 pr-3 text-right font-semibold">Days</th>
+              <th className="py-2 pr-3 text-left font-semibold">Risk</th>
+              <th className="py-2 pr-3 text-right font-semibold">Contingency Days</th>
+              <th className="py-2 text-right font-semibold">Price</th>
+            </tr>
+          </thead>
+          <tbody>
+            {deliverables.map(d => {
+              const rated = ratedById[d.id];
+              return (
+                <tr key={d.id} className="border-b border-slate-100">
+                  <td className="py-2 pr-3 font-medium text-slate-800">{d.name}</td>
+                  <td className="py-2 pr-3 text-slate-600">{d.owner}</td>
+                  <td className="py-2 pr-3 text-right text-slate-700">{formatDays(Number(d.days) || 0)}</td>
+                  <td className="py-2 pr-3">
+                    {canEdit ? (
+                      <select
+                        value={d.riskRating || 'none'}
+                        onChange={(e) => onRatingChange(d.id, e.target.value)}
+                        aria-label={`Risk rating for ${d.name}`}
+                        className={inputClass}
+                      >
+                        {RISK_RATINGS.map(rating => (
+                          <option key={rating} value={rating}>
+                            {RISK_RATING_LABELS[rating]}{rules.ratingPercentages[rating] ? ` (${rules.ratingPercentages[rating]}%)` : ''}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="text-slate-700">{RISK_RATING_LABELS[d.riskRating || 'none']}</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-3 text-right text-slate-700">{rated ? formatDays(rated.days) : '—'}</td>
+                  <td className="py-2 text-right font-semibold text-slate-900">{rated ? formatCurrency(rated.price) : '—'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm md:text-base font-semibold text-slate-900">Risk Register</h3>
+        {canEdit && (
+          <button onClick={addRisk} className="text-blue-600 hover:text-blue-700 text-sm font-semibold">
+            + Add Risk
+          </button>
+        )}
+      </div>
+      {risks.length === 0 ? (
+        <p className="text-sm text-slate-500 mb-6">No project risks recorded.</p>
+      ) : (
+        <div className="overflow-x-auto mb-6">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-200 text-slate-600">
+                <th className="py-2 pr-3 text-left font-semibold">Risk</th>
+                <th className="py-2 pr-3 text-right font-semibold">Probability %</th>
+                <th className="py-2 pr-3 text-right font-semibold">Impact Days</th>
+                <th className="py-2 pr-3 text-left font-semibold">Owner</th>
+                <th className="py-2 pr-3 text-right font-semibold">Expected Days</th>
+                <th className="py-2 pr-3 text-right font-semibold">Price</th>
+                {canEdit && <th className="py-2"></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {risks.map(risk => (
+                <tr key={risk.id} className="border-b border-slate-100">
+                  <td className="py-2 pr-3">
+                    {canEdit ? (
+                      <input
+                        type="text"
+                        value={risk.title}
+                        onChange={(e) => updateRisk(risk.id, { title: e.target.value })}
+                        placeholder="What could go wrong"
+                        className={`w-full ${inputClass}`}
+                      />
+                    ) : (
+                      <span className="font-medium text-slate-800">{risk.title}</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-3 text-right">
+                    {canEdit ? (
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={risk.probability}
+                        onChange={(e) => updateRisk(risk.id, { probability: e.target.value === '' ? '' : Number(e.target.value) })}
+                        className={`w-20 text-right ${inputClass}`}
+                      />
+                    ) : `${risk.probability}%`}
+                  </td>
+                  <td className="py-2 pr-3 text-right">
+                    {canEdit ? (
+                      <input
+                        type="number"
+                        min="0"
+                        value={risk.impactDays}
+                        onChange={(e) => updateRisk(risk.id, { impactDays: e.target.value === '' ? '' : Number(e.target.value) })}
+                        className={`w-20 text-right ${inputClass}`}
+                      />
+                    ) : risk.impactDays}
+                  </td>
+                  <td className="py-2 pr-3">
+                    {canEdit ? (
+                      <select
+                        value={risk.owner || ''}
+                        onChange={(e) => updateRisk(risk.id, { owner: e.target.value })}
+                        className={inputClass}
+                      >
+                        <option value="">Shared</option>
+                        {owners.map(owner => (
+                          <option key={owner} value={owner}>{owner}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="text-slate-600">{risk.owner || 'Shared'}</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-3 text-right text-slate-700">{formatDays(riskById[risk.id]?.expectedDays || 0)}</td>
+                  <td className="py-2 pr-3 text-right font-semibold text-slate-900">{formatCurrency(riskById[risk.id]?.price || 0)}</td>
+                  {canEdit && (
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => onRisksChange(risks.filter(r => r.id !== risk.id))}
+                        className="text-red-600 hover:text-red-700 text-xs font-semibold"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {showInternal && (
+        <div>
+          <h3 className="text-sm md:text-base font-semibold text-slate-900 mb-2">Contingency Rules</h3>
+          <div className="flex flex-wrap items-end gap-3">
+            {Object.entries(rules.ratingPercentages).map(([rating, pct]) => (
+              <div key={rating}>
+                <label className="block text-xs font-medium text-slate-700 mb-1">{RISK_RATING_LABELS[rating]} risk %</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={pct}
+                  disabled={!canEdit}
+                  onChange={(e) => onSettingsChange({ ...rules, ratingPercentages: { ...rules.ratingPercentages, [rating]: Number(e.target.value) || 0 } })}
+                  className={`w-20 text-right ${inputClass}`}
+                />
+              </div>
+            ))}
+            <div>
+              <label className="block text-xs font-medium text-slate-700 mb-1">Share the contingency</label>
+              <select
+                value={rules.allocation}
+                disabled={!canEdit}
+                onChange={(e) => onSettingsChange({ ...rules, allocation: e.target.value })}
+                className={inputClass}
+              >
+                {RISK_ALLOCATIONS.map(allocation => (
+                  <option key={allocation} value={allocation}>{RISK_ALLOCATION_LABELS[allocation]}</option>
+                ))}
+              </select>
+            </div>
+            {rules.allocation === 'fixed' && parties.map(party => (
+              <div key={party}>
+                <label className="block text-xs font-medium text-slate-700 mb-1">{party} %</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={rules.fixedShares[party] ?? 0}
+                  disabled={!canEdit}
+                  onChange={(e) => onSettingsChange({ ...rules, fixedShares: { ...rules.fixedShares, [party]: Number(e.target.value) || 0 } })}
+                  className={`w-20 text-right ${inputClass}`}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RiskContingency;
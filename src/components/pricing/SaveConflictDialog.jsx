@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import formatGBP from './shared/formatGBP';
+
+/**
+ * SaveConflictDialog Component
+ * Shown when the same project was edited here and elsewhere since the last save.
+ * Lets the user keep their version or the stored version of each project.
+ *
+ * @param {Array<Object>} conflicts - [{ id, base, local, remote }] from mergeProjectLibraries
+ * @param {Function} onResolve - Called with { [projectId]: 'local' | 'remote' }
+ */
+const SaveConflictDialog = ({ conflicts, onResolve }) => {
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(conflicts.map(conflict => [conflict.id, 'local']))
+  );
+
+  const renderVersion = (project, label, choice, conflictId) => {
+    const selected = choices[conflictId] === choice;
+    return (
+      <button
+        type="button"
+        onClick={() => setChoices(prev => ({ ...prev, [conflictId]: choice }))}
+        className={`flex-1 p-3 rounded-lg border-2 text-left transition-colors ${
+          selected ? 'border-blue-600 bg-blue-50' : 'border-slate-200 hover:border-blue-300'
+        }`}
+      >
+        <div className="text-xs font-semibold text-slate-600 uppercase tracking-wide mb-1">{label}</div>
+        {project ? (
+          <div className="text-xs text-slate-700 space-y-1">
+            <p className="font-semibold text-slate-900">{project.name}</p>
+            <p>{project.soldDays || 0} days @ {formatGBP(project.clientRate || 0)}/day</p>
+            <p>{(project.deliverables || []).length} deliverables</p>
+            {project.lastModified && (
+              <p className="text-slate-500">
+                Saved {new Date(project.lastModified).toLocaleString()}
+                {project.lastModifiedBy && ` by ${project.lastModifiedBy.name}`}
+              </p>
+            )}
+          </div>
+        ) : (
+          <p className="text-xs text-red-600 font-semibold">Deleted</p>
+        )}
+      </button>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-3 md:p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full p-4 md:p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-start gap-3 mb-4">
+          <AlertTriangle className="w-6 h-6 text-amber-500 flex-shrink-0" />
+          <div>
+            <h2 className="text-lg md:text-xl font-bold text-slate-900">Save Conflict</h2>
+            <p className="text-sm text-slate-600 mt-1">
+              {conflicts.length === 1 ? 'This project was' : 'These projects were'} changed by someone else while you were editing.
+              Choose which version to keep.
+            </p>
+          </div>
+        </div>
+
+        <div className="space-y-4 mb-6">
+          {conflicts.map(conflict => (
+            <div key={conflict.id} className="border border-slate-200 rounded-lg p-3">
+              <p className="text-sm font-semibold text-slate-800 mb-2">
+                {(conflict.local || conflict.remote || conflict.base)?.name || conflict.id}
+              </p>
+              <div className="flex flex-col sm:flex-row gap-3">
+                {renderVersion(conflict.local, 'Your version', 'local', conflict.id)}
+                {renderVersion(conflict.remote, 'Stored version', 'remote', conflict.id)}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={() => onResolve(choices)}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Keep Selected Versions
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SaveConflictDialog;
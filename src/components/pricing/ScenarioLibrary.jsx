@@ -7,7 +7,7 @@ import { Trash2, Download, FolderOpen } from 'lucide-react';
  *
  * @param {Array<Object>} scenarios - Array of saved scenario/project objects
  * @param {Function} onLoad - Callback when user clicks load
- * @param {Function} onDelete - Callback when user clicks delete
+ * @param {Function} onDelete - Callback when user clicks delete (omit to hide delete)
  * @param {Function} onClose - Callback when user closes modal
  * @param {boolean} isProjectMode - Whether in project mode or scenario mode
  */
@@ -48,8 +48,9 @@ const ScenarioLibrary = ({
             <p className="text-sm text-slate-600 mb-1">{scenario.description}</p>
           )}
           <div className="text-xs text-slate-500">
-            Saved: {new Date(scenario.timestamp).toLocaleDateString()} at{' '}
-            {new Date(scenario.timestamp).toLocaleTimeString()}
+            Saved: {new Date(scenario.timestamp || scenario.lastModified).toLocaleDateString()} at{' '}
+            {new Date(scenario.timestamp || scenario.lastModified).toLocaleTimeString()}
+            {scenario.lastModifiedBy && ` by ${scenario.lastModifiedBy.name}`}
           </div>
         </div>
 
@@ -63,18 +64,20 @@ const ScenarioLibrary = ({
             Load
           </button>
 
-          <button
-            onClick={() => {
-              if (confirm(`Delete ${itemType} "${scenario.name}"?`)) {
-                onDelete(scenario.id);
-              }
-            }}
-            className="p-2 border border-red-300 text-red-600 rounded hover:bg-red-50 transition-colors"
-            title={`Delete this ${itemType}`}
-            aria-label={`Delete ${scenario.name}`}
-          >
-            <Trash2 className="w-4 h-4" />
-          </button>
+          {onDelete && (
+            <button
+              onClick={() => {
+                if (confirm(`Delete ${itemType} "${scenario.name}"?`)) {
+                  onDelete(scenario.id);
+                }
+              }}
+              className="p-2 border border-red-300 text-red-600 rounded hover:bg-red-50 transition-colors"
+              title={`Delete this ${itemType}`}
+              aria-label={`Delete ${scenario.name}`}
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
         </div>
       </div>
     ));
@@ -44,6 +44,7 @@ export const helpContent = {
           <li>A weight of 1.0 means the role is billed at the base client day rate</li>
           <li>A weight &gt; 1.0 (e.g., 1.5) means the role is more valuable and billed higher</li>
           <li>A weight &lt; 1.0 (e.g., 0.75) means the role is less complex and billed lower</li>
+          <li>A project override replaces the global weight for this project only and is marked "Project"</li>
         </ul>
         <p className="font-semibold text-blue-900">
           Effective Rate = Client Day Rate × Role Weight
@@ -70,30 +71,220 @@ export const helpContent = {
         <p className="font-semibold text-blue-900">
           Deliverable Revenue = Days × (Client Day Rate × Role Weight)
         </p>
+        <p>
+          The price is based on sold days, but revenue is shared out by deliverable days. When the two totals differ, the Days Reconciliation panel decides what happens:
+        </p>
+        <ul className="list-disc list-inside space-y-1 text-slate-700">
+          <li><strong>Scale:</strong> Every deliverable is scaled by the same factor so the days add up to the sold days</li>
+          <li><strong>Contingency:</strong> The gap is priced at the client day rate as a contingency line owned by one party (a negative gap is an overrun that party absorbs)</li>
+          <li><strong>Block:</strong> Nothing is adjusted and the project cannot be saved until the days match</li>
+        </ul>
+        <p>
+          Until a mode is chosen the project is not reconciled: deliverable days are used as entered.
+        </p>
       </div>
     ),
     example: `A deliverable "Homepage Design" owned by RPG, using Design role (weight 1.2), taking 5 days:
   • Revenue = 5 days × (£1,000 × 1.2) = £6,000`
   },
+  riskContingency: {
+    title: 'Risk & Contingency',
+    content: (
+      <div className="space-y-3">
+        <p>
+          Risk is priced as a contingency line added to the sold days. It comes from two places:
+        </p>
+        <ul className="list-disc list-inside space-y-1 text-slate-700">
+          <li><strong>Deliverable risk:</strong> Each deliverable is rated None, Low, Medium or High, and each rating adds a percentage of its days</li>
+          <li><strong>Risk register:</strong> Each project risk adds its expected days, Probability × Impact</li>
+          <li><strong>Sharing:</strong> The contingency goes to the owner of each deliverable or risk, is shared like the rest of the revenue, or is split by fixed percentages</li>
+        </ul>
+        <p className="font-semibold text-blue-900">
+          Contingency Price = (Rated Days × Rating % + Σ Probability × Impact Days) × Client Day Rate
+        </p>
+        <p>
+          This is separate from the days reconciliation contingency, which only covers sold days not assigned to a deliverable.
+        </p>
+      </div>
+    ),
+    example: `A High-risk deliverable of 10 days (20%) and a 25% risk of 8 extra days:
+  • Contingency = 2 + 2 = 4 days
+  • Price = 4 days × £1,000 = £4,000 on top of the quote`
+  },
+  commercialAdjustments: {
+    title: 'Commercial Adjustments',
+    content: (
+      <div className="space-y-3">
+        <p>
+          Adjustments turn the gross price (sold days × client day rate, plus any risk contingency) into the net price the client pays. They apply in order, each to the price left by the one before, and each needs a reason.
+        </p>
+        <ul className="list-disc list-inside space-y-1 text-slate-700">
+          <li><strong>Volume, early-payment and partner discounts:</strong> A percentage of the running price or a fixed amount</li>
+          <li><strong>Fixed-price cap:</strong> Brings the running price down to the cap if it is above it</li>
+          <li><strong>Borne by:</strong> Discounts are shared in proportion to each party's share of the gross price, unless one party takes the whole discount</li>
+        </ul>
+        <p className="font-semibold text-blue-900">
+          Net Price = Gross Price − Σ Discounts
+        </p>
+      </div>
+    ),
+    example: `A £50,000 gross price with a 10% volume discount and a £43,000 cap:
+  • After the volume discount: £45,000
+  • After the cap: £43,000 (net), a £7,000 discount in total`
+  },
+  quoteVersions: {
+    title: 'Quote Versions',
+    content: (
+      <div className="space-y-3">
+        <p>
+          Freeze the quote each time it is sent to the client. A version keeps a copy of the inputs, the role weights it was priced with and the calculated figures, and is never changed afterwards.
+        </p>
+        <ul className="list-disc list-inside space-y-1 text-slate-700">
+          <li><strong>Print Quote:</strong> Prints the client quote exactly as that version was sent</li>
+          <li><strong>Compare:</strong> Puts two versions, or a version and the current quote, side by side</li>
+          <li><strong>Version number:</strong> Printed quotes show the version they match, or Draft if the quote has changed since it was last frozen</li>
+        </ul>
+      </div>
+    ),
+    example: `v1 sent on 3 March: 45 days, £42,750
+v2 sent on 17 March after removing Training: 41 days, £38,950
+Compare v1 with v2 to see the 4 days and £3,800 taken out.`
+  },
+
+  changeRequests: {
+    title: 'Change Requests & Variations',
+    content: (
+      <div className="space-y-3">
+        <p>
+          Once the quote is signed, the deliverables above are the baseline. Scope changes are raised as change requests instead of editing the baseline, so the originally agreed figures are kept.
+        </p>
+        <ul className="list-disc list-inside space-y-1 text-slate-700">
+          <li><strong>Changes:</strong> Add a deliverable, remove one, or resize one to a new number of days</li>
+          <li><strong>Price change:</strong> The change in days at the client day rate, after the project's commercial adjustments</li>
+          <li><strong>Approval:</strong> Drafts are submitted, then approved or rejected by Admin or Commercial users</li>
+        </ul>
+        <p>
+          Approved requests are added to the baseline in the order they were approved to give the current contract. Both reports list the variations.
+        </p>
+      </div>
+    ),
+    example: `Baseline of 45 days at £950 = £42,750
+  • CR-001 adds Reporting (5 days): +£4,750
+  • CR-002 resizes Training from 4 to 2 days: −£1,900
+  • Current contract: 48 days = £45,600`
+  },
 
+  deliveryPlan: {
+    title: 'Delivery Plan',
+    content: (
+      <div className="space-y-3">
+        <p>
+          The delivery plan turns the deliverables into dates. For each deliverable you can set:
+        </p>
+        <ul className="list-disc list-inside space-y-1 text-slate-700">
+          <li><strong>Earliest Start:</strong> Leave blank to start at the project start date</li>
+          <li><strong>Duration:</strong> Elapsed working days (Monday to Friday); defaults to the deliverable's days</li>
+          <li><strong>Predecessors:</strong> Deliverables that must finish first</li>
+        </ul>
+        <p>
+          Deliverables outside the project dates, and planned deliverables (with a start, duration or predecessors) for the same party and role that run at the same time, are highlighted in red. The quote report timeline uses these dates.
+        </p>
+      </div>
+    ),
+    example: `Design (5 days) starts Monday 6 January; Build (10 days) follows Design:
+  • Design: 6 Jan to 10 Jan
+  • Build: 13 Jan to 24 Jan`
+  },
+
+  paymentSchedule: {
+    title: 'Payment Schedule',
+    content: (
+      <div className="space-y-3">
+        <p>
+          The payment schedule sets out when the client is invoiced. Bill either:
+        </p>
+        <ul className="list-disc list-inside space-y-1 text-slate-700">
+          <li><strong>Percentage tranches:</strong> e.g. 30/40/30, each dated a set percentage of the way through delivery</li>
+          <li><strong>Deliverable groups:</strong> invoiced when the last deliverable in the group finishes</li>
+        </ul>
+        <p>
+          A fixed date on a milestone overrides the planned date. VAT is added to each invoice and payment falls due after the payment terms. Each invoice is split between the parties by their share of the project revenue.
+        </p>
+        <p>
+          The project's tax setting decides the VAT on the quote and on every invoice:
+        </p>
+        <ul className="list-disc list-inside space-y-1 text-slate-700">
+          <li><strong>UK VAT (standard rate):</strong> VAT charged at the rate set (20% by default)</li>
+          <li><strong>Reverse charge:</strong> EU business clients account for the VAT themselves; no VAT is charged and the quote carries the reverse-charge wording</li>
+          <li><strong>Zero-rated:</strong> VAT at 0%</li>
+        </ul>
+      </div>
+    ),
+    example: `£100,000 quote billed 30/40/30 with 20% VAT:
+  • Contract signature: £30,000 + £6,000 VAT = £36,000
+  • Mid-project: £40,000 + £8,000 VAT = £48,000
+  • Final acceptance: £30,000 + £6,000 VAT = £36,000`
+  },
+  actuals: {
+    title: 'Actuals vs Sold Days',
+    content: (
+      <div className="space-y-3">
+        <p>
+          Record the days actually worked on each deliverable, week by week, or import them from a CSV with the columns week, deliverable and days.
+        </p>
+        <ul className="list-disc list-inside space-y-1 text-slate-700">
+          <li><strong>Remaining:</strong> Estimate to complete; leave blank to use the planned days not yet worked</li>
+          <li><strong>EAC:</strong> Estimate at completion = actual to date + remaining</li>
+          <li><strong>Variance:</strong> EAC minus planned days (positive means an overrun)</li>
+          <li><strong>Profit Split on Actuals:</strong> The allocation rules applied to the days worked, compared with the agreed split</li>
+        </ul>
+      </div>
+    ),
+    example: `A 10-day deliverable with 8 days worked and 4 days still to do:
+  • EAC = 8 + 4 = 12 days
+  • Variance = +2 days`
+  },
+  cashFlow: {
+    title: 'Cash Flow & Revenue Recognition',
+    content: (
+      <div className="space-y-3">
+        <p>
+          A month-by-month projection for each party, built from the delivery plan, payment schedule and cost rates:
+        </p>
+        <ul className="list-disc list-inside space-y-1 text-slate-700">
+          <li><strong>Billed:</strong> Invoices raised in the month (before VAT)</li>
+          <li><strong>Cash Received:</strong> Invoices falling due in the month</li>
+          <li><strong>Recognised:</strong> Revenue earned as work is done (percentage of completion on days delivered)</li>
+          <li><strong>Cost:</strong> Delivery cost for the days worked in the month</li>
+        </ul>
+        <p>
+          Export CSV downloads the projection, one row per month and party, for finance.
+        </p>
+      </div>
+    ),
+    example: `RPG earns £8,000 on 10 days, 9 delivered in January and 1 in February:
+  • January recognised: £7,200
+  • February recognised: £800`
+  },
   profitSplitAnalysis: {
     title: 'Profit Split & Revenue Allocation',
     content: (
       <div className="space-y-3">
         <p>
-          This section shows how the total project revenue is distributed between parties (RPG and Proaptus) based on their deliverable allocations.
+          This section shows how the total project revenue is distributed between the project's parties based on their deliverable allocations and the project's allocation rules.
         </p>
         <p>
           <strong>Allocation Process:</strong>
         </p>
         <ol className="list-decimal list-inside space-y-1 text-slate-700">
           <li>Calculate revenue for each deliverable (days × effective rate)</li>
-          <li>Sum deliverables by party to get party subtotal</li>
-          <li>Apply 10% uplift to account manager party's share</li>
+          <li>Sum deliverables by party to get party subtotal; Joint deliverables are split by the joint split ratio</li>
+          <li>Apply the account manager uplift (a percentage of their share, or a fixed fee taken off the top)</li>
           <li>Calculate final percentages and splits</li>
+          <li>Raise any party below its minimum share to that floor, taking the difference from the others</li>
         </ol>
         <p className="text-sm bg-yellow-50 border border-yellow-200 rounded p-2 mt-2 text-yellow-900">
-          ⚠️ <strong>Account Manager Uplift:</strong> The party designated as account manager receives a 10% revenue bonus on top of their earned share.
+          ⚠️ <strong>Account Manager Uplift:</strong> The party designated as account manager receives a revenue bonus on top of their earned share (10% unless the project's allocation rules say otherwise).
         </p>
       </div>
     ),
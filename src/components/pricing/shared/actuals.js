@@ -0,0 +1,230 @@
+/**
+ * Actuals tracking
+ *
+ * Actual days burned are recorded per deliverable per week (weeks start on
+ * Monday) and saved with the project (project.actuals):
+ *   {
+ *     weeks: { '2025-01-06': { [deliverableId]: days } },
+ *     forecasts: { [deliverableId]: remainingDays }   // optional estimate to complete
+ *   }
+ * Estimate at completion (EAC) is actual to date plus the remaining estimate,
+ * which defaults to whatever is left of the planned days.
+ */
+
+import { JOINT_OWNER, jointSplitFractions, allocateRevenue } from './allocationRules.js';
+import { settlePartyAllocations } from './commercialAdjustments.js';
+import { parseDate, formatDate } from './schedule.js';
+
+export const EMPTY_ACTUALS = { weeks: {}, forecasts: {} };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toNumber = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+
+/**
+ * Actuals with empty defaults and blank or zero entries removed
+ */
+export function normalizeActuals(actuals) {
+  const weeks = {};
+  Object.entries(actuals?.weeks || {}).forEach(([week, entries]) => {
+    const cleaned = Object.fromEntries(Object.entries(entries || {})
+      .filter(([, days]) => toNumber(days) > 0)
+      .map(([id, days]) => [id, toNumber(days)]));
+    if (Object.keys(cleaned).length > 0) weeks[week] = cleaned;
+  });
+  const forecasts = Object.fromEntries(Object.entries(actuals?.forecasts || {})
+    .filter(([, days]) => days !== '' && days !== null && days !== undefined && Number.isFinite(Number(days)))
+    .map(([id, days]) => [id, Math.max(0, Number(days))]));
+  return { weeks, forecasts };
+}
+
+/**
+ * Monday of the week containing a date ('YYYY-MM-DD' in and out)
+ */
+export function weekStart(value) {
+  const date = parseDate(value);
+  if (!date) return '';
+  const offset = (date.getUTCDay() + 6) % 7;
+  return formatDate(new Date(date.getTime() - offset * DAY_MS));
+}
+
+/**
+ * Actual days per deliverable across all weeks
+ */
+export function actualDaysByDeliverable(actuals) {
+  const totals = {};
+  Object.values(normalizeActuals(actuals).weeks).forEach(entries => {
+    Object.entries(entries).forEach(([id, days]) => {
+      totals[id] = (totals[id] || 0) + days;
+    });
+  });
+  return totals;
+}
+
+/**
+ * Parse an actuals CSV: a header row, then week,deliverable,days per line.
+ * Deliverables can be given by id or by name; weeks are moved to their Monday.
+ * @returns {Object} { weeks, errors }
+ */
+export function parseActualsCsv(text, deliverables = []) {
+  const weeks = {};
+  const errors = [];
+  const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  lines.slice(1).forEach((line, index) => {
+    const [weekValue, deliverableValue, daysValue] = line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+    const lineNumber = index + 2;
+    const week = weekStart(weekValue);
+    const deliverable = deliverables.find(d => String(d.id) === deliverableValue)
+      || deliverables.find(d => d.name.toLowerCase() === String(deliverableValue || '').toLowerCase());
+    const days = Number(daysValue);
+
+    if (!week) {
+      errors.push(`Line ${lineNumber}: "${weekValue}" is not a date (use YYYY-MM-DD)`);
+    } else if (!deliverable) {
+      errors.push(`Line ${lineNumber}: no deliverable "${deliverableValue}"`);
+    } else if (!Number.isFinite(days) || days < 0) {
+      errors.push(`Line ${lineNumber}: "${daysValue}" is not a number of days`);
+    } else {
+      weeks[week] = weeks[week] || {};
+      weeks[week][deliverable.id] = (weeks[week][deliverable.id] || 0) + days;
+    }
+  });
+
+  return { weeks, errors };
+}
+
+/**
+ * Imported weeks merged into existing actuals (imported cells replace existing ones)
+ */
+export function mergeActuals(actuals, importedWeeks) {
+  const normalized = normalizeActuals(actuals);
+  const weeks = { ...normalized.weeks };
+  Object.entries(importedWeeks).forEach(([week, entries]) => {
+    weeks[week] = { ...weeks[week], ...entries };
+  });
+  return normalizeActuals({ ...normalized, weeks });
+}
+
+/**
+ * Progress against the plan
+ * @param {Object} params
+ * @param {Object} params.model - Result of calculateRedPegasusModel
+ * @param {Object} params.actuals - Project actuals
+ * @returns {Object} {
+ *   hasActuals,
+ *   deliverables: [{ id, name, owner, planned, actual, remaining, eac, variance }],
+ *   parties: { [party]: { planned, actual, eac, variance } },
+ *   project: { soldDays, planned, actual, remaining, eac, variance },
+ *   burndown: [{ week, actual, cumulative, remaining }],
+ *   actualSplit: { [party]: { agreedPercentage, actualPercentage, difference, agreedRevenue, actualRevenue } } | null
+ * }
+ */
+export function analyzeActuals({ model, actuals }) {
+  const normalized = normalizeActuals(actuals);
+  const actualById = actualDaysByDeliverable(normalized);
+  const jointFractions = jointSplitFractions(model?.allocationRules);
+  const soldDays = toNumber(model?.soldDays);
+
+  const deliverables = (model?.deliverables || []).map(d => {
+    const planned = toNumber(d.days);
+    const actual = actualById[d.id] || 0;
+    const remaining = normalized.forecasts[d.id] ?? Math.max(planned - actual, 0);
+    const eac = actual + remaining;
+    return { id: d.id, name: d.name, owner: d.owner, planned, actual, remaining, eac, variance: eac - planned };
+  });
+
+  const parties = {};
+  deliverables.forEach(d => {
+    const shares = d.owner === JOINT_OWNER ? Object.entries(jointFractions) : [[d.owner, 1]];
+    shares.forEach(([party, fraction]) => {
+      parties[party] = parties[party] || { planned: 0, actual: 0, eac: 0, variance: 0 };
+      parties[party].planned += d.planned * fraction;
+      parties[party].actual += d.actual * fraction;
+      parties[party].eac += d.eac * fraction;
+      parties[party].variance += d.variance * fraction;
+    });
+  });
+
+  const sum = (key) => deliverables.reduce((total, d) => total + d[key], 0);
+  const actual = sum('actual');
+  const eac = sum('eac');
+
+  let cumulative = 0;
+  const burndown = Object.keys(normalized.weeks).sort().map(week => {
+    const weekDays = Object.values(normalized.weeks[week]).reduce((total, days) => total + days, 0);
+    cumulative += weekDays;
+    return { week, actual: weekDays, cumulative, remaining: soldDays - cumulative };
+  });
+
+  // The same allocation rules applied to the days actually worked; a
+  // contingency line for the days gap (negative for an overrun the party
+  // absorbs) stays at its planned days, each party
+  // keeps its agreed share of the risk contingency, and the commercial
+  // adjustments come off the same gross price
+  let actualSplit = null;
+  if (actual > 0 && model?.partyAllocations) {
+    const worked = (model.deliverables || []).map(d => {
+      const days = actualById[d.id] || 0;
+      return { ...d, days, revenue: days * (d.effectiveRate || 0) };
+    });
+    const contingency = model.reconciliation?.contingencyDays
+      ? {
+        id: 'contingency',
+        name: 'Contingency',
+        owner: model.reconciliation.contingencyParty,
+        days: model.reconciliation.contingencyDays,
+        revenue: model.reconciliation.contingencyRevenue,
+        isContingency: true
+      }
+      : null;
+    const baseRevenue = model.baseRevenue ?? model.totalRevenue;
+    const allocations = allocateRevenue({
+      deliverables: contingency ? [...worked, contingency] : worked,
+      totalRevenue: baseRevenue,
+      accountManagerParty: model.accountManagerParty,
+      rules: model.allocationRules
+    });
+    const riskPrice = model.riskContingency?.price || 0;
+    const gross = baseRevenue + riskPrice;
+    settlePartyAllocations(allocations, {
+      riskParties: model.riskContingency?.parties,
+      riskPrice,
+      adjusted: model.commercialAdjustments || { gross, net: gross, discount: 0, steps: [] }
+    });
+    actualSplit = Object.fromEntries(Object.entries(model.partyAllocations).map(([party, agreed]) => {
+      const onActuals = allocations[party] || { percentage: 0, finalRevenue: 0 };
+      return [party, {
+        agreedPercentage: agreed.percentage || 0,
+        actualPercentage: onActuals.percentage || 0,
+        difference: (onActuals.percentage || 0) - (agreed.percentage || 0),
+        agreedRevenue: agreed.finalRevenue || 0,
+        actualRevenue: onActuals.finalRevenue || 0
+      }];
+    }));
+  }
+
+  return {
+    hasActuals: actual > 0,
+    deliverables,
+    parties,
+    project: { soldDays, planned: sum('planned'), actual, remaining: sum('remaining'), eac, variance: eac - soldDays },
+    burndown,
+    actualSplit
+  };
+}
+
+/**
+ * Warnings when the estimate at completion overruns the days sold
+ */
+export function getActualsWarnings(analysis) {
+  const warnings = [];
+  if (!analysis.hasActuals) return warnings;
+  if (analysis.project.eac > analysis.project.soldDays) {
+    warnings.push(`Estimate at completion is ${analysis.project.eac.toFixed(1)} days, ${(analysis.project.eac - analysis.project.soldDays).toFixed(1)} over the ${analysis.project.soldDays} days sold`);
+  }
+  analysis.deliverables.filter(d => d.actual > d.planned).forEach(d => {
+    warnings.push(`Deliverable "${d.name}" has used ${d.actual.toFixed(1)} of ${d.planned} planned days`);
+  });
+  return warnings;
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeActuals,
+  weekStart,
+  parseActualsCsv,
+  mergeActuals,
+  analyzeActuals,
+  getActualsWarnings
+} from './actuals.js';
+
+/**
+ * Test suite for actuals tracking
+ * Weekly actual days per deliverable: burn-down, EAC, party variance and split on actuals
+ */
+const model = {
+  soldDays: 30,
+  totalRevenue: 30000,
+  accountManagerParty: 'RPG',
+  allocationRules: { parties: ['RPG', 'Proaptus'], uplift: { type: 'percentage', value: 0 }, jointSplit: { RPG: 50, Proaptus: 50 } },
+  deliverables: [
+    { id: 1, name: 'Design', owner: 'RPG', days: 10, effectiveRate: 1000, revenue: 10000 },
+    { id: 2, name: 'Build', owner: 'Proaptus', days: 20, effectiveRate: 1000, revenue: 20000 }
+  ],
+  partyAllocations: {
+    RPG: { percentage: 100 / 3, finalRevenue: 10000 },
+    Proaptus: { percentage: 200 / 3, finalRevenue: 20000 }
+  }
+};
+
+const actuals = {
+  weeks: {
+    '2025-01-06': { 1: 5, 2: 2 },
+    '2025-01-13': { 1: 7, 2: 0 }
+  },
+  forecasts: { 2: 15 }
+};
+
+describe('weekStart', () => {
+  it('should move a date to the Monday of its week', () => {
+    expect(weekStart('2025-01-09')).toBe('2025-01-06');
+    expect(weekStart('2025-01-12')).toBe('2025-01-06');
+    expect(weekStart('not a date')).toBe('');
+  });
+});
+
+describe('normalizeActuals', () => {
+  it('should drop zero entries and empty weeks', () => {
+    expect(normalizeActuals({ weeks: { '2025-01-06': { 1: 0 }, '2025-01-13': { 1: '2' } } })).toEqual({
+      weeks: { '2025-01-13': { 1: 2 } },
+      forecasts: {}
+    });
+  });
+});
+
+describe('parseActualsCsv', () => {
+  it('should read weeks by deliverable id or name and report bad lines', () => {
+    const csv = 'week,deliverable,days\n2025-01-08,Design,3\n2025-01-08,2,1.5\n2025-01-08,Unknown,1\nsoon,Design,1';
+    const { weeks, errors } = parseActualsCsv(csv, model.deliverables);
+
+    expect(weeks).toEqual({ '2025-01-06': { 1: 3, 2: 1.5 } });
+    expect(errors).toEqual([
+      'Line 4: no deliverable "Unknown"',
+      'Line 5: "soon" is not a date (use YYYY-MM-DD)'
+    ]);
+  });
+
+  it('should replace imported cells when merging', () => {
+    const merged = mergeActuals(actuals, { '2025-01-13': { 2: 4 }, '2025-01-20': { 2: 3 } });
+
+    expect(merged.weeks['2025-01-13']).toEqual({ 1: 7, 2: 4 });
+    expect(merged.weeks['2025-01-20']).toEqual({ 2: 3 });
+    expect(merged.forecasts).toEqual({ 2: 15 });
+  });
+});
+
+describe('analyzeActuals', () => {
+  const analysis = analyzeActuals({ model, actuals });
+
+  it('should estimate at completion from actuals and the remaining estimate', () => {
+    const [design, build] = analysis.deliverables;
+
+    // Design overran with nothing left; Build has a forecast of 15 more days
+    expect(design).toMatchObject({ planned: 10, actual: 12, remaining: 0, eac: 12, variance: 2 });
+    expect(build).toMatchObject({ planned: 20, actual: 2, remaining: 15, eac: 17, variance: -3 });
+    expect(analysis.project).toMatchObject({ soldDays: 30, actual: 14, eac: 29, variance: -1 });
+  });
+
+  it('should report variance by party', () => {
+    expect(analysis.parties.RPG).toMatchObject({ planned: 10, actual: 12, variance: 2 });
+    expect(analysis.parties.Proaptus).toMatchObject({ planned: 20, actual: 2, variance: -3 });
+  });
+
+  it('should burn down against the days sold week by week', () => {
+    expect(analysis.burndown).toEqual([
+      { week: '2025-01-06', actual: 7, cumulative: 7, remaining: 23 },
+      { week: '2025-01-13', actual: 7, cumulative: 14, remaining: 16 }
+    ]);
+  });
+
+  it('should recalculate the profit split on the days actually worked', () => {
+    // 12 RPG days and 2 Proaptus days at the same rate
+    expect(analysis.actualSplit.RPG.actualPercentage).toBeCloseTo(1200 / 14, 6);
+    expect(analysis.actualSplit.RPG.difference).toBeCloseTo(1200 / 14 - 100 / 3, 6);
+    expect(analysis.actualSplit.Proaptus.actualRevenue).toBeCloseTo(30000 * 2 / 14, 6);
+  });
+
+  it('should warn about overrunning deliverables and the project', () => {
+    const overrun = analyzeActuals({ model, actuals: { ...actuals, forecasts: { 2: 25 } } });
+
+    expect(getActualsWarnings(overrun)).toEqual([
+      'Estimate at completion is 39.0 days, 9.0 over the 30 days sold',
+      'Deliverable "Design" has used 12.0 of 10 planned days'
+    ]);
+    expect(getActualsWarnings(analyzeActuals({ model, actuals: {} }))).toEqual([]);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Allocation rules engine
+ *
+ * Splits a project's revenue between the delivery parties. Rules are saved per
+ * project (project.allocationRules):
+ *   {
+ *     parties: ['RPG', 'Proaptus'],              // named parties, any number
+ *     uplift: { type: 'percentage', value: 10 }, // or { type: 'fixed', value: 5000 } (GBP fee)
+ *     jointSplit: { RPG: 50, Proaptus: 50 },     // ratio for deliverables owned by 'Joint'
+ *     minimumShares: { Proaptus: 30 }            // floor, % of total revenue
+ *   }
+ * The uplift goes to the project's account manager party.
+ */
+
+import formatGBP from './formatGBP.js';
+
+export const JOINT_OWNER = 'Joint';
+
+export const DEFAULT_ALLOCATION_RULES = {
+  parties: ['RPG', 'Proaptus'],
+  uplift: { type: 'percentage', value: 10 },
+  jointSplit: { RPG: 50, Proaptus: 50 },
+  minimumShares: {}
+};
+
+const toNumber = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+
+/**
+ * Rules with defaults filled in (projects saved before rules existed get the
+ * original 10% uplift and an even RPG/Proaptus split)
+ */
+export function normalizeAllocationRules(rules = {}) {
+  const parties = (Array.isArray(rules?.parties) && rules.parties.length > 0 ? rules.parties : DEFAULT_ALLOCATION_RULES.parties)
+    .map(party => String(party).trim())
+    .filter((party, index, all) => party && party !== JOINT_OWNER && all.indexOf(party) === index);
+  const uplift = {
+    type: rules?.uplift?.type === 'fixed' ? 'fixed' : 'percentage',
+    value: rules?.uplift?.value !== undefined ? Math.max(0, toNumber(rules.uplift.value)) : DEFAULT_ALLOCATION_RULES.uplift.value
+  };
+  const jointSplit = Object.fromEntries(parties.map(party => [
+    party,
+    Math.max(0, toNumber(rules?.jointSplit?.[party] ?? (rules?.jointSplit ? 0 : DEFAULT_ALLOCATION_RULES.jointSplit[party] ?? 0)))
+  ]));
+  const minimumShares = Object.fromEntries(parties
+    .filter(party => toNumber(rules?.minimumShares?.[party]) > 0)
+    .map(party => [party, Math.min(100, toNumber(rules.minimumShares[party]))]));
+
+  return { parties, uplift, jointSplit, minimumShares };
+}
+
+/**
+ * Joint split as fractions summing to 1 (even split if no ratio is set)
+ */
+export function jointSplitFractions(rules) {
+  const { parties, jointSplit } = normalizeAllocationRules(rules);
+  const total = parties.reduce((sum, party) => sum + jointSplit[party], 0);
+  return Object.fromEntries(parties.map(party => [
+    party,
+    total > 0 ? jointSplit[party] / total : 1 / parties.length
+  ]));
+}
+
+/**
+ * Short label for the uplift, e.g. "+10%" or "+£5,000 fee"
+ */
+export function formatUplift(uplift) {
+  if (!uplift || !(uplift.value > 0)) return '';
+  return uplift.type === 'fixed' ? `+${formatGBP(uplift.value)} fee` : `+${uplift.value}%`;
+}
+
+/**
+ * Raise parties below their minimum share to the floor, taking the difference
+ * proportionally from the parties above theirs
+ * @param {Object} shares - party -> fraction of revenue (sums to 1)
+ * @param {Object} floors - party -> minimum fraction
+ * @returns {Object} { shares, floored: [party] }
+ */
+export function applyMinimumShares(shares, floors) {
+  const parties = Object.keys(shares);
+  const floorTotal = parties.reduce((sum, party) => sum + (floors[party] || 0), 0);
+  // Floors adding up to more than 100% can't all be met; scale them down
+  const scale = floorTotal > 1 ? 1 / floorTotal : 1;
+  const floor = (party) => (floors[party] || 0) * scale;
+
+  const floored = new Set();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    const fixedTotal = [...floored].reduce((sum, party) => sum + floor(party), 0);
+    const free = parties.filter(party => !floored.has(party));
+    const freeOriginal = free.reduce((sum, party) => sum + shares[party], 0);
+    free.forEach(party => {
+      const share = freeOriginal > 0 ? (shares[party] / freeOriginal) * (1 - fixedTotal) : 0;
+      if (share < floor(party) - 1e-12) {
+        floored.add(party);
+        changed = true;
+      }
+    });
+  }
+
+  const fixedTotal = [...floored].reduce((sum, party) => sum + floor(party), 0);
+  const free = parties.filter(party => !floored.has(party));
+  const freeOriginal = free.reduce((sum, party) => sum + shares[party], 0);
+  const result = Object.fromEntries(parties.map(party => {
+    if (floored.has(party)) return [party, floor(party)];
+    return [party, freeOriginal > 0 ? (shares[party] / freeOriginal) * (1 - fixedTotal) : 0];
+  }));
+
+  return { shares: result, floored: [...floored] };
+}
+
+/**
+ * Allocate revenue to parties
+ * @param {Object} params
+ * @param {Array} params.deliverables - Deliverables with owner, days and revenue (weighted price)
+ * @param {number} params.totalRevenue - Revenue to share out
+ * @param {string} params.accountManagerParty - Party that receives the uplift
+ * @param {Object} params.rules - Allocation rules (see above)
+ * @returns {Object} party -> { days, revenue, jointDays, jointRevenue, deliverables, upliftFactor, upliftFee,
+ *   adjustedRevenue, minimumShare, floorApplied, hasUplift, percentage, share, finalRevenue }
+ */
+export function allocateRevenue({ deliverables = [], totalRevenue = 0, accountManagerParty, rules }) {
+  const normalized = normalizeAllocationRules(rules);
+  const jointFractions = jointSplitFractions(normalized);
+  const allocations = {};
+
+  const ensureParty = (party) => {
+    if (!allocations[party]) {
+      allocations[party] = { days: 0, revenue: 0, jointDays: 0, jointRevenue: 0, deliverables: [] };
+    }
+    return allocations[party];
+  };
+
+  normalized.parties.forEach(ensureParty);
+
+  deliverables.forEach(d => {
+    if (d.owner === JOINT_OWNER) {
+      Object.entries(jointFractions).forEach(([party, fraction]) => {
+        const allocation = ensureParty(party);
+        allocation.days += d.days * fraction;
+        allocation.revenue += d.revenue * fraction;
+        allocation.jointDays += d.days * fraction;
+        allocation.jointRevenue += d.revenue * fraction;
+      });
+      return;
+    }
+    // Owners outside the configured parties still get their share
+    const allocation = ensureParty(d.owner);
+    allocation.days += d.days;
+    allocation.revenue += d.revenue;
+    allocation.deliverables.push(d);
+  });
+
+  const { uplift } = normalized;
+  const totalWeighted = Object.values(allocations).reduce((sum, a) => sum + a.revenue, 0);
+  const fee = uplift.type === 'fixed' && allocations[accountManagerParty]
+    ? Math.min(uplift.value, totalRevenue)
+    : 0;
+
+  // Share of revenue before floors
+  const shares = {};
+  Object.entries(allocations).forEach(([party, allocation]) => {
+    const isAccountManager = party === accountManagerParty;
+    allocation.upliftFactor = isAccountManager && uplift.type === 'percentage' ? 1 + uplift.value / 100 : 1.0;
+    allocation.upliftFee = isAccountManager ? fee : 0;
+    allocation.adjustedRevenue = allocation.revenue * allocation.upliftFactor;
+    allocation.hasUplift = isAccountManager && uplift.value > 0 && (allocation.upliftFactor > 1.0 || fee > 0);
+  });
+
+  if (uplift.type === 'fixed') {
+    // Fee comes off the top; the rest is shared by weighted price
+    const distributable = totalRevenue - fee;
+    Object.entries(allocations).forEach(([party, allocation]) => {
+      const revenue = (totalWeighted > 0 ? (allocation.revenue / totalWeighted) * distributable : 0) + allocation.upliftFee;
+      shares[party] = totalRevenue > 0 ? revenue / totalRevenue : 0;
+    });
+  } else {
+    const totalAdjusted = Object.values(allocations).reduce((sum, a) => sum + a.adjustedRevenue, 0);
+    Object.entries(allocations).forEach(([party, allocation]) => {
+      shares[party] = totalAdjusted > 0 ? allocation.adjustedRevenue / totalAdjusted : 0;
+    });
+  }
+
+  const floors = Object.fromEntries(Object.entries(normalized.minimumShares).map(([party, pct]) => [party, pct / 100]));
+  const hasWork = Object.values(shares).some(share => share > 0);
+  const { shares: finalShares, floored } = hasWork ? applyMinimumShares(shares, floors) : { shares, floored: [] };
+
+  Object.entries(allocations).forEach(([party, allocation]) => {
+    allocation.minimumShare = normalized.minimumShares[party] || 0;
+    allocation.floorApplied = floored.includes(party);
+    allocation.percentage = finalShares[party] * 100;
+    allocation.share = allocation.percentage; // For compatibility
+    allocation.finalRevenue = finalShares[party] * totalRevenue;
+  });
+
+  return allocations;
+}
+
+/**
+ * Problems that make a rule set unusable
+ * @returns {Array<string>} Error messages
+ */
+export function validateAllocationRules(rules, accountManagerParty) {
+  const errors = [];
+  const normalized = normalizeAllocationRules(rules);
+  const floorTotal = Object.values(normalized.minimumShares).reduce((sum, pct) => sum + pct, 0);
+
+  if (rules?.parties && rules.parties.some(party => !String(party).trim())) {
+    errors.push('Every party needs a name');
+  }
+  if (floorTotal > 100) {
+    errors.push(`Minimum shares add up to ${floorTotal}% (more than 100%)`);
+  }
+  if (accountManagerParty && !normalized.parties.includes(accountManagerParty)) {
+    errors.push(`Account manager party "${accountManagerParty}" is not one of the project parties`);
+  }
+  return errors;
+}
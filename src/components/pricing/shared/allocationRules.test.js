@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_ALLOCATION_RULES,
+  normalizeAllocationRules,
+  jointSplitFractions,
+  formatUplift,
+  applyMinimumShares,
+  allocateRevenue,
+  validateAllocationRules
+} from './allocationRules.js';
+
+/**
+ * Test suite for the allocation rules engine
+ * Splits project revenue between parties: uplift, Joint split and minimum shares
+ */
+describe('normalizeAllocationRules', () => {
+  it('should fall back to the original RPG/Proaptus rules with a 10% uplift', () => {
+    expect(normalizeAllocationRules(undefined)).toEqual(DEFAULT_ALLOCATION_RULES);
+  });
+
+  it('should drop blank, duplicate and Joint party names', () => {
+    const rules = normalizeAllocationRules({ parties: ['RPG', ' ', 'RPG', 'Joint', 'Acme'] });
+
+    expect(rules.parties).toEqual(['RPG', 'Acme']);
+    expect(rules.jointSplit).toEqual({ RPG: 50, Acme: 0 });
+  });
+});
+
+describe('jointSplitFractions', () => {
+  it('should turn the ratio into fractions', () => {
+    expect(jointSplitFractions({ parties: ['RPG', 'Proaptus'], jointSplit: { RPG: 3, Proaptus: 1 } })).toEqual({ RPG: 0.75, Proaptus: 0.25 });
+  });
+
+  it('should split evenly when no ratio is set', () => {
+    expect(jointSplitFractions({ parties: ['A', 'B'], jointSplit: { A: 0, B: 0 } })).toEqual({ A: 0.5, B: 0.5 });
+  });
+});
+
+describe('formatUplift', () => {
+  it('should describe percentage and fixed-fee uplifts', () => {
+    expect(formatUplift({ type: 'percentage', value: 10 })).toBe('+10%');
+    expect(formatUplift({ type: 'fixed', value: 5000 })).toBe('+£5,000 fee');
+    expect(formatUplift({ type: 'percentage', value: 0 })).toBe('');
+  });
+});
+
+describe('applyMinimumShares', () => {
+  it('should raise a party to its floor and take the difference from the others', () => {
+    const { shares, floored } = applyMinimumShares({ A: 0.7, B: 0.2, C: 0.1 }, { C: 0.25 });
+
+    expect(floored).toEqual(['C']);
+    expect(shares.C).toBeCloseTo(0.25, 10);
+    expect(shares.A).toBeCloseTo(0.75 * (0.7 / 0.9), 10);
+    expect(shares.B).toBeCloseTo(0.75 * (0.2 / 0.9), 10);
+  });
+
+  it('should leave shares alone when every party is above its floor', () => {
+    expect(applyMinimumShares({ A: 0.6, B: 0.4 }, { B: 0.3 })).toEqual({ shares: { A: 0.6, B: 0.4 }, floored: [] });
+  });
+});
+
+describe('allocateRevenue', () => {
+  const deliverables = [
+    { id: 1, owner: 'RPG', days: 10, revenue: 10000 },
+    { id: 2, owner: 'Proaptus', days: 20, revenue: 20000 },
+    { id: 3, owner: 'Joint', days: 10, revenue: 10000 }
+  ];
+
+  it('should match the original model with the default rules', () => {
+    const allocations = allocateRevenue({
+      deliverables: deliverables.slice(0, 2),
+      totalRevenue: 30000,
+      accountManagerParty: 'RPG'
+    });
+
+    // RPG: 10000 × 1.1 = 11000 of 31000 adjusted
+    expect(allocations.RPG.upliftFactor).toBe(1.1);
+    expect(allocations.RPG.finalRevenue).toBeCloseTo(30000 * 11000 / 31000, 6);
+    expect(allocations.Proaptus.finalRevenue).toBeCloseTo(30000 * 20000 / 31000, 6);
+  });
+
+  it('should split Joint deliverables by the configured ratio', () => {
+    const allocations = allocateRevenue({
+      deliverables,
+      totalRevenue: 40000,
+      accountManagerParty: 'RPG',
+      rules: { uplift: { type: 'percentage', value: 0 }, jointSplit: { RPG: 30, Proaptus: 70 } }
+    });
+
+    expect(allocations.RPG).toMatchObject({ days: 13, revenue: 13000, jointDays: 3, jointRevenue: 3000 });
+    expect(allocations.Proaptus).toMatchObject({ days: 27, revenue: 27000, jointDays: 7, jointRevenue: 7000 });
+    expect(allocations.Joint).toBeUndefined();
+    expect(allocations.RPG.finalRevenue).toBeCloseTo(13000, 6);
+  });
+
+  it('should take a fixed fee off the top for the account manager', () => {
+    const allocations = allocateRevenue({
+      deliverables: deliverables.slice(0, 2),
+      totalRevenue: 30000,
+      accountManagerParty: 'Proaptus',
+      rules: { uplift: { type: 'fixed', value: 3000 } }
+    });
+
+    // 27000 shared 1:2, plus the 3000 fee to Proaptus
+    expect(allocations.RPG.finalRevenue).toBeCloseTo(9000, 6);
+    expect(allocations.Proaptus.finalRevenue).toBeCloseTo(21000, 6);
+    expect(allocations.Proaptus.upliftFee).toBe(3000);
+    expect(allocations.Proaptus.hasUplift).toBe(true);
+    expect(allocations.RPG.hasUplift).toBe(false);
+  });
+
+  it('should support any number of named parties with minimum shares', () => {
+    const allocations = allocateRevenue({
+      deliverables: [...deliverables.slice(0, 2), { id: 4, owner: 'Acme', days: 1, revenue: 1000 }],
+      totalRevenue: 31000,
+      accountManagerParty: 'RPG',
+      rules: {
+        parties: ['RPG', 'Proaptus', 'Acme'],
+        uplift: { type: 'percentage', value: 0 },
+        minimumShares: { Acme: 10 }
+      }
+    });
+
+    expect(Object.keys(allocations)).toEqual(['RPG', 'Proaptus', 'Acme']);
+    expect(allocations.Acme.floorApplied).toBe(true);
+    expect(allocations.Acme.percentage).toBeCloseTo(10, 6);
+    expect(allocations.RPG.percentage).toBeCloseTo(30, 6);
+    expect(allocations.Proaptus.percentage).toBeCloseTo(60, 6);
+    const total = Object.values(allocations).reduce((sum, a) => sum + a.finalRevenue, 0);
+    expect(total).toBeCloseTo(31000, 6);
+  });
+});
+
+describe('validateAllocationRules', () => {
+  it('should reject floors over 100% and an account manager outside the parties', () => {
+    const errors = validateAllocationRules({ parties: ['RPG', 'Proaptus'], minimumShares: { RPG: 60, Proaptus: 50 } }, 'Acme');
+
+    expect(errors).toContain('Minimum shares add up to 110% (more than 100%)');
+    expect(errors).toContain('Account manager party "Acme" is not one of the project parties');
+  });
+
+  it('should accept the default rules', () => {
+    expect(validateAllocationRules(DEFAULT_ALLOCATION_RULES, 'RPG')).toEqual([]);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Audit trail helpers
+ * Turn two versions of a project (or of the role weights) into field-level
+ * audit events, and flatten stored audit entries into a timeline.
+ *
+ * Stored entry: { subject, action, timestamp, user, reason, comment, events }
+ * Event:        { path, label, oldValue, newValue }
+ *
+ * Paths are dotted; deliverables are keyed by id so an event still points at the
+ * right deliverable after others are added or removed (e.g. "deliverables.3.days").
+ */
+
+import { FIELD_LABELS } from './libraryDiff.js';
+
+// Save metadata, not user edits
+const IGNORED_FIELDS = ['lastModified', 'lastModifiedBy'];
+
+const DELIVERABLE_FIELD_LABELS = {
+  name: 'name',
+  owner: 'owner',
+  role: 'role',
+  days: 'days',
+  resourceType: 'resource type',
+  startDate: 'start date',
+  durationDays: 'duration',
+  predecessors: 'predecessors',
+  acceptanceCriteria: 'acceptance criteria'
+};
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isKeyedList = (value) => Array.isArray(value) && value.length > 0 && value.every(item => isPlainObject(item) && item.id !== undefined);
+
+const deliverableLabel = (deliverable) =>
+  `Deliverable "${deliverable.name || deliverable.id}"${deliverable.owner ? ` (${deliverable.owner})` : ''}`;
+
+/**
+ * Field-level changes between two values, recursing into objects and id-keyed lists
+ */
+function diffValues(before, after, path, label, events) {
+  if (isSameValue(before, after)) return;
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+      diffValues(before[key], after[key], `${path}.${key}`, `${label} › ${key}`, events);
+    });
+    return;
+  }
+
+  if ((isKeyedList(before) || isKeyedList(after)) && (before == null || Array.isArray(before)) && (after == null || Array.isArray(after))) {
+    const beforeById = new Map((before || []).map(item => [String(item.id), item]));
+    const afterById = new Map((after || []).map(item => [String(item.id), item]));
+    new Set([...beforeById.keys(), ...afterById.keys()]).forEach(id => {
+      const previous = beforeById.get(id);
+      const next = afterById.get(id);
+      const itemPath = `${path}.${id}`;
+
+      if (!previous || !next) {
+        const item = previous || next;
+        const itemLabel = path === 'deliverables' ? deliverableLabel(item) : `${label} ${id}`;
+        events.push({ path: itemPath, label: `${itemLabel} ${previous ? 'removed' : 'added'}`, oldValue: previous ?? null, newValue: next ?? null });
+        return;
+      }
+
+      new Set([...Object.keys(previous), ...Object.keys(next)]).forEach(key => {
+        const keyLabel = path === 'deliverables'
+          ? `${deliverableLabel(previous)} › ${DELIVERABLE_FIELD_LABELS[key] || key}`
+          : `${label} ${id} › ${key}`;
+        diffValues(previous[key], next[key], `${itemPath}.${key}`, keyLabel, events);
+      });
+    });
+    return;
+  }
+
+  events.push({ path, label, oldValue: before ?? null, newValue: after ?? null });
+}
+
+/**
+ * Audit events for a change from one version to the next
+ * @param {Object} before - Previous version (null for a new record)
+ * @param {Object} after - New version
+ * @param {Object} labels - Optional labels for top-level fields
+ * @returns {Array<Object>} [{ path, label, oldValue, newValue }]
+ */
+export function diffForAudit(before = {}, after = {}, labels = FIELD_LABELS) {
+  const events = [];
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const label = labels[field] || (field === 'deliverables' ? 'Deliverables' : field);
+    diffValues(before?.[field], after?.[field], field, label, events);
+  });
+
+  return events;
+}
+
+/**
+ * Flatten stored entries into timeline events, newest first
+ * Each event carries its entry's user, timestamp, action and reason.
+ */
+export function flattenAuditEntries(entries = []) {
+  return entries
+    .flatMap(entry => (entry.events?.length ? entry.events : [{ path: '', label: '', oldValue: null, newValue: null }])
+      .map(event => ({
+        ...event,
+        action: entry.action,
+        timestamp: entry.timestamp,
+        user: entry.user || null,
+        reason: entry.reason || '',
+        comment: entry.comment || ''
+      })))
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * Events matching a free-text query (label, path, user, values or reason)
+ */
+export function filterAuditEvents(events = [], query = '') {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return events;
+
+  return events.filter(event => {
+    const haystack = [
+      event.label,
+      event.path,
+      event.action,
+      event.user?.name,
+      event.user?.username,
+      event.reason,
+      event.comment,
+      formatAuditValue(event.oldValue),
+      formatAuditValue(event.newValue)
+    ].join(' ').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+/**
+ * Short display form of an audited value
+ */
+export function formatAuditValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (isPlainObject(value) && 'days' in value && 'name' in value) {
+    return `${value.name} (${value.owner || 'no owner'}, ${value.role || 'no role'}, ${value.days} days)`;
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { diffForAudit, flattenAuditEntries, filterAuditEvents, formatAuditValue } from './auditTrail.js';
+
+/**
+ * Test suite for audit trail helpers
+ * Used to record and browse who changed what on projects and role weights
+ */
+describe('diffForAudit', () => {
+  const project = {
+    id: 'p1',
+    name: 'Knowledge Base',
+    soldDays: 45,
+    deliverables: [
+      { id: 1, name: 'Build', owner: 'Proaptus', role: 'Development', days: 20 },
+      { id: 2, name: 'Test', owner: 'RPG', role: 'QA', days: 5 }
+    ],
+    lastModified: '2025-01-01T00:00:00Z'
+  };
+
+  it('should return no events for identical versions', () => {
+    expect(diffForAudit(project, { ...project, lastModified: '2025-02-01T00:00:00Z' })).toEqual([]);
+  });
+
+  it('should record changed top-level fields with labels', () => {
+    expect(diffForAudit(project, { ...project, soldDays: 40 })).toEqual([
+      { path: 'soldDays', label: 'Sold days', oldValue: 45, newValue: 40 }
+    ]);
+  });
+
+  it('should key deliverable changes by id', () => {
+    const after = {
+      ...project,
+      deliverables: [{ ...project.deliverables[1] }, { ...project.deliverables[0], days: 15 }]
+    };
+
+    expect(diffForAudit(project, after)).toEqual([
+      { path: 'deliverables.1.days', label: 'Deliverable "Build" (Proaptus) › days', oldValue: 20, newValue: 15 }
+    ]);
+  });
+
+  it('should record added and removed deliverables', () => {
+    const added = { id: 3, name: 'Docs', owner: 'RPG', role: 'Junior', days: 2 };
+    const events = diffForAudit(project, { ...project, deliverables: [project.deliverables[0], added] });
+
+    expect(events).toContainEqual({ path: 'deliverables.2', label: 'Deliverable "Test" (RPG) removed', oldValue: project.deliverables[1], newValue: null });
+    expect(events).toContainEqual({ path: 'deliverables.3', label: 'Deliverable "Docs" (RPG) added', oldValue: null, newValue: added });
+  });
+
+  it('should recurse into nested objects', () => {
+    const events = diffForAudit({ current: { QA: 0.95 } }, { current: { QA: 0.9 } }, { current: 'Role weight' });
+
+    expect(events).toEqual([{ path: 'current.QA', label: 'Role weight › QA', oldValue: 0.95, newValue: 0.9 }]);
+  });
+});
+
+describe('flattenAuditEntries', () => {
+  it('should flatten entries into events newest first, keeping who and when', () => {
+    const user = { username: 'jsmith', name: 'Jo Smith' };
+    const events = flattenAuditEntries([
+      { action: 'update', timestamp: '2025-01-01T00:00:00Z', user, events: [{ path: 'soldDays', label: 'Sold days', oldValue: 45, newValue: 40 }] },
+      { action: 'delete', timestamp: '2025-02-01T00:00:00Z', user, events: [] }
+    ]);
+
+    expect(events.map(event => event.action)).toEqual(['delete', 'update']);
+    expect(events[1]).toMatchObject({ path: 'soldDays', user, timestamp: '2025-01-01T00:00:00Z' });
+  });
+});
+
+describe('filterAuditEvents', () => {
+  const events = [
+    { label: 'Deliverable "Build" (Proaptus) › days', path: 'deliverables.1.days', user: { name: 'Jo Smith' }, oldValue: 20, newValue: 12 },
+    { label: 'Sold days', path: 'soldDays', user: { name: 'Sam Lee' }, oldValue: 45, newValue: 40 }
+  ];
+
+  it('should match every term across label, user and values', () => {
+    expect(filterAuditEvents(events, 'proaptus days')).toEqual([events[0]]);
+    expect(filterAuditEvents(events, 'sam')).toEqual([events[1]]);
+    expect(filterAuditEvents(events, '')).toEqual(events);
+  });
+});
+
+describe('formatAuditValue', () => {
+  it('should summarise deliverables and blank values', () => {
+    expect(formatAuditValue({ name: 'Build', owner: 'RPG', role: 'QA', days: 3 })).toBe('Build (RPG, QA, 3 days)');
+    expect(formatAuditValue(null)).toBe('—');
+    expect(formatAuditValue(0.9)).toBe('0.9');
+  });
+});
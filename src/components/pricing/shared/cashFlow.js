@@ -0,0 +1,184 @@
+/**
+ * Cash flow and revenue recognition
+ *
+ * Monthly projection per party, built from the delivery schedule and the
+ * payment schedule:
+ *   billed     - invoices raised in the month (net of VAT)
+ *   received   - invoices falling due in the month (net of VAT)
+ *   recognised - revenue earned on a percentage-of-completion basis: each
+ *                deliverable's days are spread evenly over its working days and
+ *                a party recognises its revenue as its share of the effort is done
+ *   cost       - deliverable cost, spread the same way as the effort
+ */
+
+import { JOINT_OWNER, jointSplitFractions } from './allocationRules.js';
+import { parseDate } from './schedule.js';
+
+export const CASH_FLOW_MEASURES = ['billed', 'received', 'recognised', 'cost'];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+export function monthLabel(key) {
+  const [year, month] = key.split('-');
+  return `${MONTH_NAMES[Number(month) - 1]} ${year}`;
+}
+
+/**
+ * Months from one 'YYYY-MM' key to another, inclusive
+ */
+function monthRange(from, to) {
+  const months = [];
+  let [year, month] = from.split('-').map(Number);
+  const [endYear, endMonth] = to.split('-').map(Number);
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    months.push(`${year}-${String(month).padStart(2, '0')}`);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+}
+
+/**
+ * Share of a deliverable's working days that fall in each month
+ */
+export function workingDaysByMonth(start, end) {
+  const counts = {};
+  let total = 0;
+  for (let day = start; day <= end; day = new Date(day.getTime() + DAY_MS)) {
+    if (day.getUTCDay() === 0 || day.getUTCDay() === 6) continue;
+    const key = monthKey(day);
+    counts[key] = (counts[key] || 0) + 1;
+    total += 1;
+  }
+  return Object.fromEntries(Object.entries(counts).map(([key, count]) => [key, count / total]));
+}
+
+const emptyMeasures = () => Object.fromEntries(CASH_FLOW_MEASURES.map(measure => [measure, 0]));
+
+/**
+ * Build the monthly projection
+ * @param {Object} params
+ * @param {Object} params.model - Result of calculateRedPegasusModel
+ * @param {Object} params.schedule - Result of buildSchedule
+ * @param {Object} params.paymentSchedule - Result of buildPaymentSchedule
+ * @param {Object} params.costAnalysis - Result of analyzeCosts
+ * @returns {Object} {
+ *   scheduled, parties,
+ *   months: [{ month, label, parties: { [party]: measures }, total: measures, cumulative: measures }],
+ *   totals: { [party]: measures, total: measures },
+ *   undatedBilled
+ * }
+ */
+export function buildCashFlow({ model, schedule, paymentSchedule, costAnalysis }) {
+  const parties = Object.keys(model?.partyAllocations || {});
+  const jointFractions = jointSplitFractions(model?.allocationRules);
+  const costsById = Object.fromEntries((costAnalysis?.deliverables || []).map(c => [c.id, c.partyCosts || {}]));
+  const daysById = Object.fromEntries((model?.deliverables || []).map(d => [d.id, Number(d.days) || 0]));
+
+  // Effort and cost per party per month
+  const effort = {};
+  const costs = {};
+  const partyDays = {};
+  (schedule?.items || []).filter(item => item.start && item.end).forEach(item => {
+    const shares = item.owner === JOINT_OWNER ? Object.entries(jointFractions) : [[item.owner, 1]];
+    const spread = workingDaysByMonth(item.start, item.end);
+    shares.forEach(([party, fraction]) => {
+      const days = (daysById[item.id] ?? (Number(item.days) || 0)) * fraction;
+      partyDays[party] = (partyDays[party] || 0) + days;
+      Object.entries(spread).forEach(([month, share]) => {
+        effort[month] = effort[month] || {};
+        effort[month][party] = (effort[month][party] || 0) + days * share;
+        costs[month] = costs[month] || {};
+        costs[month][party] = (costs[month][party] || 0) + (costsById[item.id]?.[party] || 0) * share;
+      });
+    });
+  });
+
+  // Invoices by month raised and month due
+  const billed = {};
+  const received = {};
+  let undatedBilled = 0;
+  (paymentSchedule?.instalments || []).forEach(instalment => {
+    const invoiceDate = parseDate(instalment.date);
+    const dueDate = parseDate(instalment.dueDate);
+    if (!invoiceDate) {
+      undatedBilled += instalment.net;
+      return;
+    }
+    [[billed, invoiceDate], [received, dueDate || invoiceDate]].forEach(([target, date]) => {
+      const month = monthKey(date);
+      target[month] = target[month] || {};
+      parties.forEach(party => {
+        target[month][party] = (target[month][party] || 0) + (instalment.parties?.[party] || 0);
+      });
+    });
+  });
+
+  const keys = [...Object.keys(effort), ...Object.keys(billed), ...Object.keys(received)].sort();
+  const months = keys.length > 0 ? monthRange(keys[0], keys[keys.length - 1]) : [];
+
+  const totals = Object.fromEntries([...parties, 'total'].map(party => [party, emptyMeasures()]));
+  const cumulative = emptyMeasures();
+
+  const rows = months.map(month => {
+    const row = { month, label: monthLabel(month), parties: {}, total: emptyMeasures() };
+    parties.forEach(party => {
+      const partyRevenue = model.partyAllocations[party].finalRevenue || 0;
+      const measures = {
+        billed: billed[month]?.[party] || 0,
+        received: received[month]?.[party] || 0,
+        recognised: partyDays[party] > 0 ? partyRevenue * ((effort[month]?.[party] || 0) / partyDays[party]) : 0,
+        cost: costs[month]?.[party] || 0
+      };
+      row.parties[party] = measures;
+      CASH_FLOW_MEASURES.forEach(measure => {
+        row.total[measure] += measures[measure];
+        totals[party][measure] += measures[measure];
+        totals.total[measure] += measures[measure];
+      });
+    });
+    CASH_FLOW_MEASURES.forEach(measure => { cumulative[measure] += row.total[measure]; });
+    row.cumulative = { ...cumulative };
+    return row;
+  });
+
+  return {
+    scheduled: Boolean(schedule?.scheduled),
+    parties,
+    months: rows,
+    totals,
+    undatedBilled
+  };
+}
+
+const csvNumber = (value) => (Math.round(value * 100) / 100).toFixed(2);
+
+const csvField = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * CSV for finance: one row per month and party, plus a total row per month
+ */
+export function cashFlowToCsv(cashFlow) {
+  const header = ['Month', 'Party', 'Billed', 'Cash Received', 'Recognised Revenue', 'Cost', 'Margin'];
+  const lines = [header.join(',')];
+  const line = (month, party, measures) => [
+    month,
+    csvField(party),
+    ...CASH_FLOW_MEASURES.map(measure => csvNumber(measures[measure])),
+    csvNumber(measures.recognised - measures.cost)
+  ].join(',');
+
+  cashFlow.months.forEach(row => {
+    cashFlow.parties.forEach(party => lines.push(line(row.month, party, row.parties[party])));
+    lines.push(line(row.month, 'Total', row.total));
+  });
+  lines.push(line('Total', 'Total', cashFlow.totals.total));
+  return lines.join('\n');
+}
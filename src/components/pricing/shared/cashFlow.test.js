@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { buildCashFlow, cashFlowToCsv, workingDaysByMonth, monthLabel } from './cashFlow.js';
+import { buildSchedule, parseDate } from './schedule.js';
+import { buildPaymentSchedule } from './paymentSchedule.js';
+
+/**
+ * Test suite for the cash-flow projection
+ * Billed, received, recognised (percentage of completion) and cost per party per month
+ */
+const deliverables = [
+  // 10 working days from Tue 21 Jan: 9 in January, 1 in February
+  { id: 1, name: 'Build', owner: 'RPG', role: 'Development', days: 10, revenue: 10000 },
+  { id: 2, name: 'Test', owner: 'Proaptus', role: 'QA', days: 5, revenue: 10000, startDate: '2025-02-03' }
+];
+
+const model = {
+  totalRevenue: 20000,
+  totalWeightedRevenue: 20000,
+  allocationRules: { parties: ['RPG', 'Proaptus'], jointSplit: { RPG: 50, Proaptus: 50 } },
+  deliverables,
+  partyAllocations: {
+    RPG: { finalRevenue: 8000 },
+    Proaptus: { finalRevenue: 12000 }
+  }
+};
+
+const costAnalysis = {
+  deliverables: [
+    { id: 1, partyCosts: { RPG: 4000 } },
+    { id: 2, partyCosts: { Proaptus: 2000 } }
+  ]
+};
+
+const schedule = buildSchedule({ deliverables, startDate: '2025-01-21' });
+
+const plan = {
+  paymentTermsDays: 30,
+  milestones: [
+    { id: 1, name: 'Deposit', percentage: 50, date: '2025-01-20' },
+    { id: 2, name: 'Completion', percentage: 50, date: '2025-02-07' }
+  ]
+};
+
+describe('workingDaysByMonth', () => {
+  it('should split working days across months', () => {
+    const spread = workingDaysByMonth(parseDate('2025-01-30'), parseDate('2025-02-04'));
+
+    // Thu, Fri in January; Mon, Tue in February
+    expect(spread).toEqual({ '2025-01': 0.5, '2025-02': 0.5 });
+    expect(monthLabel('2025-02')).toBe('Feb 2025');
+  });
+});
+
+describe('buildCashFlow', () => {
+  const paymentSchedule = buildPaymentSchedule({ plan, model, schedule });
+  const cashFlow = buildCashFlow({ model, schedule, paymentSchedule, costAnalysis });
+
+  it('should cover every month with work or invoices', () => {
+    expect(cashFlow.months.map(m => m.month)).toEqual(['2025-01', '2025-02', '2025-03']);
+  });
+
+  it('should recognise each party revenue as its effort is completed', () => {
+    const [january, february] = cashFlow.months;
+
+    expect(january.parties.RPG.recognised).toBeCloseTo(7200, 6);
+    expect(february.parties.RPG.recognised).toBeCloseTo(800, 6);
+    expect(february.parties.Proaptus.recognised).toBeCloseTo(12000, 6);
+    expect(cashFlow.totals.total.recognised).toBeCloseTo(20000, 6);
+  });
+
+  it('should spread cost with the effort', () => {
+    expect(cashFlow.months[0].parties.RPG.cost).toBeCloseTo(3600, 6);
+    expect(cashFlow.totals.Proaptus.cost).toBeCloseTo(2000, 6);
+  });
+
+  it('should bill on invoice dates and receive cash when invoices fall due', () => {
+    const [january, february, march] = cashFlow.months;
+
+    expect(january.total.billed).toBeCloseTo(10000, 6);
+    expect(january.parties.RPG.billed).toBeCloseTo(4000, 6);
+    expect(february.total.received).toBeCloseTo(10000, 6);
+    expect(march.total.received).toBeCloseTo(10000, 6);
+    expect(march.cumulative.billed).toBeCloseTo(20000, 6);
+  });
+
+  it('should export a row per month and party with a total row', () => {
+    const csv = cashFlowToCsv(cashFlow).split('\n');
+
+    expect(csv[0]).toBe('Month,Party,Billed,Cash Received,Recognised Revenue,Cost,Margin');
+    expect(csv[1]).toBe('2025-01,RPG,4000.00,0.00,7200.00,3600.00,3600.00');
+    expect(csv[3]).toBe('2025-01,Total,10000.00,0.00,7200.00,3600.00,3600.00');
+    expect(csv[csv.length - 1]).toBe('Total,Total,20000.00,20000.00,20000.00,6000.00,14000.00');
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Change requests and contract variations
+ *
+ * The project's deliverables and sold days are the signed baseline. Scope
+ * changes after signature are raised as change requests (project.changeRequests):
+ *   {
+ *     id, reference: 'CR-001', title, reason,
+ *     status: 'draft' | 'submitted' | 'approved' | 'rejected',
+ *     createdAt, createdBy, decidedAt, decidedBy,
+ *     changes: [
+ *       { type: 'add', deliverable: { name, owner, role, days, resourceType } },
+ *       { type: 'remove', deliverableId },
+ *       { type: 'resize', deliverableId, days }
+ *     ]
+ *   }
+ * Approved requests are applied to the baseline in the order they were
+ * approved; each one moves the sold days by its days delta, priced at the
+ * client day rate. The baseline's risk contingency stays in the contract price
+ * and its commercial adjustments are applied on top, as on the quote.
+ */
+
+import { calculateRiskContingency } from './riskContingency.js';
+import { applyAdjustments } from './commercialAdjustments.js';
+
+export const CHANGE_REQUEST_STATUSES = ['draft', 'submitted', 'approved', 'rejected'];
+
+export const CHANGE_REQUEST_STATUS_LABELS = {
+  draft: 'Draft',
+  submitted: 'Awaiting approval',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+export const CHANGE_TYPES = ['add', 'remove', 'resize'];
+
+export const CHANGE_TYPE_LABELS = {
+  add: 'Add deliverable',
+  remove: 'Remove deliverable',
+  resize: 'Resize deliverable'
+};
+
+const toNumber = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+
+/**
+ * Next free CR reference ('CR-001', 'CR-002', ...)
+ */
+export function nextChangeReference(changeRequests = []) {
+  const highest = changeRequests.reduce((max, cr) => {
+    const number = parseInt(String(cr.reference || '').replace(/^CR-/, ''), 10);
+    return Number.isFinite(number) ? Math.max(max, number) : max;
+  }, 0);
+  return `CR-${String(highest + 1).padStart(3, '0')}`;
+}
+
+/**
+ * A new draft change request
+ */
+export function createChangeRequest(changeRequests = [], createdBy = null) {
+  return {
+    id: changeRequests.reduce((max, cr) => Math.max(max, toNumber(cr.id)), 0) + 1,
+    reference: nextChangeReference(changeRequests),
+    title: '',
+    reason: '',
+    status: 'draft',
+    createdAt: new Date().toISOString(),
+    createdBy,
+    decidedAt: null,
+    decidedBy: null,
+    changes: []
+  };
+}
+
+/**
+ * Deliverables after a change request's changes. Added deliverables get the
+ * next free id and remember which request added them.
+ */
+export function applyChanges(deliverables, changeRequest) {
+  let result = deliverables.map(d => ({ ...d }));
+  (changeRequest.changes || []).forEach(change => {
+    if (change.type === 'add') {
+      const id = result.reduce((max, d) => Math.max(max, toNumber(d.id)), 0) + 1;
+      result.push({
+        resourceType: 'internal',
+        ...change.deliverable,
+        id,
+        days: toNumber(change.deliverable?.days),
+        changeRequest: changeRequest.reference
+      });
+    } else if (change.type === 'remove') {
+      result = result.filter(d => d.id !== change.deliverableId);
+    } else if (change.type === 'resize') {
+      result = result.map(d => (d.id === change.deliverableId ? { ...d, days: toNumber(change.days) } : d));
+    }
+  });
+  return result;
+}
+
+const totalDays = (deliverables) => deliverables.reduce((sum, d) => sum + toNumber(d.days), 0);
+
+/**
+ * Problems that stop a change request being submitted
+ * @param {Object} changeRequest - Change request
+ * @param {Array} deliverables - Deliverables the request applies to
+ * @returns {Array<string>} Error messages
+ */
+export function validateChangeRequest(changeRequest, deliverables = []) {
+  const errors = [];
+  const exists = (id) => deliverables.some(d => d.id === id);
+
+  if (!String(changeRequest.title || '').trim()) {
+    errors.push(`${changeRequest.reference} needs a title`);
+  }
+  if (!changeRequest.changes || changeRequest.changes.length === 0) {
+    errors.push(`${changeRequest.reference} has no changes`);
+  }
+  (changeRequest.changes || []).forEach((change, index) => {
+    const label = `${changeRequest.reference} change ${index + 1}`;
+    if (change.type === 'add') {
+      if (!String(change.deliverable?.name || '').trim()) errors.push(`${label}: the new deliverable needs a name`);
+      if (toNumber(change.deliverable?.days) <= 0) errors.push(`${label}: the new deliverable needs days`);
+    } else if (!exists(change.deliverableId)) {
+      errors.push(`${label}: the deliverable no longer exists`);
+    } else if (change.type === 'resize' && toNumber(change.days) <= 0) {
+      errors.push(`${label}: resize to a positive number of days (or remove the deliverable)`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Baseline plus approved variations
+ * @param {Object} params
+ * @param {Object} params.inputs - Project inputs (the baseline: clientRate, soldDays, deliverables, risks, adjustments)
+ * @param {Array} params.changeRequests - Project change requests
+ * @returns {Object} {
+ *   baseline: { soldDays, deliverableDays, price },
+ *   variations: [{ id, reference, title, reason, decidedAt, decidedBy, daysDelta, priceDelta, soldDays, price }],
+ *   pending: [{ ...changeRequest, daysDelta, priceDelta, errors }],
+ *   contract: { soldDays, deliverableDays, price, deliverables }
+ * }
+ */
+export function buildVariations({ inputs, changeRequests = [] }) {
+  const clientRate = toNumber(inputs?.clientRate);
+  const baselineDeliverables = inputs?.deliverables || [];
+  const riskPrice = calculateRiskContingency({
+    deliverables: baselineDeliverables,
+    risks: inputs?.risks || [],
+    settings: inputs?.riskContingency,
+    clientRate
+  }).price;
+  // Net price for a number of sold days, as the quote prices it
+  const priceFor = (days) => applyAdjustments(days * clientRate + riskPrice, inputs?.adjustments || []).net;
+  const baseline = {
+    soldDays: toNumber(inputs?.soldDays),
+    deliverableDays: totalDays(baselineDeliverables),
+    price: priceFor(toNumber(inputs?.soldDays))
+  };
+
+  const approved = changeRequests
+    .filter(cr => cr.status === 'approved')
+    .sort((a, b) => String(a.decidedAt || '').localeCompare(String(b.decidedAt || '')));
+
+  let deliverables = baselineDeliverables;
+  let soldDays = baseline.soldDays;
+  const variations = approved.map(cr => {
+    const after = applyChanges(deliverables, cr);
+    const daysDelta = totalDays(after) - totalDays(deliverables);
+    const priceBefore = priceFor(soldDays);
+    deliverables = after;
+    soldDays += daysDelta;
+    return {
+      id: cr.id,
+      reference: cr.reference,
+      title: cr.title,
+      reason: cr.reason,
+      decidedAt: cr.decidedAt,
+      decidedBy: cr.decidedBy,
+      daysDelta,
+      priceDelta: priceFor(soldDays) - priceBefore,
+      soldDays,
+      price: priceFor(soldDays)
+    };
+  });
+
+  // Open requests are priced against the contract as it stands now
+  const pending = changeRequests
+    .filter(cr => cr.status === 'draft' || cr.status === 'submitted')
+    .map(cr => {
+      const daysDelta = totalDays(applyChanges(deliverables, cr)) - totalDays(deliverables);
+      return { ...cr, daysDelta, priceDelta: priceFor(soldDays + daysDelta) - priceFor(soldDays), errors: validateChangeRequest(cr, deliverables) };
+    });
+
+  return {
+    baseline,
+    variations,
+    pending,
+    contract: {
+      soldDays,
+      deliverableDays: totalDays(deliverables),
+      price: priceFor(soldDays),
+      deliverables
+    }
+  };
+}
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  nextChangeReference,
+  createChangeRequest,
+  applyChanges,
+  validateChangeRequest,
+  buildVariations
+} from './changeRequests.js';
+
+/**
+ * Test suite for change requests
+ * Baseline deliverables plus approved variations, priced at the client rate
+ */
+const inputs = {
+  clientRate: 1000,
+  soldDays: 30,
+  deliverables: [
+    { id: 1, name: 'Design', owner: 'RPG', role: 'Consulting', days: 10 },
+    { id: 2, name: 'Build', owner: 'Proaptus', role: 'Development', days: 20 }
+  ]
+};
+
+const addReporting = {
+  id: 1,
+  reference: 'CR-001',
+  title: 'Add reporting',
+  status: 'approved',
+  decidedAt: '2025-03-01T10:00:00.000Z',
+  changes: [{ type: 'add', deliverable: { name: 'Reporting', owner: 'Proaptus', role: 'Development', days: 5 } }]
+};
+
+const shrinkDesign = {
+  id: 2,
+  reference: 'CR-002',
+  title: 'Reduce design',
+  status: 'approved',
+  decidedAt: '2025-02-01T10:00:00.000Z',
+  changes: [{ type: 'resize', deliverableId: 1, days: 6 }]
+};
+
+describe('nextChangeReference', () => {
+  it('should number references after the highest one used', () => {
+    expect(nextChangeReference([])).toBe('CR-001');
+    expect(nextChangeReference([{ reference: 'CR-002' }, { reference: 'CR-009' }])).toBe('CR-010');
+  });
+
+  it('should start new requests as drafts', () => {
+    const cr = createChangeRequest([addReporting], { username: 'c' });
+
+    expect(cr).toMatchObject({ id: 2, reference: 'CR-002', status: 'draft', createdBy: { username: 'c' }, changes: [] });
+  });
+});
+
+describe('applyChanges', () => {
+  it('should add, resize and remove deliverables', () => {
+    const result = applyChanges(inputs.deliverables, {
+      reference: 'CR-003',
+      changes: [
+        { type: 'add', deliverable: { name: 'Training', owner: 'RPG', role: 'Consulting', days: '3' } },
+        { type: 'resize', deliverableId: 2, days: 25 },
+        { type: 'remove', deliverableId: 1 }
+      ]
+    });
+
+    expect(result.map(d => [d.id, d.name, d.days])).toEqual([[2, 'Build', 25], [3, 'Training', 3]]);
+    expect(result[1].changeRequest).toBe('CR-003');
+    // The baseline is left alone
+    expect(inputs.deliverables[1].days).toBe(20);
+  });
+});
+
+describe('validateChangeRequest', () => {
+  it('should report missing titles, changes and deliverables', () => {
+    expect(validateChangeRequest({ reference: 'CR-004', title: '', changes: [] }, inputs.deliverables)).toEqual([
+      'CR-004 needs a title',
+      'CR-004 has no changes'
+    ]);
+    expect(validateChangeRequest({
+      reference: 'CR-005',
+      title: 'Rework',
+      changes: [{ type: 'remove', deliverableId: 9 }, { type: 'resize', deliverableId: 1, days: 0 }]
+    }, inputs.deliverables)).toEqual([
+      'CR-005 change 1: the deliverable no longer exists',
+      'CR-005 change 2: resize to a positive number of days (or remove the deliverable)'
+    ]);
+  });
+});
+
+describe('buildVariations', () => {
+  it('should apply approved requests to the baseline in approval order', () => {
+    const result = buildVariations({ inputs, changeRequests: [addReporting, shrinkDesign] });
+
+    expect(result.baseline).toEqual({ soldDays: 30, deliverableDays: 30, price: 30000 });
+    expect(result.variations.map(v => [v.reference, v.daysDelta, v.priceDelta, v.price])).toEqual([
+      ['CR-002', -4, -4000, 26000],
+      ['CR-001', 5, 5000, 31000]
+    ]);
+    expect(result.contract).toMatchObject({ soldDays: 31, deliverableDays: 31, price: 31000 });
+  });
+
+  it('should price open requests against the current contract and ignore rejected ones', () => {
+    const result = buildVariations({
+      inputs,
+      changeRequests: [
+        shrinkDesign,
+        { id: 3, reference: 'CR-003', title: 'Drop design', status: 'submitted', changes: [{ type: 'remove', deliverableId: 1 }] },
+        { id: 4, reference: 'CR-004', title: 'Gold plating', status: 'rejected', changes: [{ type: 'resize', deliverableId: 2, days: 40 }] }
+      ]
+    });
+
+    expect(result.pending).toHaveLength(1);
+    expect(result.pending[0]).toMatchObject({ reference: 'CR-003', daysDelta: -6, priceDelta: -6000, errors: [] });
+    expect(result.contract.soldDays).toBe(26);
+  });
+
+  it('should keep the baseline risk contingency in the contract price', () => {
+    const result = buildVariations({
+      inputs: { ...inputs, risks: [{ id: 1, title: 'Delay', probability: 50, impactDays: 4 }] },
+      changeRequests: [addReporting]
+    });
+
+    expect(result.baseline.price).toBe(32000);
+    expect(result.variations[0]).toMatchObject({ priceDelta: 5000, price: 37000 });
+    expect(result.contract.price).toBe(37000);
+  });
+
+  it('should apply the commercial adjustments to the contract price', () => {
+    const result = buildVariations({
+      inputs: { ...inputs, soldDays: 20, adjustments: [{ id: 1, type: 'partner', reason: 'Partner rate', valueType: 'fixed', value: 5000 }] },
+      changeRequests: [addReporting]
+    });
+
+    // £20,000 less a £5,000 discount, as on the quote
+    expect(result.baseline.price).toBe(15000);
+    expect(result.variations[0]).toMatchObject({ priceDelta: 5000, price: 20000 });
+    expect(result.contract.price).toBe(20000);
+  });
+});
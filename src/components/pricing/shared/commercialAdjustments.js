@@ -0,0 +1,171 @@
+/**
+ * Commercial adjustments
+ *
+ * Discounts and caps applied in order on top of the gross price (sold days ×
+ * client rate, plus any risk contingency). Each one carries a reason and is
+ * saved with the project (project.adjustments):
+ *   [{ id, type: 'volume' | 'earlyPayment' | 'partner' | 'cap', reason, valueType: 'percentage' | 'fixed', value, borneBy }]
+ *   volume / earlyPayment / partner
+ *          A discount of `value`% of the running price, or a fixed amount
+ *   cap    A fixed-price cap: the running price is brought down to `value`
+ * The discount is shared by the parties in proportion to their share of the
+ * gross price, unless the adjustment names the party that bears it (borneBy).
+ */
+
+export const ADJUSTMENT_TYPES = ['volume', 'earlyPayment', 'partner', 'cap'];
+
+export const ADJUSTMENT_TYPE_LABELS = {
+  volume: 'Volume discount',
+  earlyPayment: 'Early-payment discount',
+  partner: 'Partner discount',
+  cap: 'Fixed-price cap'
+};
+
+const roundPence = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value, fallback = 0) => (Number.isFinite(Number(value)) && value !== '' && value !== null ? Number(value) : fallback);
+
+/**
+ * Next id for an adjustment
+ */
+export function nextAdjustmentId(adjustments = []) {
+  return adjustments.reduce((max, a) => Math.max(max, Number(a.id) || 0), 0) + 1;
+}
+
+/**
+ * A new adjustment of the given type
+ */
+export function createAdjustment(adjustments = [], type = 'volume') {
+  return {
+    id: nextAdjustmentId(adjustments),
+    type,
+    reason: '',
+    valueType: type === 'cap' ? 'fixed' : 'percentage',
+    value: 0,
+    borneBy: ''
+  };
+}
+
+/**
+ * Apply the adjustment stack to the gross price
+ * @param {number} gross - Price before adjustments
+ * @param {Array} adjustments - Project adjustments, in order
+ * @returns {Object} {
+ *   gross, net, discount,
+ *   steps: [{ ...adjustment, amount, priceAfter }]   // amount is the reduction (never negative)
+ * }
+ */
+export function applyAdjustments(gross, adjustments = []) {
+  let price = gross;
+  const steps = adjustments.map(adjustment => {
+    const value = Math.max(toNumber(adjustment.value), 0);
+    let amount;
+    if (adjustment.type === 'cap') {
+      amount = value > 0 ? Math.max(price - value, 0) : 0;
+    } else if (adjustment.valueType === 'fixed') {
+      amount = Math.min(value, price);
+    } else {
+      amount = (price * Math.min(value, 100)) / 100;
+    }
+    amount = roundPence(amount);
+    price = roundPence(price - amount);
+    return { ...adjustment, amount, priceAfter: price };
+  });
+
+  return { gross, net: price, discount: roundPence(gross - price), steps };
+}
+
+/**
+ * Each party's share of the discount
+ * @param {Array} steps - applyAdjustments steps
+ * @param {Object} grossShares - { party: fraction of the gross price }
+ * @returns {Object} { party: discount }
+ */
+export function allocateDiscount(steps = [], grossShares = {}) {
+  const parties = Object.fromEntries(Object.keys(grossShares).map(party => [party, 0]));
+  const totalShare = Object.values(grossShares).reduce((sum, share) => sum + share, 0);
+
+  steps.forEach(step => {
+    if (step.amount === 0) return;
+    if (step.borneBy) {
+      parties[step.borneBy] = (parties[step.borneBy] || 0) + step.amount;
+      return;
+    }
+    if (totalShare <= 0) return;
+    Object.entries(grossShares).forEach(([party, share]) => {
+      parties[party] += (step.amount * share) / totalShare;
+    });
+  });
+  return parties;
+}
+
+/**
+ * Add each party's risk contingency to its allocation, take off its share of
+ * the discount and recompute its percentage of the net price. Allocations are
+ * updated in place; every one gets contingencyRevenue, grossRevenue and
+ * discount (zero without contingency or discounts), and a party bearing a
+ * discount without an allocation of its own is added.
+ * @param {Object} partyAllocations - allocateRevenue result for the base price
+ * @param {Object} params
+ * @param {Object} params.riskParties - { party: risk contingency revenue }
+ * @param {number} params.riskPrice - Total risk contingency
+ * @param {Object} params.adjusted - applyAdjustments result for the gross price
+ * @returns {Object} { party: discount }
+ */
+export function settlePartyAllocations(partyAllocations, { riskParties = {}, riskPrice = 0, adjusted }) {
+  const addParty = (party) => {
+    if (!partyAllocations[party]) {
+      partyAllocations[party] = { days: 0, revenue: 0, jointDays: 0, jointRevenue: 0, deliverables: [], finalRevenue: 0, percentage: 0, share: 0 };
+    }
+  };
+
+  Object.entries(riskParties).forEach(([party, revenue]) => {
+    addParty(party);
+    partyAllocations[party].contingencyRevenue = revenue;
+    partyAllocations[party].finalRevenue += revenue;
+  });
+  const discountParties = allocateDiscount(adjusted.steps, Object.fromEntries(Object.entries(partyAllocations)
+    .map(([party, allocation]) => [party, adjusted.gross > 0 ? allocation.finalRevenue / adjusted.gross : 0])));
+  Object.keys(discountParties).forEach(addParty);
+
+  // Without contingency or discounts the base percentages already stand
+  const repriced = riskPrice !== 0 || adjusted.discount !== 0;
+  Object.entries(partyAllocations).forEach(([party, allocation]) => {
+    allocation.contingencyRevenue = allocation.contingencyRevenue || 0;
+    allocation.grossRevenue = allocation.finalRevenue;
+    allocation.discount = discountParties[party] || 0;
+    allocation.finalRevenue -= allocation.discount;
+    if (repriced) {
+      allocation.percentage = adjusted.net > 0 ? (allocation.finalRevenue / adjusted.net) * 100 : 0;
+      allocation.share = allocation.percentage;
+    }
+  });
+  return discountParties;
+}
+
+/**
+ * Problems with the adjustment stack
+ * @returns {Array<string>} Error messages
+ */
+export function validateAdjustments(adjustments = []) {
+  const errors = [];
+  adjustments.forEach((adjustment, index) => {
+    const label = `${ADJUSTMENT_TYPE_LABELS[adjustment.type] || 'Adjustment'} ${index + 1}`;
+    const value = toNumber(adjustment.value, NaN);
+    if (!ADJUSTMENT_TYPES.includes(adjustment.type)) {
+      errors.push(`Adjustment ${index + 1} has an unknown type`);
+      return;
+    }
+    if (!adjustment.reason || !adjustment.reason.trim()) {
+      errors.push(`${label} needs a reason`);
+    }
+    if (adjustment.type === 'cap') {
+      if (!(value > 0)) errors.push(`${label} must be greater than zero`);
+    } else if (!(value >= 0)) {
+      errors.push(`${label} cannot be negative`);
+    } else if (adjustment.valueType !== 'fixed' && value > 100) {
+      errors.push(`${label} cannot be more than 100%`);
+    }
+  });
+  return errors;
+}
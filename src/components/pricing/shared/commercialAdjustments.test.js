@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyAdjustments,
+  allocateDiscount,
+  settlePartyAllocations,
+  createAdjustment,
+  validateAdjustments
+} from './commercialAdjustments.js';
+
+/**
+ * Test suite for commercial adjustments
+ * Discounts and fixed-price caps applied in order to the gross price
+ */
+describe('applyAdjustments', () => {
+  it('should apply discounts and caps in order', () => {
+    const result = applyAdjustments(50000, [
+      { id: 1, type: 'volume', reason: '50+ days', valueType: 'percentage', value: 10 },
+      { id: 2, type: 'partner', reason: 'Framework partner', valueType: 'fixed', value: 1000 },
+      { id: 3, type: 'cap', reason: 'Client budget', valueType: 'fixed', value: 43000 }
+    ]);
+
+    expect(result.steps.map(s => [s.amount, s.priceAfter])).toEqual([[5000, 45000], [1000, 44000], [1000, 43000]]);
+    expect(result).toMatchObject({ gross: 50000, net: 43000, discount: 7000 });
+  });
+
+  it('should leave the price alone without adjustments or when under the cap', () => {
+    expect(applyAdjustments(30000, [])).toEqual({ gross: 30000, net: 30000, discount: 0, steps: [] });
+    expect(applyAdjustments(30000, [{ id: 1, type: 'cap', value: 40000 }]).net).toBe(30000);
+  });
+
+  it('should start caps as fixed amounts', () => {
+    expect(createAdjustment([{ id: 4 }], 'cap')).toMatchObject({ id: 5, type: 'cap', valueType: 'fixed' });
+  });
+});
+
+describe('allocateDiscount', () => {
+  it('should share discounts by gross share unless one party bears them', () => {
+    const { steps } = applyAdjustments(50000, [
+      { id: 1, type: 'volume', valueType: 'percentage', value: 10 },
+      { id: 2, type: 'partner', valueType: 'fixed', value: 1000, borneBy: 'Proaptus' }
+    ]);
+
+    expect(allocateDiscount(steps, { RPG: 0.4, Proaptus: 0.6 })).toEqual({ RPG: 2000, Proaptus: 3000 + 1000 });
+  });
+});
+
+describe('settlePartyAllocations', () => {
+  const base = () => ({
+    RPG: { days: 10, revenue: 10000, finalRevenue: 10000, percentage: 25, share: 25 },
+    Proaptus: { days: 30, revenue: 30000, finalRevenue: 30000, percentage: 75, share: 75 }
+  });
+
+  it('should set zero contingency and discount when nothing is adjusted', () => {
+    const allocations = base();
+    const discounts = settlePartyAllocations(allocations, { adjusted: applyAdjustments(40000, []) });
+
+    expect(discounts).toEqual({ RPG: 0, Proaptus: 0 });
+    expect(allocations.RPG).toMatchObject({ contingencyRevenue: 0, grossRevenue: 10000, discount: 0, finalRevenue: 10000, percentage: 25 });
+  });
+
+  it('should add a party that bears a discount without an allocation', () => {
+    const allocations = base();
+    const adjusted = applyAdjustments(40000, [{ id: 1, type: 'partner', valueType: 'fixed', value: 2000, borneBy: 'Partner Co' }]);
+    settlePartyAllocations(allocations, { adjusted });
+
+    expect(allocations['Partner Co']).toMatchObject({ grossRevenue: 0, discount: 2000, finalRevenue: -2000 });
+    const total = Object.values(allocations).reduce((sum, allocation) => sum + allocation.finalRevenue, 0);
+    expect(total).toBe(adjusted.net);
+    expect(Object.values(allocations).reduce((sum, allocation) => sum + allocation.percentage, 0)).toBeCloseTo(100, 6);
+  });
+});
+
+describe('validateAdjustments', () => {
+  it('should require reasons and sensible values', () => {
+    expect(validateAdjustments([
+      { id: 1, type: 'volume', reason: '', valueType: 'percentage', value: 120 },
+      { id: 2, type: 'cap', reason: 'Budget', valueType: 'fixed', value: 0 }
+    ])).toEqual([
+      'Volume discount 1 needs a reason',
+      'Volume discount 1 cannot be more than 100%',
+      'Fixed-price cap 2 must be greater than zero'
+    ]);
+  });
+});
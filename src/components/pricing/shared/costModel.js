@@ -0,0 +1,164 @@
+/**
+ * Cost model
+ *
+ * Day cost rates are maintained centrally (settings/cost-rates.json) per party,
+ * role and resource type:
+ *   { rates: { RPG: { Development: { internal: 400, contractor: 550 } } }, lastChanged: { date, reason, comment } }
+ * Each deliverable is costed at its owner's rate for its role and resource type
+ * (deliverable.resourceType, 'internal' unless set); Joint deliverables are costed
+ * per party using the project's joint split.
+ */
+
+import { JOINT_OWNER, jointSplitFractions } from './allocationRules.js';
+
+export const RESOURCE_TYPES = ['internal', 'contractor'];
+
+export const RESOURCE_TYPE_LABELS = {
+  internal: 'Internal',
+  contractor: 'Contractor'
+};
+
+const DEFAULT_ROLE_COSTS = {
+  'Solution Architect': { internal: 600, contractor: 800 },
+  'Project Management': { internal: 500, contractor: 650 },
+  'Development': { internal: 400, contractor: 550 },
+  'QA': { internal: 320, contractor: 450 },
+  'Junior': { internal: 250, contractor: 350 }
+};
+
+export const DEFAULT_COST_RATES = {
+  rates: {
+    RPG: DEFAULT_ROLE_COSTS,
+    Proaptus: DEFAULT_ROLE_COSTS
+  },
+  lastChanged: null
+};
+
+/**
+ * Cost rates file with numbers cleaned up (blank or invalid rates are dropped)
+ */
+export function normalizeCostRates(doc) {
+  const rates = {};
+  Object.entries(doc?.rates || {}).forEach(([party, roles]) => {
+    rates[party] = {};
+    Object.entries(roles || {}).forEach(([role, byType]) => {
+      rates[party][role] = {};
+      RESOURCE_TYPES.forEach(type => {
+        const value = byType?.[type];
+        if (value !== '' && value !== null && value !== undefined && Number.isFinite(Number(value)) && Number(value) >= 0) {
+          rates[party][role][type] = Number(value);
+        }
+      });
+    });
+  });
+  return { rates, lastChanged: doc?.lastChanged || null };
+}
+
+/**
+ * Day cost for a party, role and resource type (null when no rate is set)
+ */
+export function getCostRate(costRates, party, role, resourceType = 'internal') {
+  const rate = costRates?.rates?.[party]?.[role]?.[resourceType];
+  return Number.isFinite(rate) ? rate : null;
+}
+
+const marginPercent = (margin, revenue) => (revenue > 0 ? (margin / revenue) * 100 : 0);
+
+/**
+ * True cost and margin of a priced project
+ * @param {Object} model - Result of calculateRedPegasusModel
+ * @param {Object} costRates - Central cost rates
+ * @returns {Object} {
+ *   deliverables: [{ id, name, owner, role, resourceType, days, revenue, cost, partyCosts, margin, marginPercentage, isLoss, missingRate }],
+ *   parties: { [party]: { revenue, cost, margin, marginPercentage, isLoss } },
+ *   project: { revenue, cost, margin, marginPercentage },
+ *   missingRates: [{ party, role, resourceType }]
+ * }
+ */
+export function analyzeCosts(model, costRates) {
+  const totalRevenue = model?.totalRevenue || 0;
+  const totalWeighted = model?.totalWeightedRevenue || 0;
+  // Deliverable prices are scaled to the revenue actually sold
+  const revenueScale = totalWeighted > 0 ? totalRevenue / totalWeighted : 0;
+  const jointFractions = jointSplitFractions(model?.allocationRules);
+  const partyCosts = {};
+  const missing = new Map();
+
+  const costFor = (party, d, resourceType, days) => {
+    const rate = getCostRate(costRates, party, d.role, resourceType);
+    if (rate === null) {
+      missing.set(`${party}|${d.role}|${resourceType}`, { party, role: d.role, resourceType });
+      return { cost: 0, missing: true };
+    }
+    return { cost: rate * days, missing: false };
+  };
+
+  const deliverables = (model?.deliverables || []).map(d => {
+    const resourceType = RESOURCE_TYPES.includes(d.resourceType) ? d.resourceType : 'internal';
+    const shares = d.owner === JOINT_OWNER ? Object.entries(jointFractions) : [[d.owner, 1]];
+    let cost = 0;
+    let missingRate = false;
+    const deliverablePartyCosts = {};
+
+    shares.forEach(([party, fraction]) => {
+      const portion = costFor(party, d, resourceType, d.days * fraction);
+      cost += portion.cost;
+      missingRate = missingRate || portion.missing;
+      deliverablePartyCosts[party] = portion.cost;
+      partyCosts[party] = (partyCosts[party] || 0) + portion.cost;
+    });
+
+    const revenue = d.revenue * revenueScale;
+    const margin = revenue - cost;
+    return {
+      id: d.id,
+      name: d.name,
+      owner: d.owner,
+      role: d.role,
+      resourceType,
+      days: d.days,
+      revenue,
+      cost,
+      partyCosts: deliverablePartyCosts,
+      margin,
+      marginPercentage: marginPercent(margin, revenue),
+      isLoss: margin < 0,
+      missingRate
+    };
+  });
+
+  const parties = {};
+  Object.entries(model?.partyAllocations || {}).forEach(([party, allocation]) => {
+    const revenue = allocation.finalRevenue || 0;
+    const cost = partyCosts[party] || 0;
+    const margin = revenue - cost;
+    parties[party] = { revenue, cost, margin, marginPercentage: marginPercent(margin, revenue), isLoss: margin < 0 };
+  });
+
+  const cost = deliverables.reduce((sum, d) => sum + d.cost, 0);
+  const margin = totalRevenue - cost;
+
+  return {
+    deliverables,
+    parties,
+    project: { revenue: totalRevenue, cost, margin, marginPercentage: marginPercent(margin, totalRevenue) },
+    missingRates: [...missing.values()]
+  };
+}
+
+/**
+ * Warnings for loss-making work and missing cost rates
+ */
+export function getCostWarnings(costAnalysis, formatCurrency) {
+  const warnings = [];
+  costAnalysis.deliverables.filter(d => d.isLoss).forEach(d => {
+    warnings.push(`Deliverable "${d.name}" (${d.owner}) is loss-making: cost ${formatCurrency(d.cost)} exceeds revenue ${formatCurrency(d.revenue)}`);
+  });
+  Object.entries(costAnalysis.parties).filter(([, data]) => data.isLoss).forEach(([party, data]) => {
+    warnings.push(`${party} is loss-making on this project (margin ${formatCurrency(data.margin)})`);
+  });
+  costAnalysis.missingRates.forEach(({ party, role, resourceType }) => {
+    warnings.push(`No ${RESOURCE_TYPE_LABELS[resourceType].toLowerCase()} cost rate for ${party} ${role} - costed at £0`);
+  });
+  return warnings;
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeCostRates, getCostRate, analyzeCosts, getCostWarnings } from './costModel.js';
+import formatGBP from './formatGBP.js';
+
+/**
+ * Test suite for the cost model
+ * True cost and margin per deliverable, party and project from central cost rates
+ */
+describe('normalizeCostRates', () => {
+  it('should keep numeric rates and drop blank or negative ones', () => {
+    const costRates = normalizeCostRates({
+      rates: { RPG: { QA: { internal: '300', contractor: '' }, Junior: { internal: -5, contractor: 200 } } }
+    });
+
+    expect(costRates.rates).toEqual({ RPG: { QA: { internal: 300 }, Junior: { contractor: 200 } } });
+    expect(getCostRate(costRates, 'RPG', 'QA', 'contractor')).toBeNull();
+    expect(getCostRate(costRates, 'RPG', 'QA')).toBe(300);
+  });
+});
+
+describe('analyzeCosts', () => {
+  const costRates = {
+    rates: {
+      RPG: { Development: { internal: 400, contractor: 600 } },
+      Proaptus: { Development: { internal: 500, contractor: 700 } }
+    }
+  };
+
+  // 30 days sold at £1,000; deliverables priced at weight 1.0
+  const model = {
+    totalRevenue: 30000,
+    totalWeightedRevenue: 30000,
+    allocationRules: { parties: ['RPG', 'Proaptus'], jointSplit: { RPG: 50, Proaptus: 50 } },
+    deliverables: [
+      { id: 1, name: 'Build', owner: 'RPG', role: 'Development', days: 10, revenue: 10000 },
+      { id: 2, name: 'Integrate', owner: 'Proaptus', role: 'Development', days: 10, revenue: 10000, resourceType: 'contractor' },
+      { id: 3, name: 'Launch', owner: 'Joint', role: 'Development', days: 10, revenue: 10000 }
+    ],
+    partyAllocations: {
+      RPG: { finalRevenue: 16000 },
+      Proaptus: { finalRevenue: 14000 }
+    }
+  };
+
+  it('should cost each deliverable at its owner rate for its resource type', () => {
+    const { deliverables } = analyzeCosts(model, costRates);
+
+    expect(deliverables[0]).toMatchObject({ resourceType: 'internal', cost: 4000, margin: 6000, marginPercentage: 60, isLoss: false });
+    expect(deliverables[1]).toMatchObject({ resourceType: 'contractor', cost: 7000, margin: 3000 });
+    // Joint: 5 days at each party's internal rate
+    expect(deliverables[2].cost).toBe(4500);
+    expect(deliverables[2].partyCosts).toEqual({ RPG: 2000, Proaptus: 2500 });
+  });
+
+  it('should total costs and margins per party and for the project', () => {
+    const { parties, project } = analyzeCosts(model, costRates);
+
+    expect(parties.RPG).toMatchObject({ revenue: 16000, cost: 6000, margin: 10000 });
+    expect(parties.Proaptus).toMatchObject({ revenue: 14000, cost: 9500, margin: 4500 });
+    expect(project).toMatchObject({ revenue: 30000, cost: 15500, margin: 14500 });
+  });
+
+  it('should scale deliverable prices to the revenue sold', () => {
+    const { deliverables } = analyzeCosts({ ...model, totalRevenue: 15000 }, costRates);
+
+    expect(deliverables[0].revenue).toBe(5000);
+  });
+
+  it('should flag loss-makers and missing rates', () => {
+    const expensive = {
+      rates: { RPG: { Development: { internal: 1200 } }, Proaptus: { Development: { internal: 500 } } }
+    };
+    const analysis = analyzeCosts(model, expensive);
+
+    expect(analysis.deliverables[0].isLoss).toBe(true);
+    expect(analysis.deliverables[1].missingRate).toBe(true);
+    expect(analysis.missingRates).toEqual([{ party: 'Proaptus', role: 'Development', resourceType: 'contractor' }]);
+
+    const warnings = getCostWarnings(analysis, formatGBP);
+    expect(warnings).toContain('Deliverable "Build" (RPG) is loss-making: cost £12,000 exceeds revenue £10,000');
+    expect(warnings).toContain('No contractor cost rate for Proaptus Development - costed at £0');
+  });
+});
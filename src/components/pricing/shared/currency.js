@@ -0,0 +1,151 @@
+/**
+ * Project currency and FX rates
+ *
+ * The pricing model and every internal figure (party allocations, costs,
+ * margins) stay in GBP. A project can quote its client in GBP, EUR or USD
+ * (project.currency); client-facing amounts are converted at the FX rate in
+ * effect.
+ *
+ * The FX table (settings/fx-rates.json) keeps every set of rates, each with
+ * the date it takes effect from, like the role weights:
+ *   { versions: [{ version, effectiveFrom, rates: { EUR: 0.87, USD: 0.82 }, source, createdAt, createdBy }] }
+ * A rate is the GBP value of one unit of the currency (BenchmarkStore.json's
+ * fx_rate_usd_gbp). Quote versions keep the rate they were issued at (version.fx).
+ */
+
+import benchmarks from '../../../data/BenchmarkStore.json';
+import { getEffectiveVersion } from './roleWeightVersions.js';
+
+export const BASE_CURRENCY = 'GBP';
+
+export const CURRENCIES = ['GBP', 'EUR', 'USD'];
+
+export const CURRENCY_SYMBOLS = {
+  GBP: '£',
+  EUR: '€',
+  USD: '$'
+};
+
+export const CURRENCY_LABELS = {
+  GBP: 'Pound sterling (GBP)',
+  EUR: 'Euro (EUR)',
+  USD: 'US dollar (USD)'
+};
+
+export const DEFAULT_FX_TABLE = {
+  versions: [{
+    version: 1,
+    effectiveFrom: benchmarks.meta.last_updated,
+    rates: { EUR: 0.87, USD: benchmarks.meta.fx_rate_usd_gbp },
+    source: benchmarks.meta.fx_source,
+    createdAt: null,
+    createdBy: null
+  }]
+};
+
+const toRate = (value) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : null);
+
+/**
+ * FX table with its versions sorted and unusable rates dropped
+ * (the default table if none is stored)
+ */
+export function normalizeFxTable(doc) {
+  const versions = Array.isArray(doc?.versions) && doc.versions.length > 0 ? doc.versions : DEFAULT_FX_TABLE.versions;
+  return {
+    versions: [...versions]
+      .map(version => ({
+        ...version,
+        rates: Object.fromEntries(Object.entries(version.rates || {})
+          .filter(([currency, rate]) => currency !== BASE_CURRENCY && toRate(rate))
+          .map(([currency, rate]) => [currency, Number(rate)]))
+      }))
+      .sort((a, b) => a.version - b.version)
+  };
+}
+
+/**
+ * Add a new set of rates to the FX table
+ * @param {Object} doc - Current FX table
+ * @param {Object} change - { rates, effectiveFrom (YYYY-MM-DD), source, createdBy }
+ * @param {Date} now - Clock, for tests
+ * @returns {Object} New FX table
+ */
+export function addFxVersion(doc, { rates, effectiveFrom, source = '', createdBy = null }, now = new Date()) {
+  const { versions } = normalizeFxTable(doc);
+  return normalizeFxTable({
+    versions: [...versions, {
+      version: Math.max(...versions.map(version => version.version)) + 1,
+      effectiveFrom: effectiveFrom || now.toISOString().slice(0, 10),
+      rates: { ...rates },
+      source,
+      createdAt: now.toISOString(),
+      createdBy
+    }]
+  });
+}
+
+/**
+ * The rate a quote in `currency` is converted at on a date
+ * @returns {Object} { currency, rate, version, effectiveFrom, source } (GBP is always 1)
+ */
+export function fxSnapshot(doc, currency = BASE_CURRENCY, date = new Date()) {
+  if (!CURRENCIES.includes(currency) || currency === BASE_CURRENCY) {
+    return { currency: BASE_CURRENCY, rate: 1, version: null, effectiveFrom: null, source: '' };
+  }
+  const { versions } = normalizeFxTable(doc);
+  // Latest rate for the currency in effect on the date
+  const withRate = versions.filter(version => version.rates[currency]);
+  const version = getEffectiveVersion(withRate.length > 0 ? withRate : versions, date);
+  return {
+    currency,
+    rate: version.rates[currency] || 1,
+    version: version.version,
+    effectiveFrom: version.effectiveFrom,
+    source: version.source || ''
+  };
+}
+
+/**
+ * A GBP amount in the snapshot's currency
+ */
+export function fromGBP(amount, fx) {
+  return fx?.rate ? amount / fx.rate : amount;
+}
+
+/**
+ * Format a number in a currency, the same way formatGBP does
+ */
+export function formatMoney(n, currency = BASE_CURRENCY, decimals = 0) {
+  if (!isFinite(n)) n = 0;
+  const symbol = CURRENCY_SYMBOLS[currency] || CURRENCY_SYMBOLS[BASE_CURRENCY];
+  const formatted = Math.abs(n).toLocaleString('en-GB', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  return n < 0 ? `-${symbol}${formatted}` : `${symbol}${formatted}`;
+}
+
+/**
+ * Formatter for client-facing reports: takes GBP, shows the quote currency
+ * @param {Object} fx - fxSnapshot result (GBP when missing)
+ * @returns {Function} (amountInGBP, decimals) => string
+ */
+export function currencyFormatter(fx) {
+  return (n, decimals = 0) => formatMoney(fromGBP(n, fx), fx?.currency || BASE_CURRENCY, decimals);
+}
+
+/**
+ * One line describing the rate, e.g. "€1 = £0.87 (FX rates v2, from 2025-11-01)"
+ */
+export function describeFx(fx) {
+  if (!fx || fx.currency === BASE_CURRENCY) return 'GBP';
+  return `${CURRENCY_SYMBOLS[fx.currency]}1 = £${Number(fx.rate.toFixed(4))} (FX rates v${fx.version}, from ${fx.effectiveFrom})`;
+}
+
+/**
+ * Problems with a set of FX rates
+ * @returns {Array<string>} Error messages
+ */
+export function validateFxRates(rates = {}) {
+  return CURRENCIES
+    .filter(currency => currency !== BASE_CURRENCY)
+    .filter(currency => !toRate(rates[currency]))
+    .map(currency => `${currency} rate must be greater than zero`);
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_FX_TABLE,
+  normalizeFxTable,
+  addFxVersion,
+  fxSnapshot,
+  currencyFormatter,
+  describeFx,
+  validateFxRates
+} from './currency.js';
+
+/**
+ * Test suite for project currency
+ * The versioned FX table, the rate a quote is converted at, and formatting
+ */
+const now = new Date('2025-11-03T10:00:00Z');
+
+const table = addFxVersion(
+  { versions: [{ version: 1, effectiveFrom: '2025-01-01', rates: { EUR: 0.85, USD: 0.8 }, source: 'ECB - Jan 2025' }] },
+  { rates: { EUR: 0.87, USD: 0.82 }, effectiveFrom: '2025-11-01', source: 'ECB - Nov 2025', createdBy: { username: 'admin' } },
+  now
+);
+
+describe('FX table', () => {
+  it('should add a numbered version with its effective date', () => {
+    expect(table.versions.map(v => v.version)).toEqual([1, 2]);
+    expect(table.versions[1]).toMatchObject({
+      effectiveFrom: '2025-11-01',
+      source: 'ECB - Nov 2025',
+      createdAt: '2025-11-03T10:00:00.000Z',
+      createdBy: { username: 'admin' }
+    });
+  });
+
+  it('should fall back to the default table and drop unusable rates', () => {
+    expect(normalizeFxTable(null)).toEqual(DEFAULT_FX_TABLE);
+    expect(normalizeFxTable({ versions: [{ version: 1, rates: { EUR: '0.9', USD: 0, GBP: 1 } }] }).versions[0].rates).toEqual({ EUR: 0.9 });
+  });
+});
+
+describe('fxSnapshot', () => {
+  it('should use the rate in effect on the date', () => {
+    expect(fxSnapshot(table, 'EUR', new Date('2025-06-01'))).toEqual({
+      currency: 'EUR', rate: 0.85, version: 1, effectiveFrom: '2025-01-01', source: 'ECB - Jan 2025'
+    });
+    expect(fxSnapshot(table, 'EUR', new Date('2025-11-02')).version).toBe(2);
+  });
+
+  it('should not convert GBP or unknown currencies', () => {
+    expect(fxSnapshot(table, 'GBP').rate).toBe(1);
+    expect(fxSnapshot(table, 'JPY')).toMatchObject({ currency: 'GBP', rate: 1 });
+  });
+});
+
+describe('currencyFormatter', () => {
+  it('should convert GBP amounts to the quote currency', () => {
+    const fx = fxSnapshot(table, 'USD', now);
+
+    // £8,200 at £0.82 per $1
+    expect(currencyFormatter(fx)(8200)).toBe('$10,000');
+    expect(currencyFormatter(fx)(-41, 2)).toBe('-$50.00');
+    expect(currencyFormatter(null)(1500)).toBe('£1,500');
+    expect(describeFx(fx)).toBe('$1 = £0.82 (FX rates v2, from 2025-11-01)');
+  });
+});
+
+describe('validateFxRates', () => {
+  it('should require a positive rate for every currency', () => {
+    expect(validateFxRates({ EUR: 0.87, USD: 0.82 })).toEqual([]);
+    expect(validateFxRates({ EUR: 0, USD: '' })).toEqual([
+      'EUR rate must be greater than zero',
+      'USD rate must be greater than zero'
+    ]);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Deliverables as stored with a project
+ * The editor keeps extra fields on each deliverable (computed revenue, UI
+ * state); only these are saved, with defaults filled in.
+ */
+
+/**
+ * Deliverables reduced to their stored fields
+ * @param {Array} deliverables - Deliverables from the editor or storage
+ * @returns {Array} [{ id, name, owner, role, days, resourceType, startDate, durationDays, predecessors, acceptanceCriteria, riskRating }]
+ */
+export function cleanDeliverables(deliverables = []) {
+  return deliverables.map(d => ({
+    id: d.id,
+    name: d.name,
+    owner: d.owner,
+    role: d.role,
+    days: d.days,
+    resourceType: d.resourceType || 'internal',
+    startDate: d.startDate || '',
+    durationDays: d.durationDays,
+    predecessors: d.predecessors || [],
+    acceptanceCriteria: d.acceptanceCriteria,
+    riskRating: d.riskRating || 'none'
+  }));
+}
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { cleanDeliverables } from './deliverables.js';
+
+/**
+ * Test suite for stored deliverables
+ * Only the saved fields are kept, with defaults filled in
+ */
+describe('cleanDeliverables', () => {
+  it('should keep the stored fields and fill in defaults', () => {
+    const [cleaned] = cleanDeliverables([
+      { id: 1, name: 'Build', owner: 'Proaptus', role: 'Development', days: 20, revenue: 19000, isEditing: true }
+    ]);
+
+    expect(cleaned).toEqual({
+      id: 1,
+      name: 'Build',
+      owner: 'Proaptus',
+      role: 'Development',
+      days: 20,
+      resourceType: 'internal',
+      startDate: '',
+      durationDays: undefined,
+      predecessors: [],
+      acceptanceCriteria: undefined,
+      riskRating: 'none'
+    });
+  });
+});
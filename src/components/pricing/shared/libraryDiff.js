@@ -0,0 +1,100 @@
+/**
+ * Library diff helpers
+ * Compare the current project library against a backup so a restore can be
+ * previewed before anything is overwritten.
+ */
+
+// Save metadata changes on every save; deliverables are summarised separately
+const IGNORED_FIELDS = ['id', 'lastModified', 'lastModifiedBy', 'deliverables'];
+
+export const FIELD_LABELS = {
+  name: 'Project name',
+  description: 'Description',
+  background: 'Background',
+  clientName: 'Client',
+  overview: 'Overview',
+  startDate: 'Start date',
+  endDate: 'End date',
+  projectCode: 'Project code',
+  accountManager: 'Account manager',
+  accountManagerParty: 'Account manager party',
+  status: 'Status',
+  clientRate: 'Client rate',
+  soldDays: 'Sold days',
+  roleWeightOverrides: 'Role weight override',
+  allocationRules: 'Allocation rules',
+  paymentPlan: 'Payment plan',
+  actuals: 'Actuals',
+  quoteVersions: 'Quote versions',
+  changeRequests: 'Change requests',
+  reconciliation: 'Days reconciliation',
+  risks: 'Risk register',
+  riskContingency: 'Risk contingency rules',
+  adjustments: 'Commercial adjustments',
+  currency: 'Quote currency',
+  taxSettings: 'Tax settings'
+};
+
+const totalDays = (deliverables = []) =>
+  deliverables.reduce((sum, d) => sum + (Number(d.days) || 0), 0);
+
+const isSameValue = (a, b) => JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+
+/**
+ * Field-level differences between two versions of a project
+ * @param {Object} current - Project as it is now
+ * @param {Object} backup - Project as stored in the backup
+ * @returns {Array<Object>} [{ field, label, current, backup }]
+ */
+export function diffProjects(current = {}, backup = {}) {
+  const changes = [];
+  const fields = new Set([...Object.keys(current), ...Object.keys(backup)]);
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    if (!isSameValue(current[field], backup[field])) {
+      changes.push({
+        field,
+        label: FIELD_LABELS[field] || field,
+        current: current[field],
+        backup: backup[field]
+      });
+    }
+  });
+
+  const currentDeliverables = current.deliverables || [];
+  const backupDeliverables = backup.deliverables || [];
+  if (!isSameValue(currentDeliverables, backupDeliverables)) {
+    changes.push({
+      field: 'deliverables',
+      label: 'Deliverables',
+      current: `${currentDeliverables.length} (${totalDays(currentDeliverables)} days)`,
+      backup: `${backupDeliverables.length} (${totalDays(backupDeliverables)} days)`
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Project-by-project differences between the current library and a backup
+ * @param {Object} currentLibrary - Projects keyed by id
+ * @param {Object} backupLibrary - Projects keyed by id, as stored in the backup
+ * @returns {Array<Object>} [{ id, name, status, changes }] where status is
+ *          'changed' | 'unchanged' | 'onlyInBackup' (deleted since) | 'onlyInCurrent' (created since)
+ */
+export function diffLibraries(currentLibrary = {}, backupLibrary = {}) {
+  const ids = new Set([...Object.keys(backupLibrary), ...Object.keys(currentLibrary)]);
+
+  return Array.from(ids).map(id => {
+    const current = currentLibrary[id];
+    const backup = backupLibrary[id];
+    const name = (backup || current).name || id;
+
+    if (!current) return { id, name, status: 'onlyInBackup', changes: [] };
+    if (!backup) return { id, name, status: 'onlyInCurrent', changes: [] };
+
+    const changes = diffProjects(current, backup);
+    return { id, name, status: changes.length > 0 ? 'changed' : 'unchanged', changes };
+  });
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { diffProjects, diffLibraries } from './libraryDiff.js';
+
+/**
+ * Test suite for library diff helpers
+ * Used to preview backups before restoring them
+ */
+describe('diffProjects', () => {
+  const project = {
+    id: 'p1',
+    name: 'Knowledge Base',
+    clientName: 'Acme',
+    clientRate: 950,
+    soldDays: 45,
+    deliverables: [{ id: 1, name: 'Build', owner: 'RPG', role: 'Development', days: 10 }],
+    lastModified: '2025-01-01T00:00:00Z'
+  };
+
+  it('should return no changes for identical projects', () => {
+    expect(diffProjects(project, { ...project })).toEqual([]);
+  });
+
+  it('should ignore lastModified', () => {
+    expect(diffProjects(project, { ...project, lastModified: '2025-02-01T00:00:00Z' })).toEqual([]);
+  });
+
+  it('should list changed fields with labels', () => {
+    const changes = diffProjects(project, { ...project, clientRate: 900, clientName: 'Acme Ltd' });
+
+    expect(changes).toContainEqual({ field: 'clientRate', label: 'Client rate', current: 950, backup: 900 });
+    expect(changes).toContainEqual({ field: 'clientName', label: 'Client', current: 'Acme', backup: 'Acme Ltd' });
+    expect(changes.length).toBe(2);
+  });
+
+  it('should summarise deliverable changes as count and total days', () => {
+    const backup = {
+      ...project,
+      deliverables: [...project.deliverables, { id: 2, name: 'Test', owner: 'Proaptus', role: 'QA', days: 2.5 }]
+    };
+
+    const changes = diffProjects(project, backup);
+
+    expect(changes).toEqual([
+      { field: 'deliverables', label: 'Deliverables', current: '1 (10 days)', backup: '2 (12.5 days)' }
+    ]);
+  });
+
+  it('should treat missing and empty fields as equal', () => {
+    expect(diffProjects({ id: 'p1', name: 'A' }, { id: 'p1', name: 'A', description: '' })).toEqual([]);
+  });
+});
+
+describe('diffLibraries', () => {
+  it('should classify each project', () => {
+    const current = {
+      same: { id: 'same', name: 'Same' },
+      edited: { id: 'edited', name: 'Edited', soldDays: 50 },
+      created: { id: 'created', name: 'Created since' }
+    };
+    const backup = {
+      same: { id: 'same', name: 'Same' },
+      edited: { id: 'edited', name: 'Edited', soldDays: 45 },
+      deleted: { id: 'deleted', name: 'Deleted since' }
+    };
+
+    const diff = diffLibraries(current, backup);
+    const statusById = Object.fromEntries(diff.map(entry => [entry.id, entry.status]));
+
+    expect(statusById).toEqual({
+      same: 'unchanged',
+      edited: 'changed',
+      created: 'onlyInCurrent',
+      deleted: 'onlyInBackup'
+    });
+    expect(diff.find(entry => entry.id === 'edited').changes[0].field).toBe('soldDays');
+  });
+
+  it('should name projects from the backup when available', () => {
+    const diff = diffLibraries({ p1: { id: 'p1', name: 'New name' } }, { p1: { id: 'p1', name: 'Old name' } });
+
+    expect(diff[0].name).toBe('Old name');
+  });
+});
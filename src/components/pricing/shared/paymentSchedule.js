@@ -0,0 +1,213 @@
+/**
+ * Payment schedule
+ *
+ * A project's payment plan bills the quote in milestones, either as
+ * percentage tranches or as groups of deliverables:
+ *   {
+ *     type: 'tranches' | 'deliverables',
+ *     vatRate: 20,
+ *     paymentTermsDays: 30,
+ *     milestones: [{ id, name, percentage, timing, deliverableIds, date }]
+ *   }
+ * Tranches are dated `timing`% of the way through the delivery schedule;
+ * deliverable groups are dated when their last deliverable finishes. A
+ * milestone's own `date` overrides either. Each invoice is split between the
+ * parties in proportion to their share of the project revenue.
+ * VAT on each invoice follows the project's tax settings (see tax.js); the
+ * plan's own vatRate is only used for projects saved before them.
+ */
+
+import { parseDate, formatDate, daysBetween } from './schedule.js';
+import { normalizeTaxSettings, calculateTax, effectiveTaxRate, taxLabel, taxNote } from './tax.js';
+
+export const DEFAULT_PAYMENT_PLAN = {
+  type: 'tranches',
+  vatRate: 20,
+  paymentTermsDays: 30,
+  milestones: [
+    { id: 1, name: 'Contract signature', percentage: 30, timing: 0 },
+    { id: 2, name: 'Mid-project', percentage: 40, timing: 50 },
+    { id: 3, name: 'Final acceptance', percentage: 30, timing: 100 }
+  ]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundPence = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value, fallback) => (Number.isFinite(Number(value)) && value !== '' && value !== null ? Number(value) : fallback);
+
+/**
+ * Payment plan with defaults filled in
+ */
+export function normalizePaymentPlan(plan) {
+  const source = plan || DEFAULT_PAYMENT_PLAN;
+  return {
+    type: source.type === 'deliverables' ? 'deliverables' : 'tranches',
+    vatRate: toNumber(source.vatRate, DEFAULT_PAYMENT_PLAN.vatRate),
+    paymentTermsDays: toNumber(source.paymentTermsDays, DEFAULT_PAYMENT_PLAN.paymentTermsDays),
+    milestones: (source.milestones || []).map((m, index) => ({
+      id: m.id ?? index + 1,
+      name: m.name || `Milestone ${index + 1}`,
+      percentage: toNumber(m.percentage, 0),
+      timing: Math.min(Math.max(toNumber(m.timing, 100), 0), 100),
+      deliverableIds: m.deliverableIds || [],
+      date: m.date || ''
+    }))
+  };
+}
+
+/**
+ * Problems with a payment plan
+ */
+export function validatePaymentPlan(plan, deliverables = []) {
+  const normalized = normalizePaymentPlan(plan);
+  const errors = [];
+
+  if (normalized.milestones.length === 0) {
+    errors.push('Payment plan has no milestones');
+    return errors;
+  }
+  if (normalized.vatRate < 0) {
+    errors.push('VAT rate cannot be negative');
+  }
+
+  if (normalized.type === 'tranches') {
+    const total = normalized.milestones.reduce((sum, m) => sum + m.percentage, 0);
+    if (Math.abs(total - 100) > 0.001) {
+      errors.push(`Payment tranches add up to ${roundPence(total)}% (must be 100%)`);
+    }
+  } else {
+    const ids = new Set(deliverables.map(d => d.id));
+    const seen = new Set();
+    normalized.milestones.forEach(m => {
+      const included = m.deliverableIds.filter(id => ids.has(id));
+      if (included.length === 0) {
+        errors.push(`Milestone "${m.name}" has no deliverables`);
+      }
+      included.forEach(id => {
+        if (seen.has(id)) {
+          const name = deliverables.find(d => d.id === id)?.name;
+          errors.push(`Deliverable "${name}" is billed in more than one milestone`);
+        }
+        seen.add(id);
+      });
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Date a percentage of the way between two dates
+ */
+function dateAt(start, end, percent) {
+  if (!start) return null;
+  if (!end) return start;
+  return new Date(start.getTime() + Math.round((daysBetween(start, end) * percent) / 100) * DAY_MS);
+}
+
+/**
+ * Build the dated payment schedule
+ * @param {Object} params
+ * @param {Object} params.plan - Project payment plan
+ * @param {Object} params.model - Result of calculateRedPegasusModel
+ * @param {Object} params.schedule - Result of buildSchedule (optional)
+ * @param {string} params.startDate - Project start ('YYYY-MM-DD')
+ * @param {string} params.endDate - Project end ('YYYY-MM-DD')
+ * @param {Object} params.tax - Project tax settings (optional)
+ * @returns {Object} {
+ *   instalments: [{ id, name, percentage, deliverableIds, date, dueDate, net, vat, gross, parties: { [party]: net } }],
+ *   totals: { net, vat, gross, parties },
+ *   unbilled: { net, deliverables: [name] },
+ *   vatRate, taxTreatment, taxLabel, taxNote, paymentTermsDays, type
+ * }
+ */
+export function buildPaymentSchedule({ plan, model, schedule = null, startDate = '', endDate = '', tax = null }) {
+  const normalized = normalizePaymentPlan(plan);
+  const taxSettings = normalizeTaxSettings(tax, normalized.vatRate);
+  const totalRevenue = model?.totalRevenue || 0;
+  const totalWeighted = model?.totalWeightedRevenue || 0;
+  const revenueScale = totalWeighted > 0 ? totalRevenue / totalWeighted : 0;
+  const parties = Object.keys(model?.partyAllocations || {});
+  const partyShares = Object.fromEntries(parties.map(party => [
+    party,
+    totalRevenue > 0 ? (model.partyAllocations[party].finalRevenue || 0) / totalRevenue : 0
+  ]));
+
+  // Timeline: the delivery schedule, otherwise the project dates
+  const timelineStart = schedule?.start || parseDate(startDate);
+  const timelineEnd = schedule?.end || parseDate(endDate);
+  const endOf = Object.fromEntries((schedule?.items || []).map(item => [item.id, item.end]));
+  const deliverables = model?.deliverables || [];
+
+  let nets;
+  let unbilled = { net: 0, deliverables: [] };
+  if (normalized.type === 'tranches') {
+    nets = normalized.milestones.map(m => roundPence(totalRevenue * m.percentage / 100));
+    // The final tranche absorbs rounding so the invoices add up to the quote
+    const percentTotal = normalized.milestones.reduce((sum, m) => sum + m.percentage, 0);
+    if (nets.length > 0 && Math.abs(percentTotal - 100) < 0.001) {
+      nets[nets.length - 1] = roundPence(totalRevenue - nets.slice(0, -1).reduce((sum, n) => sum + n, 0));
+    }
+  } else {
+    // A deliverable is only billed once, in the first milestone that lists it
+    const billed = new Set();
+    nets = normalized.milestones.map(m => {
+      const included = deliverables.filter(d => m.deliverableIds.includes(d.id) && !billed.has(d.id));
+      included.forEach(d => billed.add(d.id));
+      return roundPence(included.reduce((sum, d) => sum + d.revenue * revenueScale, 0));
+    });
+    const missing = deliverables.filter(d => !billed.has(d.id));
+    unbilled = {
+      net: roundPence(missing.reduce((sum, d) => sum + d.revenue * revenueScale, 0)),
+      deliverables: missing.map(d => d.name)
+    };
+  }
+
+  const instalments = normalized.milestones.map((m, index) => {
+    let date = parseDate(m.date);
+    if (!date && normalized.type === 'tranches') {
+      date = dateAt(timelineStart, timelineEnd, m.timing);
+    }
+    if (!date && normalized.type === 'deliverables') {
+      const ends = m.deliverableIds.map(id => endOf[id]).filter(Boolean);
+      date = ends.length > 0 ? new Date(Math.max(...ends)) : timelineEnd;
+    }
+    const net = nets[index];
+    const vat = calculateTax(net, taxSettings).tax;
+    return {
+      id: m.id,
+      name: m.name,
+      percentage: totalRevenue > 0 ? (net / totalRevenue) * 100 : 0,
+      deliverableIds: m.deliverableIds,
+      date: date ? formatDate(date) : '',
+      dueDate: date ? formatDate(new Date(date.getTime() + normalized.paymentTermsDays * DAY_MS)) : '',
+      net,
+      vat,
+      gross: roundPence(net + vat),
+      parties: Object.fromEntries(parties.map(party => [party, roundPence(net * partyShares[party])]))
+    };
+  });
+
+  const sum = (key) => roundPence(instalments.reduce((total, i) => total + i[key], 0));
+  return {
+    type: normalized.type,
+    vatRate: effectiveTaxRate(taxSettings),
+    taxTreatment: taxSettings.treatment,
+    taxLabel: taxLabel(taxSettings),
+    taxNote: taxNote(taxSettings),
+    paymentTermsDays: normalized.paymentTermsDays,
+    instalments,
+    totals: {
+      net: sum('net'),
+      vat: sum('vat'),
+      gross: sum('gross'),
+      parties: Object.fromEntries(parties.map(party => [
+        party,
+        roundPence(instalments.reduce((total, i) => total + i.parties[party], 0))
+      ]))
+    },
+    unbilled
+  };
+}
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_PAYMENT_PLAN, normalizePaymentPlan, validatePaymentPlan, buildPaymentSchedule } from './paymentSchedule.js';
+import { buildSchedule } from './schedule.js';
+
+/**
+ * Test suite for the payment schedule
+ * Milestones as tranches or deliverable groups, dated, with VAT and party splits
+ */
+const model = {
+  totalRevenue: 30000,
+  totalWeightedRevenue: 30000,
+  deliverables: [
+    { id: 1, name: 'Design', revenue: 10000 },
+    { id: 2, name: 'Build', revenue: 15000 },
+    { id: 3, name: 'Launch', revenue: 5000 }
+  ],
+  partyAllocations: {
+    RPG: { finalRevenue: 12000 },
+    Proaptus: { finalRevenue: 18000 }
+  }
+};
+
+describe('normalizePaymentPlan', () => {
+  it('should default to 30/40/30 tranches with 20% VAT', () => {
+    const plan = normalizePaymentPlan(undefined);
+
+    expect(plan.type).toBe('tranches');
+    expect(plan.vatRate).toBe(20);
+    expect(plan.milestones.map(m => m.percentage)).toEqual([30, 40, 30]);
+  });
+});
+
+describe('validatePaymentPlan', () => {
+  it('should require tranches to total 100%', () => {
+    const plan = { ...DEFAULT_PAYMENT_PLAN, milestones: [{ id: 1, name: 'A', percentage: 50 }, { id: 2, name: 'B', percentage: 40 }] };
+
+    expect(validatePaymentPlan(plan)).toEqual(['Payment tranches add up to 90% (must be 100%)']);
+    expect(validatePaymentPlan(DEFAULT_PAYMENT_PLAN)).toEqual([]);
+  });
+
+  it('should reject empty groups and deliverables billed twice', () => {
+    const plan = {
+      type: 'deliverables',
+      milestones: [
+        { id: 1, name: 'Phase 1', deliverableIds: [1, 2] },
+        { id: 2, name: 'Phase 2', deliverableIds: [2] },
+        { id: 3, name: 'Phase 3', deliverableIds: [] }
+      ]
+    };
+
+    expect(validatePaymentPlan(plan, model.deliverables)).toEqual([
+      'Deliverable "Build" is billed in more than one milestone',
+      'Milestone "Phase 3" has no deliverables'
+    ]);
+  });
+});
+
+describe('buildPaymentSchedule', () => {
+  it('should date tranches across the project and add VAT', () => {
+    const result = buildPaymentSchedule({ plan: DEFAULT_PAYMENT_PLAN, model, startDate: '2025-01-01', endDate: '2025-03-02' });
+    const [first, second, third] = result.instalments;
+
+    expect(first).toMatchObject({ date: '2025-01-01', dueDate: '2025-01-31', net: 9000, vat: 1800, gross: 10800 });
+    expect(second).toMatchObject({ date: '2025-01-31', net: 12000 });
+    expect(third).toMatchObject({ date: '2025-03-02', net: 9000 });
+    expect(result.totals).toMatchObject({ net: 30000, vat: 6000, gross: 36000 });
+  });
+
+  it('should split each invoice between the parties by their revenue share', () => {
+    const { instalments, totals } = buildPaymentSchedule({ plan: DEFAULT_PAYMENT_PLAN, model });
+
+    expect(instalments[0].parties).toEqual({ RPG: 3600, Proaptus: 5400 });
+    expect(totals.parties).toEqual({ RPG: 12000, Proaptus: 18000 });
+    // No dates without a schedule or project dates
+    expect(instalments[0].date).toBe('');
+  });
+
+  it('should make the last tranche absorb rounding', () => {
+    const plan = { milestones: [1, 2, 3].map(id => ({ id, name: `T${id}`, percentage: 100 / 3 })) };
+    const { instalments, totals } = buildPaymentSchedule({ plan, model: { ...model, totalRevenue: 1000 } });
+
+    expect(instalments.map(i => i.net)).toEqual([333.33, 333.33, 333.34]);
+    expect(totals.net).toBe(1000);
+  });
+
+  it('should bill deliverable groups when their last deliverable finishes', () => {
+    const schedule = buildSchedule({
+      deliverables: [
+        { id: 1, name: 'Design', days: 5 },
+        { id: 2, name: 'Build', days: 5, predecessors: [1] },
+        { id: 3, name: 'Launch', days: 1, predecessors: [2] }
+      ],
+      startDate: '2025-01-06'
+    });
+    const plan = {
+      type: 'deliverables',
+      paymentTermsDays: 14,
+      milestones: [
+        { id: 1, name: 'Phase 1', deliverableIds: [1, 2] },
+        { id: 2, name: 'Go-live', deliverableIds: [3], date: '2025-02-03' }
+      ]
+    };
+
+    const result = buildPaymentSchedule({ plan, model, schedule });
+
+    expect(result.instalments[0]).toMatchObject({ net: 25000, date: '2025-01-17', dueDate: '2025-01-31' });
+    expect(result.instalments[1]).toMatchObject({ net: 5000, date: '2025-02-03' });
+    expect(result.unbilled).toEqual({ net: 0, deliverables: [] });
+  });
+
+  it('should report deliverables left out of every milestone', () => {
+    const plan = { type: 'deliverables', milestones: [{ id: 1, name: 'Phase 1', deliverableIds: [1] }] };
+
+    expect(buildPaymentSchedule({ plan, model }).unbilled).toEqual({ net: 20000, deliverables: ['Build', 'Launch'] });
+  });
+
+  it('should carry tax on each instalment from the project tax settings', () => {
+    const reduced = buildPaymentSchedule({ plan: DEFAULT_PAYMENT_PLAN, model, tax: { treatment: 'standard', rate: 5 } });
+    const reverseCharge = buildPaymentSchedule({ plan: DEFAULT_PAYMENT_PLAN, model, tax: { treatment: 'reverseCharge', rate: 20 } });
+    const legacy = buildPaymentSchedule({ plan: { ...DEFAULT_PAYMENT_PLAN, vatRate: 15 }, model });
+
+    expect(reduced.instalments[0]).toMatchObject({ net: 9000, vat: 450, gross: 9450 });
+    expect(reverseCharge.instalments.map(i => i.vat)).toEqual([0, 0, 0]);
+    expect(reverseCharge).toMatchObject({ vatRate: 0, taxTreatment: 'reverseCharge', taxLabel: 'VAT (reverse charge)' });
+    expect(reverseCharge.totals.gross).toBe(30000);
+    // Projects saved before tax settings keep the plan VAT rate
+    expect(legacy.totals.vat).toBe(4500);
+  });
+});
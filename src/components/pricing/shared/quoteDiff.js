@@ -0,0 +1,138 @@
+/**
+ * Quote diff
+ * Detailed differences between two priced quotes: two projects, two frozen
+ * versions of a project, or a version and the current state. Works on
+ * calculateRedPegasusModel results so every figure is the one each side was
+ * actually priced at.
+ */
+
+import { compareAllocations } from './roleWeightVersions.js';
+
+// Fields compared on each matched deliverable
+export const DELIVERABLE_DIFF_FIELDS = ['name', 'days', 'role', 'owner', 'effectiveRate', 'revenue'];
+
+const HEADLINE_FIELDS = [
+  ['clientRate', 'Client day rate'],
+  ['soldDays', 'Days sold'],
+  ['totalDays', 'Deliverable days'],
+  ['deliverables', 'Deliverables'],
+  ['totalRevenue', 'Total price']
+];
+
+const nameKey = (name) => String(name || '').trim().toLowerCase();
+
+const isSame = (a, b) => (typeof a === 'number' || typeof b === 'number'
+  ? Math.abs((Number(a) || 0) - (Number(b) || 0)) < 0.005
+  : (a ?? '') === (b ?? ''));
+
+/**
+ * Pair up deliverables: by name first (so two different projects line up),
+ * then by id for anything renamed between versions of the same project.
+ * Ids mean nothing across different projects, so id matching can be turned off.
+ * @returns {Array} [{ a, b, matchedBy: 'name' | 'id' | null }]
+ */
+export function matchDeliverables(before = [], after = [], { matchIds = true } = {}) {
+  const unmatched = [...after];
+  const take = (predicate) => {
+    const index = unmatched.findIndex(predicate);
+    return index === -1 ? null : unmatched.splice(index, 1)[0];
+  };
+
+  const pairs = before.map(a => {
+    const b = take(d => nameKey(d.name) === nameKey(a.name));
+    return { a, b, matchedBy: b ? 'name' : null };
+  });
+  if (matchIds) {
+    pairs.filter(pair => !pair.b).forEach(pair => {
+      pair.b = take(d => d.id === pair.a.id);
+      pair.matchedBy = pair.b ? 'id' : null;
+    });
+  }
+
+  return [...pairs, ...unmatched.map(b => ({ a: null, b, matchedBy: null }))];
+}
+
+/**
+ * Everything that differs between two priced quotes
+ * @param {Object} before - Model on the left-hand side
+ * @param {Object} after - Model on the right-hand side
+ * @param {Object} options - { matchIds: false when comparing two different projects }
+ * @returns {Object} {
+ *   headline: [{ key, label, a, b, delta, changed }],
+ *   roleWeights: [{ role, a, b, delta }],   // changed weights only
+ *   deliverables: [{ name, status, matchedBy, a, b, changed: [field], daysDelta, revenueDelta }],
+ *   allocations: [{ party, before, after, revenueDelta, percentageDelta }],
+ *   uplift: { a, b, changed },
+ *   changeCount
+ * }
+ */
+export function diffQuotes(before = {}, after = {}, options = {}) {
+  const summary = (model) => ({
+    clientRate: Number(model.clientRate) || 0,
+    soldDays: Number(model.soldDays) || 0,
+    totalDays: Number(model.totalDays) || 0,
+    deliverables: (model.deliverables || []).length,
+    totalRevenue: Number(model.totalRevenue) || 0
+  });
+  const left = summary(before);
+  const right = summary(after);
+  const headline = HEADLINE_FIELDS.map(([key, label]) => ({
+    key,
+    label,
+    a: left[key],
+    b: right[key],
+    delta: right[key] - left[key],
+    changed: !isSame(left[key], right[key])
+  }));
+
+  const roles = Array.from(new Set([...Object.keys(before.roleWeights || {}), ...Object.keys(after.roleWeights || {})]));
+  const roleWeights = roles
+    .map(role => {
+      const a = before.roleWeights?.[role] ?? null;
+      const b = after.roleWeights?.[role] ?? null;
+      return { role, a, b, delta: (Number(b) || 0) - (Number(a) || 0) };
+    })
+    .filter(row => !isSame(row.a, row.b));
+
+  const deliverables = matchDeliverables(before.deliverables, after.deliverables, options).map(({ a, b, matchedBy }) => {
+    if (!a || !b) {
+      const only = a || b;
+      return {
+        name: only.name,
+        status: a ? 'removed' : 'added',
+        matchedBy,
+        a,
+        b,
+        changed: [],
+        daysDelta: (b?.days || 0) - (a?.days || 0),
+        revenueDelta: (b?.revenue || 0) - (a?.revenue || 0)
+      };
+    }
+    const changed = DELIVERABLE_DIFF_FIELDS.filter(field => !isSame(a[field], b[field]));
+    return {
+      name: b.name,
+      status: changed.length > 0 ? 'changed' : 'unchanged',
+      matchedBy,
+      a,
+      b,
+      changed,
+      daysDelta: (b.days || 0) - (a.days || 0),
+      revenueDelta: (b.revenue || 0) - (a.revenue || 0)
+    };
+  });
+
+  const allocations = compareAllocations(before, after);
+  const uplift = { a: before.upliftLabel || '', b: after.upliftLabel || '', changed: (before.upliftLabel || '') !== (after.upliftLabel || '') };
+
+  return {
+    headline,
+    roleWeights,
+    deliverables,
+    allocations,
+    uplift,
+    changeCount: headline.filter(row => row.changed).length
+      + roleWeights.length
+      + deliverables.filter(d => d.status !== 'unchanged').length
+      + (uplift.changed ? 1 : 0)
+  };
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { matchDeliverables, diffQuotes } from './quoteDiff.js';
+
+/**
+ * Test suite for the quote diff
+ * Deliverables matched by name/id with day, role, owner and rate changes, plus allocation deltas
+ */
+const before = {
+  clientRate: 1000,
+  soldDays: 15,
+  totalDays: 15,
+  totalRevenue: 15000,
+  upliftLabel: '10%',
+  roleWeights: { Consulting: 1.2, Development: 1 },
+  deliverables: [
+    { id: 1, name: 'Design', owner: 'RPG', role: 'Consulting', days: 5, effectiveRate: 1200, revenue: 6000 },
+    { id: 2, name: 'Build', owner: 'Proaptus', role: 'Development', days: 10, effectiveRate: 1000, revenue: 10000 }
+  ],
+  partyAllocations: { RPG: { finalRevenue: 6000, percentage: 40 }, Proaptus: { finalRevenue: 9000, percentage: 60 } }
+};
+
+const after = {
+  clientRate: 1100,
+  soldDays: 17,
+  totalDays: 17,
+  totalRevenue: 18700,
+  upliftLabel: '10%',
+  roleWeights: { Consulting: 1.3, Development: 1 },
+  deliverables: [
+    { id: 1, name: 'Solution design', owner: 'RPG', role: 'Consulting', days: 5, effectiveRate: 1430, revenue: 7150 },
+    { id: 2, name: 'Build', owner: 'Joint', role: 'Development', days: 10, effectiveRate: 1100, revenue: 11000 },
+    { id: 3, name: 'Training', owner: 'RPG', role: 'Consulting', days: 2, effectiveRate: 1430, revenue: 2860 }
+  ],
+  partyAllocations: { RPG: { finalRevenue: 9000, percentage: 48.1 }, Proaptus: { finalRevenue: 9700, percentage: 51.9 } }
+};
+
+describe('matchDeliverables', () => {
+  it('should match by name first and then by id', () => {
+    const pairs = matchDeliverables(before.deliverables, after.deliverables);
+
+    expect(pairs.map(p => [p.a?.name ?? null, p.b?.name ?? null, p.matchedBy])).toEqual([
+      ['Design', 'Solution design', 'id'],
+      ['Build', 'Build', 'name'],
+      [null, 'Training', null]
+    ]);
+  });
+
+  it('should match names regardless of case and leave ids alone across projects', () => {
+    const pairs = matchDeliverables(
+      [{ id: 1, name: 'Discovery ' }, { id: 2, name: 'Build' }],
+      [{ id: 7, name: 'build' }, { id: 1, name: 'Handover' }],
+      { matchIds: false }
+    );
+
+    expect(pairs.map(p => [p.a?.id ?? null, p.b?.id ?? null])).toEqual([[1, null], [2, 7], [null, 1]]);
+  });
+});
+
+describe('diffQuotes', () => {
+  const diff = diffQuotes(before, after);
+
+  it('should report headline and rate changes', () => {
+    expect(diff.headline.find(row => row.key === 'clientRate')).toMatchObject({ a: 1000, b: 1100, delta: 100, changed: true });
+    expect(diff.headline.find(row => row.key === 'deliverables')).toMatchObject({ a: 2, b: 3, delta: 1 });
+    expect(diff.roleWeights).toEqual([{ role: 'Consulting', a: 1.2, b: 1.3, delta: expect.closeTo(0.1, 6) }]);
+    expect(diff.uplift.changed).toBe(false);
+  });
+
+  it('should list the fields that changed on each deliverable', () => {
+    const [design, build, training] = diff.deliverables;
+
+    expect(design).toMatchObject({ status: 'changed', changed: ['name', 'effectiveRate', 'revenue'], daysDelta: 0, revenueDelta: 1150 });
+    expect(build).toMatchObject({ status: 'changed', changed: ['owner', 'effectiveRate', 'revenue'] });
+    expect(training).toMatchObject({ status: 'added', daysDelta: 2, revenueDelta: 2860 });
+  });
+
+  it('should report party allocation deltas and count the differences', () => {
+    expect(diff.allocations.find(row => row.party === 'RPG').revenueDelta).toBe(3000);
+    // 5 headline figures, 1 role weight, 3 deliverables
+    expect(diff.changeCount).toBe(9);
+    expect(diffQuotes(before, before).changeCount).toBe(0);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Quote versions
+ *
+ * A quote version is a frozen copy of what was sent to the client, saved with
+ * the project (project.quoteVersions):
+ *   {
+ *     version: 1, name: 'v1 - initial proposal', note, createdAt, createdBy,
+ *     project: { clientName, startDate, endDate },
+ *     inputs,              // pricing inputs without actuals and change requests
+ *     roleWeights,         // weights the quote was priced with (overrides applied)
+ *     roleWeightsVersion,
+ *     fx,                  // FX rate the quote was issued at (fxSnapshot), null for GBP-only versions
+ *     model                // calculateRedPegasusModel result at the time
+ *   }
+ * Versions are never edited; a new version is frozen instead.
+ */
+
+// Operational fields that are not part of what the client was quoted
+const NON_QUOTE_INPUTS = ['actuals', 'changeRequests'];
+
+const clone = (value) => JSON.parse(JSON.stringify(value ?? null));
+
+/**
+ * The parts of the project state that a quote version freezes
+ */
+export function quoteSnapshot({ inputs = {}, project = {} }) {
+  return {
+    project: {
+      clientName: project.clientName || '',
+      startDate: project.startDate || '',
+      endDate: project.endDate || ''
+    },
+    inputs: clone(Object.fromEntries(Object.entries(inputs).filter(([field]) => !NON_QUOTE_INPUTS.includes(field))))
+  };
+}
+
+/**
+ * Freeze the current quote as the next version
+ * @param {Array} versions - Existing quote versions
+ * @param {Object} params - { name, note, inputs, project, model, roleWeightsVersion, fx, createdBy }
+ * @param {Date} now - Clock, for tests
+ * @returns {Array} Versions with the new one appended
+ */
+export function addQuoteVersion(versions = [], { name = '', note = '', inputs, project, model, roleWeightsVersion = null, fx = null, createdBy = null }, now = new Date()) {
+  const version = versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+  return [
+    ...versions,
+    {
+      version,
+      name: name.trim() || `v${version}`,
+      note,
+      createdAt: now.toISOString(),
+      createdBy,
+      ...quoteSnapshot({ inputs, project }),
+      roleWeights: clone(model?.roleWeights || inputs?.roleWeights || {}),
+      roleWeightsVersion,
+      fx: clone(fx),
+      model: clone(model)
+    }
+  ];
+}
+
+/**
+ * The latest frozen version that matches the current quote, if any
+ */
+export function findMatchingVersion(versions = [], { inputs, project }) {
+  const current = JSON.stringify(quoteSnapshot({ inputs, project }));
+  return [...versions]
+    .reverse()
+    .find(v => JSON.stringify({ project: v.project, inputs: v.inputs }) === current) || null;
+}
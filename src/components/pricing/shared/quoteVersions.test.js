@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { quoteSnapshot, addQuoteVersion, findMatchingVersion } from './quoteVersions.js';
+
+/**
+ * Test suite for quote versions
+ * Frozen copies of a quote (inputs, role weights, model)
+ */
+const inputs = {
+  clientRate: 1000,
+  soldDays: 15,
+  deliverables: [
+    { id: 1, name: 'Design', owner: 'RPG', role: 'Consulting', days: 5 },
+    { id: 2, name: 'Build', owner: 'Proaptus', role: 'Development', days: 10 }
+  ],
+  roleWeights: { Consulting: 1.2, Development: 1 },
+  actuals: { weeks: { '2025-01-06': { 1: 2 } }, forecasts: {} },
+  changeRequests: [{ id: 1, status: 'draft' }]
+};
+
+const project = { clientName: 'Acme', startDate: '2025-01-06', endDate: '2025-03-31' };
+
+const model = {
+  totalRevenue: 15000,
+  roleWeights: { Consulting: 1.3, Development: 1 },
+  deliverables: [
+    { id: 1, name: 'Design', days: 5, revenue: 6000 },
+    { id: 2, name: 'Build', days: 10, revenue: 9000 }
+  ],
+  partyAllocations: { RPG: { finalRevenue: 6000, percentage: 40 }, Proaptus: { finalRevenue: 9000, percentage: 60 } }
+};
+
+const now = new Date('2025-01-02T09:00:00Z');
+
+describe('quoteSnapshot', () => {
+  it('should leave out actuals and change requests', () => {
+    const snapshot = quoteSnapshot({ inputs, project });
+
+    expect(snapshot.inputs.actuals).toBeUndefined();
+    expect(snapshot.inputs.changeRequests).toBeUndefined();
+    expect(snapshot.inputs.deliverables).toHaveLength(2);
+    expect(snapshot.project).toEqual(project);
+  });
+});
+
+describe('addQuoteVersion', () => {
+  it('should number versions and freeze a copy of the quote', () => {
+    const live = JSON.parse(JSON.stringify(inputs));
+    const versions = addQuoteVersion([], { name: '', inputs: live, project, model, roleWeightsVersion: 3, createdBy: { username: 'c' } }, now);
+    const [v1] = versions;
+
+    expect(v1).toMatchObject({ version: 1, name: 'v1', createdAt: '2025-01-02T09:00:00.000Z', roleWeightsVersion: 3 });
+    expect(v1.roleWeights).toEqual({ Consulting: 1.3, Development: 1 });
+    expect(v1.model.totalRevenue).toBe(15000);
+
+    // Later edits to the project do not reach the frozen copy
+    live.deliverables[0].days = 99;
+    expect(v1.inputs.deliverables[0].days).toBe(5);
+
+    expect(addQuoteVersion(versions, { name: ' Revised scope ', inputs, project, model }, now)[1]).toMatchObject({ version: 2, name: 'Revised scope' });
+  });
+
+  it('should keep the FX rate the quote was issued at', () => {
+    const fx = { currency: 'EUR', rate: 0.87, version: 1, effectiveFrom: '2025-01-01', source: 'ECB' };
+    const [v1] = addQuoteVersion([], { inputs: { ...inputs, currency: 'EUR' }, project, model, fx }, now);
+
+    fx.rate = 0.9;
+    expect(v1.fx).toEqual({ currency: 'EUR', rate: 0.87, version: 1, effectiveFrom: '2025-01-01', source: 'ECB' });
+    expect(addQuoteVersion([], { inputs, project, model }, now)[0].fx).toBeNull();
+  });
+
+  it('should find the version that matches the current quote', () => {
+    const versions = addQuoteVersion([], { inputs, project, model }, now);
+
+    expect(findMatchingVersion(versions, { inputs: { ...inputs, actuals: {} }, project })?.version).toBe(1);
+    expect(findMatchingVersion(versions, { inputs: { ...inputs, soldDays: 20 }, project })).toBeNull();
+  });
+});
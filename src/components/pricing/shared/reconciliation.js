@@ -0,0 +1,113 @@
+/**
+ * Sold days vs deliverable days
+ *
+ * The price is clientRate × soldDays but revenue is shared out by deliverable
+ * days, so the two totals need to agree. Each project chooses how a gap is
+ * handled (project.reconciliation):
+ *   { mode: 'scale' | 'contingency' | 'block', contingencyParty }
+ *   scale        Deliverable days are scaled so they add up to the sold days
+ *   contingency  The gap is a contingency line owned by one party, priced at the
+ *                client rate (a negative gap is an overrun that party absorbs)
+ *   block        Nothing is adjusted and the project cannot be saved until they match
+ */
+
+export const RECONCILIATION_MODES = ['scale', 'contingency', 'block'];
+
+export const RECONCILIATION_MODE_LABELS = {
+  scale: 'Scale deliverables to the sold days',
+  contingency: 'Treat the gap as contingency',
+  block: 'Block saving until they match'
+};
+
+export const DEFAULT_RECONCILIATION = { mode: 'scale', contingencyParty: 'RPG' };
+
+// Gaps smaller than this are rounding
+const TOLERANCE = 0.005;
+
+const sumDays = (deliverables = []) => deliverables.reduce((sum, d) => sum + (Number(d.days) || 0), 0);
+
+/**
+ * Reconciliation settings with defaults filled in
+ */
+export function normalizeReconciliation(reconciliation) {
+  const mode = RECONCILIATION_MODES.includes(reconciliation?.mode) ? reconciliation.mode : DEFAULT_RECONCILIATION.mode;
+  return { mode, contingencyParty: reconciliation?.contingencyParty || DEFAULT_RECONCILIATION.contingencyParty };
+}
+
+/**
+ * The gap between sold days and deliverable days
+ * @returns {Object} { soldDays, deliverableDays, gap, gapPercentage, matches }
+ */
+export function reconcileDays({ soldDays, deliverables }) {
+  const sold = Number(soldDays) || 0;
+  const deliverableDays = sumDays(deliverables);
+  const gap = sold - deliverableDays;
+  return {
+    soldDays: sold,
+    deliverableDays,
+    gap,
+    gapPercentage: sold > 0 ? (gap / sold) * 100 : 0,
+    matches: Math.abs(gap) < TOLERANCE
+  };
+}
+
+/**
+ * Deliverables as priced under the project's reconciliation mode.
+ * Without a reconciliation setting the deliverables are left as they are.
+ * @param {Object} params - { soldDays, deliverables, reconciliation }
+ * @returns {Object} {
+ *   deliverables,                        // scaled days keep the originals in plannedDays
+ *   contingency: { party, days } | null,
+ *   summary: { mode, soldDays, deliverableDays, gap, gapPercentage, matches, factor, contingencyParty, contingencyDays, blocksSaving }
+ * }
+ */
+export function reconcileDeliverables({ soldDays, deliverables = [], reconciliation }) {
+  const days = reconcileDays({ soldDays, deliverables });
+  const settings = reconciliation ? normalizeReconciliation(reconciliation) : null;
+  const summary = {
+    ...days,
+    mode: settings?.mode || null,
+    factor: 1,
+    contingencyParty: null,
+    contingencyDays: 0,
+    blocksSaving: false
+  };
+
+  if (!settings || days.matches) {
+    return { deliverables, contingency: null, summary };
+  }
+
+  if (settings.mode === 'scale' && days.deliverableDays > 0) {
+    const factor = days.soldDays / days.deliverableDays;
+    return {
+      deliverables: deliverables.map(d => ({ ...d, plannedDays: d.days, days: (Number(d.days) || 0) * factor })),
+      contingency: null,
+      summary: { ...summary, factor }
+    };
+  }
+
+  if (settings.mode === 'contingency') {
+    return {
+      deliverables,
+      contingency: { party: settings.contingencyParty, days: days.gap },
+      summary: { ...summary, contingencyParty: settings.contingencyParty, contingencyDays: days.gap }
+    };
+  }
+
+  return { deliverables, contingency: null, summary: { ...summary, blocksSaving: settings.mode === 'block' } };
+}
+
+/**
+ * Whether a project's days gap stops it being saved
+ */
+export function reconciliationBlocksSaving({ soldDays, deliverables, reconciliation }) {
+  return reconcileDeliverables({ soldDays, deliverables, reconciliation }).summary.blocksSaving;
+}
+
+/**
+ * Validation error for a blocked project
+ */
+export function getReconciliationErrors(summary) {
+  if (!summary.blocksSaving) return [];
+  return [`Deliverables add up to ${summary.deliverableDays} days but ${summary.soldDays} days are sold. Saving is blocked until they match.`];
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeReconciliation,
+  reconcileDays,
+  reconcileDeliverables,
+  reconciliationBlocksSaving,
+  getReconciliationErrors
+} from './reconciliation.js';
+
+/**
+ * Test suite for sold days vs deliverable days
+ * Scale, contingency and block modes for the gap between the two totals
+ */
+const deliverables = [
+  { id: 1, name: 'Design', owner: 'RPG', days: 10 },
+  { id: 2, name: 'Build', owner: 'Proaptus', days: 30 }
+];
+
+describe('reconcileDays', () => {
+  it('should measure the gap between sold and deliverable days', () => {
+    expect(reconcileDays({ soldDays: 45, deliverables })).toEqual({
+      soldDays: 45,
+      deliverableDays: 40,
+      gap: 5,
+      gapPercentage: 5 / 45 * 100,
+      matches: false
+    });
+    expect(reconcileDays({ soldDays: 40, deliverables }).matches).toBe(true);
+  });
+
+  it('should fall back to scaling for unknown modes', () => {
+    expect(normalizeReconciliation({ mode: 'ignore' })).toEqual({ mode: 'scale', contingencyParty: 'RPG' });
+  });
+});
+
+describe('reconcileDeliverables', () => {
+  it('should leave deliverables alone without a reconciliation setting', () => {
+    const result = reconcileDeliverables({ soldDays: 45, deliverables });
+
+    expect(result.deliverables).toBe(deliverables);
+    expect(result.summary).toMatchObject({ mode: null, gap: 5, blocksSaving: false });
+  });
+
+  it('should scale deliverable days to the sold days', () => {
+    const result = reconcileDeliverables({ soldDays: 45, deliverables, reconciliation: { mode: 'scale' } });
+
+    expect(result.deliverables.map(d => [d.days, d.plannedDays])).toEqual([[11.25, 10], [33.75, 30]]);
+    expect(result.summary.factor).toBe(1.125);
+    expect(result.contingency).toBeNull();
+  });
+
+  it('should turn the gap into contingency for the chosen party', () => {
+    const over = reconcileDeliverables({ soldDays: 45, deliverables, reconciliation: { mode: 'contingency', contingencyParty: 'Proaptus' } });
+    const under = reconcileDeliverables({ soldDays: 36, deliverables, reconciliation: { mode: 'contingency', contingencyParty: 'RPG' } });
+
+    expect(over.deliverables).toBe(deliverables);
+    expect(over.contingency).toEqual({ party: 'Proaptus', days: 5 });
+    // More deliverable days than sold: the party absorbs the overrun
+    expect(under.summary).toMatchObject({ contingencyParty: 'RPG', contingencyDays: -4 });
+  });
+
+  it('should block saving only while the days differ', () => {
+    const reconciliation = { mode: 'block' };
+
+    expect(reconciliationBlocksSaving({ soldDays: 45, deliverables, reconciliation })).toBe(true);
+    expect(reconciliationBlocksSaving({ soldDays: 40, deliverables, reconciliation })).toBe(false);
+    expect(getReconciliationErrors(reconcileDeliverables({ soldDays: 45, deliverables, reconciliation }).summary)).toEqual([
+      'Deliverables add up to 40 days but 45 days are sold. Saving is blocked until they match.'
+    ]);
+  });
+});
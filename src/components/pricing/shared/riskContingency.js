@@ -0,0 +1,175 @@
+/**
+ * Risk contingency
+ *
+ * Risk is priced as a contingency line on top of the sold days. It comes from
+ * two places:
+ *   - each deliverable's risk rating (deliverable.riskRating), which adds a
+ *     percentage of its days
+ *   - the project risk register (project.risks), where each risk adds its
+ *     expected days: probability × impact
+ *     [{ id, title, probability: 25, impactDays: 8, owner }]
+ * Contingency days are priced at the client rate. How the contingency revenue
+ * is shared between parties is set per project (project.riskContingency):
+ *   {
+ *     ratingPercentages: { low: 5, medium: 10, high: 20 },
+ *     allocation: 'owner' | 'share' | 'fixed',
+ *     fixedShares: { RPG: 50, Proaptus: 50 }
+ *   }
+ *   owner  Deliverable contingency goes to the deliverable's owner (Joint by the
+ *          joint split) and each register risk to its owner
+ *   share  Shared in proportion to each party's share of the sold-days revenue
+ *   fixed  Shared by the fixed percentages
+ * This is separate from the sold-days reconciliation contingency, which only
+ * accounts for days that were sold but not assigned to a deliverable.
+ */
+
+import { JOINT_OWNER, jointSplitFractions } from './allocationRules.js';
+
+export const RISK_RATINGS = ['none', 'low', 'medium', 'high'];
+
+export const RISK_RATING_LABELS = {
+  none: 'None',
+  low: 'Low',
+  medium: 'Medium',
+  high: 'High'
+};
+
+export const RISK_ALLOCATIONS = ['owner', 'share', 'fixed'];
+
+export const RISK_ALLOCATION_LABELS = {
+  owner: 'To the owner of each deliverable or risk',
+  share: 'By share of the sold-days revenue',
+  fixed: 'By fixed percentages'
+};
+
+export const DEFAULT_RISK_CONTINGENCY = {
+  ratingPercentages: { low: 5, medium: 10, high: 20 },
+  allocation: 'owner',
+  fixedShares: { RPG: 50, Proaptus: 50 }
+};
+
+const toNumber = (value, fallback = 0) => (Number.isFinite(Number(value)) && value !== '' && value !== null ? Number(value) : fallback);
+
+/**
+ * Risk contingency settings with defaults filled in
+ */
+export function normalizeRiskContingency(settings) {
+  const ratingPercentages = { ...DEFAULT_RISK_CONTINGENCY.ratingPercentages };
+  Object.keys(ratingPercentages).forEach(rating => {
+    ratingPercentages[rating] = toNumber(settings?.ratingPercentages?.[rating], ratingPercentages[rating]);
+  });
+  return {
+    ratingPercentages,
+    allocation: RISK_ALLOCATIONS.includes(settings?.allocation) ? settings.allocation : DEFAULT_RISK_CONTINGENCY.allocation,
+    fixedShares: { ...(settings?.fixedShares || DEFAULT_RISK_CONTINGENCY.fixedShares) }
+  };
+}
+
+/**
+ * Next id for a risk register entry
+ */
+export function nextRiskId(risks = []) {
+  return risks.reduce((max, r) => Math.max(max, Number(r.id) || 0), 0) + 1;
+}
+
+/**
+ * Contingency days and price from deliverable ratings and the risk register
+ * @param {Object} params - { deliverables, risks, settings, clientRate }
+ * @returns {Object} {
+ *   deliverables: [{ id, name, owner, riskRating, percentage, days, price }],   // rated deliverables only
+ *   risks: [{ ...risk, expectedDays, price }],
+ *   days, price
+ * }
+ */
+export function calculateRiskContingency({ deliverables = [], risks = [], settings, clientRate = 0 }) {
+  const { ratingPercentages } = normalizeRiskContingency(settings);
+
+  const rated = deliverables
+    .filter(d => ratingPercentages[d.riskRating] > 0)
+    .map(d => {
+      const percentage = ratingPercentages[d.riskRating];
+      const days = (toNumber(d.days) * percentage) / 100;
+      return { id: d.id, name: d.name, owner: d.owner, riskRating: d.riskRating, percentage, days, price: days * clientRate };
+    });
+
+  const register = risks.map(risk => {
+    const expectedDays = (Math.min(Math.max(toNumber(risk.probability), 0), 100) / 100) * Math.max(toNumber(risk.impactDays), 0);
+    return { ...risk, expectedDays, price: expectedDays * clientRate };
+  });
+
+  const days = rated.reduce((sum, d) => sum + d.days, 0) + register.reduce((sum, r) => sum + r.expectedDays, 0);
+  return { deliverables: rated, risks: register, days, price: days * clientRate };
+}
+
+/**
+ * Each party's part of the contingency revenue
+ * @param {Object} contingency - Result of calculateRiskContingency
+ * @param {Object} params - { settings, rules, baseShares: { party: fraction of the sold-days revenue } }
+ * @returns {Object} { party: revenue }
+ */
+export function allocateRiskContingency(contingency, { settings, rules, baseShares = {} }) {
+  const { allocation, fixedShares } = normalizeRiskContingency(settings);
+  const parties = {};
+  const add = (party, amount) => {
+    parties[party] = (parties[party] || 0) + amount;
+  };
+  const spread = (shares, amount) => {
+    const total = Object.values(shares).reduce((sum, share) => sum + share, 0);
+    if (total <= 0) return;
+    Object.entries(shares).forEach(([party, share]) => add(party, (amount * share) / total));
+  };
+  const toOwner = (owner, amount) => {
+    if (owner === JOINT_OWNER) {
+      spread(jointSplitFractions(rules), amount);
+    } else if (owner) {
+      add(owner, amount);
+    } else {
+      // Register risks without an owner are shared like the rest of the revenue
+      spread(baseShares, amount);
+    }
+  };
+
+  if (contingency.price === 0) return parties;
+
+  if (allocation === 'fixed') {
+    spread(Object.fromEntries(Object.entries(fixedShares).map(([party, pct]) => [party, toNumber(pct)])), contingency.price);
+  } else if (allocation === 'share') {
+    spread(baseShares, contingency.price);
+  } else {
+    contingency.deliverables.forEach(d => toOwner(d.owner, d.price));
+    contingency.risks.forEach(r => toOwner(r.owner, r.price));
+  }
+  return parties;
+}
+
+/**
+ * Problems with the risk register and contingency settings
+ * @returns {Array<string>} Error messages
+ */
+export function validateRiskContingency(risks = [], settings) {
+  const errors = [];
+  risks.forEach((risk, index) => {
+    const label = risk.title?.trim() ? `Risk "${risk.title}"` : `Risk ${index + 1}`;
+    const probability = toNumber(risk.probability, NaN);
+    if (!(probability >= 0 && probability <= 100)) {
+      errors.push(`${label} probability must be between 0% and 100%`);
+    }
+    if (!(toNumber(risk.impactDays, NaN) >= 0)) {
+      errors.push(`${label} impact cannot be negative`);
+    }
+  });
+
+  if (settings) {
+    const normalized = normalizeRiskContingency(settings);
+    Object.entries(normalized.ratingPercentages).forEach(([rating, pct]) => {
+      if (pct < 0) errors.push(`${RISK_RATING_LABELS[rating]} risk contingency cannot be negative`);
+    });
+    if (normalized.allocation === 'fixed') {
+      const total = Object.values(normalized.fixedShares).reduce((sum, pct) => sum + toNumber(pct), 0);
+      if (Math.abs(total - 100) > 0.001) {
+        errors.push(`Contingency shares add up to ${total}% (must be 100%)`);
+      }
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateRiskContingency,
+  allocateRiskContingency,
+  validateRiskContingency,
+  normalizeRiskContingency
+} from './riskContingency.js';
+
+/**
+ * Test suite for risk contingency
+ * Deliverable risk ratings, the risk register and sharing the contingency
+ */
+const deliverables = [
+  { id: 1, name: 'Design', owner: 'RPG', days: 10, riskRating: 'high' },
+  { id: 2, name: 'Build', owner: 'Proaptus', days: 30, riskRating: 'low' },
+  { id: 3, name: 'Launch', owner: 'Joint', days: 5 }
+];
+
+const risks = [
+  { id: 1, title: 'Data migration slips', probability: 25, impactDays: 8, owner: 'Proaptus' },
+  { id: 2, title: 'Client sign-off delays', probability: 50, impactDays: 2, owner: '' }
+];
+
+const rules = { parties: ['RPG', 'Proaptus'], jointSplit: { RPG: 50, Proaptus: 50 } };
+
+describe('calculateRiskContingency', () => {
+  it('should add rated deliverable days and expected register days', () => {
+    const result = calculateRiskContingency({ deliverables, risks, clientRate: 1000 });
+
+    // High 20% of 10, Low 5% of 30, 25% × 8, 50% × 2
+    expect(result.deliverables.map(d => [d.id, d.days])).toEqual([[1, 2], [2, 1.5]]);
+    expect(result.risks.map(r => r.expectedDays)).toEqual([2, 1]);
+    expect(result.days).toBe(6.5);
+    expect(result.price).toBe(6500);
+  });
+
+  it('should use the project rating percentages', () => {
+    const settings = { ratingPercentages: { high: 50 } };
+    const result = calculateRiskContingency({ deliverables, settings, clientRate: 1000 });
+
+    expect(result.days).toBe(6.5);
+    expect(normalizeRiskContingency(settings).ratingPercentages).toEqual({ low: 5, medium: 10, high: 50 });
+  });
+});
+
+describe('allocateRiskContingency', () => {
+  const contingency = calculateRiskContingency({ deliverables, risks, clientRate: 1000 });
+  const baseShares = { RPG: 0.4, Proaptus: 0.6 };
+
+  it('should give contingency to the owner of each deliverable or risk', () => {
+    const parties = allocateRiskContingency(contingency, { settings: { allocation: 'owner' }, rules, baseShares });
+
+    // Unowned risk (£1,000) is shared 40/60
+    expect(parties.RPG).toBeCloseTo(2000 + 400, 6);
+    expect(parties.Proaptus).toBeCloseTo(1500 + 2000 + 600, 6);
+  });
+
+  it('should share by revenue share or fixed percentages', () => {
+    const byShare = allocateRiskContingency(contingency, { settings: { allocation: 'share' }, rules, baseShares });
+    const fixed = allocateRiskContingency(contingency, { settings: { allocation: 'fixed', fixedShares: { RPG: 80, Proaptus: 20 } }, rules, baseShares });
+
+    expect(byShare.RPG).toBeCloseTo(2600, 6);
+    expect(fixed).toEqual({ RPG: 5200, Proaptus: 1300 });
+  });
+});
+
+describe('validateRiskContingency', () => {
+  it('should reject impossible probabilities, negative impact and bad fixed shares', () => {
+    const errors = validateRiskContingency(
+      [{ id: 1, title: 'Scope creep', probability: 120, impactDays: -1 }],
+      { allocation: 'fixed', fixedShares: { RPG: 60, Proaptus: 20 } }
+    );
+
+    expect(errors).toEqual([
+      'Risk "Scope creep" probability must be between 0% and 100%',
+      'Risk "Scope creep" impact cannot be negative',
+      'Contingency shares add up to 80% (must be 100%)'
+    ]);
+    expect(validateRiskContingency(risks, { allocation: 'owner' })).toEqual([]);
+  });
+});
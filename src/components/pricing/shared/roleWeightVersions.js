@@ -0,0 +1,126 @@
+/**
+ * Role weight version helpers
+ *
+ * role-weights.json keeps every set of weights ever agreed, each with the date
+ * it takes effect from:
+ *   { current, lastChanged, versions: [{ version, effectiveFrom, weights, createdAt, createdBy, reason, comment }] }
+ * current/lastChanged mirror the version in effect when the file was saved so
+ * older readers keep working. Projects pin the version they were priced with
+ * (project.roleWeightsVersion) and are only re-priced on request.
+ */
+
+const toDate = (value) => new Date(value || 0);
+
+/**
+ * All versions, oldest first
+ * Files saved before versioning are read as a single version 1.
+ */
+export function getRoleWeightVersions(doc) {
+  if (Array.isArray(doc?.versions) && doc.versions.length > 0) {
+    return [...doc.versions].sort((a, b) => a.version - b.version);
+  }
+
+  const weights = doc?.current || {};
+  const lastChanged = doc?.lastChanged || {};
+  return [{
+    version: 1,
+    effectiveFrom: lastChanged.date ? lastChanged.date.slice(0, 10) : '1970-01-01',
+    weights,
+    createdAt: lastChanged.date || null,
+    createdBy: null,
+    reason: lastChanged.reason || '',
+    comment: lastChanged.comment || ''
+  }];
+}
+
+/**
+ * A version by number (undefined if it doesn't exist)
+ */
+export function findVersion(versions, number) {
+  return versions.find(version => version.version === number);
+}
+
+/**
+ * The version in effect on a date: the latest effectiveFrom on or before it
+ * (highest number wins on the same date). Falls back to the oldest version.
+ */
+export function getEffectiveVersion(versions, date = new Date()) {
+  const day = toDate(date).toISOString().slice(0, 10);
+  const effective = versions
+    .filter(version => version.effectiveFrom <= day)
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom) || a.version - b.version);
+  return effective[effective.length - 1] || versions[0];
+}
+
+/**
+ * The version a project is priced with
+ * Projects saved before versioning are pinned to the version that was in
+ * effect when they were last saved.
+ */
+export function pinnedVersionFor(project, versions) {
+  if (project?.roleWeightsVersion && findVersion(versions, project.roleWeightsVersion)) {
+    return project.roleWeightsVersion;
+  }
+  return getEffectiveVersion(versions, project?.lastModified || new Date()).version;
+}
+
+/**
+ * Add a new version to a role-weights file
+ * @param {Object} doc - Current role-weights file (any format)
+ * @param {Object} change - { weights, effectiveFrom (YYYY-MM-DD), reason, comment, createdBy }
+ * @param {Date} now - Clock, for tests
+ * @returns {Object} New role-weights file
+ */
+export function addRoleWeightVersion(doc, { weights, effectiveFrom, reason = '', comment = '', createdBy = null }, now = new Date()) {
+  const versions = getRoleWeightVersions(doc);
+  const next = {
+    version: Math.max(...versions.map(version => version.version)) + 1,
+    effectiveFrom: effectiveFrom || now.toISOString().slice(0, 10),
+    weights: { ...weights },
+    createdAt: now.toISOString(),
+    createdBy,
+    reason,
+    comment
+  };
+  const allVersions = [...versions, next];
+  const inEffect = getEffectiveVersion(allVersions, now);
+
+  return {
+    current: inEffect.weights,
+    lastChanged: {
+      date: next.createdAt,
+      reason,
+      comment,
+      version: next.version,
+      effectiveFrom: next.effectiveFrom
+    },
+    versions: allVersions
+  };
+}
+
+/**
+ * Party allocations before and after a re-price
+ * @param {Object} before - Pricing model with the pinned weights
+ * @param {Object} after - Pricing model with the new weights
+ * @returns {Array<Object>} [{ party, before: { revenue, percentage }, after: { revenue, percentage }, revenueDelta, percentageDelta }]
+ */
+export function compareAllocations(before, after) {
+  const parties = Array.from(new Set([
+    ...Object.keys(before?.partyAllocations || {}),
+    ...Object.keys(after?.partyAllocations || {})
+  ]));
+
+  return parties.map(party => {
+    const previous = before?.partyAllocations?.[party] || {};
+    const next = after?.partyAllocations?.[party] || {};
+    const beforeValues = { revenue: previous.finalRevenue || 0, percentage: previous.percentage || 0 };
+    const afterValues = { revenue: next.finalRevenue || 0, percentage: next.percentage || 0 };
+    return {
+      party,
+      before: beforeValues,
+      after: afterValues,
+      revenueDelta: afterValues.revenue - beforeValues.revenue,
+      percentageDelta: afterValues.percentage - beforeValues.percentage
+    };
+  });
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getRoleWeightVersions,
+  findVersion,
+  getEffectiveVersion,
+  pinnedVersionFor,
+  addRoleWeightVersion,
+  compareAllocations
+} from './roleWeightVersions.js';
+
+/**
+ * Test suite for role weight versions
+ * Projects are priced with a pinned version; new versions take effect from a date
+ */
+describe('getRoleWeightVersions', () => {
+  it('should read a pre-versioning file as version 1', () => {
+    const versions = getRoleWeightVersions({
+      current: { QA: 0.6 },
+      lastChanged: { date: '2025-10-31T11:17:38.345Z', reason: 'Testing', comment: '' }
+    });
+
+    expect(versions).toEqual([{
+      version: 1,
+      effectiveFrom: '2025-10-31',
+      weights: { QA: 0.6 },
+      createdAt: '2025-10-31T11:17:38.345Z',
+      createdBy: null,
+      reason: 'Testing',
+      comment: ''
+    }]);
+  });
+
+  it('should sort stored versions oldest first', () => {
+    const versions = getRoleWeightVersions({ versions: [{ version: 2, effectiveFrom: '2025-02-01' }, { version: 1, effectiveFrom: '2025-01-01' }] });
+
+    expect(versions.map(v => v.version)).toEqual([1, 2]);
+  });
+});
+
+describe('getEffectiveVersion', () => {
+  const versions = [
+    { version: 1, effectiveFrom: '2025-01-01', weights: { QA: 0.6 } },
+    { version: 2, effectiveFrom: '2025-06-01', weights: { QA: 0.7 } },
+    { version: 3, effectiveFrom: '2026-01-01', weights: { QA: 0.8 } }
+  ];
+
+  it('should pick the latest version that has taken effect', () => {
+    expect(getEffectiveVersion(versions, new Date('2025-07-15')).version).toBe(2);
+    expect(getEffectiveVersion(versions, new Date('2026-01-01')).version).toBe(3);
+  });
+
+  it('should fall back to the oldest version before any takes effect', () => {
+    expect(getEffectiveVersion(versions, new Date('2024-01-01')).version).toBe(1);
+  });
+
+  it('should pin projects to their stored version, or the one in effect when last saved', () => {
+    expect(pinnedVersionFor({ roleWeightsVersion: 1 }, versions)).toBe(1);
+    expect(pinnedVersionFor({ lastModified: '2025-08-01T10:00:00Z' }, versions)).toBe(2);
+    expect(pinnedVersionFor({ roleWeightsVersion: 9, lastModified: '2025-02-01T00:00:00Z' }, versions)).toBe(1);
+    expect(findVersion(versions, 3).weights).toEqual({ QA: 0.8 });
+  });
+});
+
+describe('addRoleWeightVersion', () => {
+  const legacy = { current: { QA: 0.6 }, lastChanged: { date: '2025-01-01T00:00:00Z', reason: 'Initial setup', comment: '' } };
+  const now = new Date('2025-06-15T12:00:00Z');
+
+  it('should append a version and keep current on the one in effect', () => {
+    const doc = addRoleWeightVersion(legacy, { weights: { QA: 0.7 }, effectiveFrom: '2025-06-15', reason: 'Agreed', createdBy: { username: 'jsmith', name: 'Jo Smith' } }, now);
+
+    expect(doc.versions.map(v => v.version)).toEqual([1, 2]);
+    expect(doc.current).toEqual({ QA: 0.7 });
+    expect(doc.lastChanged).toEqual({ date: now.toISOString(), reason: 'Agreed', comment: '', version: 2, effectiveFrom: '2025-06-15' });
+    expect(doc.versions[1].createdBy).toEqual({ username: 'jsmith', name: 'Jo Smith' });
+  });
+
+  it('should not change current weights for a future-dated version', () => {
+    const doc = addRoleWeightVersion(legacy, { weights: { QA: 0.9 }, effectiveFrom: '2026-01-01', reason: 'Adjustment' }, now);
+
+    expect(doc.current).toEqual({ QA: 0.6 });
+    expect(doc.versions[1].effectiveFrom).toBe('2026-01-01');
+  });
+});
+
+describe('compareAllocations', () => {
+  it('should list each party before and after with deltas', () => {
+    const before = { partyAllocations: { RPG: { finalRevenue: 6000, percentage: 60 }, Proaptus: { finalRevenue: 4000, percentage: 40 } } };
+    const after = { partyAllocations: { RPG: { finalRevenue: 5500, percentage: 55 }, Proaptus: { finalRevenue: 4500, percentage: 45 } } };
+
+    expect(compareAllocations(before, after)).toEqual([
+      { party: 'RPG', before: { revenue: 6000, percentage: 60 }, after: { revenue: 5500, percentage: 55 }, revenueDelta: -500, percentageDelta: -5 },
+      { party: 'Proaptus', before: { revenue: 4000, percentage: 40 }, after: { revenue: 4500, percentage: 45 }, revenueDelta: 500, percentageDelta: 5 }
+    ]);
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Delivery schedule
+ *
+ * Each deliverable can carry:
+ *   startDate    - earliest start ('YYYY-MM-DD'); the project start when blank
+ *   durationDays - elapsed working days (Mon-Fri); its effort days rounded up when blank
+ *   predecessors - ids of deliverables that must finish first
+ * A deliverable starts on the later of its own start and the working day after
+ * its last predecessor finishes. Only deliverables with plan data (any of the
+ * three) are checked for resource clashes; the rest all default to the
+ * project start and would otherwise clash with each other.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 'YYYY-MM-DD' to a UTC date (null when blank or invalid)
+ */
+export function parseDate(value) {
+  if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export function formatDate(date) {
+  return date ? date.toISOString().slice(0, 10) : '';
+}
+
+const isWorkingDay = (date) => date.getUTCDay() !== 0 && date.getUTCDay() !== 6;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * The date itself, or the next working day when it falls on a weekend
+ */
+export function nextWorkingDay(date) {
+  let day = date;
+  while (!isWorkingDay(day)) day = addDays(day, 1);
+  return day;
+}
+
+/**
+ * Last day of a task that starts on `start` and runs for `workingDays`
+ * (the start counts as day one)
+ */
+export function addWorkingDays(start, workingDays) {
+  let day = nextWorkingDay(start);
+  for (let remaining = Math.max(Math.ceil(workingDays), 1) - 1; remaining > 0; remaining--) {
+    day = nextWorkingDay(addDays(day, 1));
+  }
+  return day;
+}
+
+/**
+ * Calendar days between two dates
+ */
+export function daysBetween(from, to) {
+  return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+}
+
+/**
+ * Elapsed working days for a deliverable
+ */
+export function getDuration(deliverable) {
+  const duration = Number(deliverable.durationDays);
+  if (Number.isFinite(duration) && duration > 0) return Math.ceil(duration);
+  return Math.max(Math.ceil(Number(deliverable.days) || 0), 1);
+}
+
+/**
+ * Whether a deliverable has been planned (a start date, duration or predecessors)
+ */
+export function hasPlanData(deliverable) {
+  return Boolean(
+    parseDate(deliverable.startDate) ||
+    Number(deliverable.durationDays) > 0 ||
+    (deliverable.predecessors || []).length > 0
+  );
+}
+
+/**
+ * Order deliverables so predecessors come first; deliverables caught in a
+ * dependency loop are returned separately
+ */
+function orderByDependencies(deliverables) {
+  const byId = new Map(deliverables.map(d => [d.id, d]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const ordered = [];
+  const cycles = [];
+
+  const visit = (d, path) => {
+    if (state.get(d.id) === 'done') return true;
+    if (state.get(d.id) === 'visiting') {
+      cycles.push([...path.slice(path.indexOf(d)), d]);
+      return false;
+    }
+    state.set(d.id, 'visiting');
+    const ok = (d.predecessors || [])
+      .filter(id => byId.has(id))
+      .map(id => visit(byId.get(id), [...path, d]))
+      .every(Boolean);
+    state.set(d.id, 'done');
+    if (ok) ordered.push(d);
+    return ok;
+  };
+
+  deliverables.forEach(d => visit(d, []));
+  return { ordered, cycles };
+}
+
+/**
+ * Resource clashes: planned deliverables for the same party and role whose dates overlap
+ */
+export function findResourceOverlaps(items) {
+  const overlaps = [];
+  const scheduled = items.filter(item => item.planned && item.start && item.end);
+  scheduled.forEach((a, i) => {
+    scheduled.slice(i + 1).forEach(b => {
+      if (a.owner !== b.owner || a.role !== b.role) return;
+      const from = a.start > b.start ? a.start : b.start;
+      const to = a.end < b.end ? a.end : b.end;
+      if (from <= to) {
+        overlaps.push({ owner: a.owner, role: a.role, ids: [a.id, b.id], names: [a.name, b.name], from, to });
+      }
+    });
+  });
+  return overlaps;
+}
+
+/**
+ * Build the delivery schedule
+ * @param {Object} params
+ * @param {Array} params.deliverables - Project deliverables
+ * @param {string} params.startDate - Project start ('YYYY-MM-DD')
+ * @param {string} params.endDate - Project end ('YYYY-MM-DD')
+ * @returns {Object} {
+ *   items: [{ id, name, owner, role, days, durationDays, predecessors, planned, start, end, outsideProject, overlapping }],
+ *   start, end (dates, null when nothing could be scheduled),
+ *   scheduled, fitsProject, overlaps, errors
+ * }
+ */
+export function buildSchedule({ deliverables = [], startDate = '', endDate = '' }) {
+  const projectStart = parseDate(startDate);
+  const projectEnd = parseDate(endDate);
+  const errors = [];
+  const ids = new Set(deliverables.map(d => d.id));
+
+  deliverables.forEach(d => {
+    (d.predecessors || []).filter(id => !ids.has(id)).forEach(id => {
+      errors.push(`Deliverable "${d.name}" depends on a deliverable that no longer exists (id ${id})`);
+    });
+  });
+
+  const { ordered, cycles } = orderByDependencies(deliverables);
+  cycles.forEach(cycle => {
+    errors.push(`Circular dependency: ${cycle.map(d => d.name).join(' → ')}`);
+  });
+
+  // Anchor: the project start, otherwise the earliest deliverable start
+  const explicitStarts = deliverables.map(d => parseDate(d.startDate)).filter(Boolean);
+  const anchor = projectStart || (explicitStarts.length > 0 ? new Date(Math.min(...explicitStarts)) : null);
+
+  const dates = new Map();
+  ordered.forEach(d => {
+    if (!anchor) return;
+    let start = parseDate(d.startDate) || anchor;
+    (d.predecessors || []).forEach(id => {
+      const predecessor = dates.get(id);
+      if (predecessor && predecessor.end >= start) start = addDays(predecessor.end, 1);
+    });
+    start = nextWorkingDay(start);
+    dates.set(d.id, { start, end: addWorkingDays(start, getDuration(d)) });
+  });
+
+  const items = deliverables.map(d => {
+    const { start = null, end = null } = dates.get(d.id) || {};
+    return {
+      id: d.id,
+      name: d.name,
+      owner: d.owner,
+      role: d.role,
+      days: d.days,
+      durationDays: getDuration(d),
+      predecessors: (d.predecessors || []).filter(id => ids.has(id)),
+      planned: hasPlanData(d),
+      start,
+      end,
+      outsideProject: Boolean(start && ((projectStart && start < projectStart) || (projectEnd && end > projectEnd)))
+    };
+  });
+
+  const overlaps = findResourceOverlaps(items);
+  const overlappingIds = new Set(overlaps.flatMap(o => o.ids));
+  items.forEach(item => { item.overlapping = overlappingIds.has(item.id); });
+
+  const scheduledItems = items.filter(item => item.start);
+  const start = scheduledItems.length > 0 ? new Date(Math.min(...scheduledItems.map(item => item.start))) : null;
+  const end = scheduledItems.length > 0 ? new Date(Math.max(...scheduledItems.map(item => item.end))) : null;
+
+  return {
+    items,
+    start,
+    end,
+    scheduled: scheduledItems.length > 0,
+    fitsProject: !items.some(item => item.outsideProject),
+    overlaps,
+    errors
+  };
+}
+
+/**
+ * Warnings for dependency problems, dates outside the project and resource clashes
+ */
+export function getScheduleWarnings(schedule, { startDate = '', endDate = '' } = {}) {
+  const warnings = [...schedule.errors];
+  schedule.items.filter(item => item.outsideProject).forEach(item => {
+    warnings.push(`Deliverable "${item.name}" runs ${formatDate(item.start)} to ${formatDate(item.end)}, outside the project dates (${startDate || '…'} to ${endDate || '…'})`);
+  });
+  schedule.overlaps.forEach(o => {
+    warnings.push(`${o.owner} ${o.role} is booked on "${o.names[0]}" and "${o.names[1]}" at the same time (${formatDate(o.from)} to ${formatDate(o.to)})`);
+  });
+  return warnings;
+}
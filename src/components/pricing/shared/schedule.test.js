@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { parseDate, formatDate, addWorkingDays, getDuration, buildSchedule, getScheduleWarnings } from './schedule.js';
+
+/**
+ * Test suite for the delivery schedule
+ * Dates from start, duration and predecessors; project fit and resource overlaps
+ */
+describe('addWorkingDays', () => {
+  it('should skip weekends', () => {
+    // Thursday + 3 working days ends on the following Monday
+    expect(formatDate(addWorkingDays(parseDate('2025-01-02'), 3))).toBe('2025-01-06');
+  });
+
+  it('should roll a weekend start forward to Monday', () => {
+    expect(formatDate(addWorkingDays(parseDate('2025-01-04'), 1))).toBe('2025-01-06');
+  });
+});
+
+describe('getDuration', () => {
+  it('should default to the effort days rounded up', () => {
+    expect(getDuration({ days: 2.5 })).toBe(3);
+    expect(getDuration({ days: 10, durationDays: 5 })).toBe(5);
+    expect(getDuration({ days: 0 })).toBe(1);
+  });
+});
+
+describe('buildSchedule', () => {
+  const deliverables = [
+    { id: 1, name: 'Design', owner: 'RPG', role: 'Solution Architect', days: 5 },
+    { id: 2, name: 'Build', owner: 'Proaptus', role: 'Development', days: 10, predecessors: [1] },
+    { id: 3, name: 'Test', owner: 'Proaptus', role: 'QA', days: 3, predecessors: [2] }
+  ];
+
+  it('should chain deliverables after their predecessors', () => {
+    const schedule = buildSchedule({ deliverables, startDate: '2025-01-06', endDate: '2025-02-28' });
+    const [design, build, test] = schedule.items;
+
+    expect(formatDate(design.start)).toBe('2025-01-06');
+    expect(formatDate(design.end)).toBe('2025-01-10');
+    expect(formatDate(build.start)).toBe('2025-01-13');
+    expect(formatDate(build.end)).toBe('2025-01-24');
+    expect(formatDate(test.start)).toBe('2025-01-27');
+    expect(formatDate(schedule.end)).toBe('2025-01-29');
+    expect(schedule.fitsProject).toBe(true);
+  });
+
+  it('should flag deliverables that run past the project end', () => {
+    const schedule = buildSchedule({ deliverables, startDate: '2025-01-06', endDate: '2025-01-20' });
+
+    expect(schedule.fitsProject).toBe(false);
+    expect(schedule.items.filter(item => item.outsideProject).map(item => item.id)).toEqual([2, 3]);
+    expect(getScheduleWarnings(schedule, { startDate: '2025-01-06', endDate: '2025-01-20' })).toContain(
+      'Deliverable "Test" runs 2025-01-27 to 2025-01-29, outside the project dates (2025-01-06 to 2025-01-20)'
+    );
+  });
+
+  it('should detect resource overlaps for the same party and role', () => {
+    const schedule = buildSchedule({
+      deliverables: [
+        { id: 1, name: 'API', owner: 'Proaptus', role: 'Development', days: 5, startDate: '2025-01-06' },
+        { id: 2, name: 'UI', owner: 'Proaptus', role: 'Development', days: 5, startDate: '2025-01-08' },
+        { id: 3, name: 'Docs', owner: 'RPG', role: 'Development', days: 5, startDate: '2025-01-06' }
+      ],
+      startDate: '2025-01-06'
+    });
+
+    expect(schedule.overlaps).toHaveLength(1);
+    expect(schedule.overlaps[0]).toMatchObject({ owner: 'Proaptus', role: 'Development', ids: [1, 2] });
+    expect(formatDate(schedule.overlaps[0].from)).toBe('2025-01-08');
+    expect(formatDate(schedule.overlaps[0].to)).toBe('2025-01-10');
+    expect(schedule.items[2].overlapping).toBe(false);
+  });
+
+  it('should not report clashes between deliverables without plan data', () => {
+    const schedule = buildSchedule({
+      deliverables: [
+        { id: 1, name: 'API', owner: 'Proaptus', role: 'Development', days: 5 },
+        { id: 2, name: 'UI', owner: 'Proaptus', role: 'Development', days: 5 },
+        { id: 3, name: 'Reports', owner: 'Proaptus', role: 'Development', days: 3, durationDays: '' }
+      ],
+      startDate: '2025-01-06'
+    });
+
+    expect(schedule.scheduled).toBe(true);
+    expect(schedule.overlaps).toEqual([]);
+    expect(schedule.items.some(item => item.overlapping)).toBe(false);
+    expect(getScheduleWarnings(schedule, { startDate: '2025-01-06' })).toEqual([]);
+  });
+
+  it('should report circular dependencies and leave those deliverables unscheduled', () => {
+    const schedule = buildSchedule({
+      deliverables: [
+        { id: 1, name: 'A', owner: 'RPG', role: 'QA', days: 1, predecessors: [2] },
+        { id: 2, name: 'B', owner: 'RPG', role: 'QA', days: 1, predecessors: [1] },
+        { id: 3, name: 'C', owner: 'RPG', role: 'QA', days: 1, predecessors: [99] }
+      ],
+      startDate: '2025-01-06'
+    });
+
+    expect(schedule.errors).toContain('Circular dependency: A → B → A');
+    expect(schedule.errors).toContain('Deliverable "C" depends on a deliverable that no longer exists (id 99)');
+    expect(schedule.items[0].start).toBeNull();
+    expect(formatDate(schedule.items[2].start)).toBe('2025-01-06');
+  });
+
+  it('should not schedule anything without a project or deliverable start', () => {
+    const schedule = buildSchedule({ deliverables });
+
+    expect(schedule.scheduled).toBe(false);
+    expect(schedule.fitsProject).toBe(true);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tax on quotes
+ *
+ * Each project has tax settings (project.taxSettings) that decide the VAT
+ * shown on the client quote and added to every invoice:
+ *   { treatment: 'standard' | 'reverseCharge' | 'zeroRated', rate: 20 }
+ *   standard       UK VAT at `rate`%
+ *   reverseCharge  EU business client: no VAT charged, the client accounts for it
+ *   zeroRated      Zero-rated supply: VAT at 0%
+ * Projects saved before tax settings kept the VAT rate on the payment plan
+ * (paymentPlan.vatRate); it is used as the standard rate.
+ */
+
+export const TAX_TREATMENTS = ['standard', 'reverseCharge', 'zeroRated'];
+
+export const TAX_TREATMENT_LABELS = {
+  standard: 'UK VAT (standard rate)',
+  reverseCharge: 'Reverse charge (EU client)',
+  zeroRated: 'Zero-rated'
+};
+
+export const UK_VAT_STANDARD_RATE = 20;
+
+export const DEFAULT_TAX_SETTINGS = {
+  treatment: 'standard',
+  rate: UK_VAT_STANDARD_RATE
+};
+
+// Wording required on invoices that do not charge VAT
+const TAX_NOTES = {
+  reverseCharge: 'Reverse charge: VAT to be accounted for by the customer (Article 196, Council Directive 2006/112/EC)',
+  zeroRated: 'Zero-rated supply for VAT'
+};
+
+const roundPence = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value, fallback) => (Number.isFinite(Number(value)) && value !== '' && value !== null ? Number(value) : fallback);
+
+/**
+ * Tax settings with defaults filled in
+ * @param {Object} settings - Project tax settings
+ * @param {number} legacyVatRate - paymentPlan.vatRate of projects saved before tax settings
+ */
+export function normalizeTaxSettings(settings, legacyVatRate) {
+  return {
+    treatment: TAX_TREATMENTS.includes(settings?.treatment) ? settings.treatment : DEFAULT_TAX_SETTINGS.treatment,
+    rate: toNumber(settings?.rate, toNumber(legacyVatRate, DEFAULT_TAX_SETTINGS.rate))
+  };
+}
+
+/**
+ * The rate VAT is charged at (0 unless the standard rate applies)
+ */
+export function effectiveTaxRate(settings) {
+  const normalized = normalizeTaxSettings(settings);
+  return normalized.treatment === 'standard' ? normalized.rate : 0;
+}
+
+/**
+ * Net, tax and gross for an amount
+ * @returns {Object} { net, tax, gross, rate, treatment }
+ */
+export function calculateTax(net, settings) {
+  const rate = effectiveTaxRate(settings);
+  const tax = roundPence((net || 0) * rate / 100);
+  return {
+    net: net || 0,
+    tax,
+    gross: roundPence((net || 0) + tax),
+    rate,
+    treatment: normalizeTaxSettings(settings).treatment
+  };
+}
+
+/**
+ * Label for the tax line of a quote or invoice, e.g. "VAT (20%)"
+ */
+export function taxLabel(settings) {
+  const normalized = normalizeTaxSettings(settings);
+  if (normalized.treatment === 'reverseCharge') return 'VAT (reverse charge)';
+  if (normalized.treatment === 'zeroRated') return 'VAT (zero-rated)';
+  return `VAT (${normalized.rate}%)`;
+}
+
+/**
+ * Note to print on the quote when no VAT is charged ('' for standard rate)
+ */
+export function taxNote(settings) {
+  return TAX_NOTES[normalizeTaxSettings(settings).treatment] || '';
+}
+
+/**
+ * Problems with the tax settings
+ * @returns {Array<string>} Error messages
+ */
+export function validateTaxSettings(settings) {
+  const errors = [];
+  if (settings?.treatment && !TAX_TREATMENTS.includes(settings.treatment)) {
+    errors.push('Unknown tax treatment');
+  }
+  const { treatment, rate } = normalizeTaxSettings(settings);
+  if (treatment === 'standard' && !(rate >= 0 && rate <= 100)) {
+    errors.push('VAT rate must be between 0% and 100%');
+  }
+  return errors;
+}
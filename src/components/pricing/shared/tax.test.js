@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_TAX_SETTINGS,
+  normalizeTaxSettings,
+  calculateTax,
+  taxLabel,
+  taxNote,
+  validateTaxSettings
+} from './tax.js';
+
+/**
+ * Test suite for tax on quotes
+ * UK VAT standard rate, EU reverse charge and zero-rated projects
+ */
+describe('normalizeTaxSettings', () => {
+  it('should default to UK VAT at the standard rate', () => {
+    expect(normalizeTaxSettings(null)).toEqual(DEFAULT_TAX_SETTINGS);
+    expect(normalizeTaxSettings({ treatment: 'exempt' })).toEqual({ treatment: 'standard', rate: 20 });
+  });
+
+  it('should use the payment plan VAT rate of older projects', () => {
+    expect(normalizeTaxSettings(undefined, 17.5)).toEqual({ treatment: 'standard', rate: 17.5 });
+    expect(normalizeTaxSettings({ treatment: 'standard', rate: 5 }, 17.5).rate).toBe(5);
+  });
+});
+
+describe('calculateTax', () => {
+  it('should add VAT at the standard rate', () => {
+    expect(calculateTax(12345.67, { treatment: 'standard', rate: 20 })).toEqual({
+      net: 12345.67, tax: 2469.13, gross: 14814.8, rate: 20, treatment: 'standard'
+    });
+  });
+
+  it('should charge no VAT for reverse charge and zero-rated projects', () => {
+    const reverseCharge = calculateTax(10000, { treatment: 'reverseCharge', rate: 20 });
+    const zeroRated = calculateTax(10000, { treatment: 'zeroRated' });
+
+    expect(reverseCharge).toMatchObject({ tax: 0, gross: 10000, rate: 0 });
+    expect(zeroRated).toMatchObject({ tax: 0, gross: 10000, rate: 0 });
+    expect(taxLabel({ treatment: 'reverseCharge' })).toBe('VAT (reverse charge)');
+    expect(taxNote({ treatment: 'reverseCharge' })).toMatch(/^Reverse charge: VAT to be accounted for by the customer/);
+    expect(taxNote({ treatment: 'standard' })).toBe('');
+  });
+});
+
+describe('validateTaxSettings', () => {
+  it('should reject unknown treatments and impossible rates', () => {
+    expect(validateTaxSettings({ treatment: 'exempt' })).toEqual(['Unknown tax treatment']);
+    expect(validateTaxSettings({ treatment: 'standard', rate: -5 })).toEqual(['VAT rate must be between 0% and 100%']);
+    expect(validateTaxSettings({ treatment: 'zeroRated', rate: -5 })).toEqual([]);
+  });
+});
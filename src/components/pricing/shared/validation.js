@@ -1,3 +1,9 @@
+import { validateAllocationRules } from './allocationRules.js';
+import { validatePaymentPlan } from './paymentSchedule.js';
+import { reconcileDeliverables, getReconciliationErrors } from './reconciliation.js';
+import { validateRiskContingency } from './riskContingency.js';
+import { validateAdjustments } from './commercialAdjustments.js';
+
 /**
  * Validates inputs and deliverables for Red Pegasus pricing model (hours-based model)
  * @param {Object} inputs - User input values (clientRate, etc.)
@@ -27,6 +33,32 @@ export function validateInputs(inputs, deliverables, roleWeights = {}) {
     });
   }
 
+  // Allocation rules validation
+  if (inputs.allocationRules) {
+    errors.push(...validateAllocationRules(inputs.allocationRules, inputs.accountManagerParty));
+  }
+
+  // Payment plan validation
+  if (inputs.paymentPlan) {
+    errors.push(...validatePaymentPlan(inputs.paymentPlan, deliverables || []));
+  }
+
+  // Sold days vs deliverable days
+  if (inputs.reconciliation) {
+    const { summary } = reconcileDeliverables({ soldDays: inputs.soldDays, deliverables: deliverables || [], reconciliation: inputs.reconciliation });
+    errors.push(...getReconciliationErrors(summary));
+  }
+
+  // Risk register and contingency rules
+  if (inputs.risks || inputs.riskContingency) {
+    errors.push(...validateRiskContingency(inputs.risks || [], inputs.riskContingency));
+  }
+
+  // Discounts and caps
+  if (inputs.adjustments) {
+    errors.push(...validateAdjustments(inputs.adjustments));
+  }
+
   // Deliverables validation
   if (deliverables && Array.isArray(deliverables)) {
     deliverables.forEach((d, idx) => {
@@ -100,6 +132,15 @@ export function getValidationWarnings(inputs, partyAllocation, deliverables, rol
     });
   }
 
+  // Flag project-level overrides of the global role weights
+  if (inputs.roleWeightOverrides && typeof inputs.roleWeightOverrides === 'object') {
+    Object.entries(inputs.roleWeightOverrides).forEach(([roleName, weight]) => {
+      const globalWeight = inputs.roleWeights?.[roleName];
+      const globalText = globalWeight !== undefined ? `global ${globalWeight}` : 'no global weight';
+      warnings.push(`${roleName} weight overridden for this project: ${weight} (${globalText})`);
+    });
+  }
+
   // Warn if very few deliverables
   if (deliverables && deliverables.length < 3) {
     warnings.push('Consider breaking down work into more granular deliverables for better tracking');
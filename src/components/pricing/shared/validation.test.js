@@ -117,6 +117,43 @@ describe('validateInputs', () => {
     expect(result.isValid).toBe(false);
     expect(result.errors.length).toBeGreaterThan(3);
   });
+
+  it('should error when payment tranches do not add up to 100%', () => {
+    const inputs = {
+      clientRate: 950,
+      soldDays: 10,
+      paymentPlan: { type: 'tranches', milestones: [{ id: 1, name: 'Deposit', percentage: 30 }, { id: 2, name: 'Completion', percentage: 60 }] }
+    };
+    const deliverables = [{ id: 1, name: 'Build', owner: 'RPG', role: 'Development', days: 10 }];
+
+    const result = validateInputs(inputs, deliverables, DEFAULT_ROLE_WEIGHTS);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain('Payment tranches add up to 90% (must be 100%)');
+  });
+
+  it('should fail when a days gap blocks saving', () => {
+    const deliverables = [{ id: 1, name: 'Build', owner: 'RPG', role: 'Development', days: 8 }];
+    const blocked = validateInputs({ clientRate: 950, soldDays: 10, reconciliation: { mode: 'block' } }, deliverables, DEFAULT_ROLE_WEIGHTS);
+    const scaled = validateInputs({ clientRate: 950, soldDays: 10, reconciliation: { mode: 'scale' } }, deliverables, DEFAULT_ROLE_WEIGHTS);
+
+    expect(blocked.errors).toContain('Deliverables add up to 8 days but 10 days are sold. Saving is blocked until they match.');
+    expect(scaled.isValid).toBe(true);
+  });
+
+  it('should fail for an invalid risk register', () => {
+    const deliverables = [{ id: 1, name: 'Build', owner: 'RPG', role: 'Development', days: 10 }];
+    const result = validateInputs({ clientRate: 950, soldDays: 10, risks: [{ id: 1, title: 'Delay', probability: -5, impactDays: 3 }] }, deliverables, DEFAULT_ROLE_WEIGHTS);
+
+    expect(result.errors).toEqual(['Risk "Delay" probability must be between 0% and 100%']);
+  });
+
+  it('should fail for a discount without a reason', () => {
+    const deliverables = [{ id: 1, name: 'Build', owner: 'RPG', role: 'Development', days: 10 }];
+    const result = validateInputs({ clientRate: 950, soldDays: 10, adjustments: [{ id: 1, type: 'earlyPayment', reason: ' ', valueType: 'percentage', value: 2 }] }, deliverables, DEFAULT_ROLE_WEIGHTS);
+
+    expect(result.errors).toEqual(['Early-payment discount 1 needs a reason']);
+  });
 });
 
 describe('getValidationWarnings', () => {
@@ -230,4 +267,18 @@ describe('getValidationWarnings', () => {
 
     expect(warnings.some(w => w.includes('very low'))).toBe(true);
   });
+
+  it('should flag role weights overridden for the project', () => {
+    const inputs = { clientRate: 800, roleWeights: { 'QA': 0.8 }, roleWeightOverrides: { 'QA': 0.9, 'Designer': 1.1 } };
+    const deliverables = [
+      { id: 1, name: 'Dev1', owner: 'RPG', role: 'Development', days: 10 },
+      { id: 2, name: 'Dev2', owner: 'Proaptus', role: 'QA', days: 10 },
+      { id: 3, name: 'Dev3', owner: 'RPG', role: 'Development', days: 10 }
+    ];
+
+    const warnings = getValidationWarnings(inputs, {}, deliverables);
+
+    expect(warnings).toContain('QA weight overridden for this project: 0.9 (global 0.8)');
+    expect(warnings).toContain('Designer weight overridden for this project: 1.1 (no global weight)');
+  });
 });
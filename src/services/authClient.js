@@ -0,0 +1,94 @@
+/**
+ * Authentication client
+ * Signs in against the storage server, which keeps the session in an
+ * HttpOnly cookie. Sessions expire server-side; expiresAt lets the UI log out
+ * on time without polling.
+ */
+
+const DEFAULT_BASE_URL = '/api';
+
+async function request(path, { method = 'GET', body, baseUrl = DEFAULT_BASE_URL } = {}) {
+  const response = await fetch(`${baseUrl}/auth/${path}`, {
+    method,
+    credentials: 'same-origin',
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    let message = response.statusText;
+    try {
+      message = (await response.json()).error || message;
+    } catch {
+      // Keep the status text
+    }
+    const error = new Error(`Auth error: ${response.status} ${message}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return await response.json();
+}
+
+/**
+ * Sign in with username and password
+ * @returns {Object} { user: { username, name, email }, expiresAt }
+ */
+export async function login(username, password, options = {}) {
+  return await request('login', { method: 'POST', body: { username, password }, ...options });
+}
+
+/**
+ * Current session, or null when not signed in / expired
+ */
+export async function getSession(options = {}) {
+  try {
+    return await request('session', options);
+  } catch (error) {
+    if (error.message.includes('401')) return null;
+    throw error;
+  }
+}
+
+/**
+ * End this session
+ */
+export async function logout(options = {}) {
+  return await request('logout', { method: 'POST', ...options });
+}
+
+/**
+ * End every session of the current user, on all devices
+ */
+export async function logoutEverywhere(options = {}) {
+  return await request('logout-all', { method: 'POST', ...options });
+}
+
+/**
+ * Whether an error means the session is missing or expired
+ */
+export function isUnauthorizedError(error) {
+  return Boolean(error?.message?.includes('401'));
+}
+
+/**
+ * What to tell the user when signing in fails: wrong credentials, a server
+ * that answered with an error, or no answer at all (network failure)
+ */
+export function loginErrorMessage(error) {
+  if (isUnauthorizedError(error)) return 'Incorrect username or password. Please try again.';
+  const detail = String(error?.message || '').replace(/^Auth error: /, '');
+  if (error?.status >= 500) return `The sign-in server had a problem (${detail}). Please try again later.`;
+  if (error?.status) return `Sign-in was rejected (${detail}).`;
+  if (error instanceof TypeError) return 'Unable to reach the sign-in server. Please check your connection and try again.';
+  return `Sign-in failed: ${detail || 'unknown error'}. Please try again.`;
+}
+
+export default {
+  login,
+  getSession,
+  logout,
+  logoutEverywhere,
+  isUnauthorizedError,
+  loginErrorMessage
+};
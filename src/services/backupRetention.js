@@ -0,0 +1,113 @@
+/**
+ * Backup retention policy (grandfather-father-son)
+ *
+ * Backups are thinned out as they age:
+ * - every backup from the last `keepAllMinutes`
+ * - the newest backup per hour for `hourlyForHours`
+ * - the newest backup per day for `dailyForDays`
+ * - the newest backup per week after that, for `weeklyForWeeks` (null = forever)
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// 1970-01-01 was a Thursday; shift so weeks start on Monday
+const WEEK_OFFSET = 4 * DAY;
+
+export const DEFAULT_RETENTION_POLICY = {
+  keepAllMinutes: 60,
+  hourlyForHours: 24,
+  dailyForDays: 30,
+  weeklyForWeeks: null
+};
+
+/**
+ * Fill in missing policy values with defaults
+ */
+export function normalizeRetentionPolicy(policy) {
+  const normalized = { ...DEFAULT_RETENTION_POLICY };
+  Object.keys(DEFAULT_RETENTION_POLICY).forEach(key => {
+    const value = policy?.[key];
+    // An empty weekly period means "keep weekly backups forever"
+    if (key === 'weeklyForWeeks' && (value === null || value === '')) {
+      normalized[key] = null;
+      return;
+    }
+    const number = Number(value);
+    if (value !== undefined && value !== null && value !== '' && Number.isFinite(number) && number >= 0) {
+      normalized[key] = number;
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Decide which backups to keep
+ * @param {Array<Object>} backups - Backups with an ISO `timestamp`
+ * @param {Object} policy - Retention policy (see DEFAULT_RETENTION_POLICY)
+ * @param {Date} now - Reference time
+ * @returns {Object} { keep, remove } - arrays of the given backup objects
+ */
+export function applyRetentionPolicy(backups, policy = DEFAULT_RETENTION_POLICY, now = new Date()) {
+  const { keepAllMinutes, hourlyForHours, dailyForDays, weeklyForWeeks } = normalizeRetentionPolicy(policy);
+  const keepAllUntil = keepAllMinutes * MINUTE;
+  const hourlyUntil = keepAllUntil + hourlyForHours * HOUR;
+  const dailyUntil = hourlyUntil + dailyForDays * DAY;
+  const weeklyUntil = weeklyForWeeks === null ? Infinity : dailyUntil + weeklyForWeeks * WEEK;
+
+  const keep = [];
+  const remove = [];
+  const seenBuckets = new Set();
+
+  // Newest first, so the newest backup in each bucket is the one kept
+  const sorted = [...backups].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  sorted.forEach(backup => {
+    const time = new Date(backup.timestamp).getTime();
+    const age = now.getTime() - time;
+
+    let bucket;
+    if (age < keepAllUntil) {
+      keep.push(backup);
+      return;
+    } else if (age < hourlyUntil) {
+      bucket = `hour-${Math.floor(time / HOUR)}`;
+    } else if (age < dailyUntil) {
+      bucket = `day-${Math.floor(time / DAY)}`;
+    } else if (age < weeklyUntil) {
+      bucket = `week-${Math.floor((time - WEEK_OFFSET) / WEEK)}`;
+    } else {
+      remove.push(backup);
+      return;
+    }
+
+    if (seenBuckets.has(bucket)) {
+      remove.push(backup);
+    } else {
+      seenBuckets.add(bucket);
+      keep.push(backup);
+    }
+  });
+
+  return { keep, remove };
+}
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+/**
+ * Human-readable summary of a policy, for the UI
+ */
+export function describeRetentionPolicy(policy = DEFAULT_RETENTION_POLICY) {
+  const { keepAllMinutes, hourlyForHours, dailyForDays, weeklyForWeeks } = normalizeRetentionPolicy(policy);
+  const parts = [
+    `every backup from the last ${plural(keepAllMinutes, 'minute')}`,
+    `hourly for ${plural(hourlyForHours, 'hour')}`,
+    `daily for ${plural(dailyForDays, 'day')}`,
+    weeklyForWeeks === null ? 'weekly after that' : `weekly for ${plural(weeklyForWeeks, 'week')}`
+  ];
+  return `Keeps ${parts.join(', ')}.`;
+}
+
+export default applyRetentionPolicy;
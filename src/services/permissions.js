@@ -0,0 +1,162 @@
+/**
+ * Roles and permissions
+ * Shared by the calculator and the storage server so the same rules apply in
+ * the UI, in exports and on storage reads and writes.
+ *
+ *   Admin       Everything, including role weights, cost rates, backups and retention
+ *   Commercial  Internal figures (splits, uplift, role weights, margins), internal report/export, edit projects,
+ *               approve change requests
+ *   Delivery    Edit projects; quote report and quote-only export
+ *   Viewer      Read-only; quote report and quote-only export
+ *
+ * Users without a (known) role are treated as Viewer.
+ */
+
+export const ROLES = ['Admin', 'Commercial', 'Delivery', 'Viewer'];
+
+export const DEFAULT_ROLE = 'Viewer';
+
+export const PERMISSIONS = {
+  editRoleWeights: ['Admin'],
+  viewInternal: ['Admin', 'Commercial'],
+  editProjects: ['Admin', 'Commercial', 'Delivery'],
+  approveChanges: ['Admin', 'Commercial'],
+  manageBackups: ['Admin'],
+  editSettings: ['Admin']
+};
+
+/**
+ * A user's role, falling back to Viewer
+ */
+export function getRole(user) {
+  return ROLES.includes(user?.role) ? user.role : DEFAULT_ROLE;
+}
+
+/**
+ * Whether a user holds a permission
+ * @param {Object} user - { role }
+ * @param {string} permission - Key of PERMISSIONS
+ */
+export function can(user, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return roles.includes(getRole(user));
+}
+
+/**
+ * Permission needed to write or delete a storage object
+ * Role weights, settings (including cost rates) and their audit trails are admin-only; projects,
+ * backups and project audit entries need editProjects.
+ */
+export function permissionForWrite(name) {
+  if (name === 'role-weights.json' || name.startsWith('audit/role-weights/')) return 'editRoleWeights';
+  if (name.startsWith('settings/') || name.startsWith('audit/cost-rates/') || name.startsWith('audit/fx-rates/')) return 'editSettings';
+  return 'editProjects';
+}
+
+/**
+ * Permission needed to read or list a storage object (null when any signed-in user may)
+ * Cost rates and audit entries hold internal figures. Projects, role weights and
+ * FX rates stay readable because the calculator prices quotes from them.
+ */
+export function permissionForRead(name) {
+  if (name === 'settings/cost-rates.json' || name.startsWith('audit/')) return 'viewInternal';
+  return null;
+}
+
+/**
+ * Report variants a user may print ('INTERNAL' | 'DETAILED_QUOTE')
+ */
+export function allowedReportVariants(user) {
+  return can(user, 'viewInternal') ? ['INTERNAL', 'DETAILED_QUOTE'] : ['DETAILED_QUOTE'];
+}
+
+// Client-facing fields a quote-only export keeps; anything not listed here is left out
+const QUOTE_EXPORT_FIELDS = ['timestamp', 'project', 'projectName', 'projectDescription', 'projectBackground'];
+const QUOTE_INPUT_FIELDS = ['clientRate', 'soldDays', 'paymentPlan', 'currency', 'taxSettings'];
+const QUOTE_DELIVERABLE_FIELDS = ['id', 'name', 'days', 'acceptanceCriteria', 'startDate', 'durationDays', 'predecessors'];
+const QUOTE_CHANGE_REQUEST_FIELDS = ['id', 'reference', 'title', 'reason', 'status', 'createdAt', 'decidedAt'];
+const QUOTE_CHANGE_FIELDS = ['type', 'deliverableId', 'days'];
+const QUOTE_ADJUSTMENT_FIELDS = ['id', 'type', 'reason', 'valueType', 'value'];
+const QUOTE_MODEL_FIELDS = ['clientRate', 'soldDays', 'totalRevenue', 'totalDays'];
+const QUOTE_PAYMENT_SCHEDULE_FIELDS = ['type', 'vatRate', 'taxTreatment', 'taxLabel', 'taxNote', 'paymentTermsDays', 'unbilled'];
+const QUOTE_INSTALMENT_FIELDS = ['id', 'name', 'percentage', 'deliverableIds', 'date', 'dueDate', 'net', 'vat', 'gross'];
+
+const pick = (source = {}, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+/**
+ * Reduce an export payload to its client-facing fields for users who may not see internal figures
+ * Keeps what the quote report shows: deliverables, days, client prices and totals.
+ * Fields are allow-listed, so new internal fields stay out of quote exports by default.
+ * @param {Object} payload - { inputs, model, paymentSchedule, ... }
+ * @param {Object} user
+ * @returns {Object} Payload safe for the user
+ */
+export function filterExportForUser(payload, user) {
+  if (can(user, 'viewInternal')) return payload;
+
+  const inputs = payload.inputs || {};
+  const model = payload.model || {};
+  const { paymentSchedule } = payload;
+
+  return {
+    ...pick(payload, QUOTE_EXPORT_FIELDS),
+    variant: 'QUOTE',
+    inputs: {
+      ...pick(inputs, QUOTE_INPUT_FIELDS),
+      // The delivery plan is client-facing; owners, roles and resourcing are not
+      deliverables: (inputs.deliverables || []).map(deliverable => pick(deliverable, QUOTE_DELIVERABLE_FIELDS)),
+      // Variations without who does the added work
+      ...(inputs.changeRequests && {
+        changeRequests: inputs.changeRequests.map(cr => ({
+          ...pick(cr, QUOTE_CHANGE_REQUEST_FIELDS),
+          changes: (cr.changes || []).map(change => ({
+            ...pick(change, QUOTE_CHANGE_FIELDS),
+            ...(change.deliverable && { deliverable: pick(change.deliverable, ['name', 'days']) })
+          }))
+        }))
+      }),
+      // How the days gap is handled, not which party takes it
+      ...(inputs.reconciliation && { reconciliation: pick(inputs.reconciliation, ['mode']) }),
+      // Discounts the client is given, not which party bears them
+      ...(inputs.adjustments && { adjustments: inputs.adjustments.map(adjustment => pick(adjustment, QUOTE_ADJUSTMENT_FIELDS)) })
+    },
+    // Invoices without each party's share
+    ...(paymentSchedule && {
+      paymentSchedule: {
+        ...pick(paymentSchedule, QUOTE_PAYMENT_SCHEDULE_FIELDS),
+        instalments: (paymentSchedule.instalments || []).map(instalment => pick(instalment, QUOTE_INSTALMENT_FIELDS)),
+        totals: pick(paymentSchedule.totals, ['net', 'vat', 'gross'])
+      }
+    }),
+    model: {
+      ...pick(model, QUOTE_MODEL_FIELDS),
+      deliverables: (model.deliverables || []).map(deliverable => pick(deliverable, ['id', 'name', 'days', 'revenue'])),
+      // The contingency line the client pays, not how it was built up or shared
+      ...(model.riskContingency && { riskContingency: pick(model.riskContingency, ['days', 'price']) }),
+      ...(model.commercialAdjustments && {
+        grossRevenue: model.grossRevenue,
+        commercialAdjustments: {
+          ...pick(model.commercialAdjustments, ['gross', 'net', 'discount']),
+          steps: (model.commercialAdjustments.steps || []).map(step => pick(step, [...QUOTE_ADJUSTMENT_FIELDS, 'amount', 'priceAfter']))
+        }
+      })
+    }
+  };
+}
+
+export default {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  getRole,
+  can,
+  permissionForWrite,
+  permissionForRead,
+  allowedReportVariants,
+  filterExportForUser
+};
@@ -0,0 +1,98 @@
+/**
+ * Three-way merge of project libraries
+ *
+ * Used when a save is rejected because another tab/user changed a stored project.
+ * Each project is compared against the last version both sides agreed on (base):
+ * - changed only locally  -> keep local
+ * - changed only remotely -> keep remote
+ * - changed on both sides -> conflict (unless both made the identical change)
+ * Deletions count as changes.
+ */
+
+import { cleanDeliverables } from '../components/pricing/shared/deliverables';
+
+// Fields that change on every autosave and don't represent an edit
+const VOLATILE_FIELDS = ['lastModified', 'lastModifiedBy'];
+
+// Object keys in a fixed order, so key order alone never counts as an edit
+const sortKeys = (key, value) => (value && typeof value === 'object' && !Array.isArray(value)
+  ? Object.fromEntries(Object.keys(value).sort().map(k => [k, value[k]]))
+  : value);
+
+/**
+ * Comparable form of a project: autosave stores the editor's deliverables and
+ * an explicit save the cleaned ones, so both are compared in the cleaned form
+ */
+function normalize(project) {
+  if (!project) return null;
+  const copy = { ...project };
+  VOLATILE_FIELDS.forEach(field => delete copy[field]);
+  if (Array.isArray(copy.deliverables)) {
+    copy.deliverables = cleanDeliverables(copy.deliverables);
+  }
+  return JSON.stringify(copy, sortKeys);
+}
+
+function isSameProject(a, b) {
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Merge local and remote libraries against their common base
+ * @param {Object} base - Library as last loaded/saved by this tab
+ * @param {Object} local - Library this tab wants to save
+ * @param {Object} remote - Library currently in storage
+ * @returns {Object} { merged, conflicts } - conflicts: [{ id, base, local, remote }];
+ *                   conflicted projects hold the remote version in merged until resolved
+ */
+export function mergeProjectLibraries(base = {}, local = {}, remote = {}) {
+  const merged = {};
+  const conflicts = [];
+  const ids = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]);
+
+  ids.forEach(id => {
+    const baseProject = base[id];
+    const localProject = local[id];
+    const remoteProject = remote[id];
+    const localChanged = !isSameProject(localProject, baseProject);
+    const remoteChanged = !isSameProject(remoteProject, baseProject);
+
+    let result;
+    if (!localChanged) {
+      result = remoteProject;
+    } else if (!remoteChanged || isSameProject(localProject, remoteProject)) {
+      result = localProject;
+    } else {
+      conflicts.push({ id, base: baseProject, local: localProject, remote: remoteProject });
+      result = remoteProject;
+    }
+
+    if (result) {
+      merged[id] = result;
+    }
+  });
+
+  return { merged, conflicts };
+}
+
+/**
+ * Apply the user's conflict choices to a merged library
+ * @param {Object} merged - Library returned by mergeProjectLibraries
+ * @param {Array} conflicts - Conflicts returned by mergeProjectLibraries
+ * @param {Object} choices - { [projectId]: 'local' | 'remote' } (default 'remote')
+ * @returns {Object} Resolved library
+ */
+export function resolveConflicts(merged, conflicts, choices = {}) {
+  const resolved = { ...merged };
+  conflicts.forEach(conflict => {
+    const chosen = choices[conflict.id] === 'local' ? conflict.local : conflict.remote;
+    if (chosen) {
+      resolved[conflict.id] = chosen;
+    } else {
+      delete resolved[conflict.id];
+    }
+  });
+  return resolved;
+}
+
+export default mergeProjectLibraries;
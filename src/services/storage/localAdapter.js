@@ -0,0 +1,166 @@
+/**
+ * Local storage adapter
+ * Keeps pricing data in the browser (IndexedDB) so the calculator can run
+ * offline, in demos and in tests without the real bucket or credentials.
+ * Falls back to an in-memory store when IndexedDB is unavailable (e.g. jsdom).
+ */
+
+const DEFAULT_DATABASE_NAME = 'red-pegasus-pricing';
+const OBJECT_STORE = 'objects';
+
+/**
+ * In-memory record store (used by tests and as IndexedDB fallback)
+ */
+function createMemoryStore() {
+  const records = new Map();
+  return {
+    get: async (name) => records.get(name) || null,
+    put: async (record) => { records.set(record.name, record); },
+    delete: async (name) => { records.delete(name); },
+    all: async () => Array.from(records.values())
+  };
+}
+
+/**
+ * IndexedDB record store keyed by object name
+ */
+function createIndexedDBStore(indexedDB, databaseName) {
+  let dbPromise = null;
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(databaseName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(OBJECT_STORE, { keyPath: 'name' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(OBJECT_STORE, mode);
+      const request = operation(transaction.objectStore(OBJECT_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    get: async (name) => (await run('readonly', store => store.get(name))) || null,
+    put: (record) => run('readwrite', store => store.put(record)),
+    delete: (name) => run('readwrite', store => store.delete(name)),
+    all: () => run('readonly', store => store.getAll())
+  };
+}
+
+/**
+ * Create a storage adapter that keeps objects locally
+ * @param {Object} options
+ * @param {string} options.databaseName - IndexedDB database name
+ * @param {boolean} options.inMemory - Force the in-memory store
+ * @param {Object} options.seed - Initial objects as { name: content }
+ * @returns {Object} Storage adapter (readObject, writeObject, listObjects, deleteObject)
+ */
+export function createLocalAdapter({
+  databaseName = DEFAULT_DATABASE_NAME,
+  inMemory = false,
+  seed = {}
+} = {}) {
+  const indexedDB = globalThis.indexedDB;
+  const store = !inMemory && indexedDB
+    ? createIndexedDBStore(indexedDB, databaseName)
+    : createMemoryStore();
+
+  const seeded = Promise.all(
+    Object.entries(seed).map(async ([name, content]) => {
+      if (!(await store.get(name))) {
+        await putRecord(name, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+      }
+    })
+  );
+
+  async function putRecord(name, content, contentType = 'application/json') {
+    const now = new Date().toISOString();
+    const existing = await store.get(name);
+    // Monotonic across delete/re-create, like GCS generations
+    const generation = String(Math.max(Number(existing?.generation || 0) + 1, Date.now()));
+    await store.put({
+      name,
+      content,
+      contentType,
+      generation,
+      timeCreated: existing?.timeCreated || now,
+      updated: now,
+      size: content.length
+    });
+    return generation;
+  }
+
+  /**
+   * Read an object's contents and generation number
+   */
+  async function readObject(name) {
+    await seeded;
+    const record = await store.get(name);
+    if (!record) {
+      throw new Error('Local read error: 404 Not Found');
+    }
+    return { content: record.content, generation: record.generation };
+  }
+
+  /**
+   * Write (create or replace) an object
+   * Honours ifGenerationMatch the same way GCS does ('0' = must not exist yet)
+   */
+  async function writeObject(name, content, { contentType = 'application/json', ifGenerationMatch } = {}) {
+    await seeded;
+    if (ifGenerationMatch !== undefined && ifGenerationMatch !== null) {
+      const existing = await store.get(name);
+      if (String(existing?.generation || 0) !== String(ifGenerationMatch)) {
+        throw new Error('Local write error: 412 Precondition Failed');
+      }
+    }
+    const generation = await putRecord(name, content, contentType);
+    return { name, generation };
+  }
+
+  /**
+   * List objects under a prefix
+   */
+  async function listObjects(prefix) {
+    await seeded;
+    const records = await store.all();
+    return records
+      .filter(record => record.name.startsWith(prefix))
+      .map(record => ({
+        name: record.name,
+        timeCreated: record.timeCreated,
+        size: record.size
+      }));
+  }
+
+  /**
+   * Delete an object (missing objects are ignored)
+   */
+  async function deleteObject(name) {
+    await seeded;
+    await store.delete(name);
+    return true;
+  }
+
+  return {
+    name: 'local',
+    readObject,
+    writeObject,
+    listObjects,
+    deleteObject
+  };
+}
+
+export default createLocalAdapter;
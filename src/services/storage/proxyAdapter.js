@@ -0,0 +1,112 @@
+/**
+ * Storage server adapter
+ * Sends reads and writes to the storage server (server/storageServer.js), which
+ * holds the service-account key and talks to GCS (or a fake backend in dev).
+ */
+
+const DEFAULT_BASE_URL = '/api';
+
+/**
+ * Create a storage adapter that proxies through the storage server
+ * @param {Object} options
+ * @param {string} options.baseUrl - API root of the storage server
+ * @param {Function} options.onUnauthorized - Called when the server rejects the session (401)
+ * @returns {Object} Storage adapter (readObject, writeObject, listObjects, deleteObject)
+ */
+export function createProxyAdapter({ baseUrl = DEFAULT_BASE_URL, onUnauthorized } = {}) {
+  const fail = (response, action) => {
+    if (response.status === 401 && onUnauthorized) {
+      onUnauthorized();
+    }
+    throw new Error(`Storage ${action} error: ${response.status} ${response.statusText}`);
+  };
+
+  const objectUrl = (name, params = {}) => {
+    const query = new URLSearchParams({ name, ...params });
+    return `${baseUrl}/storage/object?${query}`;
+  };
+
+  /**
+   * Check the storage server is reachable
+   */
+  async function checkHealth() {
+    const response = await fetch(`${baseUrl}/health`);
+    if (!response.ok) {
+      throw new Error(`Storage server error: ${response.status} ${response.statusText}`);
+    }
+    return await response.json();
+  }
+
+  /**
+   * Read an object's contents and generation number
+   */
+  async function readObject(name) {
+    const response = await fetch(objectUrl(name));
+
+    if (!response.ok) {
+      fail(response, 'read');
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Write (create or replace) an object
+   * ifGenerationMatch is passed through; the server answers 412 on mismatch.
+   */
+  async function writeObject(name, content, { contentType = 'application/json', ifGenerationMatch } = {}) {
+    const params = ifGenerationMatch !== undefined && ifGenerationMatch !== null
+      ? { ifGenerationMatch: String(ifGenerationMatch) }
+      : {};
+
+    const response = await fetch(objectUrl(name, params), {
+      method: 'PUT',
+      headers: { 'Content-Type': contentType },
+      body: content
+    });
+
+    if (!response.ok) {
+      fail(response, 'write');
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * List objects under a prefix
+   */
+  async function listObjects(prefix) {
+    const response = await fetch(`${baseUrl}/storage/objects?${new URLSearchParams({ prefix })}`);
+
+    if (!response.ok) {
+      fail(response, 'list');
+    }
+
+    const result = await response.json();
+    return result.items;
+  }
+
+  /**
+   * Delete an object (missing objects are ignored)
+   */
+  async function deleteObject(name) {
+    const response = await fetch(objectUrl(name), { method: 'DELETE' });
+
+    if (!response.ok && response.status !== 404) {
+      fail(response, 'delete');
+    }
+
+    return true;
+  }
+
+  return {
+    name: 'proxy',
+    checkHealth,
+    readObject,
+    writeObject,
+    listObjects,
+    deleteObject
+  };
+}
+
+export default createProxyAdapter;
@@ -0,0 +1,130 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { hashPassword, verifyPassword } from '../../server/auth/passwords';
+import { createLocalUserProvider } from '../../server/auth/localProvider';
+import { createSessionStore } from '../../server/auth/sessions';
+import { login, loginErrorMessage } from '../../src/services/authClient';
+
+/**
+ * UNIT TESTS - Authentication
+ *
+ * Server-side building blocks for user accounts:
+ * 1. Passwords are stored as salted scrypt hashes
+ * 2. The local provider authenticates named users
+ * 3. Sessions expire and can be ended per user
+ * 4. The sign-in form tells failed credentials, server errors and network failures apart
+ */
+
+describe('Password hashing', () => {
+  it('should verify the right password and reject others', async () => {
+    const hash = await hashPassword('correct horse battery');
+
+    expect(hash).toMatch(/^scrypt\$/);
+    expect(hash).not.toContain('correct horse battery');
+    expect(await verifyPassword('correct horse battery', hash)).toBe(true);
+    expect(await verifyPassword('wrong', hash)).toBe(false);
+  });
+
+  it('should salt each hash', async () => {
+    expect(await hashPassword('same')).not.toBe(await hashPassword('same'));
+  });
+
+  it('should reject malformed hashes', async () => {
+    expect(await verifyPassword('anything', 'plaintext')).toBe(false);
+    expect(await verifyPassword('anything', undefined)).toBe(false);
+  });
+});
+
+describe('Local user provider', () => {
+  it('should authenticate a user case-insensitively by username', async () => {
+    const provider = createLocalUserProvider({
+      users: [{ username: 'jsmith', name: 'Jo Smith', passwordHash: await hashPassword('secret-pass') }]
+    });
+
+    expect(await provider.authenticate({ username: 'JSmith', password: 'secret-pass' })).toEqual({
+      username: 'jsmith',
+      name: 'Jo Smith',
+      email: '',
+      role: 'Viewer'
+    });
+    expect(await provider.authenticate({ username: 'jsmith', password: 'nope' })).toBeNull();
+    expect(await provider.authenticate({ username: 'nobody', password: 'secret-pass' })).toBeNull();
+  });
+
+  it('should return the user role', async () => {
+    const provider = createLocalUserProvider({
+      users: [{ username: 'ana', name: 'Ana', role: 'Commercial', passwordHash: await hashPassword('secret-pass') }]
+    });
+
+    expect((await provider.authenticate({ username: 'ana', password: 'secret-pass' })).role).toBe('Commercial');
+  });
+
+  it('should refuse disabled users', async () => {
+    const provider = createLocalUserProvider({
+      users: [{ username: 'old', name: 'Old', passwordHash: await hashPassword('secret-pass'), disabled: true }]
+    });
+
+    expect(await provider.authenticate({ username: 'old', password: 'secret-pass' })).toBeNull();
+  });
+});
+
+describe('Session store', () => {
+  const user = { username: 'jsmith', name: 'Jo Smith' };
+
+  it('should expire sessions after their lifetime', () => {
+    let now = Date.parse('2025-06-01T09:00:00Z');
+    const sessions = createSessionStore({ ttlMs: 60 * 60 * 1000, now: () => now });
+    const session = sessions.create(user);
+
+    expect(session.expiresAt).toBe('2025-06-01T10:00:00.000Z');
+    now += 59 * 60 * 1000;
+    expect(sessions.get(session.id).user).toEqual(user);
+    now += 2 * 60 * 1000;
+    expect(sessions.get(session.id)).toBeNull();
+  });
+
+  it('should end all sessions of one user only', () => {
+    const sessions = createSessionStore();
+    const first = sessions.create(user);
+    const second = sessions.create(user);
+    const other = sessions.create({ username: 'other', name: 'Other' });
+
+    expect(sessions.destroyAllForUser('jsmith')).toBe(2);
+    expect(sessions.get(first.id)).toBeNull();
+    expect(sessions.get(second.id)).toBeNull();
+    expect(sessions.get(other.id)).not.toBeNull();
+  });
+
+  it('should return null for unknown session ids', () => {
+    expect(createSessionStore().get('missing')).toBeNull();
+    expect(createSessionStore().get(null)).toBeNull();
+  });
+});
+
+describe('Sign-in errors', () => {
+  const originalFetch = global.fetch;
+
+  const failLogin = async (respond) => {
+    global.fetch = async () => respond();
+    try {
+      await login('jsmith', 'secret-pass');
+    } catch (error) {
+      return loginErrorMessage(error);
+    } finally {
+      global.fetch = originalFetch;
+    }
+    return null;
+  };
+
+  const answer = (status, error) => ({ ok: false, status, statusText: '', json: async () => ({ error }) });
+
+  it('should report wrong credentials, rejected requests and server errors as what they are', async () => {
+    expect(await failLogin(() => answer(401, 'Invalid username or password'))).toBe('Incorrect username or password. Please try again.');
+    expect(await failLogin(() => answer(400, 'Invalid login request'))).toBe('Sign-in was rejected (400 Invalid login request).');
+    expect(await failLogin(() => answer(500, 'Internal server error'))).toBe('The sign-in server had a problem (500 Internal server error). Please try again later.');
+  });
+
+  it('should only blame the connection when the server cannot be reached', async () => {
+    expect(await failLogin(() => { throw new TypeError('fetch failed'); })).toBe('Unable to reach the sign-in server. Please check your connection and try again.');
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyRetentionPolicy,
+  normalizeRetentionPolicy,
+  describeRetentionPolicy,
+  DEFAULT_RETENTION_POLICY
+} from '../../src/services/backupRetention';
+
+/**
+ * UNIT TESTS - Backup Retention Policy
+ *
+ * Grandfather-father-son thinning of backups:
+ * 1. Everything recent is kept
+ * 2. Older backups are thinned to one per hour / day / week
+ * 3. Policy values are configurable and validated
+ */
+
+const NOW = new Date('2025-06-15T12:00:00Z');
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const backupAt = (msAgo) => ({
+  url: `backup-${msAgo}`,
+  timestamp: new Date(NOW.getTime() - msAgo).toISOString()
+});
+
+const keptUrls = (backups, policy) =>
+  applyRetentionPolicy(backups, policy, NOW).keep.map(backup => backup.url).sort();
+
+describe('Backup Retention Policy', () => {
+  it('should keep every backup from the last hour', () => {
+    const backups = [1, 2, 3, 30, 59].map(minutes => backupAt(minutes * MINUTE));
+
+    const { keep, remove } = applyRetentionPolicy(backups, DEFAULT_RETENTION_POLICY, NOW);
+
+    expect(keep.length).toBe(5);
+    expect(remove).toEqual([]);
+  });
+
+  it('should keep only the newest backup per hour within the last day', () => {
+    // 11:10, 11:20 fall in the keep-all window; 09:50 and 09:10 share an hour
+    const backups = [
+      backupAt(50 * MINUTE),
+      backupAt(40 * MINUTE),
+      backupAt(2 * HOUR + 10 * MINUTE),
+      backupAt(2 * HOUR + 50 * MINUTE)
+    ];
+
+    expect(keptUrls(backups)).toEqual([
+      backupAt(2 * HOUR + 10 * MINUTE).url,
+      backupAt(40 * MINUTE).url,
+      backupAt(50 * MINUTE).url
+    ].sort());
+  });
+
+  it('should keep only the newest backup per day within the last month', () => {
+    const backups = [
+      backupAt(3 * DAY),
+      backupAt(3 * DAY + 2 * HOUR),
+      backupAt(10 * DAY)
+    ];
+
+    expect(keptUrls(backups)).toEqual([backupAt(3 * DAY).url, backupAt(10 * DAY).url].sort());
+  });
+
+  it('should keep one backup per week after a month, forever by default', () => {
+    // 2025-06-15 is a Sunday; 40 and 41 days back are Tue/Mon of the same week
+    const backups = [
+      backupAt(40 * DAY),
+      backupAt(41 * DAY),
+      backupAt(48 * DAY),
+      backupAt(400 * DAY)
+    ];
+
+    expect(keptUrls(backups)).toEqual([
+      backupAt(40 * DAY).url,
+      backupAt(48 * DAY).url,
+      backupAt(400 * DAY).url
+    ].sort());
+  });
+
+  it('should drop weekly backups older than a configured limit', () => {
+    const policy = { ...DEFAULT_RETENTION_POLICY, weeklyForWeeks: 4 };
+    const backups = [backupAt(40 * DAY), backupAt(400 * DAY)];
+
+    expect(keptUrls(backups, policy)).toEqual([backupAt(40 * DAY).url]);
+  });
+
+  it('should honour a custom keep-all window', () => {
+    const policy = { ...DEFAULT_RETENTION_POLICY, keepAllMinutes: 0, hourlyForHours: 0 };
+    const backups = [backupAt(1 * MINUTE), backupAt(2 * MINUTE)];
+
+    // Both fall into today's daily bucket
+    expect(keptUrls(backups, policy)).toEqual([backupAt(1 * MINUTE).url]);
+  });
+
+  it('should fill in defaults and reject invalid values', () => {
+    expect(normalizeRetentionPolicy(null)).toEqual(DEFAULT_RETENTION_POLICY);
+    expect(normalizeRetentionPolicy({ keepAllMinutes: '15', dailyForDays: -3, hourlyForHours: 'abc' })).toEqual({
+      ...DEFAULT_RETENTION_POLICY,
+      keepAllMinutes: 15
+    });
+    expect(normalizeRetentionPolicy({ weeklyForWeeks: '' }).weeklyForWeeks).toBeNull();
+    expect(normalizeRetentionPolicy({ weeklyForWeeks: '12' }).weeklyForWeeks).toBe(12);
+  });
+
+  it('should describe the policy for the UI', () => {
+    expect(describeRetentionPolicy(DEFAULT_RETENTION_POLICY)).toBe(
+      'Keeps every backup from the last 60 minutes, hourly for 24 hours, daily for 30 days, weekly after that.'
+    );
+    expect(describeRetentionPolicy({ ...DEFAULT_RETENTION_POLICY, weeklyForWeeks: 1 })).toContain('weekly for 1 week');
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
 import { calculateRedPegasusModel } from '../../src/components/RedPegasusPricingCalculator';
+import { analyzeActuals } from '../../src/components/pricing/shared/actuals';
 
 /**
  * UNIT TESTS - Red Pegasus Calculation Model
@@ -10,8 +11,21 @@ import { calculateRedPegasusModel } from '../../src/components/RedPegasusPricing
  * 3. Party revenue distribution
  * 4. Account manager 10% uplift
  * 5. Edge cases and error handling
+ * 6. Project-level role weight overrides
+ * 7. Reconciling sold days with deliverable days (scale or contingency)
+ * 8. Risk contingency priced on top of the sold days
+ * 9. Commercial adjustments (gross price, net price, party discount shares)
+ * 10. Profit split on actuals matching the agreed split when actuals are on plan
  */
 
+// Every deliverable worked for exactly its planned days
+const onPlan = (model) => ({
+  weeks: { '2025-01-06': Object.fromEntries(model.deliverables.map(d => [d.id, d.days])) }
+});
+
+const splitDifferences = (model) => Object.values(analyzeActuals({ model, actuals: onPlan(model) }).actualSplit)
+  .map(split => split.difference);
+
 describe('calculateRedPegasusModel - Core Calculation Logic', () => {
   describe('Basic Revenue Calculation', () => {
     it('should calculate total revenue as clientRate × soldDays', () => {
@@ -89,6 +103,26 @@ describe('calculateRedPegasusModel - Core Calculation Logic', () => {
       expect(work.revenue).toBe(5000);
     });
 
+    it('should use project role weight overrides over the global weights', () => {
+      const model = calculateRedPegasusModel({
+        clientRate: 1000,
+        soldDays: 50,
+        deliverables: [
+          { id: 1, name: 'Dev Work', role: 'Development', days: 10, owner: 'Proaptus' },
+          { id: 2, name: 'Testing', role: 'QA', days: 10, owner: 'RPG' }
+        ],
+        accountManagerParty: 'RPG',
+        roleWeights: { Development: 1.0, QA: 0.8 },
+        roleWeightOverrides: { QA: 0.9 }
+      });
+
+      expect(model.deliverables[0]).toMatchObject({ roleWeight: 1.0, roleWeightSource: 'global', revenue: 10000 });
+      expect(model.deliverables[1]).toMatchObject({ roleWeight: 0.9, roleWeightSource: 'project', revenue: 9000 });
+      expect(model.roleWeights).toEqual({ Development: 1.0, QA: 0.9 });
+      expect(model.globalRoleWeights).toEqual({ Development: 1.0, QA: 0.8 });
+      expect(model.roleWeightSources).toEqual({ Development: 'global', QA: 'project' });
+    });
+
     it('should calculate total days from all deliverables', () => {
       const model = calculateRedPegasusModel({
         clientRate: 1000,
@@ -441,4 +475,170 @@ describe('calculateRedPegasusModel - Core Calculation Logic', () => {
       expect(model.proaptus.days).toBeGreaterThan(0);
     });
   });
+
+  describe('Sold Days Reconciliation', () => {
+    const inputs = {
+      clientRate: 1000,
+      soldDays: 45,
+      deliverables: [
+        { id: 1, name: 'Design', role: 'Development', days: 10, owner: 'RPG' },
+        { id: 2, name: 'Build', role: 'Development', days: 30, owner: 'Proaptus' }
+      ],
+      accountManagerParty: 'RPG',
+      roleWeights: { Development: 1.0 },
+      allocationRules: { parties: ['RPG', 'Proaptus'], uplift: { type: 'percentage', value: 0 } }
+    };
+
+    it('should leave deliverable days as entered until a mode is chosen', () => {
+      const model = calculateRedPegasusModel({ ...inputs, reconciliation: null });
+
+      expect(model.totalDays).toBe(40);
+      expect(model.deliverables[0].days).toBe(10);
+      expect(model.reconciliation).toMatchObject({ mode: null, gap: 5, factor: 1 });
+    });
+
+    it('should scale deliverable days to the sold days without changing the split', () => {
+      const model = calculateRedPegasusModel({ ...inputs, reconciliation: { mode: 'scale' } });
+
+      expect(model.totalDays).toBe(45);
+      expect(model.deliverables[0]).toMatchObject({ days: 11.25, plannedDays: 10 });
+      expect(model.partyAllocations.RPG.percentage).toBeCloseTo(25, 6);
+      expect(model.reconciliation).toMatchObject({ mode: 'scale', gap: 5, factor: 1.125 });
+    });
+
+    it('should give the contingency days to the chosen party', () => {
+      const model = calculateRedPegasusModel({ ...inputs, reconciliation: { mode: 'contingency', contingencyParty: 'RPG' } });
+
+      // RPG: 10 deliverable days + 5 contingency days of 45
+      expect(model.totalDays).toBe(40);
+      expect(model.partyAllocations.RPG.percentage).toBeCloseTo(15 / 45 * 100, 6);
+      expect(model.partyAllocations.RPG.finalRevenue).toBeCloseTo(15000, 6);
+      expect(model.reconciliation).toMatchObject({ contingencyParty: 'RPG', contingencyDays: 5, contingencyRevenue: 5000 });
+    });
+
+    it('should keep the contingency line in the split on actuals', () => {
+      const model = calculateRedPegasusModel({ ...inputs, reconciliation: { mode: 'contingency', contingencyParty: 'RPG' } });
+
+      splitDifferences(model).forEach(difference => expect(difference).toBeCloseTo(0, 6));
+    });
+
+    it('should keep an overrun absorbed as contingency in the split on actuals', () => {
+      const model = calculateRedPegasusModel({
+        ...inputs,
+        soldDays: 35,
+        deliverables: [
+          { id: 1, name: 'Design', role: 'Development', days: 20, owner: 'RPG' },
+          { id: 2, name: 'Build', role: 'Development', days: 20, owner: 'Proaptus' }
+        ],
+        reconciliation: { mode: 'contingency', contingencyParty: 'RPG' }
+      });
+
+      // RPG: 20 deliverable days less the 5-day overrun, of 35
+      expect(model.reconciliation.contingencyDays).toBe(-5);
+      expect(model.partyAllocations.RPG.percentage).toBeCloseTo(15 / 35 * 100, 6);
+      splitDifferences(model).forEach(difference => expect(difference).toBeCloseTo(0, 6));
+    });
+
+    it('should leave the model as it is in block mode', () => {
+      const model = calculateRedPegasusModel({ ...inputs, reconciliation: { mode: 'block' } });
+
+      expect(model.totalDays).toBe(40);
+      expect(model.reconciliation.blocksSaving).toBe(true);
+    });
+  });
+
+  describe('Risk Contingency', () => {
+    const inputs = {
+      clientRate: 1000,
+      soldDays: 40,
+      deliverables: [
+        { id: 1, name: 'Design', role: 'Development', days: 10, owner: 'RPG', riskRating: 'high' },
+        { id: 2, name: 'Build', role: 'Development', days: 30, owner: 'Proaptus' }
+      ],
+      accountManagerParty: 'RPG',
+      roleWeights: { Development: 1.0 },
+      allocationRules: { parties: ['RPG', 'Proaptus'], uplift: { type: 'percentage', value: 0 } },
+      risks: [{ id: 1, title: 'Integration', probability: 50, impactDays: 4, owner: 'Proaptus' }]
+    };
+
+    it('should add the priced contingency to the total revenue', () => {
+      const model = calculateRedPegasusModel(inputs);
+
+      expect(model.baseRevenue).toBe(40000);
+      expect(model.riskContingency).toMatchObject({ days: 4, price: 4000 });
+      expect(model.totalRevenue).toBe(44000);
+    });
+
+    it('should add each party contingency to its allocation', () => {
+      const model = calculateRedPegasusModel(inputs);
+
+      expect(model.partyAllocations.RPG.finalRevenue).toBeCloseTo(10000 + 2000, 6);
+      expect(model.partyAllocations.Proaptus.finalRevenue).toBeCloseTo(30000 + 2000, 6);
+      expect(model.partyAllocations.Proaptus.contingencyRevenue).toBeCloseTo(2000, 6);
+      const totalPercentage = Object.values(model.partyAllocations).reduce((sum, a) => sum + a.percentage, 0);
+      expect(totalPercentage).toBeCloseTo(100, 6);
+    });
+
+    it('should not change the model without ratings or risks', () => {
+      const model = calculateRedPegasusModel({ ...inputs, deliverables: inputs.deliverables.map(({ riskRating, ...d }) => d), risks: [] });
+
+      expect(model.totalRevenue).toBe(40000);
+      expect(model.partyAllocations.RPG).toMatchObject({ contingencyRevenue: 0, grossRevenue: 10000, discount: 0, finalRevenue: 10000 });
+    });
+
+    it('should keep each party risk contingency in the split on actuals', () => {
+      const model = calculateRedPegasusModel({ ...inputs, deliverables: inputs.deliverables.map(({ riskRating, ...d }) => d) });
+
+      expect(model.riskContingency.parties).toEqual({ Proaptus: 2000 });
+      splitDifferences(model).forEach(difference => expect(difference).toBeCloseTo(0, 6));
+    });
+  });
+
+  describe('Commercial Adjustments', () => {
+    const inputs = {
+      clientRate: 1000,
+      soldDays: 40,
+      deliverables: [
+        { id: 1, name: 'Design', role: 'Development', days: 10, owner: 'RPG' },
+        { id: 2, name: 'Build', role: 'Development', days: 30, owner: 'Proaptus' }
+      ],
+      accountManagerParty: 'RPG',
+      roleWeights: { Development: 1.0 },
+      allocationRules: { parties: ['RPG', 'Proaptus'], uplift: { type: 'percentage', value: 0 } },
+      adjustments: [
+        { id: 1, type: 'volume', reason: 'Multi-phase deal', valueType: 'percentage', value: 10 },
+        { id: 2, type: 'partner', reason: 'Partner rate', valueType: 'fixed', value: 1000, borneBy: 'RPG' }
+      ]
+    };
+
+    it('should show gross and net price', () => {
+      const model = calculateRedPegasusModel(inputs);
+
+      expect(model.grossRevenue).toBe(40000);
+      expect(model.totalRevenue).toBe(35000);
+      expect(model.commercialAdjustments).toMatchObject({ gross: 40000, net: 35000, discount: 5000 });
+    });
+
+    it('should take each party share of the discount off its allocation', () => {
+      const model = calculateRedPegasusModel(inputs);
+
+      // 10% volume discount shared 25/75, partner discount borne by RPG
+      expect(model.commercialAdjustments.parties.RPG).toBeCloseTo(1000 + 1000, 6);
+      expect(model.commercialAdjustments.parties.Proaptus).toBeCloseTo(3000, 6);
+      expect(model.partyAllocations.RPG).toMatchObject({ grossRevenue: 10000, finalRevenue: 8000 });
+      expect(model.partyAllocations.Proaptus.finalRevenue).toBeCloseTo(27000, 6);
+      expect(model.partyAllocations.RPG.percentage + model.partyAllocations.Proaptus.percentage).toBeCloseTo(100, 6);
+    });
+
+    it('should take the same discounts off the split on actuals', () => {
+      const model = calculateRedPegasusModel({
+        ...inputs,
+        adjustments: [{ id: 1, type: 'partner', reason: 'Partner rate', valueType: 'fixed', value: 5000, borneBy: 'RPG' }]
+      });
+
+      expect(model.totalRevenue).toBe(35000);
+      splitDifferences(model).forEach(difference => expect(difference).toBeCloseTo(0, 6));
+      splitDifferences(calculateRedPegasusModel(inputs)).forEach(difference => expect(difference).toBeCloseTo(0, 6));
+    });
+  });
 });
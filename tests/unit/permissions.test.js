@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import {
+  can,
+  getRole,
+  permissionForWrite,
+  permissionForRead,
+  allowedReportVariants,
+  filterExportForUser
+} from '../../src/services/permissions';
+
+/**
+ * UNIT TESTS - Roles and Permissions
+ *
+ * 1. Each role gets the right permissions; unknown roles are Viewers
+ * 2. Storage reads and writes map to the permission they need
+ * 3. Only internal roles can print the internal report
+ * 4. Quote-only exports carry no splits, uplift or role weights (but keep the delivery plan, invoices and variations)
+ * 5. Quote-only exports leave out any field that is not known to be client-facing
+ */
+
+const admin = { username: 'a', role: 'Admin' };
+const commercial = { username: 'c', role: 'Commercial' };
+const delivery = { username: 'd', role: 'Delivery' };
+const viewer = { username: 'v', role: 'Viewer' };
+
+describe('Permissions', () => {
+  it('should give each role its permissions', () => {
+    expect(can(admin, 'editRoleWeights')).toBe(true);
+    expect(can(commercial, 'editRoleWeights')).toBe(false);
+    expect(can(commercial, 'viewInternal')).toBe(true);
+    expect(can(delivery, 'viewInternal')).toBe(false);
+    expect(can(delivery, 'editProjects')).toBe(true);
+    expect(can(viewer, 'editProjects')).toBe(false);
+    expect(can(commercial, 'approveChanges')).toBe(true);
+    expect(can(delivery, 'approveChanges')).toBe(false);
+  });
+
+  it('should treat missing or unknown roles as Viewer', () => {
+    expect(getRole(null)).toBe('Viewer');
+    expect(getRole({ role: 'Superuser' })).toBe('Viewer');
+    expect(can({ role: 'Superuser' }, 'editProjects')).toBe(false);
+  });
+
+  it('should throw for unknown permissions', () => {
+    expect(() => can(admin, 'launchRockets')).toThrow('Unknown permission');
+  });
+
+  it('should map storage objects to write permissions', () => {
+    expect(permissionForWrite('role-weights.json')).toBe('editRoleWeights');
+    expect(permissionForWrite('settings/backup-retention.json')).toBe('editSettings');
+    expect(permissionForWrite('settings/cost-rates.json')).toBe('editSettings');
+    expect(permissionForWrite('audit/cost-rates/2025-01-01.json')).toBe('editSettings');
+    expect(permissionForWrite('settings/fx-rates.json')).toBe('editSettings');
+    expect(permissionForWrite('audit/fx-rates/2025-01-01.json')).toBe('editSettings');
+    expect(permissionForWrite('projects/p1.json')).toBe('editProjects');
+    expect(permissionForWrite('backups/projects/p1/2025.json')).toBe('editProjects');
+  });
+
+  it('should only let internal roles read cost rates and audit entries', () => {
+    expect(permissionForRead('settings/cost-rates.json')).toBe('viewInternal');
+    expect(permissionForRead('audit/projects/p1/2025-01-01.json')).toBe('viewInternal');
+    expect(permissionForRead('audit/')).toBe('viewInternal');
+    expect(permissionForRead('settings/fx-rates.json')).toBeNull();
+    expect(permissionForRead('projects/p1.json')).toBeNull();
+    expect(permissionForRead('role-weights.json')).toBeNull();
+  });
+
+  it('should only offer the internal report to internal roles', () => {
+    expect(allowedReportVariants(commercial)).toEqual(['INTERNAL', 'DETAILED_QUOTE']);
+    expect(allowedReportVariants(delivery)).toEqual(['DETAILED_QUOTE']);
+  });
+
+  it('should strip internal figures from exports for quote-only roles', () => {
+    const payload = {
+      project: 'Alpha',
+      inputs: {
+        clientRate: 1000,
+        soldDays: 10,
+        accountManagerParty: 'RPG',
+        roleWeights: { Development: 1.2 },
+        roleWeightOverrides: { Development: 1.3 },
+        allocationRules: { parties: ['RPG'], uplift: { type: 'percentage', value: 10 } },
+        deliverables: [{ id: 1, name: 'Build', owner: 'RPG', role: 'Development', resourceType: 'contractor', days: 10, acceptanceCriteria: 'Done', startDate: '2025-01-06', predecessors: [] }],
+        changeRequests: [{ id: 1, reference: 'CR-001', status: 'approved', changes: [{ type: 'add', deliverable: { name: 'Reporting', owner: 'RPG', role: 'Development', days: 5 } }] }],
+        reconciliation: { mode: 'contingency', contingencyParty: 'RPG' },
+        risks: [{ id: 1, title: 'Integration', probability: 50, impactDays: 4, owner: 'RPG' }],
+        riskContingency: { allocation: 'owner' },
+        adjustments: [{ id: 1, type: 'partner', reason: 'Partner rate', valueType: 'fixed', value: 1000, borneBy: 'RPG' }]
+      },
+      model: {
+        clientRate: 1000,
+        soldDays: 10,
+        totalRevenue: 10000,
+        totalDays: 10,
+        partyAllocations: { RPG: { percentage: 100 } },
+        rpg: { percentage: 100 },
+        deliverables: [{ id: 1, name: 'Build', days: 10, revenue: 12000, roleWeight: 1.2, owner: 'RPG' }],
+        riskContingency: { days: 2, price: 2000, risks: [], deliverables: [], parties: { RPG: 2000 } }
+      },
+      paymentSchedule: {
+        instalments: [{ id: 1, name: 'Deposit', net: 10000, vat: 2000, gross: 12000, parties: { RPG: 10000 } }],
+        totals: { net: 10000, vat: 2000, gross: 12000, parties: { RPG: 10000 } }
+      }
+    };
+
+    const filtered = filterExportForUser(payload, delivery);
+
+    expect(filtered.variant).toBe('QUOTE');
+    expect(filtered.inputs.roleWeights).toBeUndefined();
+    expect(filtered.inputs.roleWeightOverrides).toBeUndefined();
+    expect(filtered.inputs.allocationRules).toBeUndefined();
+    expect(filtered.inputs.accountManagerParty).toBeUndefined();
+    // The delivery plan is client-facing; owners, roles and resourcing are not
+    expect(filtered.inputs.deliverables[0]).toEqual({ id: 1, name: 'Build', days: 10, acceptanceCriteria: 'Done', startDate: '2025-01-06', predecessors: [] });
+    expect(filtered.inputs.changeRequests[0].changes[0].deliverable).toEqual({ name: 'Reporting', days: 5 });
+    expect(filtered.inputs.reconciliation).toEqual({ mode: 'contingency' });
+    expect(filtered.inputs.risks).toBeUndefined();
+    expect(filtered.inputs.riskContingency).toBeUndefined();
+    expect(filtered.model.riskContingency).toEqual({ days: 2, price: 2000 });
+    expect(filtered.inputs.adjustments).toEqual([{ id: 1, type: 'partner', reason: 'Partner rate', valueType: 'fixed', value: 1000 }]);
+    expect(filtered.model.partyAllocations).toBeUndefined();
+    expect(filtered.model.rpg).toBeUndefined();
+    expect(filtered.model.deliverables[0]).toEqual({ id: 1, name: 'Build', days: 10, revenue: 12000 });
+    expect(filtered.paymentSchedule.instalments[0]).toEqual({ id: 1, name: 'Deposit', net: 10000, vat: 2000, gross: 12000 });
+    expect(filtered.paymentSchedule.totals).toEqual({ net: 10000, vat: 2000, gross: 12000 });
+    expect(filterExportForUser(payload, admin)).toBe(payload);
+  });
+
+  it('should leave fields that are not known to be client-facing out of quote exports', () => {
+    const payload = {
+      project: 'Alpha',
+      validation: { warnings: ['RPG share below target'] },
+      costAnalysis: { margin: 0.3 },
+      inputs: {
+        clientRate: 1000,
+        currency: 'EUR',
+        actuals: { weeks: {} },
+        internalNotes: 'Walk-away price £8,000',
+        deliverables: [{ id: 1, name: 'Build', days: 10, costRate: 400 }],
+        changeRequests: [{ id: 1, reference: 'CR-001', status: 'approved', createdBy: { username: 'c' }, changes: [{ type: 'resize', deliverableId: 1, days: 12, owner: 'RPG' }] }]
+      },
+      model: { totalRevenue: 10000, costs: { RPG: 4000 }, deliverables: [{ id: 1, name: 'Build', days: 10, revenue: 10000, cost: 4000 }] },
+      paymentSchedule: {
+        paymentTermsDays: 30,
+        partyNotes: 'RPG invoices first',
+        instalments: [{ id: 1, name: 'Deposit', net: 10000, vat: 2000, gross: 12000, parties: { RPG: 10000 }, costs: { RPG: 4000 } }],
+        totals: { net: 10000, vat: 2000, gross: 12000, parties: { RPG: 10000 } }
+      }
+    };
+
+    const filtered = filterExportForUser(payload, viewer);
+
+    expect(Object.keys(filtered).sort()).toEqual(['inputs', 'model', 'paymentSchedule', 'project', 'variant']);
+    expect(filtered.inputs).toEqual({
+      clientRate: 1000,
+      currency: 'EUR',
+      deliverables: [{ id: 1, name: 'Build', days: 10 }],
+      changeRequests: [{ id: 1, reference: 'CR-001', status: 'approved', changes: [{ type: 'resize', deliverableId: 1, days: 12 }] }]
+    });
+    expect(filtered.model).toEqual({ totalRevenue: 10000, deliverables: [{ id: 1, name: 'Build', days: 10, revenue: 10000 }] });
+    expect(filtered.paymentSchedule).toEqual({
+      paymentTermsDays: 30,
+      instalments: [{ id: 1, name: 'Deposit', net: 10000, vat: 2000, gross: 12000 }],
+      totals: { net: 10000, vat: 2000, gross: 12000 }
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import { mergeProjectLibraries, resolveConflicts } from '../../src/services/projectMerge';
+
+/**
+ * UNIT TESTS - Project Library Three-Way Merge
+ *
+ * Tests merging a rejected save with the library currently in storage:
+ * 1. One-sided edits, additions and deletions merge automatically
+ * 2. Edits to the same project on both sides become conflicts
+ * 3. Conflict choices are applied to the merged library
+ */
+
+const project = (id, overrides = {}) => ({
+  id,
+  name: `Project ${id}`,
+  clientRate: 950,
+  soldDays: 45,
+  deliverables: [],
+  lastModified: '2025-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+describe('mergeProjectLibraries', () => {
+  const base = { a: project('a'), b: project('b') };
+
+  it('should keep local edits when remote is unchanged', () => {
+    const local = { ...base, a: project('a', { soldDays: 50 }) };
+
+    const { merged, conflicts } = mergeProjectLibraries(base, local, base);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.a.soldDays).toBe(50);
+  });
+
+  it('should keep remote edits when local is unchanged', () => {
+    const remote = { ...base, b: project('b', { clientRate: 1000 }) };
+
+    const { merged, conflicts } = mergeProjectLibraries(base, base, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.b.clientRate).toBe(1000);
+  });
+
+  it('should combine edits to different projects', () => {
+    const local = { ...base, a: project('a', { soldDays: 50 }) };
+    const remote = { ...base, b: project('b', { clientRate: 1000 }) };
+
+    const { merged, conflicts } = mergeProjectLibraries(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.a.soldDays).toBe(50);
+    expect(merged.b.clientRate).toBe(1000);
+  });
+
+  it('should keep projects added on either side', () => {
+    const local = { ...base, c: project('c') };
+    const remote = { ...base, d: project('d') };
+
+    const { merged } = mergeProjectLibraries(base, local, remote);
+
+    expect(Object.keys(merged).sort()).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('should apply deletions made on one side', () => {
+    const local = { a: base.a };
+
+    const { merged, conflicts } = mergeProjectLibraries(base, local, base);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.b).toBeUndefined();
+  });
+
+  it('should ignore lastModified-only differences', () => {
+    const local = {
+      ...base,
+      a: project('a', { lastModified: '2025-02-01T00:00:00.000Z', lastModifiedBy: { username: 'jsmith', name: 'Jo Smith' } })
+    };
+    const remote = { ...base, a: project('a', { soldDays: 60 }) };
+
+    const { merged, conflicts } = mergeProjectLibraries(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.a.soldDays).toBe(60);
+  });
+
+  it('should ignore differences that only come from how the project was saved', () => {
+    const deliverable = { id: 1, name: 'Build', owner: 'Proaptus', role: 'Development', days: 20 };
+    // Autosave stored the editor's deliverables; an explicit save stored them cleaned, in another key order
+    const autosaved = { a: project('a', { deliverables: [{ ...deliverable, revenue: 19000 }] }), b: base.b };
+    const { id, name, ...rest } = project('a', {
+      deliverables: [{ ...deliverable, resourceType: 'internal', startDate: '', predecessors: [], riskRating: 'none' }]
+    });
+    const saved = { ...base, a: { name, ...rest, id } };
+    const remote = { ...base, b: project('b', { soldDays: 60 }) };
+
+    const { merged, conflicts } = mergeProjectLibraries(autosaved, saved, remote);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.b.soldDays).toBe(60);
+    expect(mergeProjectLibraries(autosaved, saved, { ...autosaved, a: project('a', { soldDays: 30 }) }).conflicts).toEqual([]);
+  });
+
+  it('should report a conflict when both sides edited the same project', () => {
+    const local = { ...base, a: project('a', { soldDays: 50 }) };
+    const remote = { ...base, a: project('a', { soldDays: 60 }) };
+
+    const { merged, conflicts } = mergeProjectLibraries(base, local, remote);
+
+    expect(conflicts.length).toBe(1);
+    expect(conflicts[0].id).toBe('a');
+    expect(conflicts[0].local.soldDays).toBe(50);
+    expect(conflicts[0].remote.soldDays).toBe(60);
+    expect(merged.a.soldDays).toBe(60);
+  });
+
+  it('should not report a conflict when both sides made the same edit', () => {
+    const local = { ...base, a: project('a', { soldDays: 50 }) };
+    const remote = { ...base, a: project('a', { soldDays: 50, lastModified: '2025-03-01T00:00:00.000Z' }) };
+
+    const { conflicts } = mergeProjectLibraries(base, local, remote);
+
+    expect(conflicts).toEqual([]);
+  });
+
+  it('should report a conflict when one side edited a project the other deleted', () => {
+    const local = { ...base, a: project('a', { soldDays: 50 }) };
+    const remote = { b: base.b };
+
+    const { conflicts } = mergeProjectLibraries(base, local, remote);
+
+    expect(conflicts.length).toBe(1);
+    expect(conflicts[0].remote).toBeUndefined();
+  });
+});
+
+describe('resolveConflicts', () => {
+  const base = { a: project('a') };
+  const local = { a: project('a', { soldDays: 50 }) };
+  const remote = { a: project('a', { soldDays: 60 }) };
+
+  it('should keep the local version when chosen', () => {
+    const { merged, conflicts } = mergeProjectLibraries(base, local, remote);
+
+    expect(resolveConflicts(merged, conflicts, { a: 'local' }).a.soldDays).toBe(50);
+  });
+
+  it('should default to the remote version', () => {
+    const { merged, conflicts } = mergeProjectLibraries(base, local, remote);
+
+    expect(resolveConflicts(merged, conflicts).a.soldDays).toBe(60);
+  });
+
+  it('should drop a project when the chosen side deleted it', () => {
+    const { merged, conflicts } = mergeProjectLibraries(base, local, {});
+
+    expect(resolveConflicts(merged, conflicts, { a: 'remote' }).a).toBeUndefined();
+  });
+});
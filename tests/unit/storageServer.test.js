@@ -0,0 +1,261 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { startStorageServer, isAllowedObject } from '../../server/storageServer';
+import { createLocalUserProvider } from '../../server/auth/localProvider';
+import { createSessionStore } from '../../server/auth/sessions';
+import { hashPassword } from '../../server/auth/passwords';
+import { createLocalAdapter } from '../../src/services/storage/localAdapter';
+import { createProxyAdapter } from '../../src/services/storage/proxyAdapter';
+
+/**
+ * UNIT TESTS - Storage Server
+ *
+ * Runs the storage server with the fake (in-memory) backend and talks to it
+ * through the browser's proxy adapter:
+ * 1. Adapter contract holds end to end (generations, 404, 412)
+ * 2. Only pricing-data objects are reachable
+ * 3. Storage needs a session; login, logout and logout-everywhere work
+ * 4. Writes, and reads of cost rates and audit entries, are limited by the user's role
+ * 5. Audit entries are append-only and stamped with the session user
+ * 6. Bad requests get 400/413 and internal errors are not sent to the client
+ */
+
+// tests/setup.js mocks fetch before each test; these tests need real HTTP
+const realFetch = globalThis.fetch;
+
+// Node's fetch has no cookie jar - send the session cookie explicitly
+const fetchWithCookie = (cookie) => (url, options = {}) =>
+  realFetch(url, { ...options, headers: { ...options.headers, Cookie: cookie } });
+
+async function signIn(baseUrl, username = 'jsmith', password = 'correct horse battery') {
+  const response = await realFetch(`${baseUrl}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  return { response, cookie: (response.headers.get('set-cookie') || '').split(';')[0] };
+}
+
+describe('Storage Server', () => {
+  let server;
+  let baseUrl;
+  let proxy;
+
+  beforeAll(async () => {
+    const backend = createLocalAdapter({ inMemory: true, seed: { 'role-weights.json': { current: { QA: 0.8 } } } });
+    const users = [
+      { username: 'jsmith', name: 'Jo Smith', email: 'jo@example.com', role: 'Admin', passwordHash: await hashPassword('correct horse battery') },
+      { username: 'dlee', name: 'Dee Lee', role: 'Delivery', passwordHash: await hashPassword('delivery password') },
+      { username: 'vgreen', name: 'Vic Green', passwordHash: await hashPassword('viewer password') }
+    ];
+    const auth = { provider: createLocalUserProvider({ users }), sessions: createSessionStore() };
+    server = await startStorageServer({ backend, auth, port: 0 });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    const { cookie } = await signIn(baseUrl);
+    global.fetch = fetchWithCookie(cookie);
+    proxy = createProxyAdapter({ baseUrl });
+  });
+
+  it('should report health and backend', async () => {
+    expect(await proxy.checkHealth()).toEqual({ status: 'ok', backend: 'local' });
+  });
+
+  it('should read seeded objects', async () => {
+    const { content } = await proxy.readObject('role-weights.json');
+
+    expect(JSON.parse(content)).toEqual({ current: { QA: 0.8 } });
+  });
+
+  it('should write, read back and list objects', async () => {
+    const { generation } = await proxy.writeObject('projects/p1.json', '{"id":"p1"}', { ifGenerationMatch: '0' });
+
+    expect(await proxy.readObject('projects/p1.json')).toEqual({ content: '{"id":"p1"}', generation });
+    const items = await proxy.listObjects('projects/');
+    expect(items.map(item => item.name)).toContain('projects/p1.json');
+  });
+
+  it('should pass through generation conflicts as 412', async () => {
+    const first = await proxy.writeObject('projects/p2.json', '{"v":1}');
+    await proxy.writeObject('projects/p2.json', '{"v":2}', { ifGenerationMatch: first.generation });
+
+    await expect(
+      proxy.writeObject('projects/p2.json', '{"v":3}', { ifGenerationMatch: first.generation })
+    ).rejects.toThrow('412');
+  });
+
+  it('should return 404 for missing objects and ignore missing deletes', async () => {
+    await expect(proxy.readObject('projects/missing.json')).rejects.toThrow('404');
+    await expect(proxy.deleteObject('projects/missing.json')).resolves.toBe(true);
+  });
+
+  it('should delete objects', async () => {
+    await proxy.writeObject('projects/p3.json', '{}');
+
+    await proxy.deleteObject('projects/p3.json');
+
+    await expect(proxy.readObject('projects/p3.json')).rejects.toThrow('404');
+  });
+
+  it('should refuse objects outside the pricing data', async () => {
+    await expect(proxy.readObject('secrets/key.json')).rejects.toThrow('403');
+    await expect(proxy.writeObject('projects/../secrets.json', '{}')).rejects.toThrow('403');
+    await expect(proxy.listObjects('')).rejects.toThrow('403');
+  });
+
+  it('should only allow known objects and prefixes', () => {
+    expect(isAllowedObject('projects/index.json')).toBe(true);
+    expect(isAllowedObject('backups/projects/p1/2025.json')).toBe(true);
+    expect(isAllowedObject('role-weights.json')).toBe(true);
+    expect(isAllowedObject('gcs-credentials.json')).toBe(false);
+    expect(isAllowedObject(null)).toBe(false);
+  });
+
+  it('should reject storage requests without a session', async () => {
+    global.fetch = realFetch;
+    let unauthorized = false;
+    const anonymous = createProxyAdapter({ baseUrl, onUnauthorized: () => { unauthorized = true; } });
+
+    await expect(anonymous.readObject('role-weights.json')).rejects.toThrow('401');
+    expect(unauthorized).toBe(true);
+    // Health stays public
+    expect((await anonymous.checkHealth()).status).toBe('ok');
+  });
+
+  it('should reject a wrong password', async () => {
+    const { response, cookie } = await signIn(baseUrl, 'jsmith', 'wrong');
+
+    expect(response.status).toBe(401);
+    expect(cookie).toBe('');
+  });
+
+  it('should reject login bodies that are not a username and password', async () => {
+    const post = (body) => realFetch(`${baseUrl}/auth/login`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+
+    for (const body of ['null', '"jsmith"', '[]', JSON.stringify({ username: 'jsmith', password: 42 })]) {
+      const response = await post(body);
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ error: 'Invalid login request' });
+    }
+  });
+
+  it('should reject request bodies over the size limit with 413', async () => {
+    const response = await realFetch(`${baseUrl}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: 'x'.repeat(10 * 1024 * 1024 + 1)
+    });
+
+    expect(response.status).toBe(413);
+    expect(await response.json()).toEqual({ error: 'Request body too large' });
+  });
+
+  it('should return the signed-in user for the session', async () => {
+    const { response, cookie } = await signIn(baseUrl);
+    const login = await response.json();
+
+    const session = await (await fetchWithCookie(cookie)(`${baseUrl}/auth/session`)).json();
+
+    expect(login.user).toEqual({ username: 'jsmith', name: 'Jo Smith', email: 'jo@example.com', role: 'Admin' });
+    expect(session.user.username).toBe('jsmith');
+    expect(new Date(session.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect(response.headers.get('set-cookie')).toContain('HttpOnly');
+  });
+
+  it('should end only the current session on logout', async () => {
+    const first = await signIn(baseUrl);
+    const second = await signIn(baseUrl);
+
+    await fetchWithCookie(first.cookie)(`${baseUrl}/auth/logout`, { method: 'POST' });
+
+    expect((await fetchWithCookie(first.cookie)(`${baseUrl}/auth/session`)).status).toBe(401);
+    expect((await fetchWithCookie(second.cookie)(`${baseUrl}/auth/session`)).status).toBe(200);
+  });
+
+  it('should end every session of the user on logout everywhere', async () => {
+    const first = await signIn(baseUrl);
+    const second = await signIn(baseUrl);
+
+    const result = await (await fetchWithCookie(first.cookie)(`${baseUrl}/auth/logout-all`, { method: 'POST' })).json();
+
+    expect(result.loggedOut).toBeGreaterThanOrEqual(2);
+    expect((await fetchWithCookie(second.cookie)(`${baseUrl}/auth/session`)).status).toBe(401);
+  });
+
+  it('should only let Admins change role weights and settings', async () => {
+    const { cookie } = await signIn(baseUrl, 'dlee', 'delivery password');
+    global.fetch = fetchWithCookie(cookie);
+    const delivery = createProxyAdapter({ baseUrl });
+
+    await expect(delivery.writeObject('role-weights.json', '{}')).rejects.toThrow('403');
+    await expect(delivery.writeObject('settings/backup-retention.json', '{}')).rejects.toThrow('403');
+    // Delivery can still read weights (prices need them) and save projects
+    await expect(delivery.readObject('role-weights.json')).resolves.toBeTruthy();
+    await expect(delivery.writeObject('projects/d1.json', '{}')).resolves.toBeTruthy();
+  });
+
+  it('should keep users without a role read-only', async () => {
+    const { response, cookie } = await signIn(baseUrl, 'vgreen', 'viewer password');
+    global.fetch = fetchWithCookie(cookie);
+    const viewer = createProxyAdapter({ baseUrl });
+
+    expect((await response.json()).user.role).toBe('Viewer');
+    await expect(viewer.listObjects('projects/')).resolves.toBeInstanceOf(Array);
+    await expect(viewer.writeObject('projects/v1.json', '{}')).rejects.toThrow('403');
+    await expect(viewer.deleteObject('projects/d1.json')).rejects.toThrow('403');
+  });
+
+  it('should only let internal roles read cost rates and audit entries', async () => {
+    await proxy.writeObject('settings/cost-rates.json', '{"rates":{}}');
+    await proxy.writeObject('audit/projects/p1/2025-06-01T00-00-00-000Z-xyz.json', '{"events":[]}', { ifGenerationMatch: '0' });
+    await expect(proxy.readObject('settings/cost-rates.json')).resolves.toBeTruthy();
+    const { cookie } = await signIn(baseUrl, 'dlee', 'delivery password');
+    global.fetch = fetchWithCookie(cookie);
+    const delivery = createProxyAdapter({ baseUrl });
+
+    await expect(delivery.readObject('settings/cost-rates.json')).rejects.toThrow('403');
+    await expect(delivery.readObject('audit/projects/p1/2025-06-01T00-00-00-000Z-xyz.json')).rejects.toThrow('403');
+    await expect(delivery.listObjects('audit/projects/p1/')).rejects.toThrow('403');
+    // Prices still need the role weights
+    await expect(delivery.readObject('role-weights.json')).resolves.toBeTruthy();
+  });
+
+  it('should keep audit entries append-only and stamp the session user', async () => {
+    const name = 'audit/projects/p1/2025-06-01T00-00-00-000Z-abc.json';
+    await proxy.writeObject(name, JSON.stringify({ action: 'update', user: { username: 'someone-else' }, events: [] }), { ifGenerationMatch: '0' });
+
+    const entry = JSON.parse((await proxy.readObject(name)).content);
+    expect(entry.user).toEqual({ username: 'jsmith', name: 'Jo Smith' });
+    await expect(proxy.writeObject(name, '{}', { ifGenerationMatch: '0' })).rejects.toThrow('412');
+    await expect(proxy.writeObject(name, '{}')).rejects.toThrow('403');
+    await expect(proxy.deleteObject(name)).rejects.toThrow('403');
+  });
+});
+
+describe('Storage Server errors', () => {
+  it('should not send internal error messages to the client', async () => {
+    const backend = {
+      ...createLocalAdapter({ inMemory: true }),
+      readObject: async () => { throw new Error('ECONNREFUSED 10.0.0.7:443 service-account@internal'); }
+    };
+    const users = [{ username: 'jsmith', role: 'Admin', passwordHash: await hashPassword('correct horse battery') }];
+    const server = await startStorageServer({ backend, auth: { provider: createLocalUserProvider({ users }), sessions: createSessionStore() }, port: 0 });
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    try {
+      const { cookie } = await signIn(baseUrl);
+      const response = await fetchWithCookie(cookie)(`${baseUrl}/storage/object?name=projects/p1.json`);
+
+      expect(response.status).toBe(500);
+      expect(await response.json()).toEqual({ error: 'Internal server error' });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
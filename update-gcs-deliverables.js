@@ -16,6 +16,8 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const BUCKET_NAME = 'red-pegasus-pricing-data';
 const GCS_API_BASE = 'https://storage.googleapis.com/storage/v1';
 const GCS_UPLOAD_API = 'https://www.googleapis.com/upload/storage/v1';
+const PROJECT_FILE = 'projects/simpson-travel-kb.json';
+const PROJECT_INDEX_FILE = 'projects/index.json';
 
 // Load credentials from gcs-credentials.json
 const credentialsPath = path.join(__dirname, 'gcs-credentials.json');
@@ -173,7 +175,7 @@ async function writeGCSFile(fileName, content) {
     throw new Error(`GCS write error: ${response.status}`);
   }
 
-  console.log('✅ Projects updated in GCS');
+  console.log('✅ Updated in GCS:', fileName);
 }
 
 // Main update function
@@ -181,22 +183,30 @@ async function updateGCS() {
   try {
     console.log('🔑 Authenticating with GCS...');
 
-    console.log('📖 Reading projects from GCS...');
-    const content = await readGCSFile('projects.json');
-    const projects = JSON.parse(content);
-
-    if (!projects['simpson-travel-kb']) {
+    console.log('📖 Reading project from GCS...');
+    let project;
+    try {
+      project = JSON.parse(await readGCSFile(PROJECT_FILE));
+    } catch (error) {
       console.error('❌ simpson-travel-kb project not found in GCS');
       process.exit(1);
     }
 
     // Keep RPG deliverables, replace Proaptus deliverables
-    const rpgDeliverables = projects['simpson-travel-kb'].deliverables.filter(d => d.owner === 'RPG');
-    projects['simpson-travel-kb'].deliverables = [...proaptusDeliverables, ...rpgDeliverables];
-    projects['simpson-travel-kb'].lastModified = new Date().toISOString();
-
-    console.log('📝 Writing updated projects to GCS...');
-    await writeGCSFile('projects.json', JSON.stringify(projects, null, 2));
+    const rpgDeliverables = project.deliverables.filter(d => d.owner === 'RPG');
+    project.deliverables = [...proaptusDeliverables, ...rpgDeliverables];
+    project.lastModified = new Date().toISOString();
+
+    console.log('📝 Writing updated project to GCS...');
+    await writeGCSFile(PROJECT_FILE, JSON.stringify(project, null, 2));
+
+    // Keep the project index in step
+    const index = JSON.parse(await readGCSFile(PROJECT_INDEX_FILE));
+    if (index.projects[project.id]) {
+      index.projects[project.id].lastModified = project.lastModified;
+      index.updatedAt = project.lastModified;
+      await writeGCSFile(PROJECT_INDEX_FILE, JSON.stringify(index, null, 2));
+    }
 
     console.log('');
     console.log('✅ SUCCESS!');
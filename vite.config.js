@@ -7,7 +7,11 @@ export default defineConfig({
     port: 5557,
     host: true,
     strictPort: true,
-    open: true
+    open: true,
+    // Storage server (npm run server / npm run server:fake)
+    proxy: {
+      '/api': 'http://localhost:3557'
+    }
   },
   build: {
     outDir: 'dist',